@@ -11,6 +11,8 @@ const config = require('./config/config');
 const routes = require('./routes');
 const streamRoutes = require('./routes/stream');
 const apiRoutes = require('./routes/api');
+const stationRoutes = require('./routes/stations');
+const sessionRoutes = require('./routes/sessions');
 
 // Create Express application
 const app = express();
@@ -79,7 +81,9 @@ app.use((req, res, next) => {
 // Apply routes
 app.use('/', routes);
 app.use('/', streamRoutes);
+app.use('/', sessionRoutes);
 app.use('/api', apiRoutes);
+app.use('/stations/:stationId', stationRoutes);
 
 // 404 handler
 app.use((req, res, next) => {
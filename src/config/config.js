@@ -1,3 +1,6 @@
+const path = require('path');
+const { version } = require('../../package.json');
+
 // BBC Radio station definitions
 const BBC_STATIONS = {
   bbc_6music: {
@@ -54,22 +57,88 @@ const getStreamUrl = (stationId, bitrate = 320000) => ({
   // Direct Akamai (worldwide)
   akamai: `https://as-hls-ww-live.akamaized.net/pool_81827798/live/ww/${stationId}/${stationId}.isml/${stationId}-audio=${bitrate}.m3u8`,
   // Direct Akamai with norewind (96kbps only, but more reliable)
-  akamaiNorewind: `http://as-hls-ww-live.akamaized.net/pool_81827798/live/ww/${stationId}/${stationId}.isml/${stationId}-audio%3d96000.norewind.m3u8`
+  akamaiNorewind: `http://as-hls-ww-live.akamaized.net/pool_81827798/live/ww/${stationId}/${stationId}.isml/${stationId}-audio%3d96000.norewind.m3u8`,
+  // CloudFront mirror of the norewind stream (same packager, same sequence numbers)
+  cloudfrontNorewind: `http://as-hls-ww.live.cf.md.bbci.co.uk/pool_81827798/live/ww/${stationId}/${stationId}.isml/${stationId}-audio%3d96000.norewind.m3u8`,
+  // The same 96kbps stream with its DVR (rewind) window, for backfilling gaps
+  akamaiRewind: `http://as-hls-ww-live.akamaized.net/pool_81827798/live/ww/${stationId}/${stationId}.isml/${stationId}-audio%3d96000.m3u8`
 });
 
 // Default station
-const DEFAULT_STATION = 'bbc_6music';
+const DEFAULT_STATION = process.env.DEFAULT_STATION || 'bbc_6music';
+
+// Stations recorded concurrently (comma-separated IDs). The default station
+// is always included; unknown IDs are ignored.
+const STATIONS = [DEFAULT_STATION, ...(process.env.STATIONS || '').split(',')]
+  .map(id => id.trim())
+  .filter((id, index, all) => id && (id === DEFAULT_STATION || BBC_STATIONS[id]) && all.indexOf(id) === index);
+
+const STORAGE_BASE_DIR = process.env.STORAGE_DIR || './data';
+const STATIONS_DIR = 'stations';
+
+// Ordered source list for a station's pipeline, preferred first. The default
+// station honours STREAM_URL plus comma-separated STREAM_MIRRORS; BBC
+// stations fail over Akamai -> CloudFront -> proxy.
+const getStationStreamUrls = (stationId) => {
+  if (stationId === DEFAULT_STATION && process.env.STREAM_URL) {
+    const mirrors = (process.env.STREAM_MIRRORS || '').split(',').map(url => url.trim()).filter(Boolean);
+    return [process.env.STREAM_URL, ...mirrors];
+  }
+
+  const urls = getStreamUrl(stationId, 96000);
+  return [urls.akamaiNorewind, urls.cloudfrontNorewind, urls.proxy];
+};
+
+// Preferred stream URL for a station's pipeline
+const getStationStreamUrl = (stationId) => getStationStreamUrls(stationId)[0];
+
+// Playlist with a DVR (rewind) window that segments missed during an outage
+// are backfilled from. It must number segments like the preferred source.
+// The default station uses STREAM_REWIND_URL, falling back to STREAM_URL
+// (many CDNs keep a rewind window on the live playlist itself).
+const getStationRewindUrl = (stationId) => {
+  if (stationId === DEFAULT_STATION && process.env.STREAM_URL) {
+    return process.env.STREAM_REWIND_URL || process.env.STREAM_URL;
+  }
+
+  return getStreamUrl(stationId, 96000).akamaiRewind;
+};
+
+// How a station's source is read: the name of a registered source adapter
+// ('hls' playlists, an 'icecast' progressive HTTP stream, a local 'file'
+// replay, or one added through SOURCE_ADAPTERS). Only the default station
+// can point at a non-BBC source, so only it honours STREAM_TYPE.
+const getStationSourceType = (stationId) => (
+  stationId === DEFAULT_STATION && process.env.STREAM_URL
+    ? (process.env.STREAM_TYPE || 'hls').toLowerCase()
+    : 'hls'
+);
+
+// Storage directory for a station's pipeline. The default station keeps the
+// top-level layout so existing buffers survive upgrades; others get their
+// own subdirectory.
+const getStationStorageDir = (stationId) => (
+  stationId === DEFAULT_STATION
+    ? STORAGE_BASE_DIR
+    : path.join(STORAGE_BASE_DIR, STATIONS_DIR, stationId)
+);
 
 module.exports = {
   // Available BBC Radio stations
   BBC_STATIONS,
   DEFAULT_STATION,
+  STATIONS,
   getStreamUrl,
+  getStationStreamUrl,
+  getStationStreamUrls,
+  getStationRewindUrl,
+  getStationSourceType,
+  getStationStorageDir,
 
   // Stream URLs - BBC 6 Music streams (legacy, for backwards compatibility)
   // STREAM_URL env var overrides the default (as documented in the README)
   STREAM_URLS: {
-    AKAMAI: process.env.STREAM_URL || getStreamUrl(DEFAULT_STATION).akamaiNorewind,
+    AKAMAI: getStationStreamUrl(DEFAULT_STATION),
     CLOUDFRONT: 'http://as-hls-ww.live.cf.md.bbci.co.uk/pool_81827798/live/ww/bbc_6music/bbc_6music.isml/bbc_6music-audio%3d96000.norewind.m3u8'
   },
 
@@ -77,10 +146,33 @@ module.exports = {
   BUFFER_DURATION: parseInt(process.env.BUFFER_DURATION, 10) || 8.5 * 60 * 60 * 1000, // 8.5 hours
   DELAY_DURATION: parseInt(process.env.DELAY_DURATION, 10) || 8 * 60 * 60 * 1000,     // 8 hours
 
+  // How the default delay is set: 'fixed' (DELAY_DURATION) or 'timezone',
+  // which plays the source at the same wall-clock time in the listener's
+  // timezone, following DST in both (IANA names, e.g. Europe/London)
+  DELAY_MODE: process.env.DELAY_MODE === 'timezone' ? 'timezone' : 'fixed',
+  SOURCE_TIMEZONE: process.env.SOURCE_TIMEZONE || 'Europe/London',
+  LISTENER_TIMEZONE: process.env.LISTENER_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+  // Listener sessions (each listener's own delay, or where they paused)
+  // not heard from for this long are forgotten
+  LISTENER_SESSION_TTL: parseInt(process.env.LISTENER_SESSION_TTL, 10) || 30 * 24 * 60 * 60 * 1000, // 30 days
+
+  // How a listener behind the default delay gets back to it: 'speed' plays
+  // at CATCH_UP_RATE (1.05-1.1x) until the lost time is made up, 'skip'
+  // skips talk and news, 'jump' goes straight there
+  CATCH_UP_MODE: ['skip', 'jump'].includes(process.env.CATCH_UP_MODE) ? process.env.CATCH_UP_MODE : 'speed',
+  CATCH_UP_RATE: Math.min(1.1, Math.max(1.05, parseFloat(process.env.CATCH_UP_RATE) || 1.08)),
+
   // How far the capture lags the actual broadcast (HLS live-edge latency).
   // Used to align track metadata with what the listener actually hears.
+  // Only a fallback: sources with EXT-X-PROGRAM-DATE-TIME are stamped with
+  // broadcast time directly and the latency is measured from them.
   CAPTURE_LATENCY: parseInt(process.env.CAPTURE_LATENCY, 10) || 30000, // 30 seconds
 
+  // Furthest a source's EXT-X-PROGRAM-DATE-TIME may sit from our own clock
+  // before it's treated as bogus and arrival time is used instead
+  PROGRAM_DATE_TIME_MAX_SKEW: parseInt(process.env.PROGRAM_DATE_TIME_MAX_SKEW, 10) || 10 * 60 * 1000, // 10 minutes
+
   // Apple Music storefront for track links (iTunes Search API country code)
   APPLE_MUSIC_STOREFRONT: process.env.APPLE_MUSIC_STOREFRONT || 'gb',
   
@@ -96,8 +188,91 @@ module.exports = {
   
   // Pipeline settings
   MONITOR_INTERVAL: process.env.MONITOR_INTERVAL || 5000, // 5 seconds
+
+  // Master playlist handling: which variant to record ('highest', 'lowest',
+  // 'codecs:<value>' or 'max-bitrate:<bps>') and how often to re-check the
+  // master for changed variants
+  VARIANT_POLICY: process.env.VARIANT_POLICY || 'highest',
+  // Record every variant of a master playlist (not just the selected one)
+  // and serve /stream.m3u8 as an adaptive master playlist
+  RECORD_ALL_VARIANTS: process.env.RECORD_ALL_VARIANTS === 'true',
+  MASTER_PLAYLIST_REFRESH_INTERVAL: parseInt(process.env.MASTER_PLAYLIST_REFRESH_INTERVAL, 10) || 5 * 60 * 1000, // 5 minutes
+
+  // Low-Latency HLS: when a source advertises CAN-BLOCK-RELOAD, wait on
+  // blocking playlist reloads instead of polling, and build segments from
+  // their parts as they are published
+  LOW_LATENCY_HLS: process.env.LOW_LATENCY_HLS !== 'false',
+
+  // Source failover: move to the next mirror after this many consecutive
+  // errors or this long without a new segment, and return to the preferred
+  // source once it has answered healthily on two checks
+  FAILOVER_ERROR_THRESHOLD: parseInt(process.env.FAILOVER_ERROR_THRESHOLD, 10) || 3,
+  FAILOVER_STALE_THRESHOLD: parseInt(process.env.FAILOVER_STALE_THRESHOLD, 10) || 60 * 1000, // 1 minute
+  FAILBACK_CHECK_INTERVAL: parseInt(process.env.FAILBACK_CHECK_INTERVAL, 10) || 2 * 60 * 1000, // 2 minutes
+
+  // Redundant ingest: stations (comma-separated IDs) that pull their stream
+  // from the first two mirrors at once. The first valid copy of each
+  // segment is kept, so one CDN dropping segments leaves no hole.
+  REDUNDANT_STATIONS: (process.env.REDUNDANT_STATIONS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+  // Gap backfill: after an outage, fetch the skipped segments from the
+  // source's rewind window. Waits a little after reconnecting so the live
+  // edge is caught up first.
+  BACKFILL_ENABLED: process.env.BACKFILL_ENABLED !== 'false',
+  BACKFILL_DELAY: parseInt(process.env.BACKFILL_DELAY, 10) || 15 * 1000, // 15 seconds
+
+  // Extra source adapters, as comma-separated name=module pairs (module
+  // paths relative to the working directory), selectable with STREAM_TYPE
+  SOURCE_ADAPTERS: (process.env.SOURCE_ADAPTERS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, modulePath] = entry.split('=').map(part => part.trim());
+      return { name: name.toLowerCase(), modulePath };
+    }),
+
+  // Recording schedule, so stations needn't record around the clock.
+  // Semicolon-separated rules, each optionally prefixed 'station@':
+  // time windows in local time ('mon-fri 06:00-10:00', '22:00-01:00') and
+  // show-title patterns ('Lauren Laverne|Huey Morgan'). A station with no
+  // rules records all the time; one with rules records when any matches.
+  RECORDING_WINDOWS: (process.env.RECORDING_WINDOWS || '').split(';').map(rule => rule.trim()).filter(Boolean),
+  RECORDING_SHOWS: (process.env.RECORDING_SHOWS || '').split(';').map(rule => rule.trim()).filter(Boolean),
+  RECORDING_PADDING: parseInt(process.env.RECORDING_PADDING, 10) || 2 * 60 * 1000, // 2 minutes either side
+  RECORDING_CHECK_INTERVAL: parseInt(process.env.RECORDING_CHECK_INTERVAL, 10) || 60 * 1000, // 1 minute
+
+  // Progressive (Icecast/Shoutcast) sources are cut into chunks of about
+  // this many seconds, on audio frame boundaries
+  PROGRESSIVE_CHUNK_DURATION: parseFloat(process.env.PROGRESSIVE_CHUNK_DURATION) || 6.4,
+
+  // Downloaded segments smaller than this bitrate implies for their
+  // EXTINF duration are treated as truncated or as error pages
+  MIN_SEGMENT_BITRATE: parseInt(process.env.MIN_SEGMENT_BITRATE, 10) || 8000, // 8 kbps
   MAX_RETRIES: process.env.MAX_RETRIES || 3,
   MAX_CONCURRENT_DOWNLOADS: process.env.MAX_CONCURRENT_DOWNLOADS || 3,
+
+  // Metered connections: a ceiling on download speed (bytes per second)
+  // and a daily data budget (bytes per local day), both shared by
+  // every station; 0 means no limit. Past DATA_BUDGET_WARNING of the budget
+  // the health check warns; once it's spent, stations record the lowest
+  // bitrate variant and drop redundant sources instead of stopping.
+  DOWNLOAD_RATE_LIMIT: parseInt(process.env.DOWNLOAD_RATE_LIMIT, 10) || 0,
+  DAILY_DATA_BUDGET: parseInt(process.env.DAILY_DATA_BUDGET, 10) || 0,
+  DATA_BUDGET_WARNING: parseFloat(process.env.DATA_BUDGET_WARNING) || 0.8,
+
+  // Outbound HTTP, shared by every request the server makes: the default
+  // timeout (ms) and User-Agent. Proxies come from the usual HTTP_PROXY,
+  // HTTPS_PROXY, ALL_PROXY and NO_PROXY variables (http://, https://,
+  // socks5:// or socks4:// URLs).
+  HTTP_TIMEOUT: parseInt(process.env.HTTP_TIMEOUT, 10) || 10000, // 10 seconds
+  HTTP_USER_AGENT: process.env.HTTP_USER_AGENT || `encore.fm/${version}`,
+  // Per-source request profiles: JSON keyed by host ('*.example.com' for
+  // subdomains), each with any of headers, cookies, token (sent as a bearer
+  // token) and proxy ('direct' to bypass). Either the JSON itself or the
+  // path of a file holding it, which keeps credentials out of the
+  // environment.
+  HTTP_SOURCE_PROFILES: process.env.HTTP_SOURCE_PROFILES || '',
   
   // Playlist generation settings
   DEFAULT_PLAYLIST_DURATION: 300, // 5 minutes in seconds
@@ -108,9 +283,13 @@ module.exports = {
   
   // Disk storage settings
   STORAGE: {
-    BASE_DIR: process.env.STORAGE_DIR || './data',
+    BASE_DIR: STORAGE_BASE_DIR,
     SEGMENTS_DIR: 'segments',
+    STATIONS_DIR,
     METADATA_FILE: 'buffer-metadata.json',
+    SESSIONS_FILE: 'listener-sessions.json', // Listener sessions, next to the buffer metadata
+    KEYS_DIR: 'keys', // Persisted SAMPLE-AES keys, served back to players
+    INIT_DIR: 'init', // fMP4 init segments (EXT-X-MAP), keyed by content hash
     MAX_WRITE_RETRIES: 3,
     WRITE_RETRY_DELAY: 500, // milliseconds
     CLEANUP_INTERVAL: 60000, // 1 minute
@@ -16,9 +16,11 @@ const systemHealth = {
     monitor: { status: 'unknown', lastCheck: null },
     downloader: { status: 'unknown', lastCheck: null },
     playlist: { status: 'unknown', lastCheck: null },
-    disk: { status: 'unknown', lastCheck: null }
+    disk: { status: 'unknown', lastCheck: null },
+    bandwidth: { status: 'unknown', lastCheck: null }
   },
   errors: [],
+  warnings: [],
   selfHeal: { lastAttempt: null, attempts: 0 }
 };
 
@@ -47,6 +49,7 @@ async function performHealthCheck() {
   const now = Date.now();
   systemHealth.lastCheck = now;
   systemHealth.errors = [];
+  systemHealth.warnings = [];
   
   try {
     // Get current pipeline status
@@ -58,27 +61,30 @@ async function performHealthCheck() {
       lastCheck: now 
     };
     
-    // Check monitor service status
-    const monitorStatus = status.monitor && typeof status.monitor === 'object' ? status.monitor : {};
+    // Check the source adapter (HLS monitor, progressive stream, file
+    // replay...) through the health every adapter reports
+    const sourceHealth = status.health && typeof status.health === 'object' ? status.health : {};
 
-    // Detect zombie state: isRunning but no recent fetch attempts.
-    // Note lastFetchTime updates even on FAILED fetches, so a zombie means
-    // the fetch loop itself has stopped ticking (process-local fault),
-    // not that the upstream is down.
-    const lastFetchAge = monitorStatus.lastFetchTime ? now - monitorStatus.lastFetchTime : Infinity;
-    const isZombie = monitorStatus.isRunning && lastFetchAge > HEALTH_THRESHOLDS.ZOMBIE_MS;
+    // Detect zombie state: isRunning but no recent activity. Adapters count
+    // FAILED attempts as activity, so a zombie means the acquisition loop
+    // itself has stopped ticking (process-local fault), not that the
+    // upstream is down.
+    const lastFetchAge = sourceHealth.lastActivityTime ? now - sourceHealth.lastActivityTime : Infinity;
+    const isZombie = !!sourceHealth.isRunning && lastFetchAge > HEALTH_THRESHOLDS.ZOMBIE_MS;
 
     let monitorHealthStatus = 'stopped';
-    if (monitorStatus.isRunning) {
+    if (sourceHealth.isRunning) {
       monitorHealthStatus = isZombie ? 'zombie' : 'healthy';
     }
 
     systemHealth.components.monitor = {
       status: monitorHealthStatus,
       lastCheck: now,
+      sourceType: status.sourceType,
       lastFetchAge: lastFetchAge === Infinity ? null : lastFetchAge,
+      lastSegmentAge: sourceHealth.lastSegmentTime ? now - sourceHealth.lastSegmentTime : null,
       isZombie,
-      details: monitorStatus
+      details: status.monitor
     };
 
     // Check downloader service status via windowed success rate
@@ -109,14 +115,18 @@ async function performHealthCheck() {
     };
 
     // Check buffer service status: the recorder is stale if no new segment
-    // has landed recently while the pipeline claims to be running
+    // has landed recently while the pipeline claims to be recording (not
+    // while it's paused outside the recording schedule)
     const bufferStatus = status.buffer && typeof status.buffer === 'object' ? status.buffer : {};
     const newestTimestamp = bufferStatus.newestTimestamp || null;
     const newestSegmentAge = newestTimestamp ? now - newestTimestamp : null;
     let bufferStale = false;
-    if (status.isRunning) {
+    if (status.isRunning && status.isRecording) {
+      // Recording that has just resumed gets the same grace as a fresh start
+      const recordingAge = status.recordingSince ? now - status.recordingSince : Infinity;
       if (newestSegmentAge !== null) {
-        bufferStale = newestSegmentAge > HEALTH_THRESHOLDS.STALE_BUFFER_MS;
+        bufferStale = newestSegmentAge > HEALTH_THRESHOLDS.STALE_BUFFER_MS &&
+          recordingAge > HEALTH_THRESHOLDS.STALE_BUFFER_MS;
       } else {
         // Empty buffer: allow a startup grace period before flagging
         bufferStale = now - serverStartTime > HEALTH_THRESHOLDS.EMPTY_BUFFER_GRACE_MS;
@@ -138,6 +148,20 @@ async function performHealthCheck() {
       details: capacity
     };
     
+    // Check the daily data budget. Running low or out is a warning, not a
+    // fault: stations keep recording, at reduced cost once it's spent
+    const bandwidth = serviceManager.bandwidth.getStatus();
+    systemHealth.components.bandwidth = {
+      status: bandwidth.state === 'ok' ? 'healthy' : bandwidth.state,
+      lastCheck: now,
+      details: bandwidth
+    };
+    if (bandwidth.state !== 'ok') {
+      systemHealth.warnings.push(bandwidth.state === 'exhausted'
+        ? `Daily data budget exhausted (${bandwidth.percentUsed}% used), recording in data saver until tomorrow`
+        : `Daily data budget running low (${bandwidth.percentUsed}% used)`);
+    }
+    
     // Check playlist service status - consider it healthy if we can access the app's playlistGenerator
     // Only marked as unhealthy during tests if the buffer is populated but playlist fails
     const playlistGenerator = app.get('playlistGenerator');
@@ -152,12 +176,14 @@ async function performHealthCheck() {
       }
     };
     
-    // Check if any component is not healthy. 'unknown' (not yet measured)
-    // and a deliberately stopped monitor don't count against health.
+    // Check if any component is not healthy. 'unknown' (not yet measured),
+    // a deliberately stopped monitor and the data budget (warnings only)
+    // don't count against health.
     const unhealthyComponents = Object.entries(systemHealth.components)
       .filter(([name, info]) => {
         if (info.status === 'healthy' || info.status === 'unknown') return false;
         if (info.status === 'stopped' && name === 'monitor') return false;
+        if (name === 'bandwidth') return false;
         return true;
       });
 
@@ -172,7 +198,7 @@ async function performHealthCheck() {
 
     // Self-heal: a zombie monitor or stale recorder can often be fixed by
     // restarting the monitor loop. Attempt at most once per cooldown.
-    const recorderSick = isZombie || (bufferStale && monitorStatus.isRunning);
+    const recorderSick = isZombie || (bufferStale && sourceHealth.isRunning);
     if (recorderSick) {
       const lastAttempt = systemHealth.selfHeal.lastAttempt || 0;
       if (now - lastAttempt > HEALTH_THRESHOLDS.SELF_HEAL_COOLDOWN_MS) {
@@ -32,7 +32,25 @@ document.addEventListener('DOMContentLoaded', function() {
     const showSubtitle = document.getElementById('showSubtitle');
     const showSynopsis = document.getElementById('showSynopsis');
 
-    const streamUrl = '/api/playlist';
+    // Station selection: ?station=<id> plays that station's own pipeline;
+    // without it the default station's root endpoints are used
+    const selectedStation = new URLSearchParams(window.location.search).get('station');
+    const stationBase = selectedStation ? '/stations/' + encodeURIComponent(selectedStation) : '';
+    const stationApiBase = selectedStation ? '/api/stations/' + encodeURIComponent(selectedStation) : '/api';
+    const stationSelect = document.getElementById('stationSelect');
+
+    // /stream.m3u8 is a master playlist when several bitrates are recorded,
+    // letting hls.js switch variants (they share sequence numbers, so the
+    // switch lands on the same point in delayed time)
+    const streamUrl = stationBase + '/stream.m3u8';
+    // Set once the listener skips to another track: playback then stays at
+    // that delay, reconnects included, instead of the default one
+    let listenerDelayMs = null;
+    // Where and when playback was paused, to resume from there after a
+    // long pause instead of wherever the live window has moved on to
+    let pausedPlayhead = null;
+    let pausedSince = null;
+    let sessionReportTimer = null;
     let metadataPollTimer = null;
     let currentTrackId = null;
     let currentShowId = null;
@@ -122,7 +140,18 @@ document.addEventListener('DOMContentLoaded', function() {
         reconnectTimer = setTimeout(initPlayer, delay);
     }
 
-    function initPlayer() {
+    function playlistUrl() {
+        return listenerDelayMs === null
+            ? streamUrl
+            : streamUrl + '?delay=' + Math.round(listenerDelayMs / 1000);
+    }
+
+    /**
+     * (Re)load the player
+     * @param {string} [url] - Playlist to load instead of the usual one
+     */
+    function initPlayer(url) {
+        const source = typeof url === 'string' ? url : playlistUrl();
         cancelReconnect();
         setConnection('Connecting');
         setLoading(true);
@@ -172,12 +201,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             });
 
-            hls.loadSource(streamUrl);
+            hls.loadSource(source);
             hls.attachMedia(audio);
 
         } else if (audio.canPlayType('application/vnd.apple.mpegurl')) {
             // Native HLS (Safari/iOS)
-            audio.src = streamUrl;
+            audio.src = source;
 
             audio.addEventListener('loadedmetadata', function() {
                 setConnection('Connected');
@@ -231,12 +260,7 @@ document.addEventListener('DOMContentLoaded', function() {
             playerInitialized = true;
             initPlayer();
         } else if (audio.paused) {
-            setLoading(true);
-            audio.play().then(function() {
-                setLoading(false);
-            }).catch(function() {
-                setLoading(false);
-            });
+            resumePlayback();
         } else {
             audio.pause();
         }
@@ -277,6 +301,8 @@ document.addEventListener('DOMContentLoaded', function() {
             }
             if (block.hasGap) {
                 div.classList.add('gap-block');
+            } else if (block.isUnscheduled) {
+                div.classList.add('unscheduled-block');
             }
 
             // Add tooltip with details
@@ -284,7 +310,8 @@ document.addEventListener('DOMContentLoaded', function() {
             var minsInHour = Math.floor(((block.index % 6) * 10));
             var timeLabel = hoursAgo + 'h ' + minsInHour + 'm ago';
             div.title = timeLabel + ' - ' + block.segmentCount + ' segments' +
-                (block.hasGap ? ' - recording gap' : '');
+                (block.hasGap ? ' - recording gap' : '') +
+                (block.isUnscheduled ? ' - not scheduled to record' : '');
 
             grid.appendChild(div);
         });
@@ -296,7 +323,7 @@ document.addEventListener('DOMContentLoaded', function() {
      */
     async function fetchBufferGrid(targetEl) {
         try {
-            var response = await fetch('/api/buffer-grid');
+            var response = await fetch(stationApiBase + '/buffer-grid');
             var data = await response.json();
 
             if (data.blocks) {
@@ -357,7 +384,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
     async function checkBufferStatus() {
         try {
-            const response = await fetch('/api/status');
+            const response = await fetch(stationApiBase + '/status');
             const data = await response.json();
 
             // Health rollup rides along on every status poll
@@ -365,6 +392,11 @@ document.addEventListener('DOMContentLoaded', function() {
                 updateHealthUI(data.health);
             }
 
+            // So does this listener's session, with any catch-up's progress
+            if (data.session) {
+                updateDriftUI(data.session);
+            }
+
             if (data.bufferReady) {
                 updateBufferUI(data.bufferReady);
 
@@ -502,9 +534,48 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    /**
+     * Populate the station picker when more than one station is recorded.
+     * Switching reloads the page on the other station's endpoints; every
+     * station keeps recording into its own buffer meanwhile.
+     */
+    async function loadStations() {
+        if (!stationSelect) return;
+        try {
+            var response = await fetch('/api/stations');
+            var data = await response.json();
+            if (!data.stations || data.stations.length < 2) return;
+
+            var current = selectedStation || data.defaultStation;
+            data.stations.forEach(function(station) {
+                var option = document.createElement('option');
+                option.value = station.id;
+                option.textContent = station.shortName || station.name;
+                option.selected = station.id === current;
+                stationSelect.appendChild(option);
+            });
+
+            // The picker replaces the static station name
+            stationSelect.hidden = false;
+            if (stationName) stationName.hidden = true;
+            stationSelect.addEventListener('change', function() {
+                window.location.search = stationSelect.value === data.defaultStation
+                    ? ''
+                    : '?station=' + encodeURIComponent(stationSelect.value);
+            });
+        } catch (error) {
+            console.debug('Station list fetch failed:', error.message);
+        }
+    }
+
+    loadStations();
+
     // Set up media session for lock screen controls
     setupMediaSession();
 
+    // Show how far a returning listener is from the usual delay
+    fetchSession();
+
     // Check buffer status on load and poll every 30 seconds
     checkBufferStatus();
     fetchBufferGrid(); // Initial grid fetch
@@ -539,7 +610,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
     async function fetchMetadata() {
         try {
-            var url = '/metadata/current';
+            var url = stationBase + '/metadata/current';
             var playhead = getPlayheadTime();
             if (playhead) {
                 url += '?time=' + playhead;
@@ -781,6 +852,248 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    /**
+     * Skip to the next or previous track (or show) start. The server finds
+     * it from the playhead and gives a playlist starting exactly there;
+     * playback carries on at that delay.
+     * @param {string} direction - 'next' or 'previous'
+     */
+    async function skipToBoundary(direction) {
+        var playhead = getPlayheadTime();
+        if (!playhead) return;
+
+        try {
+            var response = await fetch(stationBase + '/metadata/boundary?direction=' + direction + '&time=' + playhead);
+            var data = await response.json();
+            if (data.status !== 'ok') {
+                console.debug('No track to skip to:', data.message);
+                return;
+            }
+
+            listenerDelayMs = Date.now() - Date.parse(data.at);
+            playerInitialized = true;
+            initPlayer(data.playlist);
+
+            // Show the new track as soon as it's playing
+            currentTrackId = null;
+            currentShowId = null;
+            setTimeout(fetchMetadata, 2000);
+        } catch (error) {
+            console.debug('Track skip failed:', error.message);
+        }
+    }
+
+    /**
+     * Listener session: the server remembers where this listener is, so a
+     * later visit (or a resume after a long pause) carries on from there
+     */
+    const driftInfo = document.getElementById('driftInfo');
+    const driftText = document.getElementById('driftText');
+    const catchUpButton = document.getElementById('catchUpButton');
+
+    // Drift under this isn't worth mentioning
+    const DRIFT_THRESHOLD_MS = 60000;
+    // Paused longer than this, resuming reloads at the paused moment
+    const RESUME_RELOAD_MS = 15000;
+
+    // The session's catch-up to the default delay while one is under way
+    let catchUp = null;
+    let catchUpTimer = null;
+    let defaultDelayMs = null;
+
+    function updateDriftUI(session) {
+        if (!session || !driftInfo) return;
+        defaultDelayMs = session.defaultDelayMs;
+        setCatchUp(session.catchUp);
+
+        if (catchUp) {
+            var how = catchUp.mode === 'skip' ? 'skipping talk' : 'playing at ' + catchUp.rate + 'x';
+            driftText.textContent = 'Catching up, ' + how + ': ' +
+                formatDurationShort(catchUp.remainingMs / 1000) + ' to go';
+            catchUpButton.textContent = 'Jump';
+            driftInfo.hidden = false;
+            return;
+        }
+
+        catchUpButton.textContent = 'Catch up';
+        if (!session.paused && Math.abs(session.driftMs) < DRIFT_THRESHOLD_MS) {
+            driftInfo.hidden = true;
+            return;
+        }
+
+        var drift = formatDurationShort(Math.abs(session.driftMs) / 1000);
+        var text = session.driftMs >= 0 ? drift + ' behind the usual delay' : drift + ' ahead of the usual delay';
+        driftText.textContent = session.paused ? 'Paused, ' + text : text;
+        driftInfo.hidden = false;
+    }
+
+    /**
+     * Follow the session's catch-up: play fast in speed mode, and watch the
+     * playhead for talk to skip or the end of the lost time
+     * @param {Object|null} next - The session's catch-up, or null
+     */
+    function setCatchUp(next) {
+        catchUp = next || null;
+        // The default rate too, as reloading the stream resets the rate to it
+        var rate = catchUp && catchUp.mode === 'speed' ? catchUp.rate : 1;
+        audio.defaultPlaybackRate = rate;
+        audio.playbackRate = rate;
+
+        if (catchUp && !catchUpTimer) {
+            catchUpTimer = setInterval(checkCatchUp, 1000);
+        } else if (!catchUp && catchUpTimer) {
+            clearInterval(catchUpTimer);
+            catchUpTimer = null;
+        }
+    }
+
+    /**
+     * While catching up: skip talk as the playhead reaches it (skip mode),
+     * or drop back to normal speed at the default delay (speed mode)
+     */
+    function checkCatchUp() {
+        var playhead = getPlayheadTime();
+        if (!catchUp || !playhead || audio.paused || isLoading) return;
+
+        if (catchUp.mode === 'speed') {
+            if (defaultDelayMs !== null && Date.now() - playhead - defaultDelayMs <= 1000) {
+                setCatchUp(null);
+                reportSession(false);
+            }
+            return;
+        }
+
+        var skip = catchUp.nextSkip;
+        if (skip && playhead >= Date.parse(skip.from) && playhead < Date.parse(skip.to)) {
+            listenerDelayMs = Date.now() - Date.parse(skip.to);
+            initPlayer(streamUrl + '?at=' + skip.to);
+        }
+    }
+
+    async function fetchSession() {
+        try {
+            var response = await fetch(stationBase + '/session');
+            var data = await response.json();
+            updateDriftUI(data.session);
+        } catch (error) {
+            console.debug('Session fetch failed:', error.message);
+        }
+    }
+
+    /**
+     * Tell the server where this listener is
+     * @param {boolean} paused - Whether playback is paused
+     */
+    async function reportSession(paused) {
+        var playhead = paused ? pausedPlayhead : getPlayheadTime();
+        if (!playhead) return;
+
+        try {
+            var response = await fetch(stationBase + '/session', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ playhead: playhead, paused: paused })
+            });
+            var data = await response.json();
+            updateDriftUI(data.session);
+        } catch (error) {
+            console.debug('Session update failed:', error.message);
+        }
+    }
+
+    /**
+     * Resume after a pause. Short pauses just carry on; after a long one the
+     * stream is reloaded at the paused moment, so nothing is missed.
+     */
+    function resumePlayback() {
+        if (pausedPlayhead && pausedSince && Date.now() - pausedSince > RESUME_RELOAD_MS) {
+            listenerDelayMs = Date.now() - pausedPlayhead;
+            initPlayer(streamUrl + '?at=' + new Date(pausedPlayhead).toISOString());
+            return;
+        }
+
+        setLoading(true);
+        audio.play().then(function() {
+            setLoading(false);
+        }).catch(function() {
+            setLoading(false);
+        });
+    }
+
+    audio.addEventListener('pause', function() {
+        // Reloading the stream (a skip, catching up) isn't the listener pausing
+        if (isLoading) return;
+        pausedPlayhead = getPlayheadTime();
+        pausedSince = Date.now();
+        clearInterval(sessionReportTimer);
+        sessionReportTimer = null;
+        reportSession(true);
+    });
+
+    audio.addEventListener('playing', function() {
+        pausedPlayhead = null;
+        pausedSince = null;
+        reportSession(false);
+        if (!sessionReportTimer) {
+            sessionReportTimer = setInterval(function() {
+                reportSession(false);
+            }, 30000);
+        }
+    });
+
+    // Closing the page mid-listen: the next visit picks up from here
+    window.addEventListener('pagehide', function() {
+        var paused = audio.paused;
+        var playhead = paused ? pausedPlayhead : getPlayheadTime();
+        if (!playhead || !navigator.sendBeacon) return;
+
+        var body = JSON.stringify({ playhead: playhead, paused: paused });
+        navigator.sendBeacon(stationBase + '/session', new Blob([body], { type: 'application/json' }));
+    });
+
+    if (catchUpButton) {
+        // Catch up the configured way, or jump straight there if already
+        // catching up
+        catchUpButton.addEventListener('click', async function() {
+            var session;
+            try {
+                var response = await fetch(stationBase + '/session/catch-up', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(catchUp ? { mode: 'jump' } : {})
+                });
+                session = (await response.json()).session;
+                updateDriftUI(session);
+            } catch (error) {
+                console.debug('Catch up failed:', error.message);
+                return;
+            }
+
+            pausedPlayhead = null;
+            pausedSince = null;
+            if (!session.catchUp) {
+                listenerDelayMs = null;
+                if (!playerInitialized) return;
+                initPlayer(streamUrl);
+            } else if (session.catchUp.mode === 'speed') {
+                // The session's playlist moves on as fast as it's played
+                listenerDelayMs = null;
+                playerInitialized = true;
+                initPlayer(streamUrl);
+            } else if (audio.paused) {
+                listenerDelayMs = session.delayMs;
+                playerInitialized = true;
+                initPlayer(streamUrl + '?at=' + session.playhead);
+            } else {
+                return;
+            }
+
+            currentTrackId = null;
+            currentShowId = null;
+            setTimeout(fetchMetadata, 2000);
+        });
+    }
+
     /**
      * Set up Media Session action handlers
      */
@@ -788,13 +1101,21 @@ document.addEventListener('DOMContentLoaded', function() {
         if (!('mediaSession' in navigator)) return;
 
         navigator.mediaSession.setActionHandler('play', function() {
-            audio.play();
+            resumePlayback();
         });
 
         navigator.mediaSession.setActionHandler('pause', function() {
             audio.pause();
         });
 
+        navigator.mediaSession.setActionHandler('nexttrack', function() {
+            skipToBoundary('next');
+        });
+
+        navigator.mediaSession.setActionHandler('previoustrack', function() {
+            skipToBoundary('previous');
+        });
+
         // Set initial metadata
         navigator.mediaSession.metadata = new MediaMetadata({
             title: 'encore.fm',
@@ -53,9 +53,9 @@ self.addEventListener('activate', (event) => {
 
 /**
  * Fetch event
- * - HLS segments, playlists, API and metadata are always network-only:
- *   they are time-sensitive, and caching /metadata/current froze the
- *   now-playing display at whatever loaded first
+ * - HLS segments, playlists, API, metadata and the listener session are
+ *   always network-only: they are time-sensitive, and caching
+ *   /metadata/current froze the now-playing display at whatever loaded first
  * - Static assets are network-first with cache fallback, so UI updates
  *   reach installed PWAs while offline loads still work
  */
@@ -63,9 +63,12 @@ self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
 
   if (url.pathname.endsWith('.ts') ||
+      url.pathname.endsWith('.m4s') ||
       url.pathname.endsWith('.m3u8') ||
       url.pathname.startsWith('/api/') ||
       url.pathname.startsWith('/metadata/') ||
+      url.pathname.startsWith('/session') ||
+      url.pathname.startsWith('/stations/') ||
       url.pathname.startsWith('/stream')) {
     event.respondWith(fetch(event.request));
     return;
@@ -6,7 +6,8 @@ const express = require('express');
 const router = express.Router();
 const { serviceManager } = require('../services');
 const logger = require('../utils/logger');
-const config = require('../config/config');
+const { getDefaultDelay, getDelayStatus } = require('../services/listener-delay');
+const { getSessionId } = require('../services/listener-sessions');
 
 /**
  * @route   GET /api/health
@@ -36,12 +37,11 @@ router.get('/health', async (req, res) => {
  * Answers: is the recorder alive, how much continuous audio is ahead of
  * the playback position, and where are the holes?
  */
-function computeStreamHealth(status, systemHealth) {
+function computeStreamHealth(status, systemHealth, bufferService = serviceManager.bufferService) {
   const now = Date.now();
   const buffer = status.buffer || {};
   const capacity = status.capacity || null;
 
-  const bufferService = serviceManager.bufferService;
   const gaps = bufferService && typeof bufferService.getGaps === 'function'
     ? bufferService.getGaps()
     : [];
@@ -53,7 +53,7 @@ function computeStreamHealth(status, systemHealth) {
   const recorderLive = lastSegmentAgeSec !== null && lastSegmentAgeSec < 60;
 
   // Playback continuity: walk the gap list forward from the playhead
-  const positionTime = now - config.DELAY_DURATION;
+  const positionTime = now - getDefaultDelay(now);
   const newest = buffer.newestTimestamp || now;
   const listenWindowGaps = gaps
     .filter(g => g.endTime > positionTime)
@@ -128,6 +128,32 @@ function computeStreamHealth(status, systemHealth) {
   };
 }
 
+/**
+ * Compute buffer readiness: has the buffer reached back far enough for
+ * playback at the configured delay?
+ */
+function computeBufferReady(status) {
+  const requiredBufferMs = getDefaultDelay();
+  const requiredBufferSeconds = Math.floor(requiredBufferMs / 1000);
+
+  // Calculate current buffer time span from oldest to newest segment
+  let currentBufferMs = 0;
+  if (status.buffer && status.buffer.oldestTimestamp && status.buffer.newestTimestamp) {
+    currentBufferMs = status.buffer.newestTimestamp - status.buffer.oldestTimestamp;
+  }
+  const currentBufferSeconds = Math.floor(currentBufferMs / 1000);
+
+  const ready = currentBufferMs >= requiredBufferMs;
+  const secondsUntilReady = ready ? 0 : Math.max(0, requiredBufferSeconds - currentBufferSeconds);
+
+  return {
+    ready,
+    currentBufferSeconds,
+    requiredBufferSeconds,
+    secondsUntilReady
+  };
+}
+
 /**
  * @route   GET /api/status
  * @desc    Get system status information
@@ -141,20 +167,6 @@ router.get('/status', (req, res) => {
     // Get logger metrics
     const logMetrics = logger.getMetrics();
 
-    // Calculate buffer readiness
-    const requiredBufferMs = config.DELAY_DURATION;
-    const requiredBufferSeconds = Math.floor(requiredBufferMs / 1000);
-
-    // Calculate current buffer time span from oldest to newest segment
-    let currentBufferMs = 0;
-    if (status.buffer && status.buffer.oldestTimestamp && status.buffer.newestTimestamp) {
-      currentBufferMs = status.buffer.newestTimestamp - status.buffer.oldestTimestamp;
-    }
-    const currentBufferSeconds = Math.floor(currentBufferMs / 1000);
-
-    const ready = currentBufferMs >= requiredBufferMs;
-    const secondsUntilReady = ready ? 0 : Math.max(0, requiredBufferSeconds - currentBufferSeconds);
-
     // Stream-health rollup (recorder liveness, playback continuity, gaps)
     const systemHealth = req.app.get('systemHealth');
     const health = computeStreamHealth(status, systemHealth);
@@ -164,13 +176,13 @@ router.get('/status', (req, res) => {
       timestamp: Date.now(),
       uptime: logMetrics.uptime,
       uptimeHuman: logMetrics.uptimeHuman,
-      bufferReady: {
-        ready,
-        currentBufferSeconds,
-        requiredBufferSeconds,
-        secondsUntilReady
-      },
+      bufferReady: computeBufferReady(status),
       health,
+      delay: getDelayStatus(),
+      // The requesting listener's session, with the progress of any catch-up
+      session: serviceManager.getPipeline().sessions.getStatus(getSessionId(req)),
+      source: status.monitor?.source || null,
+      bandwidth: serviceManager.bandwidth.getStatus(),
       pipeline: status,
       logs: {
         errors: logMetrics.errors,
@@ -186,19 +198,72 @@ router.get('/status', (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/stations
+ * @desc    List the stations being recorded
+ * @access  Public
+ */
+router.get('/stations', (req, res) => {
+  res.json({
+    timestamp: Date.now(),
+    defaultStation: serviceManager.defaultStationId,
+    stations: serviceManager.getStations()
+  });
+});
+
+/**
+ * @route   GET /api/stations/:stationId/status
+ * @desc    Get buffer readiness, health and pipeline status for one station
+ * @access  Public
+ */
+router.get('/stations/:stationId/status', (req, res) => {
+  try {
+    const pipeline = serviceManager.getPipeline(req.params.stationId);
+    if (!pipeline) {
+      return res.status(404).json({ error: `Unknown station: ${req.params.stationId}` });
+    }
+
+    const status = pipeline.getStatus();
+
+    // Windowed download stats are only tracked for the default station
+    const systemHealth = pipeline.stationId === serviceManager.defaultStationId
+      ? req.app.get('systemHealth')
+      : null;
+
+    res.json({
+      timestamp: Date.now(),
+      station: pipeline.getStationInfo(),
+      bufferReady: computeBufferReady(status),
+      health: computeStreamHealth(status, systemHealth, pipeline.buffer),
+      session: pipeline.sessions.getStatus(getSessionId(req)),
+      source: status.monitor?.source || null,
+      pipeline: status
+    });
+  } catch (error) {
+    logger.error(`Error fetching station status: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/buffer-grid
+ * @route   GET /api/stations/:stationId/buffer-grid
  * @desc    Get buffer data for visualization (GitHub-style contribution grid)
  * @access  Public
  */
-router.get('/buffer-grid', (req, res) => {
+router.get(['/buffer-grid', '/stations/:stationId/buffer-grid'], (req, res) => {
   try {
-    const status = serviceManager.getPipelineStatus();
+    const pipeline = serviceManager.getPipeline(req.params.stationId);
+    if (!pipeline) {
+      return res.status(404).json({ error: `Unknown station: ${req.params.stationId}` });
+    }
+
+    const status = pipeline.getStatus();
     const bufferStatus = status.buffer;
 
     // Get the required buffer duration (8 hours)
-    const requiredBufferMs = config.DELAY_DURATION;
     const now = Date.now();
+    const requiredBufferMs = getDefaultDelay(now);
 
     // Calculate the time range we need to cover
     // We show the full 8-hour window from (now - 8h) to now
@@ -211,7 +276,7 @@ router.get('/buffer-grid', (req, res) => {
 
     // Build the grid data
     const blocks = [];
-    const bufferService = serviceManager.bufferService;
+    const bufferService = pipeline.buffer;
     const segments = bufferService ? bufferService.segments : [];
     const gaps = bufferService && typeof bufferService.getGaps === 'function'
       ? bufferService.getGaps()
@@ -220,6 +285,12 @@ router.get('/buffer-grid', (req, res) => {
     // Create a sorted copy for efficient processing
     const sortedSegments = [...segments].sort((a, b) => a.timestamp - b.timestamp);
 
+    // Periods the recording schedule meant to record (null: around the clock)
+    const scheduler = serviceManager.scheduler;
+    const recordingPeriods = scheduler && scheduler.hasRules(pipeline.stationId)
+      ? scheduler.getRecordingPeriods(pipeline.stationId, windowStart, windowEnd, pipeline.metadata)
+      : null;
+
     for (let i = 0; i < totalBlocks; i++) {
       const blockStart = windowStart + (i * blockDuration);
       const blockEnd = blockStart + blockDuration;
@@ -245,8 +316,14 @@ router.get('/buffer-grid', (req, res) => {
       // Calculate hour offset from "now" for labeling
       const hoursAgo = Math.floor((now - blockStart) / 3600000);
 
-      // Flag blocks that overlap a known recording gap
-      const hasGap = gaps.some(g => g.startTime < blockEnd && g.endTime > blockStart);
+      // Flag blocks that overlap a known recording gap. Periods left
+      // unrecorded on purpose (outside the recording schedule) are not
+      // failures and are flagged separately.
+      const hasGap = gaps.some(g => g.reason !== 'unscheduled' && g.startTime < blockEnd && g.endTime > blockStart);
+      const isUnscheduled = segmentsInBlock === 0 && (
+        (recordingPeriods !== null && !recordingPeriods.some(p => p.start < blockEnd && p.end > blockStart)) ||
+        gaps.some(g => g.reason === 'unscheduled' && g.startTime <= blockStart && g.endTime >= blockEnd)
+      );
 
       blocks.push({
         index: i,
@@ -256,6 +333,7 @@ router.get('/buffer-grid', (req, res) => {
         level,
         hoursAgo,
         hasGap,
+        isUnscheduled,
         isPlaybackZone: blockStart <= (now - requiredBufferMs + blockDuration) // First block is playback position
       });
     }
@@ -263,6 +341,7 @@ router.get('/buffer-grid', (req, res) => {
     // Calculate overall stats
     const filledBlocks = blocks.filter(b => b.level > 0).length;
     const fullBlocks = blocks.filter(b => b.level >= 3).length;
+    const scheduledBlocks = blocks.filter(b => !b.isUnscheduled).length;
 
     res.json({
       timestamp: now,
@@ -272,7 +351,9 @@ router.get('/buffer-grid', (req, res) => {
       totalBlocks,
       filledBlocks,
       fullBlocks,
-      fillPercent: Math.round((filledBlocks / totalBlocks) * 100),
+      scheduledBlocks,
+      // Fill is measured against the blocks the schedule meant to record
+      fillPercent: scheduledBlocks > 0 ? Math.round((filledBlocks / scheduledBlocks) * 100) : 0,
       blocks,
       // Include summary stats
       oldestSegment: bufferStatus.oldestTimestamp,
@@ -334,7 +415,8 @@ router.get('/playlist', async (req, res) => {
     const playlist = await playlistGenerator.generatePlaylist({
       duration,
       baseUrl: `${req.protocol}://${req.get('host')}`,
-      timeshift
+      timeshift,
+      gaps: req.query.gaps
     });
 
     if (format === 'm3u8') {
@@ -1,12 +1,37 @@
 const express = require('express');
 const { serviceManager } = require('../services');
 const { hybridBufferService } = require('../services/hybrid-buffer-service');
-const { metadataService } = require('../services/metadata-service');
 const logger = require('../utils/logger');
-const config = require('../config/config');
+const { getDefaultDelay } = require('../services/listener-delay');
 
 const router = express.Router();
 
+/**
+ * Resolve the metadata service for a request: the station resolved by the
+ * /stations/:stationId mount, otherwise the default station
+ * @param {Object} req - Express request
+ * @returns {MetadataService} - The station's metadata service
+ */
+function getMetadataService(req) {
+  return (req.stationPipeline || serviceManager.getPipeline()).metadata;
+}
+
+/**
+ * Capture time of what the listener is playing. Preferred: the client
+ * reports it (?time=), derived from EXT-X-PROGRAM-DATE-TIME in the
+ * playlist, which stays correct through pauses, player buffering, and any
+ * delay. Otherwise assume un-paused playback at the default delay.
+ * @param {Object} req - Express request
+ * @returns {number} - Capture time in ms
+ */
+function getPlayheadCaptureTime(req) {
+  const now = Date.now();
+  const reportedTime = parseInt(req.query.time, 10);
+  return Number.isFinite(reportedTime) && reportedTime > 0 && reportedTime <= now
+    ? reportedTime
+    : now - getDefaultDelay(now);
+}
+
 /**
  * Health check endpoint
  * Returns status of the server and its services
@@ -88,8 +113,17 @@ router.get('/', (req, res) => {
       { path: '/health', method: 'GET', description: 'Server health status' },
       { path: '/stats', method: 'GET', description: 'Service statistics' },
       { path: '/stream.m3u8', method: 'GET', description: 'HLS playlist' },
-      { path: '/stream/segment/:sequenceNumber.ts', method: 'GET', description: 'HLS segment data' },
-      { path: '/metadata/current', method: 'GET', description: 'Current track metadata' }
+      { path: '/stream/segment/:sequenceNumber.ts', method: 'GET', description: 'HLS segment data (MPEG-TS sources)' },
+      { path: '/stream/segment/:sequenceNumber.m4s', method: 'GET', description: 'HLS segment data (fMP4/CMAF sources)' },
+      { path: '/stream/segment/:sequenceNumber.aac', method: 'GET', description: 'HLS segment data (Icecast/Shoutcast sources; .mp3 for MP3 streams)' },
+      { path: '/stream/init/:initId.mp4', method: 'GET', description: 'fMP4 init segment (EXT-X-MAP)' },
+      { path: '/shows', method: 'GET', description: 'Shows in the buffer, with how much of each was recorded' },
+      { path: '/shows/:showId.m3u8', method: 'GET', description: 'HLS playlist of a whole show' },
+      { path: '/metadata/current', method: 'GET', description: 'Current track metadata' },
+      { path: '/metadata/boundary', method: 'GET', description: 'Next or previous track start from the playhead' },
+      { path: '/session', method: 'GET', description: 'Listener session and its drift from the default delay' },
+      { path: '/session', method: 'POST', description: 'Record where the listener is (playhead, paused)' },
+      { path: '/session/catch-up', method: 'POST', description: 'Catch up to the default delay (mode: speed, skip or jump)' }
     ]
   });
 });
@@ -100,21 +134,15 @@ router.get('/', (req, res) => {
  * Also includes show/DJ info and station info
  */
 router.get('/metadata/current', async (req, res) => {
+  const metadataService = getMetadataService(req);
   try {
-    const now = Date.now();
+    const playheadCaptureTime = getPlayheadCaptureTime(req);
 
-    // Preferred: the client reports its actual playhead capture time,
-    // derived from EXT-X-PROGRAM-DATE-TIME in the playlist. This stays
-    // correct through pauses, player buffering, and any DELAY_DURATION.
-    const reportedTime = parseInt(req.query.time, 10);
-    const playheadCaptureTime = Number.isFinite(reportedTime) &&
-      reportedTime > 0 && reportedTime <= now
-      ? reportedTime
-      : now - config.DELAY_DURATION; // fallback: assume un-paused playback
-
-    // Segment capture lags the actual broadcast by the HLS live-edge
-    // latency; metadata timestamps are broadcast times
-    const playbackTime = playheadCaptureTime - config.CAPTURE_LATENCY;
+    // Metadata timestamps are broadcast times. Segments stamped from the
+    // source's EXT-X-PROGRAM-DATE-TIME already are; arrival-stamped ones
+    // lag the broadcast by the capture latency.
+    const buffer = (req.stationPipeline || serviceManager.getPipeline()).buffer;
+    const playbackTime = playheadCaptureTime - buffer.getCaptureLatency(playheadCaptureTime);
 
     // Get metadata for that time
     const track = metadataService.getMetadataAt(playbackTime);
@@ -172,10 +200,71 @@ router.get('/metadata/current', async (req, res) => {
   }
 });
 
+/**
+ * Track navigation endpoint
+ * The next or previous track (or show) start from the listener's playhead
+ * (?time=, as for /metadata/current), within what's buffered, and a
+ * playlist that starts exactly there
+ */
+router.get('/metadata/boundary', (req, res) => {
+  const metadataService = getMetadataService(req);
+  const direction = req.query.direction;
+  if (direction !== 'next' && direction !== 'previous') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'direction must be next or previous'
+    });
+  }
+
+  try {
+    const buffer = (req.stationPipeline || serviceManager.getPipeline()).buffer;
+    const playheadCaptureTime = getPlayheadCaptureTime(req);
+    const oldest = buffer.getOldestSegmentTime();
+    const newest = buffer.getNewestSegmentTime();
+    if (!oldest) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Nothing buffered yet'
+      });
+    }
+
+    // Track starts are broadcast times; the playlist is in capture time
+    const latency = buffer.getCaptureLatency(playheadCaptureTime);
+    const boundary = metadataService.getTrackBoundary(playheadCaptureTime - latency, direction, {
+      earliest: oldest - latency,
+      latest: newest - latency
+    });
+    if (!boundary) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No ${direction === 'next' ? 'later' : 'earlier'} track in the buffer`
+      });
+    }
+
+    const at = new Date(boundary.timestamp + latency).toISOString();
+    res.json({
+      status: 'ok',
+      direction,
+      kind: boundary.kind,
+      broadcastTime: new Date(boundary.timestamp).toISOString(),
+      at,
+      [boundary.kind]: boundary.data,
+      playlist: `${req.baseUrl}/stream.m3u8?at=${at}`
+    });
+  } catch (error) {
+    logger.warn(`Track boundary endpoint error: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Track boundaries temporarily unavailable'
+    });
+  }
+});
+
 /**
  * Metadata service stats endpoint
  */
 router.get('/metadata/stats', (req, res) => {
+  const metadataService = getMetadataService(req);
   try {
     res.json({
       status: 'ok',
@@ -0,0 +1,104 @@
+/**
+ * Listener session routes
+ * The player reports where its listener is (playing at some delay, or
+ * paused at a moment) so a later visit, or a resume after a long pause,
+ * picks up from there. /stream.m3u8 applies the session to playlists
+ * requested without their own ?delay= or ?at=.
+ */
+
+const express = require('express');
+const { serviceManager } = require('../services');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { SESSION_COOKIE, CATCH_UP_MODES, getSessionId } = require('../services/listener-sessions');
+
+const router = express.Router();
+
+// Long enough to outlive any session; idle ones expire on the server
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the station's sessions: the station resolved by the
+ * /stations/:stationId mount, otherwise the default station
+ * @param {Object} req - Express request
+ * @returns {ListenerSessions} - The station's listener sessions
+ */
+function getSessions(req) {
+  return (req.stationPipeline || serviceManager.getPipeline()).sessions;
+}
+
+/**
+ * The request's session ID, starting a session (and setting its cookie)
+ * if it has none
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} - Session ID
+ */
+function ensureSession(req, res) {
+  const sessions = getSessions(req);
+  let id = getSessionId(req);
+  if (!id || !sessions.get(id)) {
+    id = sessions.create(id || undefined).id;
+    logger.debug(`Started listener session ${id}`);
+  }
+
+  // The cookie is shared by every station; each keeps its own session under it
+  res.cookie(SESSION_COOKIE, id, { path: '/', httpOnly: true, sameSite: 'lax', maxAge: COOKIE_MAX_AGE });
+  return id;
+}
+
+/**
+ * Session endpoint
+ * The listener's session, with how far they are from the default delay.
+ * Only reads: a session starts with the player's first report, so page
+ * views, crawlers and probes don't leave sessions behind (session: null).
+ */
+router.get('/session', (req, res) => {
+  const id = getSessionId(req);
+  res.json({ status: 'ok', session: id ? getSessions(req).getStatus(id) : null });
+});
+
+/**
+ * Session update endpoint
+ * { playhead, paused }: the capture time being played (ms, from
+ * EXT-X-PROGRAM-DATE-TIME) and whether playback is paused
+ */
+router.post('/session', (req, res) => {
+  const playhead = Number(req.body?.playhead);
+  if (!Number.isFinite(playhead) || playhead <= 0 || playhead > Date.now()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'playhead must be a capture time in ms, not in the future'
+    });
+  }
+
+  const id = ensureSession(req, res);
+  const sessions = getSessions(req);
+  sessions.update(id, { playhead, paused: Boolean(req.body.paused) });
+  res.json({ status: 'ok', session: sessions.getStatus(id) });
+});
+
+/**
+ * Catch-up endpoint
+ * Put the listener back on the default delay: { mode } 'jump' at once,
+ * 'speed' playing fast or 'skip' skipping talk until the lost time is made
+ * up (default CATCH_UP_MODE)
+ */
+router.post('/session/catch-up', (req, res) => {
+  const mode = req.body?.mode ?? config.CATCH_UP_MODE;
+  if (!CATCH_UP_MODES.includes(mode)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `mode must be one of ${CATCH_UP_MODES.join(', ')}`
+    });
+  }
+
+  const id = ensureSession(req, res);
+  const sessions = getSessions(req);
+  sessions.catchUp(id, mode);
+  const session = sessions.getStatus(id);
+  logger.debug(`Listener session ${id} catching up (${session.catchUp?.mode || 'jump'})`);
+  res.json({ status: 'ok', session });
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Station-scoped routes
+ * /stations/:stationId/... serves the same stream and metadata endpoints as
+ * the root routes, backed by that station's own pipeline
+ */
+
+const express = require('express');
+const { serviceManager } = require('../services');
+const streamRoutes = require('./stream');
+const routes = require('./index');
+const sessionRoutes = require('./sessions');
+
+const router = express.Router({ mergeParams: true });
+
+// Resolve the station's pipeline for the stream and metadata handlers
+router.use((req, res, next) => {
+  const pipeline = serviceManager.getPipeline(req.params.stationId);
+
+  if (!pipeline) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Unknown station: ${req.params.stationId}`
+    });
+  }
+
+  req.stationPipeline = pipeline;
+  next();
+});
+
+router.use(streamRoutes);
+router.use(sessionRoutes);
+router.use(routes);
+
+module.exports = router;
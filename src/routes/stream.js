@@ -1,22 +1,149 @@
 const express = require('express');
-const { playlistGenerator } = require('../services/playlist-generator');
-const { hybridBufferService } = require('../services/hybrid-buffer-service');
+const { serviceManager } = require('../services');
 const logger = require('../utils/logger');
-const config = require('../config/config');
+const { resolveDelay, clampDelay, getDefaultDelay } = require('../services/listener-delay');
+const { getSessionId } = require('../services/listener-sessions');
 const perf = require('perf_hooks').performance;
 
 const router = express.Router();
 
+// Content type per stored segment container
+const SEGMENT_CONTENT_TYPES = {
+  ts: 'video/mp2t',
+  fmp4: 'audio/mp4',
+  aac: 'audio/aac',
+  mp3: 'audio/mpeg'
+};
+
+/**
+ * Resolve the pipeline a request is served from: the station resolved by
+ * the /stations/:stationId mount, otherwise the default station
+ * @param {Object} req - Express request
+ * @returns {StationPipeline} - The station pipeline
+ */
+function getPipeline(req) {
+  return req.stationPipeline || serviceManager.getPipeline();
+}
+
+/**
+ * Query string of a request (with leading '?'), for carrying playlist
+ * options from a master playlist onto its variant playlists
+ * @param {Object} req - Express request
+ * @returns {string} - Query string or ''
+ */
+function getQueryString(req) {
+  const index = req.originalUrl.indexOf('?');
+  return index === -1 ? '' : req.originalUrl.slice(index);
+}
+
+/**
+ * Playlist options a player asks for in the query string. ?gaps=filler is
+ * for players without #EXT-X-GAP support: missing segments are listed as
+ * the filler segment instead.
+ * @param {Object} req - Express request
+ * @returns {Object} - Options for the playlist generator
+ */
+function getPlaylistOptions(req) {
+  return {
+    gaps: req.query.gaps === 'filler' ? 'filler' : 'tag'
+  };
+}
+
+/**
+ * Apply a listener's ?delay= or ?at= to a playlist request. Without
+ * either, the listener's session (if any) supplies them: the moment they
+ * paused at, or the delay they were playing at. A delay that needed
+ * clamping, an absolute ?at= (which would otherwise stand still as the
+ * player reloads) and a session's delay (which moves as the listener plays)
+ * are answered with a redirect to the same playlist at a fixed ?delay= in
+ * seconds, so every reload after it lists the same segment URLs for the
+ * same moment. A session catching up at speed is the exception: its delay
+ * shrinks with every reload, so it's served as it stands (clamped into
+ * the buffer).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {StationPipeline} pipeline - The station pipeline
+ * @returns {Object|null} - Playlist options, or null if the request has been answered
+ */
+function resolvePlaylistRequest(req, res, pipeline) {
+  const ownDelay = req.query.delay !== undefined || req.query.at !== undefined;
+  const sessionId = ownDelay ? null : getSessionId(req);
+
+  const catchUpDelay = sessionId && pipeline.sessions.getCatchUpDelay(sessionId);
+  if (catchUpDelay) {
+    return {
+      ...getPlaylistOptions(req),
+      timeshift: Math.round(clampDelay(catchUpDelay, pipeline.buffer).delay / 1000)
+    };
+  }
+
+  const sessionQuery = sessionId && pipeline.sessions.getPlaylistQuery(sessionId);
+  const query = { ...req.query, ...sessionQuery };
+
+  const resolved = resolveDelay(query, pipeline.buffer);
+  if (resolved.error) {
+    res.status(400).json({
+      status: 'error',
+      message: resolved.error
+    });
+    return null;
+  }
+
+  if (resolved.clamped || query.at !== undefined || sessionQuery) {
+    const [path, search = ''] = req.originalUrl.split('?');
+    const params = new URLSearchParams(search);
+    params.delete('at');
+    params.set('delay', String(Math.round(resolved.delay / 1000)));
+    // An ?at= in range starts exactly there (e.g. a track start, or where
+    // the listener paused), not just somewhere in its segment
+    if (query.at !== undefined && !resolved.clamped) {
+      params.set('start', String(Date.parse(query.at)));
+    } else {
+      params.delete('start');
+    }
+
+    if (resolved.clamped) {
+      logger.warn(resolved.message);
+      res.set('Warning', `299 - "${resolved.message}"`);
+    }
+    // Already there (a session's delay that hasn't moved): serve it rather
+    // than redirect to itself
+    const location = `${path}?${params}`;
+    if (location !== req.originalUrl) {
+      res.redirect(302, location);
+      return null;
+    }
+  }
+
+  const startTime = parseQueryTime(req.query.start);
+  return {
+    ...getPlaylistOptions(req),
+    ...(resolved.fixed && { timeshift: Math.round(resolved.delay / 1000) }),
+    ...(startTime !== null && { startTime })
+  };
+}
+
 /**
  * Main HLS playlist endpoint
- * Returns a time-shifted playlist based on current buffer state
+ * Returns a time-shifted playlist based on current buffer state, or a
+ * master playlist over the recorded variants when several are recorded
  */
 router.get('/stream.m3u8', async (req, res) => {
   try {
     logger.info('Playlist requested');
 
-    // Generate a playlist with default settings
-    const playlist = await playlistGenerator.generatePlaylist();
+    const pipeline = getPipeline(req);
+    const variants = pipeline.getVariants();
+
+    const options = resolvePlaylistRequest(req, res, pipeline);
+    if (!options) {
+      return;
+    }
+
+    // Variant playlists pick the delay up from the query string
+    const playlist = variants.length > 1
+      ? pipeline.playlistGenerator.generateMasterPlaylist(variants, { query: getQueryString(req) })
+      : await pipeline.playlistGenerator.generatePlaylist(options);
 
     // Set appropriate headers
     res.set({
@@ -39,77 +166,400 @@ router.get('/stream.m3u8', async (req, res) => {
 });
 
 /**
- * Segment endpoint
- * Returns a specific segment from the buffer
+ * Variant playlist endpoint
+ * Returns the time-shifted media playlist for one recorded variant, kept in
+ * step with the other variants by sequence number
  */
-router.get('/stream/segment/:sequenceNumber.ts', async (req, res) => {
-  const startTime = perf.now();
-  let success = false;
+router.get('/stream/variant/:variantId.m3u8', async (req, res) => {
+  try {
+    const pipeline = getPipeline(req);
+    const variant = pipeline.getVariant(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unknown variant: ${req.params.variantId}`
+      });
+    }
+
+    const options = resolvePlaylistRequest(req, res, pipeline);
+    if (!options) {
+      return;
+    }
+
+    const playlist = await pipeline.playlistGenerator.generateVariantPlaylist(variant, options);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache, max-age=3',
+      'Access-Control-Allow-Origin': '*',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    res.send(playlist.m3u8Content);
+  } catch (error) {
+    logger.error(`Error serving variant playlist: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating playlist',
+      error: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
 
+/**
+ * Parse a time from the query string: ISO 8601, or ms since the epoch
+ * @param {string} value - Query value
+ * @returns {number|null} - Time in ms, or null if invalid
+ */
+function parseQueryTime(value) {
+  if (typeof value !== 'string' || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Send a range playlist. A finished span doesn't change (until it's
+ * evicted), so it can be cached; an event grows as it's recorded.
+ * @param {Object} res - Express response
+ * @param {Object} playlist - From PlaylistGenerator.generateRangePlaylist
+ */
+function sendRangePlaylist(res, playlist) {
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl',
+    'Cache-Control': playlist.playlistType === 'VOD' ? 'public, max-age=300' : 'no-cache, max-age=3',
+    'Access-Control-Allow-Origin': '*',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  res.send(playlist.m3u8Content);
+}
+
+/**
+ * Range playlist endpoint
+ * A seekable playlist over any buffered span, ?from= to ?to= (ISO 8601
+ * times or ms since the epoch): VOD once the span has been recorded,
+ * EVENT while it's still being recorded, and a plain live playlist when
+ * ?to= is left out or the buffer would evict its start before it's played
+ */
+router.get('/stream/range.m3u8', (req, res) => {
   try {
-    const sequenceNumber = parseInt(req.params.sequenceNumber, 10);
-    logger.info(`Segment requested: ${sequenceNumber}`);
+    const from = parseQueryTime(req.query.from);
+    const to = req.query.to === undefined ? undefined : parseQueryTime(req.query.to);
 
-    if (isNaN(sequenceNumber)) {
-      logger.warn(`Invalid sequence number requested: ${req.params.sequenceNumber}`);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be ISO 8601 times (e.g. 2026-10-19T07:00Z) or ms since the epoch; from is required'
+      });
+    }
+    if (to !== undefined && to <= from) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid sequence number'
+        message: 'to must be later than from'
       });
     }
 
-    // Retrieve the segment from the buffer
-    const segment = await hybridBufferService.getSegmentBySequence(sequenceNumber);
+    const pipeline = getPipeline(req);
+    const playlist = pipeline.playlistGenerator.generateRangePlaylist({ ...getPlaylistOptions(req), from, to });
 
-    if (!segment) {
-      logger.warn(`Segment not found: ${sequenceNumber}`);
+    if (!playlist) {
+      const oldest = pipeline.buffer.getOldestSegmentTime();
+      const newest = pipeline.buffer.getNewestSegmentTime();
       return res.status(404).json({
         status: 'error',
-        message: 'Segment not found'
+        message: 'Nothing buffered in the requested range',
+        buffered: oldest ? { from: new Date(oldest).toISOString(), to: new Date(newest).toISOString() } : null
       });
     }
 
-    // Metadata exists but the file is gone from disk: respond 404 (not 500)
-    // and evict the orphaned entry so playlists stop referencing it
-    if (!segment.data) {
-      logger.warn(`Segment ${sequenceNumber} has no data on disk, evicting orphaned metadata`);
-      if (segment.metadata?.segmentId) {
-        hybridBufferService.removeSegment(segment.metadata.segmentId).catch(err => {
-          logger.warn(`Failed to evict orphaned segment ${sequenceNumber}: ${err.message}`);
+    sendRangePlaylist(res, playlist);
+  } catch (error) {
+    logger.error(`Error serving range playlist: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating playlist',
+      error: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Shows endpoint
+ * The shows from the station's schedule that are fully or partly in the
+ * buffer, each with how much of it has been recorded so far and the
+ * playlist that plays the whole show
+ */
+router.get('/shows', (req, res) => {
+  try {
+    const pipeline = getPipeline(req);
+    const oldest = pipeline.buffer.getOldestSegmentTime();
+    if (!oldest) {
+      return res.json({ status: 'ok', shows: [] });
+    }
+
+    const now = Date.now();
+    const shows = pipeline.metadata.getShowsInRange(oldest, now)
+      .map(show => {
+        // A show still on air is measured up to now
+        const coverage = pipeline.buffer.getCoverage(show.start, Math.min(show.end, now));
+        return {
+          ...show.data,
+          start: new Date(show.start).toISOString(),
+          end: new Date(show.end).toISOString(),
+          onAir: show.end > now,
+          coverage: {
+            percent: Math.round(coverage.fraction * 1000) / 10,
+            recordedSeconds: Math.round(coverage.recordedMs / 1000),
+            missingSeconds: Math.round(coverage.missingMs / 1000),
+            gaps: coverage.gaps.map(gap => ({
+              start: new Date(gap.startTime).toISOString(),
+              end: new Date(gap.endTime).toISOString(),
+              reason: gap.reason
+            }))
+          },
+          playlist: `${req.baseUrl}/shows/${encodeURIComponent(show.data.id)}.m3u8`
+        };
+      })
+      .filter(show => show.coverage.recordedSeconds > 0);
+
+    res.json({ status: 'ok', shows });
+  } catch (error) {
+    logger.error(`Error listing shows: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error listing shows',
+      error: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Show playlist endpoint
+ * The whole of one broadcast by its schedule ID, from its start whatever
+ * the delay: VOD once it has finished, EVENT while it's on air (a live
+ * playlist if the buffer can't keep its start that long)
+ */
+router.get('/shows/:showId.m3u8', (req, res) => {
+  try {
+    const pipeline = getPipeline(req);
+    const show = pipeline.metadata.getShowById(req.params.showId);
+    if (!show) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unknown show: ${req.params.showId}`
+      });
+    }
+
+    const playlist = pipeline.playlistGenerator.generateRangePlaylist({
+      ...getPlaylistOptions(req),
+      from: show.start,
+      to: show.end
+    });
+    if (!playlist) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Nothing of ${show.data.title} is buffered`
+      });
+    }
+
+    sendRangePlaylist(res, playlist);
+  } catch (error) {
+    logger.error(`Error serving show playlist: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating playlist',
+      error: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Build a segment handler serving from the buffer chosen by resolveBuffer
+ * @param {Function} resolveBuffer - (req) => buffer service, or null for an unknown source
+ * @returns {Function} - Express handler
+ */
+function serveSegment(resolveBuffer) {
+  return async (req, res) => {
+    const startTime = perf.now();
+    let success = false;
+
+    try {
+      const sequenceNumber = parseInt(req.params.sequenceNumber, 10);
+      logger.info(`Segment requested: ${sequenceNumber}`);
+
+      if (isNaN(sequenceNumber)) {
+        logger.warn(`Invalid sequence number requested: ${req.params.sequenceNumber}`);
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid sequence number'
+        });
+      }
+
+      // Retrieve the segment from the buffer
+      const bufferService = resolveBuffer(req);
+      if (!bufferService) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Segment not found'
+        });
+      }
+      const segment = await bufferService.getSegmentBySequence(sequenceNumber);
+
+      if (!segment) {
+        logger.warn(`Segment not found: ${sequenceNumber}`);
+        return res.status(404).json({
+          status: 'error',
+          message: 'Segment not found'
+        });
+      }
+
+      // Metadata exists but the file is gone from disk: respond 404 (not 500)
+      // and evict the orphaned entry so playlists stop referencing it
+      if (!segment.data) {
+        logger.warn(`Segment ${sequenceNumber} has no data on disk, evicting orphaned metadata`);
+        if (segment.metadata?.segmentId) {
+          bufferService.removeSegment(segment.metadata.segmentId).catch(err => {
+            logger.warn(`Failed to evict orphaned segment ${sequenceNumber}: ${err.message}`);
+          });
+        }
+        return res.status(404).json({
+          status: 'error',
+          message: 'Segment data unavailable'
+        });
+      }
+
+      // Set appropriate headers
+      res.set({
+        'Content-Type': SEGMENT_CONTENT_TYPES[segment.metadata?.container] || SEGMENT_CONTENT_TYPES.ts,
+        'Cache-Control': 'public, max-age=86400', // Cache segments for up to 24 hours
+        'Content-Length': segment.size,
+        'Access-Control-Allow-Origin': '*'
+      });
+
+      // Send the segment data
+      res.send(Buffer.from(segment.data));
+      success = true;
+
+      const responseTime = perf.now() - startTime;
+      logger.debug(`Segment ${sequenceNumber} served successfully in ${responseTime.toFixed(2)}ms`);
+    } catch (error) {
+      logger.error(`Error serving segment: ${error.message}`);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error retrieving segment',
+        error: process.env.NODE_ENV !== 'production' ? error.message : undefined
+      });
+    } finally {
+      if (!success) {
+        const responseTime = perf.now() - startTime;
+        logger.warn(`Failed to serve segment in ${responseTime.toFixed(2)}ms`);
+      }
+    }
+  };
+}
+
+/**
+ * Build an init segment (EXT-X-MAP) handler serving from the buffer chosen by resolveBuffer
+ * @param {Function} resolveBuffer - (req) => buffer service, or null for an unknown source
+ * @returns {Function} - Express handler
+ */
+function serveInitSegment(resolveBuffer) {
+  return async (req, res) => {
+    try {
+      const bufferService = resolveBuffer(req);
+      const data = bufferService ? await bufferService.getInitSegment(req.params.initId) : null;
+
+      if (!data) {
+        logger.warn(`Init segment not found: ${req.params.initId}`);
+        return res.status(404).json({
+          status: 'error',
+          message: 'Init segment not found'
         });
       }
+
+      // Init IDs are content hashes, so a given URL never changes
+      res.set({
+        'Content-Type': 'audio/mp4',
+        'Cache-Control': 'public, max-age=86400, immutable',
+        'Content-Length': data.length,
+        'Access-Control-Allow-Origin': '*'
+      });
+
+      res.send(Buffer.from(data));
+    } catch (error) {
+      logger.error(`Error serving init segment: ${error.message}`);
+      res.status(500).json({
+        status: 'error',
+        message: 'Error retrieving init segment',
+        error: process.env.NODE_ENV !== 'production' ? error.message : undefined
+      });
+    }
+  };
+}
+
+/**
+ * Resolve the buffer of a recorded variant from the :variantId param
+ * @param {Object} req - Express request
+ * @returns {Object|null} - The variant's buffer service, or null if unknown
+ */
+function getVariantBuffer(req) {
+  const variant = getPipeline(req).getVariant(req.params.variantId);
+  return variant ? variant.buffer : null;
+}
+
+/**
+ * Segment endpoint
+ * Returns a specific segment from the buffer: .ts for MPEG-TS sources,
+ * .m4s for fMP4/CMAF sources, .aac/.mp3 for packed audio
+ */
+router.get('/stream/segment/:sequenceNumber.:ext(ts|m4s|aac|mp3)', serveSegment(req => getPipeline(req).buffer));
+
+/**
+ * Variant segment endpoint
+ * Returns a specific segment from a recorded variant's buffer
+ */
+router.get('/stream/variant/:variantId/segment/:sequenceNumber.:ext(ts|m4s|aac|mp3)', serveSegment(getVariantBuffer));
+
+/**
+ * Init segment endpoints
+ * Serve the fMP4 media initialization sections referenced by EXT-X-MAP
+ */
+router.get('/stream/init/:initId.mp4', serveInitSegment(req => getPipeline(req).buffer));
+router.get('/stream/variant/:variantId/init/:initId.mp4', serveInitSegment(getVariantBuffer));
+
+/**
+ * Encryption key endpoint
+ * Serves keys persisted for segments stored encrypted (SAMPLE-AES)
+ */
+router.get('/stream/key/:keyId.key', async (req, res) => {
+  try {
+    const key = await getPipeline(req).keys.readPersistedKey(req.params.keyId);
+
+    if (!key) {
       return res.status(404).json({
         status: 'error',
-        message: 'Segment data unavailable'
+        message: 'Key not found'
       });
     }
 
-    // Set appropriate headers
     res.set({
-      'Content-Type': 'video/mp2t',
-      'Cache-Control': 'public, max-age=86400', // Cache segments for up to 24 hours
-      'Content-Length': segment.size,
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'public, max-age=86400',
+      'Content-Length': key.length,
       'Access-Control-Allow-Origin': '*'
     });
 
-    // Send the segment data
-    res.send(Buffer.from(segment.data));
-    success = true;
-
-    const responseTime = perf.now() - startTime;
-    logger.debug(`Segment ${sequenceNumber} served successfully in ${responseTime.toFixed(2)}ms`);
+    res.send(key);
   } catch (error) {
-    logger.error(`Error serving segment: ${error.message}`);
+    logger.error(`Error serving key: ${error.message}`);
     res.status(500).json({
       status: 'error',
-      message: 'Error retrieving segment',
+      message: 'Error retrieving key',
       error: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
-  } finally {
-    if (!success) {
-      const responseTime = perf.now() - startTime;
-      logger.warn(`Failed to serve segment in ${responseTime.toFixed(2)}ms`);
-    }
   }
 });
 
@@ -139,7 +589,7 @@ router.get('/segments/:id', async (req, res) => {
 
         // Convert to current time minus delay
         const now = Date.now();
-        targetTime = now - config.DELAY_DURATION;
+        targetTime = now - getDefaultDelay(now);
       }
     } else {
       // If it's not numeric, return an error
@@ -155,7 +605,8 @@ router.get('/segments/:id', async (req, res) => {
     logger.debug(`Looking for segment at time: ${new Date(timeShiftedTime).toISOString()}`);
 
     // Try to get the segment closest to the target time
-    let segment = await hybridBufferService.getSegmentAt(timeShiftedTime);
+    const bufferService = getPipeline(req).buffer;
+    let segment = await bufferService.getSegmentAt(timeShiftedTime);
 
     if (!segment) {
       logger.warn(`No segment found for time: ${new Date(timeShiftedTime).toISOString()}`);
@@ -166,7 +617,7 @@ router.get('/segments/:id', async (req, res) => {
     if (!segment.data) {
       logger.warn(`Segment at ${new Date(timeShiftedTime).toISOString()} has no data on disk, evicting orphaned metadata`);
       if (segment.metadata?.segmentId) {
-        hybridBufferService.removeSegment(segment.metadata.segmentId).catch(err => {
+        bufferService.removeSegment(segment.metadata.segmentId).catch(err => {
           logger.warn(`Failed to evict orphaned segment: ${err.message}`);
         });
       }
@@ -192,7 +643,7 @@ router.get('/segments/:id', async (req, res) => {
 
       // Check a range of sequence numbers to find a better match
       for (let seq = lowerSequence; seq <= upperSequence; seq++) {
-        const candidateSegment = await hybridBufferService.getSegmentBySequence(seq);
+        const candidateSegment = await bufferService.getSegmentBySequence(seq);
         if (candidateSegment) {
           const candidateDifference = Math.abs(candidateSegment.timestamp - timeShiftedTime);
           if (candidateDifference < smallestDifference) {
@@ -210,7 +661,9 @@ router.get('/segments/:id', async (req, res) => {
 
     // Set appropriate content type based on file extension if available
     let contentType = 'audio/mpeg';
-    if (segment.metadata.url) {
+    if (SEGMENT_CONTENT_TYPES[segment.metadata.container]) {
+      contentType = SEGMENT_CONTENT_TYPES[segment.metadata.container];
+    } else if (segment.metadata.url) {
       if (segment.metadata.url.endsWith('.aac')) {
         contentType = 'audio/aac';
       } else if (segment.metadata.url.endsWith('.mp4')) {
@@ -263,7 +716,7 @@ router.get('/audio/:id', (req, res) => {
   res.set({
     'Access-Control-Allow-Origin': '*',
   });
-  res.redirect(`/segments/${req.params.id}`);
+  res.redirect(`${req.baseUrl}/segments/${req.params.id}`);
 });
 
 /**
@@ -322,13 +775,15 @@ router.get('/silence', (req, res) => {
 router.get('/stream/status', (req, res) => {
   try {
     // Get buffer stats
-    const bufferStats = hybridBufferService.getBufferStats();
+    const bufferService = getPipeline(req).buffer;
+    const bufferStats = bufferService.getBufferStats();
     
     // Calculate streaming metrics
     const now = Date.now();
     const oldestBufferedTime = bufferStats.oldestTimestamp || now;
     const newestBufferedTime = bufferStats.newestTimestamp || now;
-    const timeShiftTarget = now - config.DELAY_DURATION;
+    const delay = getDefaultDelay(now);
+    const timeShiftTarget = now - delay;
     
     // Check if we have content at the requested delay point
     const hasContentAtRequestedDelay = 
@@ -336,14 +791,14 @@ router.get('/stream/status', (req, res) => {
       newestBufferedTime >= timeShiftTarget;
     
     // Calculate buffer health
-    const bufferHealth = hybridBufferService.getBufferHealth();
+    const bufferHealth = bufferService.getBufferHealth();
     
     res.json({
       status: hasContentAtRequestedDelay ? 'ok' : 'limited',
       timestamp: new Date().toISOString(),
       timeShift: {
-        delayMs: config.DELAY_DURATION,
-        delayHours: config.DELAY_DURATION / (1000 * 60 * 60),
+        delayMs: delay,
+        delayHours: delay / (1000 * 60 * 60),
         targetTime: new Date(timeShiftTarget).toISOString(),
         hasContentAtTarget: hasContentAtRequestedDelay
       },
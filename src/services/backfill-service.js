@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const playlistService = require('./playlist-service');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Backfill Service
+ * Recovers segments missed during an outage from the source's DVR (rewind)
+ * window. Gaps are queued when the monitor reports a discontinuity; once
+ * the live edge has caught up, the rewind playlist is fetched, the skipped
+ * sequence numbers still inside its window are downloaded through the
+ * station's downloader, and the buffer's recorded gaps shrink to whatever
+ * could not be recovered.
+ */
+class BackfillService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.url - Rewind playlist URL (media or master playlist)
+   * @param {Object} options.bufferService - The station's buffer
+   * @param {Object} options.downloader - The station's downloader (decryption, init segments)
+   * @param {string} [options.stationId] - Owning station, for log prefixes
+   * @param {string} [options.variantPolicy] - Variant to read when the URL is a master playlist
+   * @param {number} [options.delay] - Wait after a discontinuity before backfilling (ms)
+   * @param {Function} [options.getSequenceOffset] - Returns the offset from the rewind
+   *   playlist's sequence numbers to the buffer's (the monitor's remapping)
+   */
+  constructor(options) {
+    super();
+
+    this.url = options.url;
+    this.bufferService = options.bufferService;
+    this.downloader = options.downloader;
+    this.stationId = options.stationId || config.DEFAULT_STATION;
+    this.variantPolicy = options.variantPolicy || config.VARIANT_POLICY;
+    this.delay = options.delay ?? config.BACKFILL_DELAY;
+    this.getSequenceOffset = options.getSequenceOffset || (() => 0);
+
+    this.queue = [];
+    this.timer = null;
+    this.running = null;
+
+    this.stats = {
+      runs: 0,
+      requested: 0,
+      recovered: 0,
+      outsideWindow: 0,
+      failed: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Queue a gap for backfilling after the configured delay
+   * @param {Object} gap - { fromSeq, toSeq, startTime }
+   */
+  schedule(gap) {
+    if (!Number.isFinite(gap.fromSeq) || !Number.isFinite(gap.toSeq) || gap.toSeq < gap.fromSeq) {
+      return;
+    }
+
+    this.queue.push({ fromSeq: gap.fromSeq, toSeq: gap.toSeq, startTime: gap.startTime });
+
+    if (!this.timer && !this.running) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, this.delay);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Backfill every queued gap, one at a time
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = (async () => {
+      while (this.queue.length > 0) {
+        await this.backfill(this.queue.shift());
+      }
+    })().finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+
+  /**
+   * Stop any pending backfill (queued gaps stay recorded as gaps)
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.queue = [];
+  }
+
+  /**
+   * Recover one gap from the rewind window
+   * @param {Object} gap - { fromSeq, toSeq, startTime }
+   * @returns {Promise<Object>} - { requested, recovered, outsideWindow }
+   */
+  async backfill(gap) {
+    const prefix = `[${this.stationId}]`;
+    const result = { requested: 0, recovered: 0, outsideWindow: 0 };
+    this.stats.runs++;
+    this.stats.lastRunAt = Date.now();
+
+    try {
+      const { parsed, baseUrl } = await this._fetchRewindPlaylist();
+      const segmentUrls = playlistService.getSegmentUrls(parsed, baseUrl);
+
+      // The rewind playlist comes from the preferred source's packager, so
+      // its sequence numbers are the buffer's once the monitor's remapping
+      // of that source (after a failover) is applied
+      const offset = this.getSequenceOffset() || 0;
+      const firstSeq = (parsed.mediaSequence || 0) + offset;
+      const lastSeq = firstSeq + segmentUrls.length - 1;
+      result.outsideWindow = Math.max(0, Math.min(gap.toSeq, firstSeq - 1) - gap.fromSeq + 1) +
+        Math.max(0, gap.toSeq - Math.max(gap.fromSeq, lastSeq + 1) + 1);
+
+      // Walk the window keeping a running broadcast time, anchored on the
+      // segments around the gap, to place recovered segments
+      const before = this.bufferService.segmentsBySequence.get(gap.fromSeq - 1);
+      let cursor = before
+        ? before.timestamp + (before.metadata.duration || 6.4) * 1000
+        : gap.startTime;
+
+      const downloads = [];
+      segmentUrls.forEach((url, index) => {
+        const sequenceNumber = firstSeq + index;
+        const segment = parsed.segments[index];
+        const duration = segment.duration || 6.4;
+        const buffered = this.bufferService.segmentsBySequence.get(sequenceNumber);
+
+        if (buffered) {
+          cursor = buffered.timestamp + (buffered.metadata.duration || duration) * 1000;
+          return;
+        }
+
+        const estimatedTime = cursor;
+        if (Number.isFinite(cursor)) {
+          cursor += duration * 1000;
+        }
+
+        if (sequenceNumber < gap.fromSeq || sequenceNumber > gap.toSeq) {
+          return;
+        }
+
+        const metadata = {
+          sequenceNumber,
+          duration,
+          backfilled: true,
+          key: playlistService.getSegmentKey(segment, baseUrl, sequenceNumber - offset) || undefined,
+          map: playlistService.getSegmentMap(segment, baseUrl) || undefined,
+          ...(Number.isFinite(estimatedTime) && { estimatedTime }),
+          ...(segment.discontinuity && { discontinuity: true })
+        };
+        metadata.container = playlistService.getSegmentContainer(url, metadata.map);
+
+        // A program date far from where the gap says the segment belongs
+        // is from a different clock; trust the estimate instead
+        if (Number.isFinite(segment.programDateTime) && (!Number.isFinite(estimatedTime) ||
+            Math.abs(segment.programDateTime - estimatedTime) <= config.PROGRAM_DATE_TIME_MAX_SKEW)) {
+          metadata.programDateTime = segment.programDateTime;
+        }
+
+        downloads.push(this.downloader.downloadSegment(url, metadata));
+      });
+
+      result.requested = downloads.length;
+      const outcomes = await Promise.allSettled(downloads);
+      result.recovered = outcomes.filter(outcome =>
+        outcome.status === 'fulfilled' && outcome.value.success && !outcome.value.fromCache).length;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.warn(`${prefix} Backfill of segments ${gap.fromSeq}-${gap.toSeq} failed: ${error.message}`);
+    }
+
+    this.stats.requested += result.requested;
+    this.stats.recovered += result.recovered;
+    this.stats.outsideWindow += result.outsideWindow;
+    this.stats.failed += result.requested - result.recovered;
+
+    if (result.recovered > 0) {
+      this.bufferService.healGaps();
+    }
+
+    logger.info(`${prefix} Backfilled ${result.recovered}/${gap.toSeq - gap.fromSeq + 1} segments of gap ${gap.fromSeq}-${gap.toSeq} (${result.outsideWindow} outside the rewind window)`);
+    this.emit('backfilled', { fromSeq: gap.fromSeq, toSeq: gap.toSeq, ...result });
+
+    return result;
+  }
+
+  /**
+   * Fetch the rewind playlist, resolving a master playlist to one variant
+   * @returns {Promise<Object>} - { parsed, baseUrl }
+   * @private
+   */
+  async _fetchRewindPlaylist() {
+    let baseUrl = this.url;
+    let parsed = playlistService.parsePlaylist(await playlistService.fetchPlaylist(baseUrl));
+
+    if (playlistService.isMasterPlaylist(parsed)) {
+      const variant = playlistService.selectVariant(parsed, baseUrl, this.variantPolicy);
+      if (!variant) {
+        throw new Error('rewind master playlist has no usable variant');
+      }
+      baseUrl = variant.url;
+      parsed = playlistService.parsePlaylist(await playlistService.fetchPlaylist(baseUrl));
+    }
+
+    return { parsed, baseUrl };
+  }
+
+  /**
+   * Get backfill status
+   * @returns {Object} - Status summary
+   */
+  getStatus() {
+    return {
+      url: this.url,
+      pendingGaps: this.queue.length,
+      isRunning: !!this.running,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  BackfillService
+};
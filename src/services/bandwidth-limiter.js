@@ -0,0 +1,270 @@
+/**
+ * Bandwidth Limiter
+ * Keeps everything the server downloads within what a metered connection
+ * allows: a bytes-per-second ceiling (token bucket) and a daily data
+ * budget. The shared HTTP client meters every response body through it, so
+ * segments, playlists, keys, progressive streams and metadata of all
+ * stations, variants and mirrors draw on the same allowance. Requests and
+ * the reads of their bodies queue for their turn in the order they asked,
+ * so one busy station can't starve the others.
+ *
+ * The budget is counted per local calendar day and persisted, so a restart
+ * doesn't hand out a fresh allowance. Nothing is ever refused: when the
+ * budget runs low or out the limiter reports it ('budgetStateChanged'), and
+ * the service manager has pipelines record more cheaply instead.
+ */
+
+const EventEmitter = require('events');
+const { Transform } = require('stream');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// Persist usage at most this often while downloading
+const SAVE_INTERVAL = 60 * 1000;
+
+/**
+ * Local calendar day, e.g. '2026-10-19'
+ * @param {number} time - Timestamp (ms)
+ * @returns {string}
+ */
+function getDay(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Bandwidth Limiter Class
+ */
+class BandwidthLimiter extends EventEmitter {
+  /**
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.rateLimit] - Bytes per second ceiling, 0 for none (defaults to DOWNLOAD_RATE_LIMIT)
+   * @param {number} [options.dailyBudget] - Bytes per day, 0 for none (defaults to DAILY_DATA_BUDGET)
+   * @param {number} [options.warningThreshold] - Fraction of the budget that counts as running low (defaults to DATA_BUDGET_WARNING)
+   * @param {string} [options.usageFile] - Where today's usage is persisted
+   */
+  constructor(options = {}) {
+    super();
+
+    this.rateLimit = options.rateLimit ?? config.DOWNLOAD_RATE_LIMIT;
+    this.dailyBudget = options.dailyBudget ?? config.DAILY_DATA_BUDGET;
+    this.warningThreshold = options.warningThreshold ?? config.DATA_BUDGET_WARNING;
+    this.usageFile = options.usageFile || path.join(config.STORAGE.BASE_DIR, 'bandwidth-usage.json');
+
+    // Token bucket: one second's worth of burst
+    this.tokens = this.rateLimit;
+    this.lastRefill = Date.now();
+    this._turn = Promise.resolve();
+
+    this.day = getDay(Date.now());
+    this.usedToday = 0;
+    this.state = 'ok';
+    this.lastSaved = 0;
+
+    this.stats = {
+      throttledWaits: 0,
+      throttledMs: 0
+    };
+  }
+
+  /**
+   * Wait until the rate limit allows another read. Waiters are served in
+   * the order they arrived.
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (!this.rateLimit) {
+      return Promise.resolve();
+    }
+
+    this._turn = this._turn.then(() => this._waitForTokens());
+    return this._turn;
+  }
+
+  /**
+   * Sleep off any token debt left by earlier downloads
+   * @private
+   */
+  async _waitForTokens() {
+    this._refill();
+    if (this.tokens >= 0) {
+      return;
+    }
+
+    const waitMs = Math.ceil((-this.tokens / this.rateLimit) * 1000);
+    this.stats.throttledWaits++;
+    this.stats.throttledMs += waitMs;
+    logger.debug(`Download rate limit reached, waiting ${waitMs}ms`);
+
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    this._refill();
+    // Timers can fire a millisecond early; the debt slept off is paid
+    this.tokens = Math.max(this.tokens, 0);
+  }
+
+  /**
+   * Top the bucket up for the time that has passed
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.rateLimit, this.tokens + ((now - this.lastRefill) / 1000) * this.rateLimit);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Count bytes that were downloaded
+   * @param {number} bytes - Bytes received
+   */
+  record(bytes) {
+    if (!bytes) {
+      return;
+    }
+
+    this._rollover();
+    this.usedToday += bytes;
+    if (this.rateLimit) {
+      this._refill();
+      this.tokens -= bytes;
+    }
+
+    this._updateState();
+
+    if (Date.now() - this.lastSaved > SAVE_INTERVAL) {
+      this.save();
+    }
+  }
+
+  /**
+   * A pass-through stream for a response body: counts each chunk and, past
+   * the rate limit, holds the next one back until its turn. Not reading
+   * leaves the data in the socket, so the sender is slowed down too.
+   * @returns {Transform}
+   */
+  throttle() {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        this.record(chunk.length);
+        this.acquire().then(() => callback(null, chunk), callback);
+      }
+    });
+  }
+
+  /**
+   * Start a fresh budget when the local day changes
+   * @private
+   */
+  _rollover() {
+    const today = getDay(Date.now());
+    if (today !== this.day) {
+      logger.info(`New day, resetting the data budget (${Math.round(this.usedToday / 1048576)}MB used on ${this.day})`);
+      this.day = today;
+      this.usedToday = 0;
+      this._updateState();
+    }
+  }
+
+  /**
+   * Work out the budget state and announce changes
+   * @private
+   */
+  _updateState() {
+    const previous = this.state;
+    this.state = this.getBudgetState();
+    if (this.state === previous) {
+      return;
+    }
+
+    const used = `${Math.round(this.usedToday / 1048576)}MB of ${Math.round(this.dailyBudget / 1048576)}MB`;
+    if (this.state === 'exhausted') {
+      logger.warn(`Daily data budget exhausted (${used}), recording at reduced cost until tomorrow`);
+    } else if (this.state === 'warning') {
+      logger.warn(`Daily data budget running low (${used})`);
+    } else {
+      logger.info('Daily data budget available again');
+    }
+
+    this.emit('budgetStateChanged', { state: this.state, previous, usedToday: this.usedToday });
+  }
+
+  /**
+   * How much of today's budget is left
+   * @returns {string} - 'ok', 'warning' (running low) or 'exhausted'
+   */
+  getBudgetState() {
+    if (!this.dailyBudget) {
+      return 'ok';
+    }
+    if (this.usedToday >= this.dailyBudget) {
+      return 'exhausted';
+    }
+    return this.usedToday >= this.dailyBudget * this.warningThreshold ? 'warning' : 'ok';
+  }
+
+  /**
+   * Restore today's usage after a restart
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.usageFile, 'utf8'));
+      if (saved.day === getDay(Date.now()) && Number.isFinite(saved.bytes)) {
+        this.day = saved.day;
+        this.usedToday = saved.bytes;
+        this._updateState();
+        logger.info(`Restored today's data usage: ${Math.round(this.usedToday / 1048576)}MB`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not restore data usage: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Persist today's usage (only kept when there's a budget to count against)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.dailyBudget) {
+      return;
+    }
+    this.lastSaved = Date.now();
+    try {
+      await fs.mkdir(path.dirname(this.usageFile), { recursive: true });
+      await fs.writeFile(this.usageFile, JSON.stringify({ day: this.day, bytes: this.usedToday }));
+    } catch (error) {
+      logger.warn(`Could not save data usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get consumption and limits
+   * @returns {Object} - Status for /api/status
+   */
+  getStatus() {
+    this._rollover();
+    return {
+      rateLimit: this.rateLimit || null,
+      dailyBudget: this.dailyBudget || null,
+      day: this.day,
+      usedToday: this.usedToday,
+      remainingToday: this.dailyBudget ? Math.max(0, this.dailyBudget - this.usedToday) : null,
+      percentUsed: this.dailyBudget ? Math.round((this.usedToday / this.dailyBudget) * 100) : null,
+      state: this.state,
+      throttledWaits: this.stats.throttledWaits,
+      throttledMs: this.stats.throttledMs
+    };
+  }
+}
+
+// Create singleton instance
+const bandwidthLimiter = new BandwidthLimiter();
+
+module.exports = {
+  bandwidthLimiter,
+  BandwidthLimiter
+};
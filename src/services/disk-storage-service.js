@@ -5,6 +5,16 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const EventEmitter = require('events');
 
+// File extension per segment container. fMP4/CMAF media segments are stored
+// as .m4s and packed audio (progressive sources) as .aac/.mp3, so they can't
+// be mistaken for transport streams on restore.
+const SEGMENT_EXTENSIONS = {
+  ts: '.ts',
+  fmp4: '.m4s',
+  aac: '.aac',
+  mp3: '.mp3'
+};
+
 /**
  * Disk Storage Service
  * Handles file operations for storing media segments on disk
@@ -15,11 +25,13 @@ class DiskStorageService extends EventEmitter {
     this.baseDir = options.baseDir || config.STORAGE.BASE_DIR;
     this.segmentsDir = options.segmentsDir || config.STORAGE.SEGMENTS_DIR;
     this.metadataFile = options.metadataFile || config.STORAGE.METADATA_FILE;
+    this.initDir = options.initDir || config.STORAGE.INIT_DIR;
     this.maxRetries = options.maxRetries || config.STORAGE.MAX_WRITE_RETRIES;
     this.retryDelay = options.retryDelay || config.STORAGE.WRITE_RETRY_DELAY;
     
     this.segmentsPath = path.join(this.baseDir, this.segmentsDir);
     this.metadataPath = path.join(this.baseDir, this.metadataFile);
+    this.initPath = path.join(this.baseDir, this.initDir);
     
     // Statistics
     this.stats = {
@@ -70,10 +82,11 @@ class DiskStorageService extends EventEmitter {
    * Write a segment to disk
    * @param {string} segmentId - Unique identifier for the segment (e.g., sequenceNumber)
    * @param {Buffer} data - The segment data to write
+   * @param {string} [container='ts'] - Segment container ('ts', 'fmp4', 'aac' or 'mp3')
    * @returns {string} - Path to the written file
    */
-  async writeSegment(segmentId, data) {
-    const filePath = this._getSegmentPath(segmentId);
+  async writeSegment(segmentId, data, container = 'ts') {
+    const filePath = this.getSegmentPath(segmentId, container);
     let attempts = 0;
     
     while (attempts < this.maxRetries) {
@@ -101,10 +114,11 @@ class DiskStorageService extends EventEmitter {
   /**
    * Read a segment from disk
    * @param {string} segmentId - Unique identifier for the segment
+   * @param {string} [container='ts'] - Segment container ('ts', 'fmp4', 'aac' or 'mp3')
    * @returns {Buffer} - The segment data
    */
-  async readSegment(segmentId) {
-    const filePath = this._getSegmentPath(segmentId);
+  async readSegment(segmentId, container = 'ts') {
+    const filePath = this.getSegmentPath(segmentId, container);
     
     try {
       const data = await fs.readFile(filePath);
@@ -122,10 +136,11 @@ class DiskStorageService extends EventEmitter {
   /**
    * Get a read stream for a segment
    * @param {string} segmentId - Unique identifier for the segment
+   * @param {string} [container='ts'] - Segment container ('ts', 'fmp4', 'aac' or 'mp3')
    * @returns {ReadStream} - A readable stream for the segment
    */
-  getSegmentReadStream(segmentId) {
-    const filePath = this._getSegmentPath(segmentId);
+  getSegmentReadStream(segmentId, container = 'ts') {
+    const filePath = this.getSegmentPath(segmentId, container);
     try {
       const stream = createReadStream(filePath);
       this.stats.reads++;
@@ -141,10 +156,11 @@ class DiskStorageService extends EventEmitter {
   /**
    * Delete a segment from disk
    * @param {string} segmentId - Unique identifier for the segment
+   * @param {string} [container='ts'] - Segment container ('ts', 'fmp4', 'aac' or 'mp3')
    * @returns {boolean} - True if successful
    */
-  async deleteSegment(segmentId) {
-    const filePath = this._getSegmentPath(segmentId);
+  async deleteSegment(segmentId, container = 'ts') {
+    const filePath = this.getSegmentPath(segmentId, container);
     
     try {
       await fs.unlink(filePath);
@@ -339,10 +355,11 @@ class DiskStorageService extends EventEmitter {
   /**
    * Check if a segment exists on disk
    * @param {string} segmentId - Unique identifier for the segment
+   * @param {string} [container='ts'] - Segment container ('ts', 'fmp4', 'aac' or 'mp3')
    * @returns {boolean} - True if the segment exists
    */
-  async segmentExists(segmentId) {
-    const filePath = this._getSegmentPath(segmentId);
+  async segmentExists(segmentId, container = 'ts') {
+    const filePath = this.getSegmentPath(segmentId, container);
     
     try {
       await fs.access(filePath);
@@ -357,18 +374,101 @@ class DiskStorageService extends EventEmitter {
    * @returns {Array<string>} - Array of segment IDs
    */
   async listSegments() {
+    const files = await this._listSegmentFiles();
+    return files.map(file => file.segmentId);
+  }
+
+  /**
+   * Find which container a stored segment was written as
+   * @param {string} segmentId - Unique identifier for the segment
+   * @returns {Promise<string|null>} - The container, or null if not on disk
+   */
+  async getSegmentContainer(segmentId) {
+    for (const container of Object.keys(SEGMENT_EXTENSIONS)) {
+      if (await this.segmentExists(segmentId, container)) {
+        return container;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List segment files with the container each was stored as
+   * @private
+   * @returns {Promise<Array<{segmentId: string, container: string}>>}
+   */
+  async _listSegmentFiles() {
     try {
       const files = await fs.readdir(this.segmentsPath);
-      // Extract segment IDs from filenames (remove file extension)
-      return files
-        .filter(file => file.endsWith('.ts'))
-        .map(file => path.basename(file, '.ts'));
+      const result = [];
+      for (const file of files) {
+        const ext = path.extname(file);
+        const container = Object.keys(SEGMENT_EXTENSIONS).find(c => SEGMENT_EXTENSIONS[c] === ext);
+        if (container) {
+          result.push({ segmentId: path.basename(file, ext), container });
+        }
+      }
+      return result;
     } catch (error) {
       this.stats.errors++;
       logger.error(`Error listing segments: ${error.message}`);
       return [];
     }
   }
+
+  /**
+   * Write an fMP4 init segment (EXT-X-MAP) to disk
+   * Init IDs are content hashes, so an existing file is never rewritten
+   * @param {string} initId - Init segment ID
+   * @param {Buffer} data - Init segment data
+   * @returns {Promise<string>} - Path to the file
+   */
+  async writeInitSegment(initId, data) {
+    const filePath = this._getInitSegmentPath(initId);
+
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (e) {
+      // Not written yet
+    }
+
+    try {
+      await this._ensureDir(this.initPath);
+      await fs.writeFile(filePath, data);
+      this.stats.writes++;
+      this.stats.totalBytesWritten += data.length;
+      logger.debug(`Init segment written to disk: ${filePath} (${data.length} bytes)`);
+      return filePath;
+    } catch (error) {
+      this.stats.errors++;
+      throw new Error(`Failed to write init segment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an fMP4 init segment from disk
+   * @param {string} initId - Init segment ID
+   * @returns {Promise<Buffer|null>} - Init segment data, or null if unknown
+   */
+  async readInitSegment(initId) {
+    if (!/^[a-f0-9]+$/.test(initId)) {
+      return null;
+    }
+
+    try {
+      const data = await fs.readFile(this._getInitSegmentPath(initId));
+      this.stats.reads++;
+      this.stats.totalBytesRead += data.length;
+      return data;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.stats.errors++;
+        logger.error(`Error reading init segment from disk: ${error.message}`);
+      }
+      return null;
+    }
+  }
   
   /**
    * Get storage statistics
@@ -381,12 +481,23 @@ class DiskStorageService extends EventEmitter {
   
   /**
    * Get the path for a segment file
-   * @private
    * @param {string} segmentId - Unique identifier for the segment
+   * @param {string} [container='ts'] - Segment container ('ts', 'fmp4', 'aac' or 'mp3')
    * @returns {string} - The full path to the segment file
    */
-  _getSegmentPath(segmentId) {
-    return path.join(this.segmentsPath, `${segmentId}.ts`);
+  getSegmentPath(segmentId, container = 'ts') {
+    const ext = SEGMENT_EXTENSIONS[container] || SEGMENT_EXTENSIONS.ts;
+    return path.join(this.segmentsPath, `${segmentId}${ext}`);
+  }
+
+  /**
+   * Get the path for an init segment file
+   * @private
+   * @param {string} initId - Init segment ID
+   * @returns {string} - The full path to the init segment file
+   */
+  _getInitSegmentPath(initId) {
+    return path.join(this.initPath, `${initId}.mp4`);
   }
   
   /**
@@ -411,14 +522,14 @@ class DiskStorageService extends EventEmitter {
    */
   async cleanupSegments(filterFn) {
     try {
-      const segments = await this.listSegments();
-      const toDelete = segments.filter(id => !filterFn(id));
+      const segments = await this._listSegmentFiles();
+      const toDelete = segments.filter(file => !filterFn(file.segmentId));
       
       logger.info(`Cleaning up ${toDelete.length} old segments from disk`);
       
       let deletedCount = 0;
-      for (const segmentId of toDelete) {
-        const deleted = await this.deleteSegment(segmentId);
+      for (const { segmentId, container } of toDelete) {
+        const deleted = await this.deleteSegment(segmentId, container);
         if (deleted) deletedCount++;
       }
       
@@ -1,7 +1,10 @@
-const axios = require('axios');
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const { hybridBufferService } = require('./hybrid-buffer-service');
+const { keyService } = require('./key-service');
+const { validateSegment } = require('./segment-validator');
+const { bandwidthLimiter } = require('./bandwidth-limiter');
+const { httpClient } = require('./http-client');
 const config = require('../config/config');
 
 /**
@@ -21,8 +24,12 @@ class DownloaderService extends EventEmitter {
     this.downloadQueue = [];
     this.activeDownloads = 0;
     this.bufferService = null;
+    this.keyService = null;
+    this.initSegmentIds = new Map(); // Maps EXT-X-MAP URI (+ byte range) to a pending/stored init ID
     this.isInitialized = false;
     this.pendingDownloads = new Set(); // Track in-progress downloads
+    this.deduplicator = null; // Set for redundant ingest: copies of a segment from two mirrors
+    this.bandwidthLimiter = null; // Rate limit and daily budget, shared by every downloader
     
     // Statistics
     this.stats = {
@@ -39,9 +46,11 @@ class DownloaderService extends EventEmitter {
         client: 0,
         timeout: 0,
         content: 0,
+        'invalid-payload': 0,
         storage: 0,
         unknown: 0
-      }
+      },
+      bySource: {} // Per-mirror counts, keyed by source (segment host by default)
     };
     
     logger.info('Initialized downloader service');
@@ -60,6 +69,15 @@ class DownloaderService extends EventEmitter {
     // Set buffer service reference
     this.bufferService = options.bufferService || hybridBufferService;
     
+    // Key service for encrypted sources
+    this.keyService = options.keyService || keyService;
+    
+    // Redundant ingest: only the first valid copy of each segment is stored
+    this.deduplicator = options.deduplicator || null;
+    
+    // Metered connections: pace downloads and count them against the budget
+    this.bandwidthLimiter = options.bandwidthLimiter || bandwidthLimiter;
+    
     this.isInitialized = true;
     
     logger.info(`Downloader service initialized with maxRetries: ${this.maxRetries}, maxConcurrentDownloads: ${this.maxConcurrentDownloads}`);
@@ -87,9 +105,11 @@ class DownloaderService extends EventEmitter {
         client: 0,
         timeout: 0,
         content: 0,
+        'invalid-payload': 0,
         storage: 0,
         unknown: 0
-      }
+      },
+      bySource: {}
     };
     
     logger.info('Download statistics reset');
@@ -116,7 +136,9 @@ class DownloaderService extends EventEmitter {
    * Download a segment
    * @param {string} url - Segment URL
    * @param {Object} [metadata] - Additional metadata about the segment
+   * @param {string} [metadata.source] - Which mirror the segment came from, for per-source stats (defaults to the URL's host)
    * @param {Object} [options] - Download options
+   * @param {Buffer} [options.prefetched] - Segment body already in hand (assembled LL-HLS parts)
    * @returns {Promise<Object>} - Download result
    */
   async downloadSegment(url, metadata = {}, options = {}) {
@@ -148,6 +170,21 @@ class DownloaderService extends EventEmitter {
       };
     }
     
+    // Redundant ingest: the other mirror's copy is already in the buffer
+    if (!options.force && this.deduplicator && this.deduplicator.has(metadata)) {
+      logger.debug(`[${reqId}] Segment ${metadata.sequenceNumber} already stored from another source, skipping: ${url}`);
+      
+      this.stats.skippedDownloads++;
+      this._getSourceStats(url, metadata).skipped++;
+      
+      return {
+        success: true,
+        duplicate: true,
+        url,
+        metadata
+      };
+    }
+    
     // Handle queue if we're at max concurrent downloads
     if (this.activeDownloads >= this.maxConcurrentDownloads) {
       logger.debug(`[${reqId}] Maximum concurrent downloads reached (${this.activeDownloads}/${this.maxConcurrentDownloads}), queueing: ${url}`);
@@ -227,6 +264,8 @@ class DownloaderService extends EventEmitter {
     let lastError = null;
     let partialData = null;
     let partialSize = 0;
+    const sourceStats = this._getSourceStats(url, metadata);
+    sourceStats.downloads++;
     
     logger.info(`[${reqId}] Starting download: ${url}`);
     
@@ -234,11 +273,13 @@ class DownloaderService extends EventEmitter {
       try {
         const startTime = Date.now();
         
-        // Set up request headers and options
+        // Set up request headers and options (the body is metered against
+        // this downloader's bandwidth limiter)
         const requestConfig = {
           responseType: 'arraybuffer',
           timeout: options.timeout || 30000,
-          headers: {}
+          headers: {},
+          bandwidthLimiter: this.bandwidthLimiter
         };
         
         // If we have partial data, use Range header to resume download
@@ -247,12 +288,15 @@ class DownloaderService extends EventEmitter {
           logger.info(`[${reqId}] Resuming download from byte ${partialSize}`);
         }
         
-        // Make the request
-        const response = await axios.get(url, requestConfig);
+        // Make the request (LL-HLS segments assembled from their parts
+        // arrive already fetched; a retry downloads the segment whole)
+        const response = options.prefetched && retryCount === 0
+          ? { status: 200, data: options.prefetched }
+          : await httpClient.get(url, requestConfig);
         
         // Calculate download stats
         const endTime = Date.now();
-        const durationMs = endTime - startTime;
+        const durationMs = Math.max(1, endTime - startTime);
         
         let data;
         
@@ -267,6 +311,39 @@ class DownloaderService extends EventEmitter {
           data = Buffer.from(response.data);
         }
         
+        // Encrypted sources: AES-128 is decrypted here so the buffer only
+        // holds playable audio; SAMPLE-AES stays encrypted and the key is
+        // persisted so generated playlists can hand it to the player
+        const { key, map, ...segmentMetadata } = metadata;
+        if (key) {
+          if (key.method === 'AES-128') {
+            data = await this.keyService.decryptSegment(data, key);
+          } else if (key.method === 'SAMPLE-AES') {
+            const keyId = await this.keyService.persistKey(key);
+            segmentMetadata.encryption = { method: key.method, keyId, iv: key.iv };
+          } else {
+            logger.warn(`[${reqId}] Unsupported encryption method ${key.method}, storing segment as-is`);
+          }
+        }
+
+        // A 200 can still be a captive portal, a CDN error page or a cut-off
+        // transfer; only media goes into the buffer
+        const invalidReason = validateSegment(data, {
+          container: metadata.container,
+          duration: metadata.duration
+        });
+        if (invalidReason) {
+          const payloadError = new Error(`Invalid segment payload: ${invalidReason}`);
+          payloadError.code = 'INVALID_PAYLOAD';
+          throw payloadError;
+        }
+
+        // fMP4 sources: a media segment is only playable with its init
+        // segment, so make sure that is stored and referenced as well
+        if (map) {
+          segmentMetadata.initId = await this._getInitSegmentId(map, reqId);
+        }
+        
         const size = data.length;
         const bandwidthKbps = Math.round((size * 8) / durationMs); // bits per ms = kbps
         
@@ -275,6 +352,8 @@ class DownloaderService extends EventEmitter {
         this.stats.totalBytes += size;
         this.stats.downloadTimes.push(durationMs);
         this.stats.bandwidthMeasurements.push(bandwidthKbps);
+        sourceStats.successful++;
+        sourceStats.bytes += size;
         
         // Store in download history
         this.downloadHistory.set(url, {
@@ -286,17 +365,46 @@ class DownloaderService extends EventEmitter {
         
         logger.info(`[${reqId}] Successfully downloaded segment: ${url} (${size} bytes in ${durationMs}ms, ${bandwidthKbps} kbps)`);
         
+        // Redundant ingest: the first valid copy wins, this one lost the race
+        const claimed = this.deduplicator ? this.deduplicator.claim(metadata, sourceStats.source) : false;
+        if (this.deduplicator && !claimed) {
+          sourceStats.duplicates++;
+          logger.debug(`[${reqId}] Segment ${metadata.sequenceNumber} already stored from another source, dropping this copy`);
+          
+          this.emit('segmentDuplicate', { url, source: sourceStats.source, metadata });
+          
+          return {
+            success: true,
+            duplicate: true,
+            size,
+            durationMs,
+            bandwidthKbps,
+            retryCount,
+            url,
+            metadata
+          };
+        }
+        
         // Store in buffer with metadata
         const segmentId = metadata.sequenceNumber?.toString() || `segment_${Date.now()}`;
-        const bufferResult = await this.bufferService.addSegment(data, {
-          url,
-          size,
-          downloadTime: durationMs,
-          bandwidth: bandwidthKbps,
-          timestamp: Date.now(),
-          sequenceNumber: metadata.sequenceNumber,
-          ...metadata
-        });
+        try {
+          await this.bufferService.addSegment(data, {
+            url,
+            size,
+            downloadTime: durationMs,
+            bandwidth: bandwidthKbps,
+            timestamp: Date.now(),
+            sequenceNumber: metadata.sequenceNumber,
+            ...segmentMetadata
+          });
+        } catch (error) {
+          // Let the other mirror's copy fill the slot instead
+          if (claimed) {
+            this.deduplicator.release(metadata);
+          }
+          throw error;
+        }
+        sourceStats.stored++;
         
         // Create result object
         const result = {
@@ -357,6 +465,7 @@ class DownloaderService extends EventEmitter {
         } else {
           // Max retries reached or non-retryable error
           this.stats.failedDownloads++;
+          sourceStats.failed++;
           
           logger.error(`[${reqId}] Download failed after ${retryCount} attempts: ${error.message}`);
           
@@ -420,6 +529,12 @@ class DownloaderService extends EventEmitter {
       return false;
     }
 
+    // Error pages and truncated bodies are usually transient (a CDN edge
+    // or captive portal in the way), so fetch again
+    if (error.code === 'INVALID_PAYLOAD') {
+      return true;
+    }
+
     // Network errors are generally retryable
     if (!error.response) {
       return true;
@@ -446,6 +561,84 @@ class DownloaderService extends EventEmitter {
     return false;
   }
   
+  /**
+   * Fetch and store the init segment named by an EXT-X-MAP, once per map
+   * A mid-stream init change arrives as a new URI or byte range and is
+   * stored under a new ID; concurrent segments share the same fetch.
+   * @param {Object} map - { uri, byterange? } from playlistService.getSegmentMap()
+   * @param {string} reqId - Request ID for logging
+   * @returns {Promise<string>} - Init ID from the buffer service
+   * @private
+   */
+  async _getInitSegmentId(map, reqId) {
+    const cacheKey = map.byterange
+      ? `${map.uri}@${map.byterange.offset}-${map.byterange.length}`
+      : map.uri;
+
+    if (this.initSegmentIds.has(cacheKey)) {
+      return this.initSegmentIds.get(cacheKey);
+    }
+
+    const pending = (async () => {
+      const requestConfig = {
+        responseType: 'arraybuffer',
+        headers: {},
+        bandwidthLimiter: this.bandwidthLimiter
+      };
+      if (map.byterange) {
+        const { offset, length } = map.byterange;
+        requestConfig.headers.Range = `bytes=${offset}-${offset + length - 1}`;
+      }
+
+      const response = await httpClient.get(map.uri, requestConfig);
+      const initId = await this.bufferService.addInitSegment(Buffer.from(response.data));
+      logger.info(`[${reqId}] Captured init segment ${initId} from ${map.uri}`);
+      return initId;
+    })();
+
+    this.initSegmentIds.set(cacheKey, pending);
+    if (this.initSegmentIds.size > 20) {
+      this.initSegmentIds.delete(this.initSegmentIds.keys().next().value);
+    }
+
+    // A failed fetch must not stick; the segment's retry tries again
+    pending.catch(() => this.initSegmentIds.delete(cacheKey));
+
+    return pending;
+  }
+
+  /**
+   * Get (creating if needed) the per-source counters for a download
+   * @param {string} url - Segment URL
+   * @param {Object} metadata - Segment metadata (metadata.source names the mirror)
+   * @returns {Object} - Mutable counters for that source
+   * @private
+   */
+  _getSourceStats(url, metadata = {}) {
+    let source = metadata.source;
+    if (!source) {
+      try {
+        source = new URL(url).host || 'unknown';
+      } catch (error) {
+        source = 'unknown';
+      }
+    }
+
+    if (!this.stats.bySource[source]) {
+      this.stats.bySource[source] = {
+        source,
+        downloads: 0, // Downloads started
+        successful: 0, // Valid copies fetched
+        failed: 0, // Downloads that failed after their retries
+        stored: 0, // Copies that made it into the buffer
+        duplicates: 0, // Valid copies dropped because another source's copy won
+        skipped: 0, // Not fetched, another source's copy was already stored
+        bytes: 0
+      };
+    }
+    return this.stats.bySource[source];
+  }
+  
   /**
    * Categorize an error to help with analysis
    * @param {Error} error - The error to categorize
@@ -457,6 +650,14 @@ class DownloaderService extends EventEmitter {
       return 'storage';
     }
 
+    if (error.code === 'DECRYPT_FAILED') {
+      return 'content';
+    }
+
+    if (error.code === 'INVALID_PAYLOAD') {
+      return 'invalid-payload';
+    }
+
     if (!error.response) {
       // Network error, connection problem
       return 'network';
@@ -599,6 +800,13 @@ class DownloaderService extends EventEmitter {
       averageBandwidthKbps: avgBandwidthKbps,
       successRate,
       errorsByCategory: this.stats.errorsByCategory,
+      bySource: Object.fromEntries(Object.entries(this.stats.bySource).map(([source, counts]) => [source, {
+        ...counts,
+        successRate: counts.downloads > 0
+          ? Math.round((counts.successful / counts.downloads) * 100) + '%'
+          : '0%'
+      }])),
+      deduplication: this.deduplicator ? this.deduplicator.getStats() : null,
       activeDownloads: this.activeDownloads,
       queuedDownloads: this.downloadQueue.length,
       pendingDownloads: this.pendingDownloads.size
@@ -0,0 +1,307 @@
+/**
+ * File Replay Source
+ * Replays a recording on local disk as if it were a live station: a media
+ * playlist (.m3u8) and the segment files next to it are read and added to
+ * the buffer one at a time, each after the previous one's duration, looping
+ * back to the start at the end. Useful for development and for testing a
+ * deployment without depending on an upstream stream.
+ *
+ * It stands in for MonitorService in a station pipeline as a source adapter
+ * (see source-adapters.js) that stores its own segments.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+const playlistService = require('./playlist-service');
+const logger = require('../utils/logger');
+
+/**
+ * File Replay Source Class
+ */
+class FileReplaySource extends EventEmitter {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.url - Path or file:// URL of a local media playlist
+   * @param {Array<string>} [options.sources] - Further playlists; only the first is replayed
+   * @param {Object} options.bufferService - Buffer the segments are added to
+   * @param {boolean} [options.loop=true] - Start over at the end of the playlist
+   * @param {number} [options.speed=1] - Replay speed (2 = twice real time)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.url = options.url;
+    this.bufferService = options.bufferService || null;
+    this.loop = options.loop !== false;
+    this.speed = options.speed || 1;
+
+    this.isRunning = false;
+    this.timer = null;
+    this.entries = [];
+    this.position = 0;
+    this.nextSequence = null;
+    this.initIds = new Map(); // Init segment path -> buffer init ID
+
+    this.errorCount = 0;
+    this.lastActivityTime = null;
+    this.lastSegmentTime = null;
+    this.segmentsStored = 0;
+    this.loops = 0;
+  }
+
+  /**
+   * Set the playlist to replay (the first URL; a local file has no mirrors)
+   * @param {Array<string>} sources - Playlist paths or file:// URLs
+   */
+  setSources(sources) {
+    if (sources && sources.length > 0 && sources[0] !== this.url) {
+      this.url = sources[0];
+      this.entries = [];
+    }
+  }
+
+  /**
+   * Start replaying
+   * @param {Object} [options] - Start options (kept for MonitorService parity)
+   * @returns {boolean} - Whether the replay started
+   */
+  startMonitoring(options = {}) {
+    if (this.isRunning) {
+      logger.warn('File replay is already running');
+      return false;
+    }
+
+    if (!this.bufferService || !this.url) {
+      logger.error('File replay needs a playlist and a buffer service to record into');
+      return false;
+    }
+
+    this.isRunning = true;
+    this.errorCount = 0;
+
+    logger.info(`Starting replay of ${this._getPlaylistPath()}`);
+    this._schedule(0);
+
+    return true;
+  }
+
+  /**
+   * Stop replaying
+   * @returns {boolean} - Whether the replay was running
+   */
+  stopMonitoring() {
+    if (!this.isRunning) {
+      logger.warn('File replay is not running');
+      return false;
+    }
+
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.emit('stopped', { url: this.url });
+    return true;
+  }
+
+  /**
+   * Store the next segment of the playlist in the buffer
+   * @returns {Promise<number|null>} - Duration of the stored segment in seconds, or null on error
+   */
+  async replayNext() {
+    this.lastActivityTime = Date.now();
+
+    try {
+      if (this.entries.length === 0) {
+        await this._loadPlaylist();
+      }
+      if (this.nextSequence === null) {
+        const newest = this.bufferService.getBufferStats().segmentCount > 0
+          ? await this.bufferService.getNewestSegment()
+          : null;
+        this.nextSequence = newest ? newest.metadata.sequenceNumber + 1 : 0;
+      }
+
+      // Looping back to the start rewinds the media timestamps
+      let looped = false;
+      if (this.position >= this.entries.length) {
+        this.position = 0;
+        this.loops++;
+        looped = true;
+      }
+
+      const entry = this.entries[this.position++];
+      const sequenceNumber = this.nextSequence++;
+      const data = await fs.readFile(entry.path);
+      const metadata = {
+        url: `file://${entry.path}#seq=${sequenceNumber}`,
+        sequenceNumber,
+        duration: entry.duration,
+        container: entry.container,
+        discoveredAt: Date.now(),
+        ...(entry.mapPath && { initId: await this._getInitId(entry.mapPath) }),
+        ...((entry.discontinuity || looped) && { discontinuity: true })
+      };
+
+      try {
+        await this.bufferService.addSegment(data, metadata);
+      } catch (error) {
+        logger.error(`Failed to store replayed segment ${sequenceNumber}: ${error.message}`);
+        this.emit('storeFailed', { sequenceNumber, duration: entry.duration, error: error.message });
+        return entry.duration;
+      }
+
+      this.errorCount = 0;
+      this.segmentsStored++;
+      this.lastSegmentTime = Date.now();
+      this.emit('segmentStored', { sequenceNumber, duration: entry.duration, size: data.length });
+
+      return entry.duration;
+    } catch (error) {
+      this.errorCount++;
+      this.entries = [];
+      logger.error(`File replay failed: ${error.message}`);
+      this.emit('error', { error: error.message, url: this.url, errorCount: this.errorCount });
+      return null;
+    }
+  }
+
+  /**
+   * Replay the next segment after a delay, then keep going
+   * @param {number} delay - Milliseconds to wait
+   * @private
+   */
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      const duration = await this.replayNext();
+      if (!this.isRunning) {
+        return;
+      }
+      // Retry a failed read after a pause rather than spinning (the
+      // playlist is dropped on failure, so this comes before the end check)
+      if (duration === null) {
+        this._schedule(5000);
+        return;
+      }
+      if (!this.loop && this.position >= this.entries.length) {
+        logger.info(`Replay of ${this._getPlaylistPath()} finished`);
+        this.stopMonitoring();
+        return;
+      }
+      this._schedule(duration * 1000 / this.speed);
+    }, delay);
+  }
+
+  /**
+   * Read and parse the playlist
+   * @private
+   */
+  async _loadPlaylist() {
+    const playlistPath = this._getPlaylistPath();
+    const parsed = playlistService.parsePlaylist(await fs.readFile(playlistPath, 'utf8'));
+
+    if (playlistService.isMasterPlaylist(parsed) || !parsed.segments || parsed.segments.length === 0) {
+      throw new Error(`${playlistPath} is not a media playlist with segments`);
+    }
+
+    const dir = path.dirname(playlistPath);
+    this.entries = parsed.segments.map(segment => ({
+      path: path.resolve(dir, segment.uri),
+      duration: segment.duration || 6.4,
+      container: playlistService.getSegmentContainer(segment.uri, segment.map || null),
+      ...(segment.map && { mapPath: path.resolve(dir, segment.map.uri) }),
+      ...(segment.discontinuity && { discontinuity: true })
+    }));
+    this.position = Math.min(this.position, this.entries.length);
+  }
+
+  /**
+   * Store an fMP4 init segment once and remember its ID
+   * @param {string} mapPath - Init segment file
+   * @returns {Promise<string>} - Buffer init ID
+   * @private
+   */
+  async _getInitId(mapPath) {
+    if (!this.initIds.has(mapPath)) {
+      this.initIds.set(mapPath, await this.bufferService.addInitSegment(await fs.readFile(mapPath)));
+    }
+    return this.initIds.get(mapPath);
+  }
+
+  /**
+   * @returns {string} - Filesystem path of the playlist
+   * @private
+   */
+  _getPlaylistPath() {
+    return this.url.startsWith('file:') ? fileURLToPath(this.url) : path.resolve(this.url);
+  }
+
+  /**
+   * @returns {Object} - Source capabilities (see source-adapters.js)
+   */
+  getCapabilities() {
+    return {
+      downloads: false,
+      playlist: false,
+      rewind: false,
+      partialSegments: false,
+      variants: false,
+      streamTitles: false
+    };
+  }
+
+  /**
+   * @returns {Object} - Source health (see source-adapters.js)
+   */
+  getHealth() {
+    return {
+      isRunning: this.isRunning,
+      lastActivityTime: this.lastActivityTime,
+      lastSegmentTime: this.lastSegmentTime,
+      errorCount: this.errorCount
+    };
+  }
+
+  /**
+   * Describe the active source
+   * @returns {Object} - Active source summary
+   */
+  getSourceStatus() {
+    return {
+      url: this.url,
+      index: 0,
+      isPreferred: true,
+      sourceCount: 1,
+      failoverCount: 0,
+      lastChange: null
+    };
+  }
+
+  /**
+   * Get the current status
+   * @returns {Object} - Status information (same core fields as MonitorService)
+   */
+  getStatus() {
+    return {
+      type: 'file',
+      isRunning: this.isRunning,
+      url: this.url,
+      source: this.getSourceStatus(),
+      position: this.position,
+      segmentCount: this.entries.length,
+      loops: this.loops,
+      knownSegmentsCount: this.segmentsStored,
+      lastSequence: this.nextSequence === null ? -1 : this.nextSequence - 1,
+      errorCount: this.errorCount,
+      lastFetchTime: this.lastActivityTime
+    };
+  }
+}
+
+module.exports = {
+  FileReplaySource
+};
@@ -0,0 +1,334 @@
+/**
+ * HTTP Client
+ * The one place outbound requests are built. Playlists, segments, keys,
+ * progressive streams and the metadata APIs all go through it, so they send
+ * the same User-Agent, share keep-alive connections and default timeouts,
+ * and honour the same proxy settings: HTTP_PROXY/HTTPS_PROXY/ALL_PROXY and
+ * NO_PROXY from the environment, including SOCKS proxies for stations that
+ * are only reachable from certain countries.
+ *
+ * Sources can also have a request profile (HTTP_SOURCE_PROFILES), matched
+ * by host: extra headers, cookies, a bearer token or a proxy of their own.
+ * Requests are still made with axios.get, so tests can stub it as before.
+ *
+ * Every response body is read as a stream through the bandwidth limiter,
+ * which counts it against the daily budget and slows the read down past
+ * the rate limit, whatever kind of request it belongs to.
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const { pipeline } = require('stream');
+const axios = require('axios');
+const { getProxyForUrl } = require('proxy-from-env');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { bandwidthLimiter } = require('./bandwidth-limiter');
+
+// Sockets kept open per host, per agent
+const MAX_SOCKETS = 16;
+
+/**
+ * Hide any credentials in a proxy URL before it's logged
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {string}
+ */
+function redactUrl(proxyUrl) {
+  try {
+    const url = new URL(proxyUrl);
+    if (url.username || url.password) {
+      url.username = '***';
+      url.password = '';
+    }
+    return url.toString().replace(/\/$/, '');
+  } catch (error) {
+    return proxyUrl;
+  }
+}
+
+/**
+ * Read HTTP_SOURCE_PROFILES: the JSON itself, or the path of a file with it
+ * @param {string|Object} value - Configured profiles
+ * @returns {Object} - Profiles keyed by host pattern
+ */
+function loadProfiles(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  try {
+    const json = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    logger.error(`Ignoring HTTP_SOURCE_PROFILES: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Decode a body read from a stream the way axios would have
+ * @param {Buffer} body - Raw body
+ * @param {string} [responseType] - Response type the caller asked for
+ * @returns {Buffer|string|Object}
+ */
+function decodeBody(body, responseType) {
+  if (responseType === 'arraybuffer') {
+    return body;
+  }
+  const text = body.toString('utf8');
+  if (responseType === 'text' || !text) {
+    return text;
+  }
+  // 'json' or axios's default: parsed if it parses, otherwise left as text
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Size of a body that didn't arrive as a stream
+ * @param {*} data - Response data
+ * @returns {number} - Bytes
+ */
+function getByteLength(data) {
+  if (data === null || data === undefined) {
+    return 0;
+  }
+  if (typeof data === 'string' || Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    return Buffer.byteLength(data);
+  }
+  return Buffer.byteLength(JSON.stringify(data));
+}
+
+/**
+ * HTTP Client Class
+ */
+class HttpClient {
+  /**
+   * @param {Object} [options] - Client options
+   * @param {number} [options.timeout] - Default request timeout in ms (defaults to HTTP_TIMEOUT)
+   * @param {string} [options.userAgent] - User-Agent sent with every request (defaults to HTTP_USER_AGENT)
+   * @param {Object|string} [options.profiles] - Per-source profiles, or JSON/a file path (defaults to HTTP_SOURCE_PROFILES)
+   * @param {BandwidthLimiter} [options.bandwidthLimiter] - Limiter response bodies are read through (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || config.HTTP_TIMEOUT;
+    this.userAgent = options.userAgent || config.HTTP_USER_AGENT;
+    this.profiles = loadProfiles(options.profiles ?? config.HTTP_SOURCE_PROFILES);
+    this.bandwidthLimiter = options.bandwidthLimiter || bandwidthLimiter;
+
+    // 'protocol|proxy' -> agent, so every request to the same kind of
+    // destination reuses the same pool of connections
+    this.agents = new Map();
+  }
+
+  /**
+   * Request profile for a URL. A wildcard pattern ('*.example.com') matches
+   * subdomains; profiles for the exact host are applied over it.
+   * @param {string} url - Request URL
+   * @returns {Object} - { headers, cookies, token, proxy }, all optional
+   */
+  getProfile(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return {};
+    }
+
+    const matches = Object.keys(this.profiles)
+      .filter(pattern => {
+        const host = pattern.toLowerCase();
+        return host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host;
+      })
+      .sort((a, b) => (b.startsWith('*.') - a.startsWith('*.')) || a.length - b.length);
+
+    return matches.reduce((profile, pattern) => {
+      const next = this.profiles[pattern] || {};
+      return {
+        ...profile,
+        ...next,
+        headers: { ...profile.headers, ...next.headers }
+      };
+    }, {});
+  }
+
+  /**
+   * Proxy a request should go through: the source profile's, otherwise the
+   * environment's (NO_PROXY is honoured)
+   * @param {string} url - Request URL
+   * @param {Object} [profile] - Profile for the URL
+   * @returns {string|null} - Proxy URL, or null to connect directly
+   */
+  getProxy(url, profile = this.getProfile(url)) {
+    if (profile.proxy === false || profile.proxy === 'direct') {
+      return null;
+    }
+    return profile.proxy || getProxyForUrl(url) || null;
+  }
+
+  /**
+   * Keep-alive agent for a protocol, optionally through a proxy
+   * @param {string} protocol - 'http:' or 'https:'
+   * @param {string|null} proxy - Proxy URL
+   * @returns {http.Agent}
+   * @private
+   */
+  _getAgent(protocol, proxy) {
+    const key = `${protocol}|${proxy || 'direct'}`;
+    if (this.agents.has(key)) {
+      return this.agents.get(key);
+    }
+
+    const options = { keepAlive: true, maxSockets: MAX_SOCKETS };
+    let agent;
+    if (!proxy) {
+      agent = protocol === 'https:' ? new https.Agent(options) : new http.Agent(options);
+    } else if (/^socks/i.test(proxy)) {
+      agent = new SocksProxyAgent(proxy, options);
+    } else if (protocol === 'https:') {
+      agent = new HttpsProxyAgent(proxy, options);
+    } else {
+      agent = new HttpProxyAgent(proxy, options);
+    }
+
+    if (proxy) {
+      logger.info(`Sending ${protocol.slice(0, -1)} requests through proxy ${redactUrl(proxy)}`);
+    }
+    this.agents.set(key, agent);
+    return agent;
+  }
+
+  /**
+   * axios request config for a URL: the shared User-Agent, timeout and
+   * agents, plus the source's profile. Headers passed in win over the
+   * defaults; the profile's win over both, so a source can insist on its
+   * own User-Agent.
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Extra axios options (headers, timeout, responseType...)
+   * @returns {Object} - Config for axios
+   */
+  getRequestConfig(url, options = {}) {
+    const profile = this.getProfile(url);
+    const proxy = this.getProxy(url, profile);
+
+    const headers = {
+      'User-Agent': this.userAgent,
+      ...options.headers,
+      ...profile.headers
+    };
+    if (profile.cookies) {
+      headers.Cookie = typeof profile.cookies === 'string'
+        ? profile.cookies
+        : Object.entries(profile.cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (profile.token) {
+      headers.Authorization = `Bearer ${profile.token}`;
+    }
+
+    return {
+      ...options,
+      timeout: options.timeout || this.timeout,
+      headers,
+      // Proxying is done by the agents; axios's own proxy support can't
+      // tunnel HTTPS or speak SOCKS
+      proxy: false,
+      httpAgent: this._getAgent('http:', proxy),
+      httpsAgent: this._getAgent('https:', proxy)
+    };
+  }
+
+  /**
+   * GET a URL. The request waits for its turn under the rate limit and the
+   * body is read through the limiter: buffered and decoded as responseType
+   * asks, or, for responseType 'stream', handed over as a throttled stream.
+   * Error responses have their body read the same way.
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Extra axios options
+   * @param {BandwidthLimiter} [options.bandwidthLimiter] - Limiter to use instead of the client's
+   * @returns {Promise<Object>} - The axios response
+   */
+  async get(url, options = {}) {
+    const { bandwidthLimiter: limiter = this.bandwidthLimiter, ...requestOptions } = options;
+    const { responseType } = requestOptions;
+
+    await limiter.acquire();
+    let response;
+    try {
+      response = await axios.get(url, this.getRequestConfig(url, { ...requestOptions, responseType: 'stream' }));
+    } catch (error) {
+      if (error.response) {
+        error.response.data = await this._readBody(error.response.data, responseType, limiter).catch(() => null);
+      }
+      throw error;
+    }
+
+    response.data = responseType === 'stream' && typeof response.data?.pipe === 'function'
+      ? pipeline(response.data, limiter.throttle(), () => {})
+      : await this._readBody(response.data, responseType, limiter);
+    return response;
+  }
+
+  /**
+   * Read a whole body through the limiter and decode it
+   * @param {*} data - Response stream (or data that was already read)
+   * @param {string} [responseType] - Response type the caller asked for
+   * @param {BandwidthLimiter} limiter - Limiter to read through
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _readBody(data, responseType, limiter) {
+    if (typeof data?.pipe !== 'function') {
+      limiter.record(getByteLength(data));
+      return data;
+    }
+
+    const chunks = [];
+    for await (const chunk of pipeline(data, limiter.throttle(), () => {})) {
+      chunks.push(chunk);
+    }
+    return decodeBody(Buffer.concat(chunks), responseType);
+  }
+
+  /**
+   * GET a JSON API. Non-2xx responses are rejected.
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Extra axios options
+   * @returns {Promise<Object>} - The parsed body
+   */
+  async getJson(url, options = {}) {
+    const response = await this.get(url, {
+      ...options,
+      responseType: 'json',
+      headers: { 'Accept': 'application/json', ...options.headers }
+    });
+    return response.data;
+  }
+
+  /**
+   * Close idle keep-alive connections
+   */
+  destroy() {
+    for (const agent of this.agents.values()) {
+      agent.destroy();
+    }
+    this.agents.clear();
+  }
+}
+
+// Create singleton instance
+const httpClient = new HttpClient();
+
+module.exports = {
+  httpClient,
+  HttpClient
+};
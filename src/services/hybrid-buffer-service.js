@@ -2,7 +2,16 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const EventEmitter = require('events');
 const { diskStorageService } = require('./disk-storage-service');
-const path = require('path');
+const { httpClient } = require('./http-client');
+const { getDefaultDelay } = require('./listener-delay');
+const crypto = require('crypto');
+
+// How many recent segments the measured capture latency is the median of
+const LATENCY_SAMPLE_COUNT = 30;
+
+// Gaps spanning more sequence numbers than this (a day of 6.4s segments)
+// are left alone by healGaps() rather than walked
+const MAX_HEALABLE_GAP = 13500;
 
 /**
  * Hybrid Buffer Service
@@ -11,10 +20,18 @@ const path = require('path');
  * Emits events for segment lifecycle management
  */
 class HybridBufferService extends EventEmitter {
-  constructor(bufferDuration = config.BUFFER_DURATION) {
+  /**
+   * @param {number} [bufferDuration] - Buffer duration in milliseconds
+   * @param {Object} [options] - Per-instance wiring
+   * @param {DiskStorageService} [options.diskStorage] - Storage backend (defaults to the shared instance)
+   * @param {string} [options.streamUrl] - Live playlist used to calibrate restored timestamps
+   */
+  constructor(bufferDuration = config.BUFFER_DURATION, options = {}) {
     super(); // Initialize EventEmitter
     
     this.bufferDuration = bufferDuration;
+    this.diskStorage = options.diskStorage || diskStorageService;
+    this.streamUrl = options.streamUrl || config.STREAM_URLS.AKAMAI;
     this.segments = []; // Will store metadata only
     this.segmentsByTimestamp = new Map();
     this.segmentsBySequence = new Map();
@@ -33,6 +50,23 @@ class HybridBufferService extends EventEmitter {
     // permanent download failures). First-class data for the health UI.
     // Each: { fromSeq, toSeq, startTime, endTime, reason }
     this.gaps = [];
+
+    // fMP4 init segments (EXT-X-MAP) by content-hash ID. They are a few KB
+    // each and change rarely, so they're also kept in memory once seen.
+    this.initSegments = new Map();
+
+    // Recent (arrival - broadcast) differences from segments carrying
+    // EXT-X-PROGRAM-DATE-TIME: the measured capture latency
+    this.latencySamples = [];
+
+    // Highest discontinuity sequence number handed out. Each segment keeps
+    // its own, so EXT-X-DISCONTINUITY-SEQUENCE stays right as old segments
+    // leave the buffer; persisted so it never goes backwards.
+    this.discontinuitySequence = 0;
+
+    // Filler discontinuities (see getHoleDiscontinuities) of holes that have
+    // left the buffer, so the count for the segments after them holds
+    this.expiredHoleDiscontinuities = 0;
     
     logger.info(`Initialized hybrid buffer service with duration: ${bufferDuration}ms, disk storage: ${this.diskStorageEnabled}`);
   }
@@ -58,7 +92,7 @@ class HybridBufferService extends EventEmitter {
       
       // Initialize disk storage if enabled
       if (this.diskStorageEnabled) {
-        await diskStorageService.initialize();
+        await this.diskStorage.initialize();
 
         // Load existing metadata from disk
         await this._loadMetadataFromDisk();
@@ -154,6 +188,18 @@ class HybridBufferService extends EventEmitter {
     return this._metadataSavePromise;
   }
 
+  /**
+   * Restart background intervals after stopIntervals() (running ones are left alone)
+   */
+  startIntervals() {
+    if (!this.cleanupInterval) {
+      this.setupCleanupInterval();
+    }
+    if (!this._metadataFlushInterval) {
+      this.setupMetadataFlushInterval();
+    }
+  }
+
   /**
    * Stop background intervals (cleanup + metadata flush)
    */
@@ -175,6 +221,9 @@ class HybridBufferService extends EventEmitter {
    * @param {string} metadata.url - The URL the segment was fetched from
    * @param {number} metadata.sequenceNumber - The sequence number in the playlist
    * @param {number} metadata.duration - The duration of the segment in seconds
+   * @param {string} [metadata.container] - Segment container: 'ts' (default), 'fmp4', 'aac' or 'mp3'
+   * @param {string} [metadata.initId] - Init segment from addInitSegment(), for fMP4
+   * @param {boolean} [metadata.discontinuity] - The source marked EXT-X-DISCONTINUITY before this segment
    * @returns {Object} - The stored segment metadata object
    */
   async addSegment(segmentData, metadata) {
@@ -187,18 +236,23 @@ class HybridBufferService extends EventEmitter {
         throw new Error('Segment metadata with URL is required');
       }
       
-      const timestamp = Date.now();
+      // The source's broadcast time is authoritative when it has one;
+      // arrival time is kept alongside either way
+      const arrivalTime = Date.now();
+      const { timestamp, timestampSource } = this._resolveBroadcastTime(metadata, arrivalTime);
       const segmentId = this._getSegmentId(metadata);
       
       // Create metadata object
       const segmentMetadata = {
         timestamp,
+        arrivalTime,
         filePath: null, // Will be set if disk storage is used
         metadata: {
           ...metadata,
           duration: metadata.duration || 0,
           sequenceNumber: metadata.sequenceNumber || 0,
-          addedAt: new Date(timestamp).toISOString(),
+          addedAt: new Date(arrivalTime).toISOString(),
+          timestampSource,
           segmentId
         },
         size: segmentData.byteLength || segmentData.length || 0
@@ -208,14 +262,14 @@ class HybridBufferService extends EventEmitter {
       if (this.diskStorageEnabled) {
         // Guard against filling the disk: evict played-out segments under
         // pressure, and drop the new segment rather than crash on ENOSPC
-        const capacity = await diskStorageService.checkCapacity(this.totalSize);
+        const capacity = await this.diskStorage.checkCapacity(this.totalSize);
         if (!capacity.ok) {
           logger.warn(`Storage pressure detected (used: ${Math.round(capacity.usedBytes / 1048576)}MB, cap: ${Math.round(capacity.capBytes / 1048576)}MB, free: ${capacity.freeBytes !== null ? Math.round(capacity.freeBytes / 1048576) + 'MB' : 'unknown'})`);
           this.emit('storagePressure', capacity);
 
           await this._evictForStoragePressure();
 
-          const recheck = await diskStorageService.checkCapacity(this.totalSize, true);
+          const recheck = await this.diskStorage.checkCapacity(this.totalSize, true);
           if (!recheck.ok) {
             const error = new Error('Storage full: segment dropped to protect the process');
             error.code = 'STORAGE_FULL';
@@ -224,7 +278,7 @@ class HybridBufferService extends EventEmitter {
         }
 
         try {
-          const filePath = await diskStorageService.writeSegment(segmentId, segmentData);
+          const filePath = await this.diskStorage.writeSegment(segmentId, segmentData, metadata.container);
           segmentMetadata.filePath = filePath;
           segmentMetadata.storedOnDisk = true;
           logger.debug(`Segment ${segmentId} stored on disk: ${filePath}`);
@@ -248,9 +302,18 @@ class HybridBufferService extends EventEmitter {
         segmentMetadata.storedOnDisk = false;
       }
       
-      // Add to metadata index
-      this.segments.push(segmentMetadata);
+      // Add to metadata index. Broadcast-stamped segments can finish
+      // downloading out of order, so keep the list sorted by timestamp.
+      const index = this._insertSegment(segmentMetadata);
+      this._assignDiscontinuitySequence(index);
       this.segmentsByTimestamp.set(timestamp, segmentMetadata);
+
+      if (timestampSource === 'program-date-time' && !metadata.backfilled) {
+        this.latencySamples.push(arrivalTime - timestamp);
+        if (this.latencySamples.length > LATENCY_SAMPLE_COUNT) {
+          this.latencySamples.shift();
+        }
+      }
       
       // Add to sequence index if sequence number is provided
       if (metadata.sequenceNumber !== undefined) {
@@ -283,6 +346,219 @@ class HybridBufferService extends EventEmitter {
       throw error;
     }
   }
+
+  /**
+   * Pick a segment's timestamp: its EXT-X-PROGRAM-DATE-TIME when present and
+   * plausible, then a position estimated by whoever stored it late
+   * (backfill), otherwise its arrival time
+   * @param {Object} metadata - Segment metadata passed to addSegment()
+   * @param {number} [metadata.programDateTime] - Broadcast time from the source playlist (ms)
+   * @param {number} [metadata.estimatedTime] - Estimated broadcast time (ms)
+   * @param {boolean} [metadata.backfilled] - Recorded after the fact, so far older than its arrival
+   * @param {number} arrivalTime - When the segment was stored (ms)
+   * @returns {{timestamp: number, timestampSource: string}}
+   * @private
+   */
+  _resolveBroadcastTime(metadata, arrivalTime) {
+    const { programDateTime, estimatedTime } = metadata;
+
+    if (Number.isFinite(programDateTime)) {
+      // Backfilled segments are checked against the gap they fill instead
+      if (metadata.backfilled || Math.abs(arrivalTime - programDateTime) <= config.PROGRAM_DATE_TIME_MAX_SKEW) {
+        return { timestamp: programDateTime, timestampSource: 'program-date-time' };
+      }
+      logger.warn(`Ignoring EXT-X-PROGRAM-DATE-TIME ${new Date(programDateTime).toISOString()}: ${Math.round((arrivalTime - programDateTime) / 1000)}s from arrival time`);
+    }
+
+    if (Number.isFinite(estimatedTime)) {
+      return { timestamp: estimatedTime, timestampSource: 'estimated' };
+    }
+
+    return { timestamp: arrivalTime, timestampSource: 'arrival' };
+  }
+
+  /**
+   * Insert a segment into the timestamp-ordered list
+   * @param {Object} segment - Segment metadata object
+   * @returns {number} - Where it went
+   * @private
+   */
+  _insertSegment(segment) {
+    let index = this.segments.length;
+    while (index > 0 && this.segments[index - 1].timestamp > segment.timestamp) {
+      index--;
+    }
+    this.segments.splice(index, 0, segment);
+    return index;
+  }
+
+  /**
+   * Whether playback has to reset its decoder going from one segment to the
+   * next: the source said so (EXT-X-DISCONTINUITY), or the container or
+   * init segment changed
+   * @param {Object} previous - Segment metadata object before
+   * @param {Object} segment - Segment metadata object after
+   * @returns {boolean}
+   * @private
+   */
+  _isDiscontinuity(previous, segment) {
+    return Boolean(segment.metadata.discontinuity) ||
+      (previous.metadata.container || 'ts') !== (segment.metadata.container || 'ts') ||
+      (previous.metadata.initId || null) !== (segment.metadata.initId || null);
+  }
+
+  /**
+   * Give a newly inserted segment its discontinuity sequence number: that
+   * of the segment before it, plus one across a discontinuity. Numbers
+   * already given out never change, since listeners may be playing those
+   * segments right now. A segment slotted in late (backfill) gets a number
+   * that fits between its neighbours, so a discontinuity it starts is only
+   * marked if the segment after it already starts a new one.
+   * @param {number} index - Position of the segment in the list
+   * @private
+   */
+  _assignDiscontinuitySequence(index) {
+    const segment = this.segments[index];
+    const previous = this.segments[index - 1];
+    const next = this.segments[index + 1];
+    const isNumbered = neighbour => neighbour && Number.isFinite(neighbour.metadata.discontinuitySequence);
+
+    let value;
+    if (isNumbered(previous)) {
+      value = previous.metadata.discontinuitySequence + (this._isDiscontinuity(previous, segment) ? 1 : 0);
+      if (isNumbered(next)) {
+        value = Math.min(value, next.metadata.discontinuitySequence);
+      }
+    } else if (isNumbered(next)) {
+      value = next.metadata.discontinuitySequence;
+    } else {
+      value = this.discontinuitySequence + (segment.metadata.discontinuity ? 1 : 0);
+    }
+
+    segment.metadata.discontinuitySequence = value;
+    this.discontinuitySequence = Math.max(this.discontinuitySequence, value);
+  }
+
+  /**
+   * How many more discontinuities than the buffer's own a playlist that
+   * lists filler for missing segments (?gaps=filler) has up to a segment:
+   * one on each side of every hole, less the one the segment after the
+   * hole starts anyway. Holes that have left the buffer still count, so a
+   * segment's number never changes as the buffer moves on.
+   * @param {number} sequenceNumber - Sequence number of the segment
+   * @returns {number}
+   */
+  getHoleDiscontinuities(sequenceNumber) {
+    let count = this.expiredHoleDiscontinuities;
+    let previous = null;
+    for (const segment of this.segments) {
+      const seq = segment.metadata.sequenceNumber;
+      if (!Number.isFinite(seq)) {
+        continue;
+      }
+      if (seq > sequenceNumber) {
+        break;
+      }
+      if (previous) {
+        count += this._holeDiscontinuities(previous, segment);
+      }
+      previous = segment;
+    }
+    return count;
+  }
+
+  /**
+   * Filler discontinuities between two neighbouring segments
+   * @param {Object} previous - Segment metadata object before
+   * @param {Object} segment - Segment metadata object after
+   * @returns {number} - 0 unless sequence numbers are missing between them
+   * @private
+   */
+  _holeDiscontinuities(previous, segment) {
+    if (segment.metadata.sequenceNumber - previous.metadata.sequenceNumber <= 1) {
+      return 0;
+    }
+    return segment.metadata.discontinuitySequence > previous.metadata.discontinuitySequence ? 1 : 2;
+  }
+
+  /**
+   * Get the measured capture latency: the median of how long recent
+   * segments took from their EXT-X-PROGRAM-DATE-TIME to arriving here
+   * @returns {number|null} - Latency in ms, or null without samples
+   */
+  getMeasuredLatency() {
+    if (this.latencySamples.length === 0) {
+      return null;
+    }
+    const sorted = [...this.latencySamples].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * Get the correction from a buffer timestamp to broadcast time
+   * Segments stamped from EXT-X-PROGRAM-DATE-TIME already are broadcast
+   * time; arrival-stamped ones lag it by the measured latency, or by
+   * CAPTURE_LATENCY when the source has never carried the tag
+   * @param {number} timestamp - A timestamp on the buffer's timeline
+   * @returns {number} - Milliseconds to subtract to get broadcast time
+   */
+  getCaptureLatency(timestamp) {
+    const segment = this.getNearestValidSegment(timestamp);
+    if (segment && segment.metadata.timestampSource === 'program-date-time') {
+      return 0;
+    }
+    const measured = this.getMeasuredLatency();
+    return measured !== null ? measured : config.CAPTURE_LATENCY;
+  }
+
+  /**
+   * Store an fMP4 init segment (the EXT-X-MAP media initialization section)
+   * @param {Buffer} data - Init segment data
+   * @returns {Promise<string>} - Init ID to reference from segment metadata
+   */
+  async addInitSegment(data) {
+    // Content-addressed, so an init that changes mid-stream gets a new ID
+    // while re-fetches of the same init collapse onto the stored one
+    const initId = crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+
+    if (!this.initSegments.has(initId)) {
+      this.initSegments.set(initId, data);
+
+      if (this.diskStorageEnabled) {
+        try {
+          await this.diskStorage.writeInitSegment(initId, data);
+        } catch (error) {
+          logger.error(`Failed to write init segment ${initId} to disk: ${error.message}`);
+        }
+      }
+
+      logger.info(`Stored init segment ${initId} (${data.length} bytes)`);
+      this.emit('initSegmentAdded', { initId, size: data.length });
+    }
+
+    return initId;
+  }
+
+  /**
+   * Get a stored fMP4 init segment
+   * @param {string} initId - Init ID from addInitSegment()
+   * @returns {Promise<Buffer|null>} - Init segment data, or null if unknown
+   */
+  async getInitSegment(initId) {
+    if (this.initSegments.has(initId)) {
+      return this.initSegments.get(initId);
+    }
+
+    if (!this.diskStorageEnabled) {
+      return null;
+    }
+
+    const data = await this.diskStorage.readInitSegment(initId);
+    if (data) {
+      this.initSegments.set(initId, data);
+    }
+    return data;
+  }
   
   /**
    * Record a gap in the recording (missed/skipped segments)
@@ -311,6 +587,64 @@ class HybridBufferService extends EventEmitter {
     this.emit('gapRecorded', gap);
   }
 
+  /**
+   * Shrink recorded gaps to the segments that are still missing
+   * Segments backfilled into a gap split it around them, and a gap with
+   * nothing left missing is removed
+   * @returns {number} - Number of gap segments now present in the buffer
+   */
+  healGaps() {
+    let healed = 0;
+    const remaining = [];
+
+    for (const gap of this.gaps) {
+      const span = gap.toSeq - gap.fromSeq;
+      if (!Number.isFinite(span) || span < 0 || span > MAX_HEALABLE_GAP) {
+        remaining.push(gap);
+        continue;
+      }
+
+      // Contiguous runs of sequence numbers still missing
+      const runs = [];
+      let run = null;
+      for (let seq = gap.fromSeq; seq <= gap.toSeq; seq++) {
+        if (this.segmentsBySequence.has(seq)) {
+          healed++;
+          run = null;
+        } else if (run) {
+          run.toSeq = seq;
+        } else {
+          run = { fromSeq: seq, toSeq: seq };
+          runs.push(run);
+        }
+      }
+
+      // Recovered neighbours pin down when each remaining run starts and ends
+      for (const { fromSeq, toSeq } of runs) {
+        const before = this.segmentsBySequence.get(fromSeq - 1);
+        const after = this.segmentsBySequence.get(toSeq + 1);
+        remaining.push({
+          ...gap,
+          fromSeq,
+          toSeq,
+          startTime: before
+            ? before.timestamp + (before.metadata.duration || 6.4) * 1000
+            : gap.startTime,
+          endTime: after ? after.timestamp : gap.endTime
+        });
+      }
+    }
+
+    if (healed > 0) {
+      this.gaps = remaining;
+      this._markMetadataDirty();
+      logger.info(`Healed ${healed} segments of recorded buffer gaps (${this.gaps.length} gaps remain)`);
+      this.emit('gapsHealed', { healed, remaining: this.gaps.length });
+    }
+
+    return healed;
+  }
+
   /**
    * Get gaps that still fall inside the buffer window
    * @returns {Array<Object>}
@@ -577,7 +911,9 @@ class HybridBufferService extends EventEmitter {
       bufferDuration: this.bufferDuration,
       diskStorageEnabled: this.diskStorageEnabled,
       diskSegments: this.segments.filter(s => s.storedOnDisk).length,
-      memorySegments: this.segments.filter(s => !s.storedOnDisk).length
+      memorySegments: this.segments.filter(s => !s.storedOnDisk).length,
+      timestampSource: newestSegment ? newestSegment.metadata.timestampSource || 'arrival' : null,
+      measuredLatency: this.getMeasuredLatency()
     };
   }
   
@@ -663,7 +999,7 @@ class HybridBufferService extends EventEmitter {
    */
   async _evictForStoragePressure() {
     const now = Date.now();
-    const playedCutoff = now - (config.DELAY_DURATION + 5 * 60 * 1000);
+    const playedCutoff = now - (getDefaultDelay(now) + 5 * 60 * 1000);
     let evicted = 0;
 
     // Pass 1: segments already behind the playhead
@@ -711,6 +1047,12 @@ class HybridBufferService extends EventEmitter {
       const index = this.segments.findIndex(s => s.timestamp === segment.timestamp);
       if (index !== -1) {
         this.segments.splice(index, 1);
+        // A hole after the oldest segment goes with it
+        const next = this.segments[0];
+        if (index === 0 && next && Number.isFinite(next.metadata.sequenceNumber) &&
+            Number.isFinite(segment.metadata.sequenceNumber)) {
+          this.expiredHoleDiscontinuities += this._holeDiscontinuities(segment, next);
+        }
       }
       
       // Update stats
@@ -719,7 +1061,7 @@ class HybridBufferService extends EventEmitter {
       
       // Delete from disk if stored there
       if (segment.storedOnDisk && segment.metadata.segmentId) {
-        await diskStorageService.deleteSegment(segment.metadata.segmentId);
+        await this.diskStorage.deleteSegment(segment.metadata.segmentId, segment.metadata.container);
       }
       
       logger.debug(`Removed segment: ${segment.metadata.url} (${segment.size} bytes, ${segment.metadata.duration}s)`);
@@ -812,6 +1154,7 @@ class HybridBufferService extends EventEmitter {
     this.segmentsBySequence.clear();
     this.totalSize = 0;
     this.totalDuration = 0;
+    this.latencySamples = [];
     
     logger.info('Buffer cleared');
 
@@ -845,6 +1188,54 @@ class HybridBufferService extends EventEmitter {
     }
   }
   
+  /**
+   * Get the timestamp of the newest segment in the buffer
+   * @returns {number|null} - Timestamp of the newest segment, or null if buffer is empty
+   */
+  getNewestSegmentTime() {
+    if (this.segments.length === 0) {
+      return null;
+    }
+
+    return this.segments.reduce((newest, segment) => Math.max(newest, segment.timestamp), -Infinity);
+  }
+
+  /**
+   * How much of a time range the buffer holds: the time its segments cover
+   * inside the range, so holes (recorded gaps, outages, eviction) count as
+   * missing
+   * @param {number} startTime - Start timestamp
+   * @param {number} endTime - End timestamp
+   * @returns {Object} - { recordedMs, missingMs, fraction, gaps }, gaps being
+   *   the recorded gaps that overlap the range
+   */
+  getCoverage(startTime, endTime) {
+    const span = Math.max(0, endTime - startTime);
+    const end = segment => segment.timestamp + (segment.metadata?.duration || 0) * 1000;
+
+    // Segments can overlap slightly, so count each moment once
+    let recordedMs = 0;
+    let reached = startTime;
+    this.segments
+      .filter(segment => end(segment) > startTime && segment.timestamp < endTime)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(segment => {
+        const from = Math.max(segment.timestamp, reached);
+        const to = Math.min(end(segment), endTime);
+        if (to > from) {
+          recordedMs += to - from;
+          reached = to;
+        }
+      });
+
+    return {
+      recordedMs,
+      missingMs: span - recordedMs,
+      fraction: span > 0 ? recordedMs / span : 0,
+      gaps: this.getGaps().filter(gap => gap.startTime < endTime && gap.endTime > startTime)
+    };
+  }
+
   /**
    * Generate a unique ID for a segment based on its metadata
    * @private
@@ -882,7 +1273,10 @@ class HybridBufferService extends EventEmitter {
     // If stored on disk, load from there
     if (segmentMetadata.storedOnDisk && segmentMetadata.metadata.segmentId) {
       try {
-        const data = await diskStorageService.readSegment(segmentMetadata.metadata.segmentId);
+        const data = await this.diskStorage.readSegment(
+          segmentMetadata.metadata.segmentId,
+          segmentMetadata.metadata.container
+        );
         
         // Create a new object to avoid modifying the cached metadata
         return {
@@ -916,12 +1310,19 @@ class HybridBufferService extends EventEmitter {
       for (const segment of this.segments) {
         segments.push({
           timestamp: segment.timestamp,
+          ...(segment.arrivalTime && { arrivalTime: segment.arrivalTime }),
           metadata: {
             url: segment.metadata.url,
             sequenceNumber: segment.metadata.sequenceNumber,
             duration: segment.metadata.duration || 0,
             segmentId: segment.metadata.segmentId,
-            addedAt: segment.metadata.addedAt
+            addedAt: segment.metadata.addedAt,
+            ...(segment.metadata.timestampSource && { timestampSource: segment.metadata.timestampSource }),
+            ...(segment.metadata.container && { container: segment.metadata.container }),
+            ...(segment.metadata.initId && { initId: segment.metadata.initId }),
+            ...(segment.metadata.encryption && { encryption: segment.metadata.encryption }),
+            ...(segment.metadata.discontinuity && { discontinuity: true }),
+            ...(Number.isFinite(segment.metadata.discontinuitySequence) && { discontinuitySequence: segment.metadata.discontinuitySequence })
           },
           size: segment.size,
           storedOnDisk: segment.storedOnDisk,
@@ -934,6 +1335,8 @@ class HybridBufferService extends EventEmitter {
         timestamp: Date.now(),
         segments: segments,
         gaps: this.gaps,
+        discontinuitySequence: this.discontinuitySequence,
+        expiredHoleDiscontinuities: this.expiredHoleDiscontinuities,
         stats: {
           totalSegments: this.segments.length,
           totalSize: this.totalSize,
@@ -946,7 +1349,7 @@ class HybridBufferService extends EventEmitter {
       const serializedMetadata = JSON.stringify(metadataToSave);
       
       // Let the storage service handle the actual writing
-      await diskStorageService.writeMetadata(JSON.parse(serializedMetadata));
+      await this.diskStorage.writeMetadata(JSON.parse(serializedMetadata));
       
       logger.debug(`Saved buffer metadata with ${metadataToSave.segments.length} segments`);
     } catch (error) {
@@ -966,7 +1369,7 @@ class HybridBufferService extends EventEmitter {
 
     try {
       // Get all segment files from disk
-      const segmentIds = await diskStorageService.listSegments();
+      const segmentIds = await this.diskStorage.listSegments();
 
       if (segmentIds.length === 0) {
         logger.info('No segments found on disk');
@@ -983,7 +1386,7 @@ class HybridBufferService extends EventEmitter {
       this.totalDuration = 0;
 
       // Load existing metadata for additional info (like duration)
-      const metadata = await diskStorageService.readMetadata();
+      const metadata = await this.diskStorage.readMetadata();
       const metadataMap = new Map();
       if (metadata?.segments) {
         for (const seg of metadata.segments) {
@@ -1025,25 +1428,25 @@ class HybridBufferService extends EventEmitter {
       const now = Date.now();
       const newestSeq = segmentsWithSeq[segmentsWithSeq.length - 1].sequenceNumber;
 
-      // Try to get the live sequence number for accurate calibration
+      // Try to get the live sequence number for accurate calibration (no
+      // stream URL means there is no playlist to calibrate against)
       let liveSeq = null;
-      try {
-        const fetch = globalThis.fetch || (await import('node-fetch')).default;
-        // Use the configured stream URL, not a hardcoded station
-        const livePlaylistUrl = config.STREAM_URLS.AKAMAI;
-        const response = await fetch(livePlaylistUrl, { timeout: 5000 });
-        if (response.ok) {
-          const playlist = await response.text();
+      if (this.streamUrl) {
+        try {
+          // Use this buffer's stream URL, not a hardcoded station
+          const livePlaylistUrl = this.streamUrl;
+          const response = await httpClient.get(livePlaylistUrl, { responseType: 'text', timeout: 5000 });
+          const playlist = String(response.data);
           // Extract the highest sequence number from the playlist
-          const matches = playlist.match(/-(\d+)\.ts/g) || [];
+          const matches = playlist.match(/-(\d+)\.(?:ts|m4s|mp4)/g) || [];
           if (matches.length > 0) {
             const lastMatch = matches[matches.length - 1];
-            liveSeq = parseInt(lastMatch.match(/(\d+)\.ts/)[1], 10);
+            liveSeq = parseInt(lastMatch.match(/(\d+)\.\w+$/)[1], 10);
             logger.info(`Calibrating buffer timestamps using live sequence: ${liveSeq}`);
           }
+        } catch (e) {
+          logger.warn(`Could not fetch live playlist for calibration: ${e.message}`);
         }
-      } catch (e) {
-        logger.warn(`Could not fetch live playlist for calibration: ${e.message}`);
       }
 
       // Use live sequence as reference (represents "now"), or fall back to our newest
@@ -1055,21 +1458,32 @@ class HybridBufferService extends EventEmitter {
         const existingMeta = metadataMap.get(segmentId);
         const duration = existingMeta?.metadata?.duration || defaultDuration;
 
-        // Calculate timestamp based on sequence difference from live reference
+        // Broadcast-stamped segments keep their saved timestamp; arrival
+        // times are recalibrated from the sequence difference to the live
+        // reference
+        const hasBroadcastTime = existingMeta?.metadata?.timestampSource === 'program-date-time' &&
+          Number.isFinite(existingMeta.timestamp);
         const seqDiff = referenceSeq - sequenceNumber;
-        const timestamp = referenceTimestamp - (seqDiff * duration * 1000);
+        const timestamp = hasBroadcastTime
+          ? existingMeta.timestamp
+          : referenceTimestamp - (seqDiff * duration * 1000);
 
         // Skip if segment would be outside buffer window
         if (now - timestamp > this.bufferDuration) {
           continue;
         }
 
+        // Segments without saved metadata are identified by their file extension
+        const container = existingMeta
+          ? existingMeta.metadata?.container || 'ts'
+          : await this.diskStorage.getSegmentContainer(segmentId) || 'ts';
+        const filePath = this.diskStorage.getSegmentPath(segmentId, container);
+
         // Get file size from disk
         let size = existingMeta?.size || 0;
         if (!size) {
           try {
             const fs = require('fs').promises;
-            const filePath = path.join(diskStorageService.segmentsPath, `${segmentId}.ts`);
             const stats = await fs.stat(filePath);
             size = stats.size;
           } catch (e) {
@@ -1080,16 +1494,25 @@ class HybridBufferService extends EventEmitter {
         // Create segment object
         const cleanSegment = {
           timestamp,
+          ...(existingMeta?.arrivalTime && { arrivalTime: existingMeta.arrivalTime }),
           metadata: {
             url: existingMeta?.metadata?.url || `segment://${segmentId}`,
             sequenceNumber,
             duration,
             segmentId,
-            addedAt: new Date(timestamp).toISOString()
+            addedAt: existingMeta?.metadata?.addedAt || new Date(timestamp).toISOString(),
+            timestampSource: hasBroadcastTime ? 'program-date-time' : 'arrival',
+            ...(container !== 'ts' && { container }),
+            ...(existingMeta?.metadata?.initId && { initId: existingMeta.metadata.initId }),
+            ...(existingMeta?.metadata?.encryption && { encryption: existingMeta.metadata.encryption }),
+            ...(existingMeta?.metadata?.discontinuity && { discontinuity: true }),
+            ...(Number.isFinite(existingMeta?.metadata?.discontinuitySequence) && {
+              discontinuitySequence: existingMeta.metadata.discontinuitySequence
+            })
           },
           size,
           storedOnDisk: true,
-          filePath: path.join(diskStorageService.segmentsPath, `${segmentId}.ts`)
+          filePath
         };
 
         // Add to in-memory indexes
@@ -1105,6 +1528,23 @@ class HybridBufferService extends EventEmitter {
       // Sort segments by timestamp
       this.segments.sort((a, b) => a.timestamp - b.timestamp);
 
+      // Discontinuity numbering carries on from where it was; segments
+      // saved before it existed (or found without metadata) are numbered
+      // from their neighbours
+      if (Number.isFinite(metadata?.discontinuitySequence)) {
+        this.discontinuitySequence = metadata.discontinuitySequence;
+      }
+      if (Number.isFinite(metadata?.expiredHoleDiscontinuities)) {
+        this.expiredHoleDiscontinuities = metadata.expiredHoleDiscontinuities;
+      }
+      this.segments.forEach((segment, index) => {
+        if (Number.isFinite(segment.metadata.discontinuitySequence)) {
+          this.discontinuitySequence = Math.max(this.discontinuitySequence, segment.metadata.discontinuitySequence);
+        } else {
+          this._assignDiscontinuitySequence(index);
+        }
+      });
+
       // Derive gaps from missing sequence numbers in the restored buffer
       // (covers downtime while the process wasn't running to record them)
       const restoredGaps = [];
@@ -1159,7 +1599,7 @@ class HybridBufferService extends EventEmitter {
     
     try {
       // Delete all segments (we'll keep none)
-      const deletedCount = await diskStorageService.cleanupSegments(() => false);
+      const deletedCount = await this.diskStorage.cleanupSegments(() => false);
       logger.info(`Cleaned up ${deletedCount} segments from disk`);
     } catch (error) {
       logger.error(`Failed to clean up disk segments: ${error.message}`);
@@ -7,30 +7,109 @@ const { monitorService } = require('./monitor-service');
 const { downloaderService } = require('./downloader-service');
 const { hybridBufferService } = require('./hybrid-buffer-service');
 const { metadataService } = require('./metadata-service');
+const { keyService } = require('./key-service');
+const { playlistGenerator } = require('./playlist-generator');
+const { StationPipeline } = require('./station-pipeline');
+const { RecordingScheduler } = require('./recording-scheduler');
+const { bandwidthLimiter } = require('./bandwidth-limiter');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
 /**
  * Service Manager Class
- * Initializes all services and establishes connections between them
+ * Runs one acquisition pipeline per configured station. The default
+ * station's pipeline wraps the module singletons, so the unprefixed routes
+ * and legacy callers keep working unchanged.
  */
 class ServiceManager {
   constructor(options = {}) {
     this.options = {
       bufferDuration: options.bufferDuration || config.BUFFER_DURATION,
       monitorInterval: options.monitorInterval || 10000,
+      variantPolicy: options.variantPolicy || config.VARIANT_POLICY,
+      recordAllVariants: options.recordAllVariants ?? config.RECORD_ALL_VARIANTS,
       streamUrl: options.streamUrl || config.STREAM_URLS.AKAMAI,
+      streamUrls: options.streamUrls ||
+        (options.streamUrl ? [options.streamUrl] : config.getStationStreamUrls(config.DEFAULT_STATION)),
       maxRetries: options.maxRetries || 3,
       maxConcurrentDownloads: options.maxConcurrentDownloads || 3,
+      stations: options.stations || config.STATIONS,
       ...options
     };
     
     this.isRunning = false;
     this.servicesInitialized = false;
-    this.servicesConnected = false;
+
+    this.defaultStationId = config.DEFAULT_STATION;
+    this.pipelines = new Map();
+    this._createPipelines();
+
+    // Pauses and resumes each station's recording per the recording rules
+    this.scheduler = options.scheduler || new RecordingScheduler();
+
+    // Download rate limit and daily data budget shared by every station;
+    // when the budget runs out, stations switch to data saver
+    this.bandwidth = options.bandwidth || bandwidthLimiter;
+    this._onBudgetStateChanged = () => this._applyDataSaver();
     
     logger.info('Service manager initialized with options:', this.options);
   }
+
+  /**
+   * Create one pipeline per configured station
+   * @private
+   */
+  _createPipelines() {
+    const shared = {
+      bufferDuration: this.options.bufferDuration,
+      monitorInterval: this.options.monitorInterval,
+      variantPolicy: this.options.variantPolicy,
+      recordAllVariants: this.options.recordAllVariants,
+      maxRetries: this.options.maxRetries,
+      maxConcurrentDownloads: this.options.maxConcurrentDownloads
+    };
+
+    this.pipelines.set(this.defaultStationId, new StationPipeline({
+      ...shared,
+      stationId: this.defaultStationId,
+      streamUrls: this.options.streamUrls,
+      storageDir: config.STORAGE.BASE_DIR,
+      // The shared monitor only reads HLS; a progressive default station
+      // gets its own source from the pipeline
+      monitor: config.getStationSourceType(this.defaultStationId) === 'hls' ? monitorService : undefined,
+      downloader: downloaderService,
+      buffer: hybridBufferService,
+      metadata: metadataService,
+      keys: keyService,
+      playlistGenerator
+    }));
+
+    for (const stationId of this.options.stations) {
+      if (this.pipelines.has(stationId)) continue;
+      this.pipelines.set(stationId, new StationPipeline({ ...shared, stationId }));
+    }
+  }
+
+  /**
+   * Get the pipeline for a station
+   * @param {string} [stationId] - Station ID (defaults to the default station)
+   * @returns {StationPipeline|null} - The pipeline, or null for an unknown station
+   */
+  getPipeline(stationId = this.defaultStationId) {
+    return this.pipelines.get(stationId) || null;
+  }
+
+  /**
+   * List the stations this manager records
+   * @returns {Array<Object>} - Station info with running state
+   */
+  getStations() {
+    return Array.from(this.pipelines.values()).map(pipeline => ({
+      ...pipeline.getStationInfo(),
+      isDefault: pipeline.stationId === this.defaultStationId,
+      isRunning: pipeline.isRunning
+    }));
+  }
   
   /**
    * Initialize all services
@@ -41,24 +120,15 @@ class ServiceManager {
       return;
     }
 
-    // Initialize hybrid buffer service (creates data directories)
-    await hybridBufferService.initialize({
-      duration: this.options.bufferDuration
-    });
-
-    // Initialize downloader service with custom options
-    downloaderService.initialize({
-      maxRetries: this.options.maxRetries,
-      maxConcurrentDownloads: this.options.maxConcurrentDownloads,
-      bufferService: hybridBufferService // Pass hybrid buffer service reference
-    });
+    for (const pipeline of this.pipelines.values()) {
+      await pipeline.initialize();
+    }
 
-    // Configure monitor service
-    monitorService.url = this.options.streamUrl;
-    monitorService.interval = this.options.monitorInterval;
+    // Today's data usage so far, so a restart doesn't reset the budget
+    await this.bandwidth.load();
 
     this.servicesInitialized = true;
-    logger.info('All services initialized');
+    logger.info(`All services initialized for ${this.pipelines.size} station(s)`);
   }
   
   /**
@@ -69,116 +139,13 @@ class ServiceManager {
       throw new Error('Services must be initialized before connecting');
     }
 
-    // Restarting the pipeline (e.g. POST /api/restart) must not stack a
-    // second set of listeners on the singletons
-    if (this.servicesConnected) {
-      logger.debug('Services already connected, skipping duplicate wiring');
-      return;
+    for (const pipeline of this.pipelines.values()) {
+      pipeline.connect();
     }
-
-    logger.info('Connecting services...');
-    
-    // Monitor -> Downloader: When new segments are found, download them
-    monitorService.on('newSegment', async (segmentInfo) => {
-      logger.debug(`Pipeline: New segment detected, triggering download: ${segmentInfo.url}`);
-      
-      try {
-        // Pass segment metadata to downloader
-        const downloadResult = await downloaderService.downloadSegment(
-          segmentInfo.url, 
-          {
-            sequenceNumber: segmentInfo.sequenceNumber,
-            discoveredAt: segmentInfo.discoveredAt,
-            duration: segmentInfo.duration
-          }
-        );
-        
-        if (downloadResult.success) {
-          logger.debug(`Pipeline: Successfully downloaded segment ${segmentInfo.sequenceNumber}`);
-        } else {
-          logger.error(`Pipeline: Failed to download segment ${segmentInfo.sequenceNumber}: ${downloadResult.errorMessage}`);
-        }
-      } catch (error) {
-        logger.error(`Pipeline: Error in download pipeline for segment ${segmentInfo.url}:`, error);
-      }
-    });
-    
-    // Downloader -> Buffer: Already connected through initialization
-    
-    // Monitor -> Service Manager: Propagate important events
-    monitorService.on('error', (errorInfo) => {
-      logger.error(`Pipeline: Monitor error: ${errorInfo.error || errorInfo.message || 'unknown'}`);
-    });
-
-    monitorService.on('discontinuity', (info) => {
-      logger.warn(`Pipeline: Stream discontinuity detected, ${info.skippedCount} segments skipped`);
-
-      // Record the hole as first-class gap data (~6.4s per skipped segment)
-      const now = Date.now();
-      hybridBufferService.recordGap({
-        fromSeq: info.expected,
-        toSeq: info.actual - 1,
-        startTime: now - info.skippedCount * 6400,
-        endTime: now,
-        reason: 'discontinuity'
-      });
-    });
-    
-    monitorService.on('maxErrorsReached', () => {
-      logger.error('Pipeline: Monitor reached maximum errors, attempting recovery');
-      // The monitor service already has its own recovery mechanism
-    });
-    
-    // Downloader -> Service Manager: Monitor download statistics
-    downloaderService.on('downloadSuccess', (result) => {
-      logger.debug(`Pipeline: Download success: ${result.url} (${result.size} bytes)`);
-    });
-    
-    downloaderService.on('downloadFailure', (failure) => {
-      logger.error(`Pipeline: Download failure: ${failure.url} - ${failure.message || failure.errorMessage}`);
-
-      // A permanently failed segment is a (small) hole in the recording
-      const seq = failure.metadata?.sequenceNumber;
-      if (Number.isFinite(seq)) {
-        const duration = (failure.metadata?.duration || 6.4) * 1000;
-        const now = Date.now();
-        hybridBufferService.recordGap({
-          fromSeq: seq,
-          toSeq: seq,
-          startTime: now - duration,
-          endTime: now,
-          reason: 'download-failure'
-        });
-      }
-    });
-    
-    downloaderService.on('downloadComplete', (stats) => {
-      logger.debug(`Pipeline: Download batch complete - ${stats.successCount}/${stats.totalCount} segments downloaded`);
-    });
-    
-    // Buffer -> Service Manager: Monitor buffer capacity
-    hybridBufferService.on('segmentAdded', (info) => {
-      logger.debug(`Pipeline: Segment added to buffer: ${info.segmentId}`);
-    });
-    
-    hybridBufferService.on('segmentExpired', (info) => {
-      logger.debug(`Pipeline: Segment expired from buffer: ${info.segmentId}`);
-    });
-    
-    hybridBufferService.on('bufferFull', () => {
-      logger.warn('Pipeline: Buffer reached capacity');
-    });
-
-    hybridBufferService.on('storagePressure', (capacity) => {
-      logger.warn('Pipeline: Storage pressure reported by buffer service', capacity || {});
-    });
-
-    this.servicesConnected = true;
-    logger.info('All services connected successfully');
   }
   
   /**
-   * Start the entire acquisition pipeline
+   * Start the entire acquisition pipeline (every station)
    * @param {Object} [options] - Start options
    * @returns {Promise<boolean>} - Success status
    */
@@ -198,37 +165,77 @@ class ServiceManager {
       
       // Connect services
       this.connectServices();
-      
-      // Start monitoring
-      const monitorStarted = monitorService.startMonitoring({
-        immediate: options.immediate !== false
-      });
-      
-      if (!monitorStarted) {
-        throw new Error('Failed to start monitor service');
+
+      // The default station must start; other stations are independent and
+      // a failure there only costs that station's recording. Stations
+      // outside their recording schedule start paused.
+      await this.getPipeline().start(this._getStartOptions(this.getPipeline(), options));
+      for (const pipeline of this.pipelines.values()) {
+        if (pipeline.stationId === this.defaultStationId) continue;
+        try {
+          await pipeline.start(this._getStartOptions(pipeline, options));
+        } catch (error) {
+          logger.error(`Failed to start pipeline for ${pipeline.stationId}: ${error.message}`);
+        }
       }
+
+      this.scheduler.start(this.pipelines);
+
+      this.bandwidth.on('budgetStateChanged', this._onBudgetStateChanged);
+      await this._applyDataSaver();
       
       this.isRunning = true;
       logger.info('Acquisition pipeline started successfully');
 
-      // Start metadata service independently (non-blocking, errors don't affect pipeline)
-      this._startMetadataService();
-
       return true;
     } catch (error) {
       logger.error(`Failed to start acquisition pipeline: ${error.message}`);
-      
-      // Attempt to clean up if startup fails
-      this.stopPipeline().catch(err => {
-        logger.error(`Cleanup after failed start also failed: ${err.message}`);
-      });
+
+      // Attempt to clean up any stations that did start
+      for (const pipeline of this.pipelines.values()) {
+        if (!pipeline.isRunning) continue;
+        pipeline.stop().catch(err => {
+          logger.error(`Cleanup after failed start also failed: ${err.message}`);
+        });
+      }
       
       return false;
     }
   }
   
   /**
-   * Stop the entire acquisition pipeline
+   * Start options for one station, with recording on only inside its schedule
+   * @private
+   * @param {StationPipeline} pipeline - The station's pipeline
+   * @param {Object} options - Options passed to startPipeline()
+   * @returns {Object} - Options for pipeline.start()
+   */
+  _getStartOptions(pipeline, options) {
+    return {
+      ...options,
+      recording: this.scheduler.isRecordingTime(pipeline.stationId, Date.now(), pipeline.metadata)
+    };
+  }
+
+  /**
+   * Put every station in data saver while the daily data budget is spent,
+   * and take them out of it once there's budget again
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _applyDataSaver() {
+    const enabled = this.bandwidth.getBudgetState() === 'exhausted';
+    for (const pipeline of this.pipelines.values()) {
+      try {
+        await pipeline.setDataSaver(enabled);
+      } catch (error) {
+        logger.error(`[${pipeline.stationId}] Could not ${enabled ? 'enable' : 'disable'} data saver: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stop the entire acquisition pipeline (every station)
    * @returns {Promise<boolean>} - Success status
    */
   async stopPipeline() {
@@ -239,41 +246,18 @@ class ServiceManager {
       }
       
       logger.info('Stopping acquisition pipeline...');
-      
-      // Stop the monitor
-      monitorService.stopMonitoring();
 
-      // Stop metadata service (non-critical)
-      try {
-        metadataService.stop();
-      } catch (e) {
-        logger.warn(`Error stopping metadata service: ${e.message}`);
-      }
-      
-      // Note: listeners wired in connectServices() are intentionally kept -
-      // wiring is one-time (guarded by servicesConnected) so a pipeline
-      // restart reuses them instead of stacking duplicates
+      this.scheduler.stop();
+      this.bandwidth.off('budgetStateChanged', this._onBudgetStateChanged);
 
-      // Wait for any pending downloads to complete, but never let a stuck
-      // download hold up shutdown past the forced-exit window
-      await Promise.race([
-        downloaderService.finishPendingDownloads(),
-        new Promise(resolve => {
-          const timer = setTimeout(() => {
-            logger.warn('Timed out waiting for pending downloads during shutdown');
-            resolve();
-          }, 8000);
-          timer.unref();
-        })
-      ]);
+      // Stations stop in parallel: each waits out its own pending downloads
+      await Promise.all(Array.from(this.pipelines.values())
+        .filter(pipeline => pipeline.isRunning)
+        .map(pipeline => pipeline.stop().catch(error => {
+          logger.error(`Error stopping pipeline for ${pipeline.stationId}: ${error.message}`);
+        })));
 
-      // Persist buffer metadata so a restart restores the full buffer
-      try {
-        hybridBufferService.stopIntervals();
-        await hybridBufferService.flushMetadata();
-      } catch (e) {
-        logger.warn(`Error flushing buffer metadata on shutdown: ${e.message}`);
-      }
+      await this.bandwidth.save();
 
       this.isRunning = false;
       logger.info('Acquisition pipeline stopped successfully');
@@ -289,75 +273,28 @@ class ServiceManager {
    * Restart just the monitor loop (self-heal for zombie/stuck states)
    * Much cheaper than a full pipeline restart: listeners, buffer and
    * downloader state are all preserved
+   * @param {string} [stationId] - Station to heal (defaults to the default station)
    * @returns {Promise<boolean>} - True if the monitor restarted
    */
-  async restartMonitor() {
-    logger.warn('Restarting monitor service (self-heal)');
-
-    try {
-      monitorService.stopMonitoring();
-    } catch (error) {
-      logger.warn(`Error stopping monitor during self-heal: ${error.message}`);
-    }
-
-    monitorService.errorCount = 0;
-    const started = monitorService.startMonitoring({ immediate: true });
-
-    if (started) {
-      logger.info('Monitor service restarted successfully');
-    } else {
-      logger.error('Monitor service failed to restart during self-heal');
-    }
-
-    return started;
-  }
-
-  /**
-   * Start metadata service independently
-   * Failures here should never impact the main pipeline
-   * @private
-   */
-  async _startMetadataService() {
-    try {
-      // Load any existing metadata from disk
-      await metadataService.loadFromDisk();
-      // Start polling
-      metadataService.start();
-      logger.info('Metadata service started');
-    } catch (error) {
-      // Log but don't throw - metadata is non-critical
-      logger.warn(`Failed to start metadata service: ${error.message}`);
+  async restartMonitor(stationId = this.defaultStationId) {
+    const pipeline = this.getPipeline(stationId);
+    if (!pipeline) {
+      logger.warn(`Cannot restart monitor for unknown station: ${stationId}`);
+      return false;
     }
+    return pipeline.restartMonitor();
   }
 
   /**
    * Get current pipeline status
-   * @returns {Object} - Status information for all services
+   * @param {string} [stationId] - Station to report (defaults to the default station)
+   * @returns {Object|null} - Status information for all services, or null for an unknown station
    */
-  getPipelineStatus() {
-    let metadataStats = null;
-    try {
-      metadataStats = metadataService.getStats();
-    } catch (e) {
-      // Ignore metadata errors
-    }
-
-    let capacity = null;
-    try {
-      const { diskStorageService } = require('./disk-storage-service');
-      capacity = diskStorageService.getLastCapacity();
-    } catch (e) {
-      // Capacity info is best-effort
-    }
-
-    return {
-      isRunning: this.isRunning,
-      monitor: monitorService.getStatus(),
-      downloader: downloaderService.getStats(),
-      buffer: hybridBufferService.getBufferStats(),
-      metadata: metadataStats,
-      capacity
-    };
+  getPipelineStatus(stationId = this.defaultStationId) {
+    const pipeline = this.getPipeline(stationId);
+    return pipeline
+      ? { ...pipeline.getStatus(), schedule: this.scheduler.getStatus(pipeline.stationId, pipeline.metadata) }
+      : null;
   }
   
   /**
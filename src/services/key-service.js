@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { httpClient } = require('./http-client');
+
+/**
+ * Key Service
+ * Fetches and caches the keys of encrypted HLS sources (#EXT-X-KEY).
+ * AES-128 segments are decrypted before they reach the buffer. SAMPLE-AES
+ * segments are stored as-is; their keys are persisted next to the segments
+ * so generated playlists can re-emit EXT-X-KEY and the player decrypts.
+ */
+class KeyService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.baseDir = options.baseDir || config.STORAGE.BASE_DIR;
+    this.keysPath = path.join(this.baseDir, options.keysDir || config.STORAGE.KEYS_DIR);
+    this.maxCachedKeys = options.maxCachedKeys || 50;
+
+    // Key URI -> Buffer. Rotation shows up as a new URI, so old entries just
+    // age out of the (insertion-ordered) cache.
+    this.cache = new Map();
+    this.pendingFetches = new Map();
+
+    this.stats = {
+      fetches: 0,
+      cacheHits: 0,
+      fetchErrors: 0,
+      decrypted: 0,
+      persisted: 0
+    };
+  }
+
+  /**
+   * Get the key for a key URI, fetching it if it isn't cached
+   * @param {string} uri - Absolute key URI
+   * @returns {Promise<Buffer>} - The 16-byte key
+   */
+  async getKey(uri) {
+    if (this.cache.has(uri)) {
+      this.stats.cacheHits++;
+      return this.cache.get(uri);
+    }
+
+    // Several segments share a key; fetch it once
+    if (this.pendingFetches.has(uri)) {
+      return this.pendingFetches.get(uri);
+    }
+
+    const fetchPromise = this._fetchKey(uri).finally(() => {
+      this.pendingFetches.delete(uri);
+    });
+    this.pendingFetches.set(uri, fetchPromise);
+
+    return fetchPromise;
+  }
+
+  /**
+   * Fetch a key from its URI and cache it
+   * @private
+   * @param {string} uri - Absolute key URI
+   * @returns {Promise<Buffer>} - The 16-byte key
+   */
+  async _fetchKey(uri) {
+    try {
+      const response = await httpClient.get(uri, { responseType: 'arraybuffer' });
+
+      const key = Buffer.from(response.data);
+      if (key.length !== 16) {
+        throw new Error(`invalid key content: expected 16 bytes, got ${key.length}`);
+      }
+
+      this.stats.fetches++;
+      this.cache.set(uri, key);
+      if (this.cache.size > this.maxCachedKeys) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+
+      logger.info(`Fetched encryption key: ${uri}`);
+      this.emit('keyFetched', { uri });
+
+      return key;
+    } catch (error) {
+      this.stats.fetchErrors++;
+      logger.error(`Failed to fetch encryption key ${uri}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt an AES-128 segment
+   * @param {Buffer} data - Encrypted segment data
+   * @param {Object} key - Segment key info { method, uri, iv } (iv as hex)
+   * @returns {Promise<Buffer>} - Decrypted segment data
+   */
+  async decryptSegment(data, key) {
+    const keyData = await this.getKey(key.uri);
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-128-cbc', keyData, Buffer.from(key.iv, 'hex'));
+      const decrypted = Buffer.concat([decipher.update(data), decipher.final()]);
+      this.stats.decrypted++;
+      return decrypted;
+    } catch (error) {
+      // Bad padding almost always means a wrong key or IV. Drop the cached
+      // key in case the source rotated it in place, so a retry refetches it.
+      this.cache.delete(key.uri);
+      const decryptError = new Error(`Failed to decrypt segment content: ${error.message}`);
+      decryptError.code = 'DECRYPT_FAILED';
+      throw decryptError;
+    }
+  }
+
+  /**
+   * Persist a key so it can be served alongside the stored segments
+   * @param {Object} key - Segment key info { method, uri, iv }
+   * @returns {Promise<string>} - Key ID to reference from playlists
+   */
+  async persistKey(key) {
+    const keyId = KeyService.getKeyId(key.uri);
+    const filePath = path.join(this.keysPath, `${keyId}.key`);
+
+    try {
+      await fs.access(filePath);
+      return keyId;
+    } catch (e) {
+      // Not persisted yet
+    }
+
+    const keyData = await this.getKey(key.uri);
+    await fs.mkdir(this.keysPath, { recursive: true });
+    await fs.writeFile(filePath, keyData);
+    this.stats.persisted++;
+    logger.info(`Persisted encryption key ${keyId}`);
+
+    return keyId;
+  }
+
+  /**
+   * Read a persisted key
+   * @param {string} keyId - Key ID from persistKey()
+   * @returns {Promise<Buffer|null>} - The key, or null if unknown
+   */
+  async readPersistedKey(keyId) {
+    if (!/^[a-f0-9]+$/.test(keyId)) {
+      return null;
+    }
+
+    try {
+      return await fs.readFile(path.join(this.keysPath, `${keyId}.key`));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get key service statistics
+   * @returns {Object} - Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cachedKeys: this.cache.size
+    };
+  }
+
+  /**
+   * Stable file-safe ID for a key URI
+   * @param {string} uri - Key URI
+   * @returns {string} - Hex ID
+   */
+  static getKeyId(uri) {
+    return crypto.createHash('sha1').update(uri).digest('hex').slice(0, 16);
+  }
+}
+
+// Export singleton instance
+const keyService = new KeyService();
+
+module.exports = {
+  keyService,
+  KeyService
+};
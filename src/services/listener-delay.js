@@ -0,0 +1,152 @@
+/**
+ * Listener Delay
+ * Works out how far behind live a listener plays. By default that's
+ * DELAY_DURATION, or in timezone mode whatever lines the source's clock up
+ * with the listener's; a listener can ask for their own delay in the playlist
+ * URL, either relative (?delay=2h, ?delay=90m, ?delay=5400) or as the
+ * broadcast time to start from (?at=2026-10-19T07:00Z). Requested delays are
+ * checked against what the station's buffer actually holds and clamped into
+ * it, with a message saying why.
+ */
+
+const config = require('../config/config');
+const { timezoneDelay } = require('./timezone-delay');
+
+// Milliseconds per unit in a delay such as '1h30m'
+const UNITS = {
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+  s: 1000
+};
+
+/**
+ * Parse a delay: plain seconds ('5400') or units ('2h', '1h30m', '90m', '45s')
+ * @param {string} text - Delay text
+ * @returns {number|null} - Delay in ms, or null if invalid
+ */
+function parseDelay(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  if (!/^(\d+(\.\d+)?[hms])+$/.test(value)) {
+    return null;
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)([hms])/g)) {
+    total += parseFloat(amount) * UNITS[unit];
+  }
+  return Math.round(total);
+}
+
+/**
+ * Format a delay for messages: '2h', '1h30m', '45s'
+ * @param {number} ms - Delay in ms
+ * @returns {string}
+ */
+function formatDelay(ms) {
+  let seconds = Math.max(0, Math.round(ms / 1000));
+  let text = '';
+  for (const [unit, size] of [['h', 3600], ['m', 60]]) {
+    if (seconds >= size) {
+      text += `${Math.floor(seconds / size)}${unit}`;
+      seconds %= size;
+    }
+  }
+  return seconds > 0 || !text ? `${text}${seconds}s` : text;
+}
+
+/**
+ * The delay listeners get unless they ask for another
+ * @param {number} [now] - Current time in ms
+ * @returns {number} - Delay in ms
+ */
+function getDefaultDelay(now = Date.now()) {
+  return timezoneDelay ? timezoneDelay.getDelay(now) : config.DELAY_DURATION;
+}
+
+/**
+ * How the default delay is set, for /api/status
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} - { mode, delayMs }, plus the zones and upcoming
+ *   transitions in timezone mode
+ */
+function getDelayStatus(now = Date.now()) {
+  return timezoneDelay
+    ? timezoneDelay.getStatus(now)
+    : { mode: 'fixed', delayMs: config.DELAY_DURATION };
+}
+
+/**
+ * Clamp a delay into what the buffer holds: anything from the end of the
+ * newest segment back to the oldest can be played
+ * @param {number} requested - Delay in ms
+ * @param {Object} bufferService - The station's buffer
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} - { delay, clamped, minDelay, maxDelay }, the bounds
+ *   being null while the buffer is empty
+ */
+function clampDelay(requested, bufferService, now = Date.now()) {
+  const oldest = bufferService.getOldestSegmentTime();
+  const newest = bufferService.getNewestSegmentTime();
+  if (!oldest || !newest) {
+    return { delay: Math.max(0, requested), clamped: false, minDelay: null, maxDelay: null };
+  }
+
+  const newestSegment = bufferService.segments?.find(segment => segment.timestamp === newest);
+  const newestEnd = newest + (newestSegment?.metadata?.duration || 0) * 1000;
+  // Clamped delays are redirected to in whole seconds, so the bounds are
+  // rounded inwards: the delay redirected to is never clamped again
+  const minDelay = Math.ceil(Math.max(0, now - newestEnd) / 1000) * 1000;
+  const maxDelay = Math.max(minDelay, Math.floor((now - oldest) / 1000) * 1000);
+  const delay = Math.min(Math.max(requested, minDelay), maxDelay);
+  return { delay, clamped: delay !== requested, minDelay, maxDelay };
+}
+
+/**
+ * Resolve the delay a playlist request asks for
+ * @param {Object} query - Request query ({ delay } or { at })
+ * @param {Object} bufferService - The station's buffer, for the range it holds
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} - { delay (ms), requested, fixed, clamped, message }, where
+ *   fixed is false when the request left the delay at the default; or
+ *   { error } when the query can't be understood
+ */
+function resolveDelay(query, bufferService, now = Date.now()) {
+  let requested;
+  if (query.at !== undefined) {
+    const at = Date.parse(query.at);
+    if (typeof query.at !== 'string' || !Number.isFinite(at)) {
+      return { error: `Invalid at "${query.at}": use an ISO 8601 time such as 2026-10-19T07:00Z` };
+    }
+    requested = now - at;
+  } else if (query.delay !== undefined) {
+    requested = parseDelay(query.delay);
+    if (requested === null) {
+      return { error: `Invalid delay "${query.delay}": use seconds or a duration such as 90m or 2h` };
+    }
+  } else {
+    const delay = getDefaultDelay(now);
+    return { delay, requested: delay, fixed: false, clamped: false };
+  }
+
+  const { delay, clamped, maxDelay } = clampDelay(requested, bufferService, now);
+  if (!clamped) {
+    return { delay, requested, fixed: true, clamped: false };
+  }
+
+  const message = requested > maxDelay
+    ? `Requested delay ${formatDelay(requested)} is beyond the ${formatDelay(maxDelay)} buffered; playing from the oldest segment (delay ${formatDelay(delay)})`
+    : `Requested ${requested < 0 ? 'time is in the future' : `delay ${formatDelay(requested)} is ahead of the newest buffered segment`}; playing at delay ${formatDelay(delay)}`;
+  return { delay, requested, fixed: true, clamped: true, message };
+}
+
+module.exports = {
+  parseDelay,
+  formatDelay,
+  getDefaultDelay,
+  getDelayStatus,
+  clampDelay,
+  resolveDelay
+};
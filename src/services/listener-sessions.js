@@ -0,0 +1,448 @@
+/**
+ * Listener Sessions
+ * Each listener's own place in the delayed stream. Without one everybody
+ * plays at the default delay, so pausing for twenty minutes meant missing
+ * twenty minutes. A session, identified by a cookie (or a ?session= token
+ * for players that don't keep cookies), remembers the delay a listener
+ * plays at and the moment they paused at, so playback resumes exactly
+ * there while that audio is still buffered. Sessions are kept per station
+ * and saved next to the station's buffer-metadata.json, so they survive a
+ * restart.
+ *
+ * A listener behind the default delay can catch up to it: straight away,
+ * by skipping talk and news, or by playing slightly fast. Playing fast,
+ * their delay is modelled here from their last report, so their playlist
+ * window moves on as quickly as they play through it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getDefaultDelay, clampDelay } = require('./listener-delay');
+
+const SESSION_COOKIE = 'encore_session';
+
+// Changes are written out in batches, this long after the first one
+const SAVE_DELAY = 5000;
+
+const CATCH_UP_MODES = ['speed', 'skip', 'jump'];
+
+// Within this of the default delay counts as caught up
+const CATCH_UP_TOLERANCE = 2000;
+
+// Playing fast, a listener reports every 30s; without a report for this
+// long they're taken to have stopped, and their modelled delay stops
+// shrinking
+const SPEED_MODEL_LIMIT = 60000;
+
+/**
+ * Check a session ID's shape before it's used as a key
+ * @param {string} id - Session ID
+ * @returns {boolean}
+ */
+function isValidSessionId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{16,64}$/.test(id);
+}
+
+/**
+ * Session ID a request carries: ?session= first, then the cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} - A well-formed session ID, or null
+ */
+function getSessionId(req) {
+  if (isValidSessionId(req.query?.session)) {
+    return req.query.session;
+  }
+
+  for (const cookie of (req.headers?.cookie || '').split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE && isValidSessionId(value.join('='))) {
+      return value.join('=');
+    }
+  }
+  return null;
+}
+
+/**
+ * Listener Sessions Class
+ */
+class ListenerSessions extends EventEmitter {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.baseDir] - Station storage directory
+   * @param {string} [options.fileName] - Sessions file in it
+   * @param {number} [options.ttl] - Forget sessions idle for this long (ms)
+   * @param {boolean} [options.persist] - Save to disk (default true)
+   * @param {MetadataService} [options.metadata] - The station's metadata, for
+   *   the talk a listener catching up can skip
+   * @param {HybridBufferService} [options.buffer] - The station's buffer, for
+   *   how far back a catch-up can start
+   */
+  constructor(options = {}) {
+    super();
+
+    this.baseDir = options.baseDir || config.STORAGE.BASE_DIR;
+    this.filePath = path.join(this.baseDir, options.fileName || config.STORAGE.SESSIONS_FILE);
+    this.ttl = options.ttl || config.LISTENER_SESSION_TTL;
+    this.persist = options.persist !== false;
+    this.metadata = options.metadata || null;
+    this.buffer = options.buffer || null;
+
+    // id -> { id, delayMs, pausedAt, catchUp, updatedAt }: delayMs is null
+    // at the default delay, pausedAt the capture time paused at (null if
+    // playing), catchUp { mode, rate, fromDriftMs, startedAt, anchoredAt }
+    // while catching up to the default delay
+    this.sessions = new Map();
+    this._saveTimer = null;
+    this._savePromise = null;
+  }
+
+  /**
+   * Start a session at the default delay
+   * @param {string} [id] - Session ID, e.g. one the listener has from another
+   *   station (a new one if omitted)
+   * @param {number} [now] - Current time in ms
+   * @returns {Object} - The session
+   */
+  create(id = crypto.randomBytes(18).toString('base64url'), now = Date.now()) {
+    const session = { id, delayMs: null, pausedAt: null, catchUp: null, updatedAt: now };
+    this.sessions.set(session.id, session);
+    this._scheduleSave();
+    return { ...session };
+  }
+
+  /**
+   * Get a session
+   * @param {string} id - Session ID
+   * @returns {Object|null} - The session, or null if unknown
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    return session ? { ...session } : null;
+  }
+
+  /**
+   * Record where a listener is. Playing, the delay they're at is kept;
+   * paused, the moment they paused at, to resume from. Pausing calls off a
+   * catch-up, and one that has made up the lost time ends.
+   * @param {string} id - Session ID (an unknown one is started afresh, e.g.
+   *   after the session expired)
+   * @param {Object} state - Listener state
+   * @param {number} state.playhead - Capture time being played (ms, from EXT-X-PROGRAM-DATE-TIME)
+   * @param {boolean} [state.paused] - Whether playback is paused
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} - The session, or null for a malformed ID
+   */
+  update(id, state, now = Date.now()) {
+    if (!isValidSessionId(id)) {
+      return null;
+    }
+
+    const session = this.sessions.get(id) || { id, delayMs: null, pausedAt: null, catchUp: null };
+    if (state.paused) {
+      session.pausedAt = state.playhead;
+      session.catchUp = null;
+    } else {
+      session.delayMs = Math.max(0, now - state.playhead);
+      session.pausedAt = null;
+      if (session.catchUp) {
+        session.catchUp.anchoredAt = now;
+        if (session.delayMs - getDefaultDelay(now) <= CATCH_UP_TOLERANCE) {
+          this.emit('caughtUp', { id, mode: session.catchUp.mode, durationMs: now - session.catchUp.startedAt });
+          session.delayMs = null;
+          session.catchUp = null;
+        }
+      }
+    }
+    session.updatedAt = now;
+    this.sessions.set(id, session);
+
+    this.emit('updated', { ...session });
+    this._scheduleSave();
+    return { ...session };
+  }
+
+  /**
+   * Put a listener back on the default delay. 'jump' does it at once;
+   * 'speed' and 'skip' carry on from where they are (resuming if paused)
+   * and make up the lost time gradually, from no further back than the
+   * buffer reaches. A listener ahead of the default delay, or barely behind
+   * it (once held to the buffer), jumps whatever the mode.
+   * @param {string} id - Session ID
+   * @param {string} [mode] - 'speed', 'skip' or 'jump' (default CATCH_UP_MODE)
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} - The session, or null if unknown
+   */
+  catchUp(id, mode = config.CATCH_UP_MODE, now = Date.now()) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    // Paused for longer than the buffer holds, there's nothing to play
+    // from where they were
+    const delayMs = this.buffer
+      ? clampDelay(this._getDelay(session, now), this.buffer, now).delay
+      : this._getDelay(session, now);
+    const driftMs = delayMs - getDefaultDelay(now);
+    if (mode === 'jump' || driftMs <= CATCH_UP_TOLERANCE) {
+      session.delayMs = null;
+      session.catchUp = null;
+    } else {
+      session.delayMs = delayMs;
+      session.catchUp = {
+        mode,
+        rate: mode === 'speed' ? config.CATCH_UP_RATE : 1,
+        fromDriftMs: driftMs,
+        startedAt: now,
+        anchoredAt: now
+      };
+    }
+    session.pausedAt = null;
+    session.updatedAt = now;
+    this._scheduleSave();
+    return { ...session };
+  }
+
+  /**
+   * The delay a listener is at: how far behind they fell if paused, as
+   * modelled if catching up at speed
+   * @private
+   * @param {Object} session - Session
+   * @param {number} now - Current time in ms
+   * @returns {number} - Delay in ms
+   */
+  _getDelay(session, now) {
+    if (session.pausedAt !== null) {
+      return now - session.pausedAt;
+    }
+    if (session.delayMs === null) {
+      return getDefaultDelay(now);
+    }
+    if (session.catchUp?.mode === 'speed') {
+      const playedFor = Math.min(Math.max(0, now - session.catchUp.anchoredAt), SPEED_MODEL_LIMIT);
+      return Math.max(getDefaultDelay(now), session.delayMs - (session.catchUp.rate - 1) * playedFor);
+    }
+    return session.delayMs;
+  }
+
+  /**
+   * The delay to serve a listener catching up at speed. It shrinks as they
+   * play, so unlike getPlaylistQuery's it isn't pinned with a redirect.
+   * @param {string} id - Session ID
+   * @param {number} [now] - Current time in ms
+   * @returns {number|null} - Delay in ms, or null if not catching up at speed
+   */
+  getCatchUpDelay(id, now = Date.now()) {
+    const session = this.sessions.get(id);
+    if (session?.catchUp?.mode !== 'speed' || session.pausedAt !== null) {
+      return null;
+    }
+    return this._getDelay(session, now);
+  }
+
+  /**
+   * What a playlist request without its own ?delay= or ?at= should play
+   * for this listener, as that query
+   * @param {string} id - Session ID
+   * @returns {Object|null} - { at } to resume where they paused, { delay }
+   *   (seconds) to carry on at their delay, or null for the default delay
+   */
+  getPlaylistQuery(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (session.pausedAt !== null) {
+      return { at: new Date(session.pausedAt).toISOString() };
+    }
+    if (session.delayMs !== null) {
+      return { delay: String(Math.round(session.delayMs / 1000)) };
+    }
+    return null;
+  }
+
+  /**
+   * A session as the player sees it, with how far it has drifted from the
+   * default delay (positive when behind it)
+   * @param {string} id - Session ID
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} - { id, paused, playhead, delayMs, defaultDelayMs,
+   *   driftMs, catchUp }, catchUp giving the mode and progress of a catch-up
+   *   (null if not catching up)
+   */
+  getStatus(id, now = Date.now()) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const defaultDelayMs = getDefaultDelay(now);
+    const delayMs = this._getDelay(session, now);
+    const driftMs = delayMs - defaultDelayMs;
+    return {
+      id: session.id,
+      paused: session.pausedAt !== null,
+      playhead: new Date(now - delayMs).toISOString(),
+      delayMs,
+      defaultDelayMs,
+      driftMs,
+      catchUp: session.catchUp && this._getCatchUpStatus(session.catchUp, now - delayMs, driftMs)
+    };
+  }
+
+  /**
+   * Progress of a catch-up, and in skip mode the next talk to skip
+   * @private
+   * @param {Object} catchUp - The session's catch-up
+   * @param {number} playhead - Capture time the listener is at
+   * @param {number} driftMs - How far behind the default delay they still are
+   * @returns {Object} - { mode, rate, startedAt, percent, remainingMs, nextSkip }
+   */
+  _getCatchUpStatus(catchUp, playhead, driftMs) {
+    const remainingMs = Math.max(0, driftMs);
+    const status = {
+      mode: catchUp.mode,
+      rate: catchUp.rate,
+      startedAt: new Date(catchUp.startedAt).toISOString(),
+      percent: Math.round(Math.min(1, 1 - remainingMs / catchUp.fromDriftMs) * 1000) / 10,
+      remainingMs
+    };
+
+    // Skipping from the playhead (or the talk's start) on by no more than
+    // the time still to make up
+    if (catchUp.mode === 'skip') {
+      const talk = this.metadata?.getNextTalk(playhead, playhead + remainingMs);
+      const from = talk && Math.max(talk.start, playhead);
+      status.nextSkip = talk && {
+        from: new Date(from).toISOString(),
+        to: new Date(Math.min(talk.end, from + remainingMs)).toISOString(),
+        type: talk.data.type,
+        title: talk.data.title
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Counts for the pipeline status
+   * @returns {Object} - { sessions, paused, catchingUp }
+   */
+  getStats() {
+    let paused = 0;
+    let catchingUp = 0;
+    for (const session of this.sessions.values()) {
+      if (session.pausedAt !== null) paused++;
+      if (session.catchUp) catchingUp++;
+    }
+    return { sessions: this.sessions.size, paused, catchingUp };
+  }
+
+  /**
+   * Forget sessions not heard from within the TTL
+   * @private
+   * @param {number} [now] - Current time in ms
+   */
+  _pruneIdle(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (session.updatedAt < now - this.ttl) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Load saved sessions
+   */
+  async load() {
+    if (!this.persist) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const session of saved.sessions || []) {
+        if (isValidSessionId(session.id) && Number.isFinite(session.updatedAt)) {
+          this.sessions.set(session.id, {
+            id: session.id,
+            delayMs: Number.isFinite(session.delayMs) ? session.delayMs : null,
+            pausedAt: Number.isFinite(session.pausedAt) ? session.pausedAt : null,
+            catchUp: CATCH_UP_MODES.includes(session.catchUp?.mode) && Number.isFinite(session.delayMs)
+              ? session.catchUp
+              : null,
+            updatedAt: session.updatedAt
+          });
+        }
+      }
+      this._pruneIdle();
+      logger.info(`Loaded ${this.sessions.size} listener sessions`);
+    } catch (error) {
+      // No file yet is the usual case; a bad one just starts afresh
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to load listener sessions: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save after a short while, batching changes
+   * @private
+   */
+  _scheduleSave() {
+    if (!this.persist || this._saveTimer) {
+      return;
+    }
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY);
+    this._saveTimer.unref?.();
+  }
+
+  /**
+   * Save sessions now. Written to a temporary file and renamed over the old
+   * one, so a crash mid-write never loses them all.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.persist) {
+      return;
+    }
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+    if (this._savePromise) {
+      await this._savePromise.catch(() => {});
+    }
+
+    this._pruneIdle();
+    const content = JSON.stringify({ savedAt: Date.now(), sessions: [...this.sessions.values()] });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    this._savePromise = (async () => {
+      try {
+        await fs.mkdir(this.baseDir, { recursive: true });
+        await fs.writeFile(tmpPath, content, 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+      } catch (error) {
+        // Never throw from save - sessions are a convenience
+        logger.warn(`Failed to save listener sessions: ${error.message}`);
+      }
+    })().finally(() => {
+      this._savePromise = null;
+    });
+
+    return this._savePromise;
+  }
+}
+
+module.exports = {
+  ListenerSessions,
+  SESSION_COOKIE,
+  CATCH_UP_MODES,
+  getSessionId,
+  isValidSessionId
+};
@@ -1,6 +1,11 @@
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { httpClient } = require('./http-client');
+
+// Skipping back within this long after a track starts goes to the one
+// before it rather than restarting it, as on a CD player
+const PREVIOUS_TRACK_GRACE = 3000;
 
 /**
  * Metadata Service
@@ -13,17 +18,19 @@ class MetadataService extends EventEmitter {
     super();
 
     // Configuration
-    this.stationId = options.stationId || 'bbc_6music';
+    this.stationId = options.stationId || config.DEFAULT_STATION;
     this.pollInterval = options.pollInterval || 30000; // 30 seconds
     this.retentionDuration = options.retentionDuration || config.BUFFER_DURATION; // Match audio buffer
     this.apiBaseUrl = 'https://rms.api.bbc.co.uk/v2';
+    this.storageDir = options.storageDir || config.STORAGE.BASE_DIR;
 
     // Station info (static)
+    const station = config.BBC_STATIONS[this.stationId] || {};
     this.stationInfo = {
-      id: 'bbc_6music',
-      name: 'BBC Radio 6 Music',
-      shortName: 'Radio 6 Music',
-      logoUrl: 'https://sounds.files.bbci.co.uk/3.9.4/networks/bbc_6music/colour_default.svg'
+      id: this.stationId,
+      name: station.name || this.stationId,
+      shortName: station.shortName || station.name || this.stationId,
+      logoUrl: `https://sounds.files.bbci.co.uk/3.9.4/networks/${this.stationId}/colour_default.svg`
     };
 
     // State - track metadata
@@ -33,6 +40,10 @@ class MetadataService extends EventEmitter {
     // State - show/schedule metadata
     this.shows = []; // Array of { start, end, data } objects
 
+    // State - talk, news and other non-music segments, which a listener
+    // catching up to the default delay can skip
+    this.talk = []; // Array of { start, end, data } objects
+
     this.pollTimer = null;
     this.isRunning = false;
     this.lastPollTime = null;
@@ -115,37 +126,11 @@ class MetadataService extends EventEmitter {
   async _pollTracks() {
     const url = `${this.apiBaseUrl}/services/${this.stationId}/segments/latest?experience=domestic&limit=10`;
 
-    // Use dynamic import for fetch (Node 18+)
-    const fetch = globalThis.fetch || (await import('node-fetch')).default;
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
-
-    try {
-      const response = await fetch(url, {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'encore.fm/1.0'
-        }
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      this._processResponse(data);
-
-      this.lastPollTime = Date.now();
-      this.successCount++;
+    const data = await httpClient.getJson(url);
+    this._processResponse(data);
 
-    } catch (error) {
-      clearTimeout(timeout);
-      throw error;
-    }
+    this.lastPollTime = Date.now();
+    this.successCount++;
   }
 
   /**
@@ -171,8 +156,6 @@ class MetadataService extends EventEmitter {
     const maxOffset = Math.max(...response.data.map(item => item.offset?.end || item.offset?.start || 0));
 
     for (const item of response.data) {
-      if (item.segment_type !== 'music') continue;
-
       let broadcastTime = null;
 
       if (currentShow && Number.isFinite(item.offset?.start)) {
@@ -191,6 +174,11 @@ class MetadataService extends EventEmitter {
         broadcastTime = now - (secondsAgo * 1000);
       }
 
+      if (item.segment_type !== 'music') {
+        this._recordTalk(item, broadcastTime);
+        continue;
+      }
+
       // Check if we already have this item (by ID)
       const existingIndex = this.metadata.findIndex(m => m.data.id === item.id);
       if (existingIndex >= 0) continue;
@@ -227,6 +215,70 @@ class MetadataService extends EventEmitter {
     }
   }
 
+  /**
+   * Keep a non-music segment (speech, news...) from the BBC API as a span
+   * of broadcast time
+   * @private
+   * @param {Object} item - Segment from the API
+   * @param {number} start - Its broadcast start time
+   */
+  _recordTalk(item, start) {
+    const duration = (item.offset?.end || 0) - (item.offset?.start || 0);
+    if (!(duration > 0) || this.talk.some(span => span.data.id === item.id)) return;
+
+    this.talk.push({
+      start,
+      end: start + duration * 1000,
+      data: {
+        id: item.id,
+        type: item.segment_type || 'speech',
+        title: item.titles?.secondary || item.titles?.primary || ''
+      }
+    });
+  }
+
+  /**
+   * Record a track title carried in the audio stream itself (the ICY
+   * StreamTitle of Icecast/Shoutcast sources, usually "Artist - Title").
+   * The stream only says when a title starts, so each entry's duration is
+   * filled in when the next title arrives.
+   * @param {string} streamTitle - Title as sent by the stream
+   * @param {number} [timestamp] - When the title arrived
+   */
+  recordStreamTitle(streamTitle, timestamp = Date.now()) {
+    const previous = this.metadata.length > 0 ? this.metadata[this.metadata.length - 1] : null;
+    if (previous && String(previous.data.id).startsWith('icy-') && !previous.data.duration) {
+      previous.data.duration = Math.max(0, Math.round((timestamp - previous.timestamp) / 1000));
+      previous.data.isNowPlaying = false;
+    }
+
+    if (!streamTitle) {
+      return;
+    }
+
+    const separator = streamTitle.indexOf(' - ');
+    const entry = {
+      timestamp,
+      storedAt: Date.now(),
+      data: {
+        id: `icy-${timestamp}`,
+        artist: separator > 0 ? streamTitle.slice(0, separator).trim() : this.stationInfo.name,
+        title: separator > 0 ? streamTitle.slice(separator + 3).trim() : streamTitle.trim(),
+        imageUrl: null,
+        isNowPlaying: true,
+        startedAt: timestamp,
+        duration: 0
+      }
+    };
+
+    this.metadata.push(entry);
+    this.metadataByTime.set(timestamp, entry);
+    this.emit('nowPlaying', entry.data);
+
+    this._pruneOldMetadata();
+    this._saveMetadata();
+  }
+
   /**
    * Format image URL with a reasonable size
    * @private
@@ -245,26 +297,7 @@ class MetadataService extends EventEmitter {
     const url = `${this.apiBaseUrl}/experience/inline/schedules/${this.stationId}?time=now`;
 
     try {
-      const fetch = globalThis.fetch || (await import('node-fetch')).default;
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
-
-      const response = await fetch(url, {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'encore.fm/1.0'
-        }
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await httpClient.getJson(url);
       this._processScheduleResponse(data);
 
     } catch (error) {
@@ -302,7 +335,7 @@ class MetadataService extends EventEmitter {
         storedAt: now,
         data: {
           id: item.id,
-          title: item.titles?.primary || 'BBC Radio 6 Music',
+          title: item.titles?.primary || this.stationInfo.name,
           subtitle: item.titles?.secondary || '',
           presenter: item.titles?.tertiary || '',
           synopsis: item.synopses?.short || '',
@@ -319,12 +352,13 @@ class MetadataService extends EventEmitter {
   }
 
   /**
-   * Remove shows older than retention duration
+   * Remove shows (and talk spans) older than retention duration
    * @private
    */
   _pruneOldShows() {
     const cutoffTime = Date.now() - this.retentionDuration;
     this.shows = this.shows.filter(show => show.end >= cutoffTime);
+    this.talk = this.talk.filter(span => span.end >= cutoffTime);
   }
 
   /**
@@ -334,7 +368,6 @@ class MetadataService extends EventEmitter {
    */
   async _backfillHistoricalTracks() {
     logger.info('Starting historical track backfill...');
-    const fetch = globalThis.fetch || (await import('node-fetch')).default;
 
     // Get schedule for the past 9 hours (covers 8.5 hour buffer + margin)
     const hoursToFetch = 9;
@@ -346,15 +379,12 @@ class MetadataService extends EventEmitter {
         const targetTime = new Date(now - (hoursAgo * 3600000)).toISOString();
         const scheduleUrl = `${this.apiBaseUrl}/experience/inline/schedules/${this.stationId}?time=${targetTime}`;
 
-        const scheduleResponse = await fetch(scheduleUrl, {
-          headers: { 'Accept': 'application/json', 'User-Agent': 'encore.fm/1.0' }
-        });
-
-        if (!scheduleResponse.ok) continue;
-
-        const scheduleData = await scheduleResponse.json();
+        const scheduleData = await httpClient.getJson(scheduleUrl);
         const broadcasts = scheduleData?.data?.[0]?.data || [];
 
+        // Keep the shows too, so the whole buffer has them after a restart
+        this._processScheduleResponse(scheduleData);
+
         for (const broadcast of broadcasts) {
           if (broadcast.type !== 'broadcast_summary') continue;
 
@@ -370,27 +400,24 @@ class MetadataService extends EventEmitter {
           const segmentsUrl = `${this.apiBaseUrl}/versions/${versionId}/segments?experience=domestic`;
 
           try {
-            const segmentsResponse = await fetch(segmentsUrl, {
-              headers: { 'Accept': 'application/json', 'User-Agent': 'encore.fm/1.0' }
-            });
-
-            if (!segmentsResponse.ok) continue;
-
-            const segmentsData = await segmentsResponse.json();
+            const segmentsData = await httpClient.getJson(segmentsUrl);
             const segments = segmentsData?.data || [];
 
             const broadcastStart = new Date(broadcast.start).getTime();
 
             for (const segment of segments) {
-              if (segment.segment_type !== 'music') continue;
+              // Calculate actual broadcast time from broadcast start + offset
+              const trackTime = broadcastStart + ((segment.offset?.start || 0) * 1000);
+
+              if (segment.segment_type !== 'music') {
+                this._recordTalk(segment, trackTime);
+                continue;
+              }
 
               // Check if we already have this track
               const existingIndex = this.metadata.findIndex(m => m.data.id === segment.id);
               if (existingIndex >= 0) continue;
 
-              // Calculate actual broadcast time from broadcast start + offset
-              const trackTime = broadcastStart + ((segment.offset?.start || 0) * 1000);
-
               // Skip if outside retention window
               if (trackTime < now - this.retentionDuration) continue;
 
@@ -446,6 +473,44 @@ class MetadataService extends EventEmitter {
     return null;
   }
 
+  /**
+   * Get the shows overlapping a time range
+   * @param {number} startTime - Start timestamp
+   * @param {number} endTime - End timestamp
+   * @returns {Array} Show entries ({ start, end, data }) in broadcast order
+   */
+  getShowsInRange(startTime, endTime) {
+    return this.shows
+      .filter(show => show.start < endTime && show.end > startTime)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Get a show by its broadcast ID
+   * @param {string} id - BBC broadcast ID from the schedule
+   * @returns {Object|null} The show entry ({ start, end, data }) or null
+   */
+  getShowById(id) {
+    return this.shows.find(show => show.data.id === id) || null;
+  }
+
+  /**
+   * Get the talk (or other non-music segment) playing at a timestamp, or
+   * the next one after it
+   * @param {number} timestamp - The playhead's broadcast time
+   * @param {number} [latest] - Only one starting by then
+   * @returns {Object|null} The span ({ start, end, data }) or null
+   */
+  getNextTalk(timestamp, latest = Infinity) {
+    let next = null;
+    for (const span of this.talk) {
+      if (span.end > timestamp && span.start <= latest && (!next || span.start < next.start)) {
+        next = span;
+      }
+    }
+    return next;
+  }
+
   /**
    * Get station info (static)
    * @returns {Object} Station information
@@ -543,30 +608,20 @@ class MetadataService extends EventEmitter {
     let url = searchFallback;
 
     try {
-      const fetch = globalThis.fetch || (await import('node-fetch')).default;
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 4000);
-      try {
-        const response = await fetch(
-          `https://itunes.apple.com/search?term=${encodeURIComponent(term)}&media=music&entity=song&limit=5&country=${storefront}`,
-          { signal: controller.signal, headers: { 'User-Agent': 'encore.fm/1.0' } }
-        );
-        if (response.ok) {
-          const data = await response.json();
-          const results = Array.isArray(data.results) ? data.results : [];
-          // Prefer a result whose artist actually matches (search can
-          // surface covers and karaoke versions first)
-          const wanted = track.artist.toLowerCase();
-          const match = results.find(r => {
-            const got = (r.artistName || '').toLowerCase();
-            return got.includes(wanted) || wanted.includes(got);
-          }) || results[0];
-          if (match && match.trackViewUrl) {
-            url = match.trackViewUrl;
-          }
-        }
-      } finally {
-        clearTimeout(timeout);
+      const data = await httpClient.getJson(
+        `https://itunes.apple.com/search?term=${encodeURIComponent(term)}&media=music&entity=song&limit=5&country=${storefront}`,
+        { timeout: 4000 }
+      );
+      const results = Array.isArray(data?.results) ? data.results : [];
+      // Prefer a result whose artist actually matches (search can
+      // surface covers and karaoke versions first)
+      const wanted = track.artist.toLowerCase();
+      const match = results.find(r => {
+        const got = (r.artistName || '').toLowerCase();
+        return got.includes(wanted) || wanted.includes(got);
+      }) || results[0];
+      if (match && match.trackViewUrl) {
+        url = match.trackViewUrl;
       }
     } catch (error) {
       // Lookup is best-effort; the search fallback still works
@@ -598,6 +653,37 @@ class MetadataService extends EventEmitter {
     return next?.data || null;
   }
 
+  /**
+   * Get the nearest track or show start after (or before) a timestamp, for
+   * skipping between tracks in delayed playback. Going back lands on the
+   * start of what's playing, or the one before if that only just started.
+   * @param {number} timestamp - The playhead's broadcast time
+   * @param {string} direction - 'next' or 'previous'
+   * @param {Object} [bounds] - Only consider starts within these times
+   * @param {number} [bounds.earliest] - Earliest start (e.g. the oldest buffered segment)
+   * @param {number} [bounds.latest] - Latest start (e.g. the newest buffered segment)
+   * @returns {Object|null} - { timestamp, kind: 'track'|'show', data } or null
+   */
+  getTrackBoundary(timestamp, direction, bounds = {}) {
+    const { earliest = -Infinity, latest = Infinity } = bounds;
+    const starts = [
+      ...this.metadata.map(entry => ({ timestamp: entry.timestamp, kind: 'track', data: entry.data })),
+      ...this.shows.map(show => ({ timestamp: show.start, kind: 'show', data: show.data }))
+    ].filter(start => start.timestamp >= earliest && start.timestamp <= latest);
+
+    let boundary = null;
+    for (const start of starts) {
+      if (direction === 'next') {
+        if (start.timestamp > timestamp && (!boundary || start.timestamp < boundary.timestamp)) {
+          boundary = start;
+        }
+      } else if (start.timestamp <= timestamp - PREVIOUS_TRACK_GRACE && (!boundary || start.timestamp > boundary.timestamp)) {
+        boundary = start;
+      }
+    }
+    return boundary;
+  }
+
   /**
    * Get metadata for a time range
    * @param {number} startTime - Start timestamp
@@ -651,7 +737,7 @@ class MetadataService extends EventEmitter {
     try {
       const fs = require('fs').promises;
       const path = require('path');
-      const metadataPath = path.join(config.STORAGE.BASE_DIR, 'track-metadata.json');
+      const metadataPath = path.join(this.storageDir, 'track-metadata.json');
 
       // Only save essential data
       const toSave = {
@@ -675,7 +761,7 @@ class MetadataService extends EventEmitter {
     try {
       const fs = require('fs').promises;
       const path = require('path');
-      const metadataPath = path.join(config.STORAGE.BASE_DIR, 'track-metadata.json');
+      const metadataPath = path.join(this.storageDir, 'track-metadata.json');
 
       const data = await fs.readFile(metadataPath, 'utf8');
       const parsed = JSON.parse(data);
@@ -13,10 +13,19 @@ class MonitorService extends EventEmitter {
     super();
     
     // Configuration
-    this.url = options.url || config.STREAM_URLS.AKAMAI;
+    // Ordered mirror list, preferred first; this.url is the active source
+    this.sources = options.sources?.length ? [...options.sources] : [options.url || config.STREAM_URLS.AKAMAI];
+    this.url = options.url || this.sources[0];
+    this.sourceIndex = Math.max(0, this.sources.indexOf(this.url));
+    this.failoverThreshold = options.failoverThreshold || config.FAILOVER_ERROR_THRESHOLD;
+    this.staleThreshold = options.staleThreshold || config.FAILOVER_STALE_THRESHOLD;
+    this.failbackInterval = options.failbackInterval || config.FAILBACK_CHECK_INTERVAL;
     this.interval = options.interval || 10000; // Default: 10 seconds
     this.maxConsecutiveErrors = options.maxConsecutiveErrors || 5;
     this.retryDelay = options.retryDelay || 5000; // Default: 5 seconds
+    this.variantPolicy = options.variantPolicy || config.VARIANT_POLICY;
+    this.masterRefreshInterval = options.masterRefreshInterval || config.MASTER_PLAYLIST_REFRESH_INTERVAL;
+    this.lowLatency = options.lowLatency ?? config.LOW_LATENCY_HLS;
     
     // State
     this.isRunning = false;
@@ -29,6 +38,32 @@ class MonitorService extends EventEmitter {
     this.lastSuccessfulFetchTime = null;
     this.activeFetch = null; // For tracking in-progress fetches
     this.currentRetryDelay = this.retryDelay; // Grows exponentially across failed recovery cycles
+    this.variant = null; // Variant chosen from a master playlist (null when this.url is a media playlist)
+    this.masterFetchedAt = 0; // When the master playlist was last resolved
+    this.sourceSwitched = false; // Set when polling moves to a different playlist URL for the same stream
+    this.variantSignature = null; // Identifies the master's variant list, to spot changes
+    
+    // Failover state
+    this.sequenceOffset = 0; // Added to the active source's sequence numbers to keep the buffer continuous
+    this.remapPending = false; // Work out sequenceOffset on the first fetch after a source switch
+    this.preferredSequenceOffset = 0; // sequenceOffset of the preferred source, whose numbering rewind playlists share
+    this.lastSequenceAt = null; // When lastSequence last advanced
+    this.lastSegmentEnd = null; // Broadcast time lastSequence ends at (sources with EXT-X-PROGRAM-DATE-TIME)
+    this.lastNewSegmentTime = null; // For stale-playlist detection
+    this.failoversSinceSuccess = 0; // Stop cycling once every source has been tried
+    this.failoverCount = 0;
+    this.lastSourceChange = null;
+    this.lastFailbackProbe = 0;
+    this.preferredHealthyProbes = 0;
+    this.preferredProbeSequence = null;
+    
+    // Low-Latency HLS state: the next blocking reload to request (null while
+    // plain polling), and the partial segments already announced
+    this.blockingRequest = null;
+    this.blockingTimer = null;
+    this.partTarget = null;
+    this.knownParts = new Set();
+    this.maxKnownParts = 100;
     
     // Bind methods to preserve 'this' context
     this.fetchPlaylist = this.fetchPlaylist.bind(this);
@@ -55,6 +90,7 @@ class MonitorService extends EventEmitter {
     // Reset error count
     this.errorCount = 0;
     this.isRunning = true;
+    this.lastNewSegmentTime = Date.now();
     
     logger.info(`Starting playlist monitor for URL: ${this.url}`);
     
@@ -65,8 +101,12 @@ class MonitorService extends EventEmitter {
       });
     }
     
-    // Set up interval for periodic fetching
+    // Set up interval for periodic fetching (idle while blocking reloads
+    // are chained; it takes over again if one fails)
     this.intervalId = setInterval(async () => {
+      if (this.blockingRequest) {
+        return;
+      }
       try {
         await this.fetchPlaylist();
       } catch (error) {
@@ -98,6 +138,12 @@ class MonitorService extends EventEmitter {
       this.intervalId = null;
     }
     
+    if (this.blockingTimer) {
+      clearTimeout(this.blockingTimer);
+      this.blockingTimer = null;
+    }
+    this.blockingRequest = null;
+    
     // Cancel any active fetch
     if (this.activeFetch && this.activeFetch.cancel) {
       this.activeFetch.cancel();
@@ -126,26 +172,91 @@ class MonitorService extends EventEmitter {
     this.lastFetchTime = startTime;
     
     try {
-      // Fetch the playlist
-      const playlistContent = await playlistService.fetchPlaylist(this.url);
+      // Poll the chosen variant directly; go back to the configured URL when
+      // nothing is resolved yet or the master is due a re-check
+      let playlistUrl = this.url;
+      if (this.variant && Date.now() - this.masterFetchedAt < this.masterRefreshInterval) {
+        playlistUrl = this.variant.url;
+      }
+      
+      // Fetch the playlist: a blocking reload when the source supports it,
+      // which the server answers once the next part or segment exists
+      let playlistContent;
+      const blocking = this.blockingRequest;
+      if (blocking && blocking.url === playlistUrl) {
+        playlistContent = await playlistService.fetchPlaylist(
+          this._getBlockingReloadUrl(blocking), 0, 0, { timeout: blocking.timeout }
+        );
+      } else {
+        playlistContent = await playlistService.fetchPlaylist(playlistUrl);
+      }
       
       // Parse the playlist
-      const parsedPlaylist = playlistService.parsePlaylist(playlistContent);
+      let parsedPlaylist = playlistService.parsePlaylist(playlistContent);
+      
+      // A master playlist lists variants, not segments: follow it down to
+      // the variant chosen by the policy and fetch that media playlist
+      if (playlistService.isMasterPlaylist(parsedPlaylist)) {
+        playlistUrl = this.resolveVariant(parsedPlaylist);
+        playlistContent = await playlistService.fetchPlaylist(playlistUrl);
+        parsedPlaylist = playlistService.parsePlaylist(playlistContent);
+      } else if (playlistUrl === this.url && this.variant) {
+        // The configured URL has turned into a media playlist
+        logger.info(`${this.url} is no longer a master playlist, polling it directly`);
+        this.variant = null;
+      }
       
       // Get playlist info
       const playlistInfo = playlistService.getPlaylistInfo(parsedPlaylist);
       
-      // Get segment URLs
-      const segmentUrls = playlistService.getSegmentUrls(parsedPlaylist, this.url);
+      // Get segment URLs (relative URIs resolve against the media playlist)
+      const segmentUrls = playlistService.getSegmentUrls(parsedPlaylist, playlistUrl);
       
-      // Process new segments
-      const newSegments = this.identifyNewSegments(segmentUrls, parsedPlaylist);
+      // A mirror may number its segments differently; map them onto ours
+      // (whatever aired while no source was answering is then reported as
+      // a discontinuity by identifyNewSegments)
+      if (this.remapPending) {
+        this.remapPending = false;
+        this.sequenceOffset = this._computeSequenceOffset(parsedPlaylist);
+        if (this.sourceIndex === 0) {
+          this.preferredSequenceOffset = this.sequenceOffset;
+        }
+      }
+      
+      // After switching playlist URLs the new playlist repeats sequence
+      // numbers we already have under different URLs; don't download them twice
+      if (this.sourceSwitched) {
+        this.sourceSwitched = false;
+        segmentUrls.forEach((url, index) => {
+          if (parsedPlaylist.mediaSequence + index + this.sequenceOffset <= this.lastSequence) {
+            this.knownSegments.add(url);
+          }
+        });
+      }
+      
+      // Process new segments, then parts of the segment still being published
+      const newSegments = this.identifyNewSegments(segmentUrls, parsedPlaylist, playlistUrl);
+      this.identifyNewParts(parsedPlaylist, playlistUrl);
+      this._planBlockingReload(parsedPlaylist, playlistUrl);
       
       // Reset error count and recovery backoff on success
       this.errorCount = 0;
       this.currentRetryDelay = this.retryDelay;
       this.lastSuccessfulFetchTime = Date.now();
       
+      // A playlist that answers but never advances is as bad as one that errors
+      if (newSegments.length > 0) {
+        this.lastNewSegmentTime = Date.now();
+        this.failoversSinceSuccess = 0;
+      } else if (this.sources.length > 1 && Date.now() - this.lastNewSegmentTime > this.staleThreshold) {
+        this.failover(`no new segments for ${Math.round((Date.now() - this.lastNewSegmentTime) / 1000)}s`);
+      }
+      
+      // While on a mirror, keep checking whether the preferred source is back
+      if (this.sourceIndex > 0 && this.url === this.sources[this.sourceIndex]) {
+        await this._probePreferredSource();
+      }
+      
       const result = {
         success: true,
         playlistInfo,
@@ -159,10 +270,29 @@ class MonitorService extends EventEmitter {
       // Emit 'fetched' event
       this.emit('fetched', result);
       
+      // Chain into the next blocking reload, straight away unless this one
+      // came back sooner than a blocking server would have answered
+      if (this.blockingRequest && this.isRunning && !this.blockingTimer) {
+        const wait = Math.max(0, this.blockingRequest.minInterval - (Date.now() - startTime));
+        this.blockingTimer = setTimeout(() => {
+          this.blockingTimer = null;
+          this.fetchPlaylist(true).catch(error => {
+            logger.error(`Blocking playlist reload failed: ${error.message}`);
+          });
+        }, wait);
+      }
+      
       return result;
     } catch (error) {
       this.errorCount++;
       
+      // A failing variant may have been dropped from the master; re-resolve
+      // on the next fetch
+      this.masterFetchedAt = 0;
+      
+      // Fall back to interval polling until a fetch succeeds again
+      this.blockingRequest = null;
+      
       const errorInfo = {
         success: false,
         error: error.message,
@@ -175,6 +305,13 @@ class MonitorService extends EventEmitter {
       // Emit 'error' event
       this.emit('error', errorInfo);
       
+      // Try the next mirror before resorting to the pause-and-backoff below,
+      // unless every source has already been tried since the last success
+      if (this.errorCount >= this.failoverThreshold &&
+          this.failover(`${this.errorCount} consecutive errors`)) {
+        return errorInfo;
+      }
+      
       // If too many consecutive errors, pause and retry with exponential backoff
       if (this.errorCount >= this.maxConsecutiveErrors) {
         const pauseDelay = this.currentRetryDelay;
@@ -189,6 +326,9 @@ class MonitorService extends EventEmitter {
         // Emit 'maxErrorsReached' event
         this.emit('maxErrorsReached', { errorCount: this.errorCount, retryDelay: pauseDelay });
 
+        // After the pause, carry on cycling through the mirrors
+        this.failoversSinceSuccess = 0;
+
         // Back off: double the pause for each failed recovery cycle, cap at 5 minutes
         this.currentRetryDelay = Math.min(this.currentRetryDelay * 2, 5 * 60 * 1000);
 
@@ -207,14 +347,330 @@ class MonitorService extends EventEmitter {
     }
   }
   
+  /**
+   * Work out the next blocking reload from a media playlist: the part after
+   * the last one listed (or the next segment when the source has no parts)
+   * @param {Object} parsedPlaylist - Parsed media playlist
+   * @param {string} playlistUrl - URL it was fetched from
+   * @private
+   */
+  _planBlockingReload(parsedPlaylist, playlistUrl) {
+    const serverControl = parsedPlaylist.serverControl;
+    if (!this.lowLatency || !serverControl || !serverControl.canBlockReload) {
+      this.blockingRequest = null;
+      this.partTarget = null;
+      return;
+    }
+
+    this.partTarget = parsedPlaylist.partInf ? parsedPlaylist.partInf.partTarget : null;
+    const preloadParts = parsedPlaylist.preloadSegment?.parts || [];
+
+    // Servers must answer within three target durations. One that ignores
+    // the directives answers at once, so reloads are spaced at least half
+    // a part (or segment) apart.
+    const targetDuration = parsedPlaylist.targetDuration || 6;
+    this.blockingRequest = {
+      url: playlistUrl,
+      msn: (parsedPlaylist.mediaSequence || 0) + parsedPlaylist.segments.length,
+      part: this.partTarget ? preloadParts.length : null,
+      timeout: (targetDuration * 3 + 2) * 1000,
+      minInterval: (this.partTarget || targetDuration) * 500
+    };
+  }
+
+  /**
+   * Build a blocking reload URL (_HLS_msn / _HLS_part delivery directives)
+   * @param {Object} request - { url, msn, part }
+   * @returns {string} - URL to request
+   * @private
+   */
+  _getBlockingReloadUrl(request) {
+    const url = new URL(request.url);
+    url.searchParams.set('_HLS_msn', request.msn);
+    if (request.part !== null) {
+      url.searchParams.set('_HLS_part', request.part);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Announce the published parts (#EXT-X-PART) of the segment the source is
+   * still producing, so they can be fetched before the segment completes
+   * @param {Object} parsedPlaylist - Parsed media playlist
+   * @param {string} [baseUrl] - URL of the media playlist, for resolving part URIs
+   * @returns {Array<Object>} - Parts not seen before
+   */
+  identifyNewParts(parsedPlaylist, baseUrl = this.url) {
+    const parts = parsedPlaylist.preloadSegment?.parts;
+    if (!this.lowLatency || !parts) {
+      return [];
+    }
+
+    const sequenceNumber = (parsedPlaylist.mediaSequence || 0) + parsedPlaylist.segments.length + this.sequenceOffset;
+    const encrypted = !!playlistService.getSegmentKey(
+      parsedPlaylist.preloadSegment, baseUrl, (parsedPlaylist.mediaSequence || 0) + parsedPlaylist.segments.length
+    );
+    const newParts = [];
+
+    parts.forEach((part, partIndex) => {
+      const url = playlistService.resolveUrl(part.uri, baseUrl);
+      const partKey = part.byterange ? `${url}@${part.byterange.offset}` : url;
+      if (this.knownParts.has(partKey)) {
+        return;
+      }
+
+      this.knownParts.add(partKey);
+      if (this.knownParts.size > this.maxKnownParts) {
+        this.knownParts.delete(this.knownParts.values().next().value);
+      }
+
+      const partInfo = {
+        url,
+        sequenceNumber,
+        partIndex,
+        encrypted,
+        duration: part.duration,
+        independent: !!part.independent,
+        discoveredAt: Date.now(),
+        ...(part.byterange && { byterange: part.byterange })
+      };
+      newParts.push(partInfo);
+      this.emit('newPart', partInfo);
+    });
+
+    return newParts;
+  }
+  
+  /**
+   * Pick a variant from a master playlist and remember it for later polls
+   * @param {Object} parsedMaster - Parsed master playlist
+   * @returns {string} - URL of the chosen variant's media playlist
+   */
+  resolveVariant(parsedMaster) {
+    const variant = playlistService.selectVariant(parsedMaster, this.url, this.variantPolicy);
+    
+    if (!variant) {
+      throw new Error(`Master playlist at ${this.url} has no usable variants`);
+    }
+    
+    this.masterFetchedAt = Date.now();
+    
+    if (!this.variant || this.variant.url !== variant.url) {
+      const previous = this.variant;
+      this.variant = variant;
+      this.sourceSwitched = previous !== null;
+      
+      logger.info(`Selected variant ${variant.url} (bandwidth: ${variant.bandwidth}, codecs: ${variant.codecs || 'unknown'}, policy: ${this.variantPolicy})`);
+      
+      // Emit 'variantSelected' event
+      this.emit('variantSelected', { variant, previous });
+    }
+    
+    // Let listeners recording the other variants follow the master too
+    const variants = playlistService.getVariants(parsedMaster, this.url);
+    const signature = variants.map(v => `${v.id}=${v.url}`).join('\n');
+    if (signature !== this.variantSignature) {
+      this.variantSignature = signature;
+      
+      // Emit 'variantsChanged' event
+      this.emit('variantsChanged', { variants, selected: variant });
+    }
+    
+    return variant.url;
+  }
+  
+  /**
+   * Change which variant of a master playlist is recorded. Takes effect on
+   * the next fetch, which re-reads the master.
+   * @param {string} policy - Variant policy ('highest', 'lowest', 'codecs:<value>', 'max-bitrate:<bps>')
+   */
+  setVariantPolicy(policy) {
+    if (policy === this.variantPolicy) {
+      return;
+    }
+    
+    logger.info(`Variant policy changed: ${this.variantPolicy} -> ${policy}`);
+    this.variantPolicy = policy;
+    this.masterFetchedAt = 0;
+  }
+  
+  /**
+   * Move to the next source in the mirror list, unless every source has
+   * already been tried since the last success
+   * @param {string} reason - Why the active source was abandoned
+   * @returns {boolean} - Whether the source was switched
+   */
+  failover(reason) {
+    if (this.sources.length < 2) {
+      return false;
+    }
+    
+    if (this.failoversSinceSuccess >= this.sources.length - 1) {
+      logger.debug(`Not failing over (${reason}): every source has been tried since the last success`);
+      return false;
+    }
+    
+    this.failoversSinceSuccess++;
+    this._switchSource((this.sourceIndex + 1) % this.sources.length, reason);
+    return true;
+  }
+  
+  /**
+   * Make another source in the mirror list the active one
+   * @private
+   * @param {number} index - Index into this.sources
+   * @param {string} reason - Why the switch happened
+   */
+  _switchSource(index, reason) {
+    const from = this.url;
+    
+    this.sourceIndex = index;
+    this.switchUrl(this.sources[index]);
+    this.errorCount = 0;
+    this.lastNewSegmentTime = Date.now();
+    this.preferredHealthyProbes = 0;
+    this.preferredProbeSequence = null;
+    this.failoverCount++;
+    this.lastSourceChange = { at: Date.now(), from, to: this.url, reason };
+    
+    logger.warn(`Switching source (${reason}): ${from} -> ${this.url}`);
+    
+    // Emit 'sourceChanged' event
+    this.emit('sourceChanged', { ...this.lastSourceChange, index });
+  }
+  
+  /**
+   * Work out how the active source's sequence numbers map onto the ones
+   * already recorded. Mirrors of the same packager share numbering, which
+   * shows as the new playlist ending roughly where we expect given the time
+   * since our last segment; otherwise shift it to continue from there.
+   * @private
+   * @param {Object} parsedPlaylist - First media playlist fetched from the new source
+   * @returns {number} - Offset to add to the source's sequence numbers
+   */
+  _computeSequenceOffset(parsedPlaylist) {
+    const count = parsedPlaylist.segments?.length || 0;
+    if (this.lastSequence === -1 || count === 0) {
+      return 0;
+    }
+    
+    const segmentMs = (parsedPlaylist.segments[count - 1].duration || parsedPlaylist.targetDuration || 6.4) * 1000;
+    const elapsed = this.lastSequenceAt ? Math.round((Date.now() - this.lastSequenceAt) / segmentMs) : 0;
+    const expectedLast = this.lastSequence + elapsed;
+    const sourceLast = parsedPlaylist.mediaSequence + count - 1;
+    
+    if (Math.abs(sourceLast - expectedLast) <= Math.max(count, 10)) {
+      return 0;
+    }
+    
+    const offset = expectedLast - sourceLast;
+    logger.warn(`Source ${this.url} numbers segments differently, remapping sequence numbers by ${offset}`);
+    return offset;
+  }
+  
+  /**
+   * Check the preferred source and switch back once it has answered with an
+   * advancing playlist on two consecutive checks
+   * @private
+   */
+  async _probePreferredSource() {
+    if (Date.now() - this.lastFailbackProbe < this.failbackInterval) {
+      return;
+    }
+    this.lastFailbackProbe = Date.now();
+    
+    let healthy = false;
+    try {
+      const content = await playlistService.fetchPlaylist(this.sources[0], 0);
+      const parsed = playlistService.parsePlaylist(content);
+      
+      if (playlistService.isMasterPlaylist(parsed)) {
+        healthy = true;
+      } else if (parsed.segments?.length > 0) {
+        const probeSequence = parsed.mediaSequence + parsed.segments.length - 1;
+        healthy = this.preferredProbeSequence === null || probeSequence > this.preferredProbeSequence;
+        this.preferredProbeSequence = probeSequence;
+      }
+    } catch (error) {
+      logger.debug(`Preferred source still unavailable: ${error.message}`);
+    }
+    
+    this.preferredHealthyProbes = healthy ? this.preferredHealthyProbes + 1 : 0;
+    
+    if (this.preferredHealthyProbes >= 2) {
+      this._switchSource(0, 'preferred source is healthy again');
+      this.failoversSinceSuccess = 0;
+    }
+  }
+  
+  /**
+   * Replace the mirror list (e.g. when a pipeline is reconfigured)
+   * @param {Array<string>} sources - Source URLs, preferred first
+   */
+  setSources(sources) {
+    if (!sources || sources.length === 0) {
+      return;
+    }
+    
+    this.sources = [...sources];
+    const index = this.sources.indexOf(this.url);
+    if (index === -1) {
+      this.url = this.sources[0];
+      this.sourceIndex = 0;
+    } else {
+      this.sourceIndex = index;
+    }
+  }
+  
+  /**
+   * Describe the active source
+   * @returns {Object} - Active source summary
+   */
+  getSourceStatus() {
+    return {
+      url: this.url,
+      index: this.sourceIndex,
+      isPreferred: this.sourceIndex === 0,
+      sourceCount: this.sources.length,
+      sequenceOffset: this.sequenceOffset,
+      preferredSequenceOffset: this.preferredSequenceOffset,
+      failoverCount: this.failoverCount,
+      lastChange: this.lastSourceChange
+    };
+  }
+  
+  /**
+   * Point the monitor at a different URL for the same stream (e.g. a
+   * variant the source has renamed, or a mirror). Sequence numbers are
+   * remapped if the new URL numbers differently, and ones already seen are
+   * not downloaded again.
+   * @param {string} url - The new playlist URL
+   */
+  switchUrl(url) {
+    if (url === this.url) {
+      return;
+    }
+    
+    logger.info(`Switching playlist URL: ${this.url} -> ${url}`);
+    this.url = url;
+    this.variant = null;
+    this.variantSignature = null;
+    this.sourceSwitched = this.lastSequence !== -1;
+    this.remapPending = this.lastSequence !== -1;
+  }
+  
   /**
    * Identify new segments from a list of segment URLs
    * @param {Array<string>} segmentUrls - List of segment URLs
    * @param {Object} parsedPlaylist - Parsed playlist object
+   * @param {string} [baseUrl] - URL of the media playlist, for resolving key URIs
    * @returns {Array<Object>} - Array of new segment objects
    */
-  identifyNewSegments(segmentUrls, parsedPlaylist) {
+  identifyNewSegments(segmentUrls, parsedPlaylist, baseUrl = this.url) {
     const newSegments = [];
+    // The newest segment before this playlist, to tell whether it skipped any
+    const previousSequence = this.lastSequence;
+    const previousEnd = this.lastSegmentEnd;
     
     // Process segments to identify new ones
     segmentUrls.forEach((url, index) => {
@@ -227,7 +683,7 @@ class MonitorService extends EventEmitter {
       const segmentInfo = {
         url,
         index,
-        sequenceNumber: parsedPlaylist.mediaSequence + index,
+        sequenceNumber: parsedPlaylist.mediaSequence + index + this.sequenceOffset,
         discoveredAt: Date.now()
       };
       
@@ -237,30 +693,80 @@ class MonitorService extends EventEmitter {
       // Add segment duration if available
       if (parsedPlaylist.segments && parsedPlaylist.segments[index]) {
         segmentInfo.duration = parsedPlaylist.segments[index].duration;
+        
+        // Encrypted sources: the downloader needs the key to decrypt
+        const key = playlistService.getSegmentKey(
+          parsedPlaylist.segments[index], baseUrl, parsedPlaylist.mediaSequence + index
+        );
+        if (key) {
+          segmentInfo.key = key;
+        }
+
+        // fMP4/CMAF sources: the downloader captures the init segment too
+        const map = playlistService.getSegmentMap(parsedPlaylist.segments[index], baseUrl);
+        if (map) {
+          segmentInfo.map = map;
+        }
+
+        // EXT-X-DISCONTINUITY (encoder restart, splice): timestamps and maybe
+        // encoding change here, so delayed playlists must break here too
+        if (parsedPlaylist.segments[index].discontinuity) {
+          segmentInfo.discontinuity = true;
+        }
+
+        // Broadcast time from EXT-X-PROGRAM-DATE-TIME (the parser carries it
+        // forward to the segments after each tag)
+        const programDateTime = parsedPlaylist.segments[index].programDateTime;
+        if (Number.isFinite(programDateTime)) {
+          segmentInfo.programDateTime = programDateTime;
+        }
+
+        // LL-HLS: the parts this segment was published as, so ones already
+        // fetched can be assembled instead of downloading it again
+        const parts = parsedPlaylist.segments[index].parts;
+        if (this.lowLatency && parts && parts.length > 0) {
+          segmentInfo.parts = parts.map(part => ({
+            url: playlistService.resolveUrl(part.uri, baseUrl),
+            ...(part.byterange && { byterange: part.byterange })
+          }));
+        }
       }
+
+      segmentInfo.container = playlistService.getSegmentContainer(url, segmentInfo.map);
       
       // Add to new segments list
       newSegments.push(segmentInfo);
       
       // Update last sequence
-      this.lastSequence = Math.max(this.lastSequence, segmentInfo.sequenceNumber);
+      if (segmentInfo.sequenceNumber > this.lastSequence) {
+        this.lastSequence = segmentInfo.sequenceNumber;
+        this.lastSequenceAt = Date.now();
+        this.lastSegmentEnd = Number.isFinite(segmentInfo.programDateTime)
+          ? segmentInfo.programDateTime + (segmentInfo.duration || 0) * 1000
+          : null;
+      }
       
       // Emit 'newSegment' event for each new segment
       this.emit('newSegment', segmentInfo);
     });
     
-    // Track sequence discontinuity
-    if (parsedPlaylist.mediaSequence && this.lastSequence !== -1) {
-      const expectedSequence = this.lastSequence + 1;
-      if (parsedPlaylist.mediaSequence > expectedSequence) {
-        const skippedCount = parsedPlaylist.mediaSequence - expectedSequence;
-        logger.warn(`Sequence discontinuity detected: Expected ${expectedSequence}, got ${parsedPlaylist.mediaSequence} (${skippedCount} segments skipped)`);
+    // Track sequence discontinuity: the playlist starts past the segment
+    // after the newest one we had (e.g. the source came back after an outage)
+    if (previousSequence !== -1 && segmentUrls.length > 0) {
+      const expectedSequence = previousSequence + 1;
+      const firstSequence = parsedPlaylist.mediaSequence + this.sequenceOffset;
+      if (firstSequence > expectedSequence) {
+        const skippedCount = firstSequence - expectedSequence;
+        logger.warn(`Sequence discontinuity detected: Expected ${expectedSequence}, got ${firstSequence} (${skippedCount} segments skipped)`);
         
-        // Emit 'discontinuity' event
+        // Emit 'discontinuity' event, with the broadcast times of the hole
+        // when both sides of it have them
+        const resumedAt = parsedPlaylist.segments?.[0]?.programDateTime;
         this.emit('discontinuity', {
           expected: expectedSequence,
-          actual: parsedPlaylist.mediaSequence,
-          skippedCount
+          actual: firstSequence,
+          skippedCount,
+          ...(Number.isFinite(previousEnd) && Number.isFinite(resumedAt) && { startTime: previousEnd, endTime: resumedAt })
         });
       }
     }
@@ -308,6 +814,35 @@ class MonitorService extends EventEmitter {
     }
   }
   
+  /**
+   * Get what this source can do (source adapter contract, see source-adapters.js)
+   * @returns {Object} - Source capabilities
+   */
+  getCapabilities() {
+    return {
+      downloads: true,
+      playlist: true,
+      rewind: true,
+      partialSegments: this.lowLatency,
+      variants: true,
+      streamTitles: false
+    };
+  }
+  
+  /**
+   * Get source health (source adapter contract). lastActivityTime moves on
+   * failed fetches too, so it only stalls if the fetch loop itself stops.
+   * @returns {Object} - Source health
+   */
+  getHealth() {
+    return {
+      isRunning: this.isRunning,
+      lastActivityTime: this.lastFetchTime,
+      lastSegmentTime: this.lastNewSegmentTime,
+      errorCount: this.errorCount
+    };
+  }
+  
   /**
    * Get monitor status
    * @returns {Object} - Status object
@@ -316,7 +851,15 @@ class MonitorService extends EventEmitter {
     return {
       isRunning: this.isRunning,
       url: this.url,
+      variant: this.variant,
+      variantPolicy: this.variantPolicy,
+      source: this.getSourceStatus(),
       interval: this.interval,
+      lowLatency: {
+        enabled: this.lowLatency,
+        blockingReload: !!this.blockingRequest,
+        partTarget: this.partTarget
+      },
       knownSegmentsCount: this.knownSegments.size,
       lastSequence: this.lastSequence,
       errorCount: this.errorCount,
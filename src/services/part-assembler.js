@@ -0,0 +1,148 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { httpClient } = require('./http-client');
+
+/**
+ * Part Assembler
+ * Fetches the partial segments (#EXT-X-PART) of an LL-HLS source as the
+ * monitor announces them, and joins them into the full segment once the
+ * playlist lists it as complete. Segments whose parts weren't all fetched
+ * are left to the downloader to fetch whole.
+ */
+class PartAssembler extends EventEmitter {
+  /**
+   * @param {Object} [options] - Assembler options
+   * @param {number} [options.maxSegments] - Incomplete segments to hold parts for
+   * @param {number} [options.timeout] - Part request timeout in ms (defaults to HTTP_TIMEOUT)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.maxSegments = options.maxSegments || 4;
+    this.timeout = options.timeout || null;
+
+    // Sequence number -> Map of part key -> Promise<Buffer|null>
+    this.segments = new Map();
+
+    this.stats = {
+      partsFetched: 0,
+      partsFailed: 0,
+      assembled: 0,
+      incomplete: 0
+    };
+  }
+
+  /**
+   * Start fetching a part announced by the monitor
+   * @param {Object} part - { url, sequenceNumber, partIndex, byterange? } from the monitor's newPart event
+   */
+  addPart(part) {
+    let parts = this.segments.get(part.sequenceNumber);
+    if (!parts) {
+      parts = new Map();
+      this.segments.set(part.sequenceNumber, parts);
+
+      // Drop segments that never completed (the source skipped ahead)
+      for (const sequenceNumber of this.segments.keys()) {
+        if (sequenceNumber <= part.sequenceNumber - this.maxSegments) {
+          this.segments.delete(sequenceNumber);
+        }
+      }
+    }
+
+    const key = this._getPartKey(part);
+    if (!parts.has(key)) {
+      parts.set(key, this._fetchPart(part));
+    }
+  }
+
+  /**
+   * Join the fetched parts of a completed segment, in playlist order
+   * @param {number} sequenceNumber - The segment's sequence number
+   * @param {Array<Object>} expectedParts - [{ url, byterange? }] as listed with the complete segment
+   * @returns {Promise<Buffer|null>} - The full segment, or null if any part is missing
+   */
+  async take(sequenceNumber, expectedParts) {
+    const parts = this.segments.get(sequenceNumber);
+    this.segments.delete(sequenceNumber);
+
+    if (!parts || !expectedParts || expectedParts.length === 0) {
+      return null;
+    }
+
+    const buffers = [];
+    for (const part of expectedParts) {
+      const data = await parts.get(this._getPartKey(part));
+      if (!data) {
+        this.stats.incomplete++;
+        logger.debug(`Segment ${sequenceNumber} is missing part ${part.url}, fetching it whole`);
+        return null;
+      }
+      buffers.push(data);
+    }
+
+    this.stats.assembled++;
+    return Buffer.concat(buffers);
+  }
+
+  /**
+   * Forget every held part
+   */
+  clear() {
+    this.segments.clear();
+  }
+
+  /**
+   * Get assembler statistics
+   * @returns {Object} - Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendingSegments: this.segments.size
+    };
+  }
+
+  /**
+   * Fetch one part, resolving to null on failure
+   * @param {Object} part - Part info
+   * @returns {Promise<Buffer|null>}
+   * @private
+   */
+  async _fetchPart(part) {
+    try {
+      const headers = {};
+      if (part.byterange) {
+        const { offset, length } = part.byterange;
+        headers.Range = `bytes=${offset}-${offset + length - 1}`;
+      }
+
+      const response = await httpClient.get(part.url, {
+        responseType: 'arraybuffer',
+        timeout: this.timeout,
+        headers
+      });
+
+      this.stats.partsFetched++;
+      return Buffer.from(response.data);
+    } catch (error) {
+      this.stats.partsFailed++;
+      logger.warn(`Failed to fetch part ${part.url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Identify a part by URI and byte range (parts may share a URI)
+   * @param {Object} part - { url, byterange? }
+   * @returns {string}
+   * @private
+   */
+  _getPartKey(part) {
+    return part.byterange ? `${part.url}@${part.byterange.offset}` : part.url;
+  }
+}
+
+module.exports = {
+  PartAssembler
+};
@@ -2,6 +2,27 @@ const path = require('path');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const { hybridBufferService } = require('./hybrid-buffer-service');
+const { timezoneDelay } = require('./timezone-delay');
+
+// Segment URI extension per stored container
+const SEGMENT_EXTENSIONS = {
+  ts: 'ts',
+  fmp4: 'm4s',
+  aac: 'aac',
+  mp3: 'mp3'
+};
+
+// Filler listed in place of a missing segment (?gaps=filler), for the
+// containers it can stand in for; other streams get #EXT-X-GAP regardless
+const FILLER_URIS = {
+  ts: '/stream/unavailable.ts',
+  aac: '/silence'
+};
+
+// Longest recorded gap (in segments) a playlist is carried across with
+// placeholders; past that a live window stops at the hole as before, and
+// a range playlist marks a discontinuity
+const MAX_BRIDGED_GAP = 50;
 
 /**
  * Playlist Generator Service
@@ -14,11 +35,22 @@ class PlaylistGenerator {
       targetDuration: options.targetDuration || 10,
       timeShiftDuration: options.timeShiftDuration || config.DELAY_DURATION,
       playlistVersion: options.playlistVersion || 3,
+      // Route prefix for segment URIs (e.g. /stations/bbc_radio_one)
+      pathPrefix: options.pathPrefix || '',
       ...options
     };
     
     // Use the provided buffer service or default to hybridBufferService
     this.bufferService = options.bufferService || hybridBufferService;
+
+    // In timezone mode the default delay follows the clocks of both zones
+    // (an explicit timeShiftDuration keeps it fixed)
+    this.delaySchedule = options.delaySchedule !== undefined
+      ? options.delaySchedule
+      : (options.timeShiftDuration ? null : timezoneDelay);
+
+    // Numbering of the playlist since the delay last changed (timezone mode)
+    this.delayEra = null;
     
     logger.info(`Initialized playlist generator with time shift: ${this.options.timeShiftDuration}ms`);
   }
@@ -29,145 +61,662 @@ class PlaylistGenerator {
    * @param {number} options.segmentCount - Number of segments to include in the playlist
    * @param {number} options.timeshift - Optional override for time shift in milliseconds
    * @param {string} options.baseUrl - Base URL for segment URLs
+   * @param {string} [options.gaps] - How missing segments are listed: 'tag' (default, #EXT-X-GAP) or 'filler' for players without gap support
+   * @param {number} [options.startTime] - Moment (ms) players should start at while it's in the window (#EXT-X-START)
    * @returns {Object} - Generated playlist data with m3u8 content
    */
   async generatePlaylist(options = {}) {
     try {
-      const {
-        segmentCount = this.options.segmentCount,
-        timeshift = undefined,
-        baseUrl = ''
-      } = options;
-
-      // Calculate target time (current time - delay)
-      const now = Date.now();
-      // Use provided timeshift if available, otherwise use default
-      let timeShiftDuration = this.options.timeShiftDuration;
-      if (timeshift !== undefined) {
-        const parsed = parseInt(timeshift);
-        if (isNaN(parsed) || parsed < 0) {
-          logger.warn(`Invalid timeshift value: ${timeshift}, using default`);
-        } else {
-          timeShiftDuration = parsed * 1000; // Convert seconds to ms
-        }
+      const { baseUrl = '' } = options;
+
+      const window = await this._selectWindow(options);
+      if (!window) {
+        return this._generateEmptyPlaylist(baseUrl);
       }
 
-      const targetTime = now - timeShiftDuration;
-      logger.info(`Generating playlist for target time: ${new Date(targetTime).toISOString()}`);
+      return this._formatPlaylist(window.segments, window.maxDuration, baseUrl, '/stream', options);
+    } catch (error) {
+      logger.error(`Error generating playlist: ${error}`);
+      return this._generateEmptyPlaylist();
+    }
+  }
+
+  /**
+   * Generate the time-shifted media playlist for one recorded variant.
+   * The window is chosen on the primary buffer and then looked up by
+   * sequence number in the variant's buffer, so every variant lists the same
+   * sequence numbers with the same PROGRAM-DATE-TIME and players can switch
+   * bitrate without jumping in delayed time.
+   * @param {Object} variant - Variant from StationPipeline.getVariants()
+   * @param {Object} options - Same options as generatePlaylist
+   * @returns {Object} - Generated playlist data with m3u8 content
+   */
+  async generateVariantPlaylist(variant, options = {}) {
+    try {
+      const { baseUrl = '' } = options;
+      const routeBase = `/stream/variant/${variant.id}`;
 
-      // Get segment around the target time
-      let anchorSegment = await this.bufferService.getSegmentAt(targetTime);
+      const window = await this._selectWindow(options);
+      if (!window) {
+        return this._generateEmptyPlaylist(baseUrl);
+      }
 
-      // If the anchor is malformed (e.g. restored from disk without full
-      // metadata), fall back to the nearest shape-valid segment instead of
-      // serving an empty playlist while the buffer still has audio
-      if (anchorSegment && !Number.isFinite(anchorSegment.metadata?.sequenceNumber)) {
-        logger.warn('Anchor segment is missing sequence metadata, falling back to nearest valid segment');
-        anchorSegment = typeof this.bufferService.getNearestValidSegment === 'function'
-          ? this.bufferService.getNearestValidSegment(targetTime)
-          : null;
+      if (variant.buffer === this.bufferService) {
+        return this._formatPlaylist(window.segments, window.maxDuration, baseUrl, routeBase, options);
       }
 
-      if (!anchorSegment) {
-        const oldestTime = this.bufferService.getOldestSegmentTime();
-        if (oldestTime) {
-          logger.warn(`Target time ${new Date(targetTime).toISOString()} is earlier than oldest segment ${new Date(oldestTime).toISOString()}`);
-        } else {
-          logger.warn('No segments available at target time');
+      // Media sequence numbering is positional, so a segment the variant
+      // is missing becomes a gap rather than let later segments shift out
+      // of step with the primary
+      const segments = [];
+      let maxDuration = 0;
+      for (const primarySegment of this._fillGaps(window.segments)) {
+        const segment = primarySegment.gap
+          ? null
+          : await variant.buffer.getSegmentBySequence(primarySegment.metadata.sequenceNumber);
+        if (!segment) {
+          if (segments.length > 0) {
+            // Only the primary's holes are counted for filler, so one of
+            // the variant's own is always tagged as a gap
+            const gap = this._createGap(segments[segments.length - 1], primarySegment.metadata.sequenceNumber,
+              primarySegment.timestamp, primarySegment.metadata.duration, primarySegment.listSequence);
+            segments.push(primarySegment.gap ? gap : { ...gap, tagOnly: true });
+          }
+          continue;
         }
+        // Across a change of delay the variant is numbered like the primary
+        segments.push(primarySegment.listSequence === undefined
+          ? { ...segment, timestamp: primarySegment.timestamp }
+          : {
+            ...segment,
+            timestamp: primarySegment.timestamp,
+            listSequence: primarySegment.listSequence,
+            holeDiscontinuityOffset: primarySegment.holeDiscontinuityOffset,
+            metadata: {
+              ...segment.metadata,
+              discontinuity: primarySegment.metadata.discontinuity,
+              discontinuitySequence: primarySegment.metadata.discontinuitySequence
+            }
+          });
+        maxDuration = Math.max(maxDuration, segment.metadata.duration || 0);
+      }
+
+      // A playlist can't end on gaps the variant may still fill
+      while (segments.length > 0 && segments[segments.length - 1].gap) {
+        segments.pop();
+      }
+
+      if (segments.length === 0) {
+        logger.warn(`Variant ${variant.id} has no segments in the current window`);
         return this._generateEmptyPlaylist(baseUrl);
       }
 
-      // Find the sequence number of the anchor segment
-      const anchorSequence = anchorSegment.metadata.sequenceNumber;
-      logger.debug(`Found anchor segment with sequence: ${anchorSequence}`);
+      return this._formatPlaylist(segments, maxDuration, baseUrl, routeBase, options);
+    } catch (error) {
+      logger.error(`Error generating variant playlist: ${error}`);
+      return this._generateEmptyPlaylist();
+    }
+  }
 
-      // Collect segments starting from anchor and expanding outward
-      const playlistSegments = [anchorSegment];
-      let maxDuration = anchorSegment.metadata.duration || 0;
+  /**
+   * Generate a playlist over a span of the buffer instead of a live window,
+   * for seeking and replaying: VOD once the whole span has been recorded,
+   * EVENT (growing as it's recorded) when it runs on past the newest
+   * segment. An EVENT playlist may only be added to, so a span whose first
+   * segments would be evicted before it can be recorded and played through
+   * (including any span without an end) gets no playlist type: it's an
+   * ordinary live playlist, losing its oldest segments as the buffer does.
+   * Every segment carries its broadcast time.
+   * @param {Object} options - Options for playlist generation
+   * @param {number} options.from - Start of the span (ms)
+   * @param {number} [options.to] - End of the span (ms), open-ended if omitted
+   * @param {string} [options.baseUrl] - Base URL for segment URLs
+   * @param {string} [options.gaps] - How missing segments are listed, as for generatePlaylist
+   * @returns {Object|null} - Playlist data with m3u8 content and playlistType (if any), or null if nothing in the span is buffered
+   */
+  generateRangePlaylist(options = {}) {
+    const { from, to = Infinity, baseUrl = '' } = options;
+    const end = segment => segment.timestamp + (segment.metadata.duration || this.options.targetDuration) * 1000;
 
-      // Try to get segments before and after the anchor
-      let beforeSeq = anchorSequence - 1;
-      let afterSeq = anchorSequence + 1;
+    // The buffer's index is enough; no segment data is loaded
+    const segments = this.bufferService.segments
+      .filter(segment => Number.isFinite(segment?.metadata?.sequenceNumber) &&
+        end(segment) > from && segment.timestamp < to)
+      .sort((a, b) => a.metadata.sequenceNumber - b.metadata.sequenceNumber);
 
-      while (playlistSegments.length < segmentCount) {
-        let foundAny = false;
+    if (segments.length === 0) {
+      logger.warn(`Nothing buffered between ${new Date(from).toISOString()} and ${Number.isFinite(to) ? new Date(to).toISOString() : 'now'}`);
+      return null;
+    }
 
-        // Try to get a segment after
-        if (playlistSegments.length < segmentCount) {
-          const afterSegment = await this.bufferService.getSegmentBySequence(afterSeq);
-          if (afterSegment) {
-            playlistSegments.push(afterSegment);
-            maxDuration = Math.max(maxDuration, afterSegment.metadata.duration || 0);
-            foundAny = true;
-          }
-          afterSeq++;
-        }
+    const newest = this.bufferService.getNewestSegmentTime();
+    const newestSegment = this.bufferService.segments.find(segment => segment.timestamp === newest);
+    const recorded = Number.isFinite(to) && newestSegment && end(newestSegment) >= to;
+    // Kept until the span has been recorded and for as long again to play it
+    const kept = Number.isFinite(to) &&
+      segments[0].timestamp + (this.bufferService.bufferDuration ?? Infinity) >= to + (to - from);
+    const playlistType = recorded ? 'VOD' : (kept ? 'EVENT' : undefined);
+    const maxDuration = segments.reduce((max, segment) => Math.max(max, segment.metadata.duration || 0), 0);
 
-        // Try to get a segment before
-        if (playlistSegments.length < segmentCount && beforeSeq >= 0) {
-          const beforeSegment = await this.bufferService.getSegmentBySequence(beforeSeq);
-          if (beforeSegment) {
-            playlistSegments.unshift(beforeSegment);
-            maxDuration = Math.max(maxDuration, beforeSegment.metadata.duration || 0);
-            foundAny = true;
-          }
-          beforeSeq--;
+    // Long holes (an outage, hours outside the recording schedule) become
+    // a discontinuity rather than hundreds of gap entries
+    return this._formatPlaylist(segments, maxDuration, baseUrl, '/stream', {
+      ...options,
+      playlistType,
+      maxGap: MAX_BRIDGED_GAP
+    });
+  }
+
+  /**
+   * Generate a master playlist pointing at each recorded variant's
+   * time-shifted media playlist
+   * @param {Array<Object>} variants - Variants from StationPipeline.getVariants()
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - Base URL for variant URLs
+   * @param {string} options.query - Query string (with leading '?') carried onto variant URLs
+   * @returns {Object} - Master playlist with m3u8 content
+   */
+  generateMasterPlaylist(variants, options = {}) {
+    const { baseUrl = '', query = '' } = options;
+
+    let m3u8Content = '#EXTM3U\n';
+    m3u8Content += `#EXT-X-VERSION:${this.options.playlistVersion}\n`;
+
+    variants.forEach(variant => {
+      const attributes = [`BANDWIDTH=${variant.bandwidth}`];
+      if (variant.codecs) {
+        attributes.push(`CODECS="${variant.codecs}"`);
+      }
+      m3u8Content += `#EXT-X-STREAM-INF:${attributes.join(',')}\n`;
+      m3u8Content += `${baseUrl}${this.options.pathPrefix}/stream/variant/${variant.id}.m3u8${query}\n`;
+    });
+
+    return {
+      m3u8Content,
+      variants: variants.map(({ id, bandwidth, codecs }) => ({ id, bandwidth, codecs }))
+    };
+  }
+
+  /**
+   * Pick the segments around the time-shift target from the primary buffer
+   * @private
+   * @param {Object} options - Same options as generatePlaylist
+   * @returns {Promise<Object|null>} - { segments, maxDuration } or null if nothing is available
+   */
+  async _selectWindow(options = {}) {
+    const {
+      segmentCount = this.options.segmentCount,
+      timeshift = undefined
+    } = options;
+
+    // Calculate target time (current time - delay)
+    const now = Date.now();
+    // Use provided timeshift if available, otherwise use default
+    const scheduled = timeshift === undefined && Boolean(this.delaySchedule);
+    let timeShiftDuration = scheduled ? this.delaySchedule.getDelay(now) : this.options.timeShiftDuration;
+    if (timeshift !== undefined) {
+      const parsed = parseInt(timeshift);
+      if (isNaN(parsed) || parsed < 0) {
+        logger.warn(`Invalid timeshift value: ${timeshift}, using default`);
+      } else {
+        timeShiftDuration = parsed * 1000; // Convert seconds to ms
+      }
+    }
+
+    const targetTime = now - timeShiftDuration;
+    logger.info(`Generating playlist for target time: ${new Date(targetTime).toISOString()}`);
+
+    // Get segment around the target time
+    let anchorSegment = await this.bufferService.getSegmentAt(targetTime);
+
+    // If the anchor is malformed (e.g. restored from disk without full
+    // metadata), fall back to the nearest shape-valid segment instead of
+    // serving an empty playlist while the buffer still has audio
+    if (anchorSegment && !Number.isFinite(anchorSegment.metadata?.sequenceNumber)) {
+      logger.warn('Anchor segment is missing sequence metadata, falling back to nearest valid segment');
+      anchorSegment = typeof this.bufferService.getNearestValidSegment === 'function'
+        ? this.bufferService.getNearestValidSegment(targetTime)
+        : null;
+    }
+
+    if (!anchorSegment) {
+      const oldestTime = this.bufferService.getOldestSegmentTime();
+      if (oldestTime) {
+        logger.warn(`Target time ${new Date(targetTime).toISOString()} is earlier than oldest segment ${new Date(oldestTime).toISOString()}`);
+      } else {
+        logger.warn('No segments available at target time');
+      }
+      return null;
+    }
+
+    // Find the sequence number of the anchor segment
+    const anchorSequence = anchorSegment.metadata.sequenceNumber;
+    logger.debug(`Found anchor segment with sequence: ${anchorSequence}`);
+
+    // Collect segments starting from anchor and expanding outward
+    const playlistSegments = [anchorSegment];
+    let maxDuration = anchorSegment.metadata.duration || 0;
+
+    // Try to get segments before and after the anchor
+    let beforeSeq = anchorSequence - 1;
+    let afterSeq = anchorSequence + 1;
+
+    // Recorded holes the window can step across; the segments missing in
+    // them are listed as gaps rather than ending the playlist
+    const bridgeable = typeof this.bufferService.getGaps === 'function'
+      ? this.bufferService.getGaps().filter(gap =>
+        Number.isFinite(gap.fromSeq) && Number.isFinite(gap.toSeq) &&
+        gap.toSeq >= gap.fromSeq && gap.toSeq - gap.fromSeq < MAX_BRIDGED_GAP)
+      : [];
+    const gapAt = seq => bridgeable.find(gap => seq >= gap.fromSeq && seq <= gap.toSeq);
+
+    while (playlistSegments.length < segmentCount) {
+      let foundAny = false;
+
+      // Try to get a segment after
+      if (playlistSegments.length < segmentCount) {
+        const afterSegment = await this.bufferService.getSegmentBySequence(afterSeq);
+        if (afterSegment) {
+          playlistSegments.push(afterSegment);
+          maxDuration = Math.max(maxDuration, afterSegment.metadata.duration || 0);
+          foundAny = true;
+        } else if (gapAt(afterSeq)) {
+          afterSeq = gapAt(afterSeq).toSeq;
+          foundAny = true;
         }
+        afterSeq++;
+      }
 
-        // If we couldn't find any more segments, stop looking
-        if (!foundAny) {
-          break;
+      // Try to get a segment before
+      if (playlistSegments.length < segmentCount && beforeSeq >= 0) {
+        const beforeSegment = await this.bufferService.getSegmentBySequence(beforeSeq);
+        if (beforeSegment) {
+          playlistSegments.unshift(beforeSegment);
+          maxDuration = Math.max(maxDuration, beforeSegment.metadata.duration || 0);
+          foundAny = true;
+        } else if (gapAt(beforeSeq)) {
+          beforeSeq = gapAt(beforeSeq).fromSeq;
+          foundAny = true;
         }
+        beforeSeq--;
       }
 
-      // Drop any segments that lost their metadata shape so formatting
-      // never dereferences undefined
-      const validSegments = playlistSegments.filter(
-        s => Number.isFinite(s?.metadata?.sequenceNumber)
-      );
+      // If we couldn't find any more segments, stop looking
+      if (!foundAny) {
+        break;
+      }
+    }
 
-      if (validSegments.length === 0) {
-        logger.warn('No valid segments found for playlist');
-        return this._generateEmptyPlaylist(baseUrl);
+    // Drop any segments that lost their metadata shape so formatting
+    // never dereferences undefined
+    const validSegments = playlistSegments.filter(
+      s => Number.isFinite(s?.metadata?.sequenceNumber)
+    );
+
+    if (validSegments.length === 0) {
+      logger.warn('No valid segments found for playlist');
+      return null;
+    }
+
+    // Sort segments by sequence number to ensure correct order
+    validSegments.sort((a, b) => a.metadata.sequenceNumber - b.metadata.sequenceNumber);
+
+    const window = { segments: validSegments, maxDuration };
+    return scheduled ? this._spliceDelayChange(window, now) : window;
+  }
+
+  /**
+   * Keep track of where the playlist cuts over when the scheduled delay
+   * changes. At the change, playback goes from the segment playing at that
+   * moment under the old delay to the one the new delay points at, so the
+   * difference is repeated or skipped in one go. Segments after the cut are
+   * numbered on from the ones before it (media and discontinuity sequence)
+   * and the offsets carry forward, so a player sees one timeline.
+   * @private
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} - { since, sequenceOffset, discontinuityOffset, holeDiscontinuityOffset, firstSequence, previous, lastListed }
+   */
+  async _updateDelayEra(now) {
+    const transition = this.delaySchedule.getLastTransition(now);
+    const era = this.delayEra;
+
+    // Nothing has been served yet, so there is nothing to stay in step with
+    if (!era) {
+      this.delayEra = {
+        since: transition ? transition.at : now, sequenceOffset: 0, discontinuityOffset: 0, holeDiscontinuityOffset: 0, previous: null
+      };
+      return this.delayEra;
+    }
+    if (!transition || transition.at <= era.since) {
+      return era;
+    }
+
+    let last = await this.bufferService.getSegmentAt(transition.at - transition.delayBefore);
+    const first = await this.bufferService.getSegmentAt(transition.at - transition.delayAfter);
+    // Playlists list a little past the playhead, and players may already
+    // have loaded those segments under their numbers, so the cut comes
+    // after the last segment listed under the old delay
+    if (last && era.lastListed > last.metadata?.sequenceNumber) {
+      last = (await this.bufferService.getSegmentBySequence(era.lastListed)) || last;
+    }
+    const lastSequence = last?.metadata?.sequenceNumber;
+    const firstSequence = first?.metadata?.sequenceNumber;
+    if (!Number.isFinite(lastSequence) || !Number.isFinite(firstSequence)) {
+      logger.warn('Delay changed but the buffer has nothing at the cut; starting the playlist afresh');
+      this.delayEra = { ...era, since: transition.at, previous: null };
+      return this.delayEra;
+    }
+
+    const lastDiscontinuity = last.metadata.discontinuitySequence;
+    const firstDiscontinuity = first.metadata.discontinuitySequence;
+    this.delayEra = {
+      since: transition.at,
+      sequenceOffset: era.sequenceOffset + lastSequence + 1 - firstSequence,
+      discontinuityOffset: era.discontinuityOffset + (Number.isFinite(lastDiscontinuity) && Number.isFinite(firstDiscontinuity)
+        ? lastDiscontinuity + 1 - firstDiscontinuity
+        : 1),
+      // Filler playlists count the holes between the two apart
+      holeDiscontinuityOffset: era.holeDiscontinuityOffset + this._holeDiscontinuities(last) - this._holeDiscontinuities(first),
+      firstSequence,
+      previous: {
+        sequenceOffset: era.sequenceOffset,
+        discontinuityOffset: era.discontinuityOffset,
+        holeDiscontinuityOffset: era.holeDiscontinuityOffset,
+        lastSequence
       }
+    };
 
-      // Sort segments by sequence number to ensure correct order
-      validSegments.sort((a, b) => a.metadata.sequenceNumber - b.metadata.sequenceNumber);
+    logger.info(`Delay changed to ${transition.delayAfter / 3600000}h at ${new Date(transition.at).toISOString()}: ` +
+      `${transition.change === 'repeat' ? 'repeating' : 'skipping'} ${transition.amount / 60000} minutes, cutting from segment ${lastSequence} to ${firstSequence}`);
+    return this.delayEra;
+  }
 
-      return this._formatPlaylist(validSegments, maxDuration, baseUrl);
-    } catch (error) {
-      logger.error(`Error generating playlist: ${error}`);
-      return this._generateEmptyPlaylist();
+  /**
+   * Apply the delay era to a window: segments the new delay reaches back
+   * over are replaced with the ones that played before the cut, and
+   * everything is numbered for the listener's timeline
+   * @private
+   * @param {Object} window - { segments, maxDuration } from the buffer
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} - The window, segments carrying listSequence
+   */
+  async _spliceDelayChange(window, now) {
+    const era = await this._updateDelayEra(now);
+    const listed = window.segments
+      .map(segment => segment.metadata.sequenceNumber)
+      .filter(seq => !era.previous || seq >= era.firstSequence);
+    era.lastListed = Math.max(era.lastListed ?? -Infinity, ...listed);
+    if (!era.previous && era.sequenceOffset === 0 && era.discontinuityOffset === 0 && era.holeDiscontinuityOffset === 0) {
+      return window;
+    }
+
+    const renumber = (segment, offsets, cut = false) => {
+      const { sequenceNumber, discontinuitySequence } = segment.metadata;
+      return {
+        ...segment,
+        listSequence: sequenceNumber + offsets.sequenceOffset,
+        holeDiscontinuityOffset: offsets.holeDiscontinuityOffset,
+        metadata: {
+          ...segment.metadata,
+          ...(cut && { discontinuity: true }),
+          ...(Number.isFinite(discontinuitySequence) && {
+            discontinuitySequence: discontinuitySequence + offsets.discontinuityOffset
+          })
+        }
+      };
+    };
+
+    const segments = [];
+    let current = window.segments;
+    if (era.previous) {
+      current = current.filter(segment => segment.metadata.sequenceNumber >= era.firstSequence);
+      for (let count = window.segments.length - current.length, seq = era.previous.lastSequence; count > 0; count--, seq--) {
+        const segment = await this.bufferService.getSegmentBySequence(seq);
+        if (segment) {
+          segments.unshift(renumber(segment, era.previous));
+        }
+      }
     }
+    current.forEach(segment => {
+      segments.push(renumber(segment, era, Boolean(era.previous) && segment.metadata.sequenceNumber === era.firstSequence));
+    });
+
+    if (segments.length === 0) {
+      return window;
+    }
+    return {
+      segments,
+      maxDuration: segments.reduce((max, segment) => Math.max(max, segment.metadata.duration || 0), window.maxDuration)
+    };
   }
   
+  /**
+   * Where a moment falls in a list of segments, for #EXT-X-START
+   * @private
+   * @param {Array<Object>} segments - Segments as listed, gaps included
+   * @param {number} [startTime] - The moment (ms)
+   * @returns {number|null} - Seconds from the start of the list, or null if
+   *   no listed segment covers it
+   */
+  _startOffset(segments, startTime) {
+    if (!Number.isFinite(startTime)) {
+      return null;
+    }
+
+    let offset = 0;
+    for (const segment of segments) {
+      const duration = segment.metadata.duration || 10;
+      if (!segment.gap && Number.isFinite(segment.timestamp) &&
+          startTime >= segment.timestamp && startTime < segment.timestamp + duration * 1000) {
+        return offset + (startTime - segment.timestamp) / 1000;
+      }
+      offset += duration;
+    }
+    return null;
+  }
+
+  /**
+   * Stand-in for a segment that was never recorded, following on from the
+   * segment before it (same container, init segment and discontinuity
+   * sequence, so it starts no discontinuity of its own)
+   * @private
+   * @param {Object} previous - Segment before the hole
+   * @param {number} sequenceNumber - Missing sequence number
+   * @param {number} [timestamp] - Where it falls on the buffer's timeline
+   * @param {number} [duration] - Its duration in seconds (defaults to the previous segment's)
+   * @param {number} [listSequence] - Its number in the playlist, when that isn't its sequence number
+   * @returns {Object} - Placeholder segment, marked gap: true
+   */
+  _createGap(previous, sequenceNumber, timestamp, duration, listSequence) {
+    return {
+      gap: true,
+      timestamp,
+      ...(listSequence !== undefined && { listSequence }),
+      metadata: {
+        sequenceNumber,
+        duration: duration || previous.metadata.duration || this.options.targetDuration,
+        container: previous.metadata.container,
+        initId: previous.metadata.initId,
+        discontinuitySequence: previous.metadata.discontinuitySequence
+      }
+    };
+  }
+
+  /**
+   * Fill the sequence numbers missing between recorded segments (outages,
+   * failed downloads) with placeholders, so every later segment keeps its
+   * position and time in the playlist. A missing sequence number stands
+   * for one segment's worth of audio.
+   * @private
+   * @param {Array} segments - Segments sorted by sequence number
+   * @param {number} [maxGap] - Longest hole to fill; the segment after a
+   *   longer one is marked afterHole instead
+   * @returns {Array} - Segments with placeholders in the holes
+   */
+  _fillGaps(segments, maxGap = Infinity) {
+    const filled = [];
+    segments.forEach((segment, index) => {
+      const previous = segments[index - 1];
+      if (previous && this._listSequence(segment) - this._listSequence(previous) - 1 > maxGap) {
+        filled.push({ ...segment, afterHole: true });
+        return;
+      }
+      if (previous) {
+        const duration = previous.metadata.duration || this.options.targetDuration;
+        const from = this._listSequence(previous);
+        for (let number = from + 1; number < this._listSequence(segment); number++) {
+          const offset = number - from;
+          const timestamp = Number.isFinite(previous.timestamp) ? previous.timestamp + offset * duration * 1000 : undefined;
+          filled.push(this._createGap(previous, previous.metadata.sequenceNumber + offset, timestamp, duration,
+            previous.listSequence === undefined ? undefined : number));
+        }
+      }
+      filled.push(segment);
+    });
+    return filled;
+  }
+
+  /**
+   * A segment's number in the playlist: its sequence number, unless the
+   * window was spliced at a change of delay
+   * @private
+   * @param {Object} segment - Segment
+   * @returns {number}
+   */
+  _listSequence(segment) {
+    return segment.listSequence ?? segment.metadata.sequenceNumber;
+  }
+
+  /**
+   * The discontinuities a filler playlist has up to a segment beyond the
+   * buffer's own (one on each side of the filler for every hole)
+   * @private
+   * @param {Object} segment - Segment
+   * @returns {number}
+   */
+  _holeDiscontinuities(segment) {
+    const counted = typeof this.bufferService.getHoleDiscontinuities === 'function'
+      ? this.bufferService.getHoleDiscontinuities(segment.metadata.sequenceNumber)
+      : 0;
+    return counted + (segment.holeDiscontinuityOffset || 0);
+  }
+
   /**
    * Format segments into a valid HLS playlist
    * @private
    * @param {Array} segments - Array of segment objects
    * @param {number} maxDuration - Maximum segment duration
    * @param {string} baseUrl - Base URL for segment URLs
+   * @param {string} routeBase - Route the segment and init segment URIs hang off
+   * @param {Object} [options] - Options
+   * @param {string} [options.gaps] - 'filler' to list missing segments as
+   *   filler between discontinuities instead of tagging them #EXT-X-GAP
+   * @param {string} [options.playlistType] - 'VOD' or 'EVENT' for a range playlist
+   * @param {number} [options.maxGap] - Longest hole to list as gaps
+   * @param {number} [options.startTime] - Moment (ms) to point #EXT-X-START at
    * @returns {Object} - Formatted playlist with m3u8 content and metadata
    */
-  _formatPlaylist(segments, maxDuration, baseUrl = '') {
+  _formatPlaylist(segments, maxDuration, baseUrl = '', routeBase = '/stream', options = {}) {
+    segments = this._fillGaps(segments, options.maxGap);
+    const useFiller = options.gaps === 'filler';
     const targetDuration = Math.ceil(maxDuration || this.options.targetDuration);
-    const mediaSequence = segments[0].metadata.sequenceNumber;
+    const mediaSequence = this._listSequence(segments[0]);
+
+    // EXT-X-MAP outside an I-frame playlist needs protocol version 6
+    const hasInitSegments = segments.some(segment => segment.metadata.initId);
+    const version = hasInitSegments
+      ? Math.max(this.options.playlistVersion, 6)
+      : this.options.playlistVersion;
     
     // Create playlist header
     let m3u8Content = '#EXTM3U\n';
-    m3u8Content += `#EXT-X-VERSION:${this.options.playlistVersion}\n`;
+    m3u8Content += `#EXT-X-VERSION:${version}\n`;
     m3u8Content += `#EXT-X-TARGETDURATION:${targetDuration}\n`;
     m3u8Content += `#EXT-X-MEDIA-SEQUENCE:${mediaSequence}\n`;
+    if (options.playlistType) {
+      m3u8Content += `#EXT-X-PLAYLIST-TYPE:${options.playlistType}\n`;
+    }
+
+    // A listener who asked to start at a moment (?at=, e.g. a track start)
+    // starts there, for as long as that moment is in the window
+    const startOffset = this._startOffset(segments, options.startTime);
+    if (startOffset !== null) {
+      m3u8Content += `#EXT-X-START:TIME-OFFSET=${startOffset.toFixed(3)},PRECISE=YES\n`;
+    }
+
+    // Discontinuities that have slid out of the window still count, so the
+    // player keeps its timelines lined up across reloads (with filler, the
+    // ones around it too)
+    const first = segments[0].metadata;
+    const discontinuitySequence = useFiller && Number.isFinite(first.discontinuitySequence) &&
+      FILLER_URIS[first.container || 'ts'] && !first.initId
+      ? first.discontinuitySequence + this._holeDiscontinuities(segments[0])
+      : first.discontinuitySequence;
+    if (Number.isFinite(discontinuitySequence)) {
+      m3u8Content += `#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuitySequence}\n`;
+    }
     
     // Prepare JSON format segments
     const jsonSegments = [];
+    let keyLine = null;
+    let previous = null;
+    let afterFiller = false;
     
     // Add segments
     segments.forEach(segment => {
       const duration = segment.metadata.duration || 10;
       const sequenceNumber = segment.metadata.sequenceNumber;
-      const uri = `/stream/segment/${sequenceNumber}.ts`;
+      const container = segment.metadata.container || 'ts';
+      const initId = segment.metadata.initId || null;
+      const extension = SEGMENT_EXTENSIONS[container] || 'ts';
+      const uri = `${this.options.pathPrefix}${routeBase}/segment/${sequenceNumber}.${extension}`;
+      const fillerUri = useFiller && segment.gap && !segment.tagOnly && !initId && FILLER_URIS[container]
+        ? `${this.options.pathPrefix}${FILLER_URIS[container]}`
+        : null;
+
+      // The buffer numbers every discontinuity: one passed through from the
+      // source (encoder restart), or a new init segment or a switch between
+      // TS and fMP4. Either way the player has to reset its decoder here.
+      // (Segments without a number, from older buffers, fall back to
+      // comparing containers and init segments.)
+      const segmentDiscontinuitySequence = segment.metadata.discontinuitySequence;
+      if (previous) {
+        const numbered = Number.isFinite(segmentDiscontinuitySequence) && Number.isFinite(previous.discontinuitySequence);
+        const discontinuity = numbered
+          ? segmentDiscontinuitySequence !== previous.discontinuitySequence
+          : Boolean(segment.metadata.discontinuity) || previous.container !== container || previous.initId !== initId;
+        // Filler has timestamps of its own, so it is set apart from the
+        // segments on either side
+        if (discontinuity || segment.afterHole || Boolean(fillerUri) !== afterFiller) {
+          m3u8Content += '#EXT-X-DISCONTINUITY\n';
+        }
+      }
+      afterFiller = Boolean(fillerUri);
+      if (initId && (!previous || previous.initId !== initId)) {
+        m3u8Content += `#EXT-X-MAP:URI="${baseUrl}${this.options.pathPrefix}${routeBase}/init/${initId}.mp4"\n`;
+      }
+      previous = { container, initId, discontinuitySequence: segmentDiscontinuitySequence };
+
+      // Filler isn't encrypted; the key is listed again for the segment
+      // after it
+      if (fillerUri && keyLine !== null && keyLine !== '#EXT-X-KEY:METHOD=NONE') {
+        m3u8Content += '#EXT-X-KEY:METHOD=NONE\n';
+        keyLine = '#EXT-X-KEY:METHOD=NONE';
+      }
+
+      // Segments stored encrypted (SAMPLE-AES) carry their key reference;
+      // re-emit EXT-X-KEY whenever it changes so the player can decrypt
+      // (gaps are never decrypted, so they leave the key as it is)
+      if (!segment.gap) {
+        const encryption = segment.metadata.encryption;
+        const segmentKeyLine = encryption
+          ? `#EXT-X-KEY:METHOD=${encryption.method},URI="${baseUrl}${this.options.pathPrefix}/stream/key/${encryption.keyId}.key",IV=0x${encryption.iv}`
+          : '#EXT-X-KEY:METHOD=NONE';
+        if (segmentKeyLine !== keyLine && (encryption || keyLine !== null)) {
+          m3u8Content += `${segmentKeyLine}\n`;
+        }
+        keyLine = segmentKeyLine;
+      }
 
       // Wall-clock timestamp lets the player know the real capture time of
       // what it's playing (used to align track metadata with the playhead)
@@ -175,6 +724,19 @@ class PlaylistGenerator {
         m3u8Content += `#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.timestamp).toISOString()}\n`;
       }
 
+      // Nothing was recorded for a gap. Players that know #EXT-X-GAP skip
+      // it in time without loading anything; the rest get filler in the
+      // same container (silence for AAC streams) where there is one.
+      if (fillerUri) {
+        m3u8Content += `#EXTINF:${duration.toFixed(3)},\n`;
+        m3u8Content += `${baseUrl}${fillerUri}\n`;
+        jsonSegments.push({ duration, uri: fillerUri, sequenceNumber, gap: true });
+        return;
+      }
+      if (segment.gap) {
+        m3u8Content += '#EXT-X-GAP\n';
+      }
+
       // Add segment info to m3u8
       m3u8Content += `#EXTINF:${duration.toFixed(3)},\n`;
       m3u8Content += `${baseUrl}${uri}\n`;
@@ -183,15 +745,22 @@ class PlaylistGenerator {
       jsonSegments.push({
         duration,
         uri,
-        sequenceNumber
+        sequenceNumber,
+        ...(segment.gap && { gap: true })
       });
     });
     
+    if (options.playlistType === 'VOD') {
+      m3u8Content += '#EXT-X-ENDLIST\n';
+    }
+    
     // Return both m3u8 content and structured data
     return {
       m3u8Content,
       segments: jsonSegments,
+      ...(options.playlistType && { playlistType: options.playlistType }),
       mediaSequence,
+      discontinuitySequence: Number.isFinite(discontinuitySequence) ? discontinuitySequence : 0,
       targetDuration
     };
   }
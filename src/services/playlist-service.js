@@ -1,27 +1,26 @@
-const axios = require('axios');
 const { Parser } = require('m3u8-parser');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { httpClient } = require('./http-client');
 
 /**
  * Fetches an HLS playlist from the specified URL with retry capability
  * @param {string} url - The URL of the playlist to fetch (defaults to Akamai URL in config)
  * @param {number} maxRetries - Maximum number of retry attempts
  * @param {number} retryDelay - Delay between retries in ms
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Request timeout in ms (blocking reloads are held open by the server)
  * @returns {Promise<string>} - The playlist content as a string
  */
-async function fetchPlaylist(url = config.STREAM_URLS.AKAMAI, maxRetries = 3, retryDelay = 1000) {
+async function fetchPlaylist(url = config.STREAM_URLS.AKAMAI, maxRetries = 3, retryDelay = 1000, options = {}) {
   let retries = 0;
   
   while (true) {
     try {
       logger.info(`Fetching playlist from: ${url}`);
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/vnd.apple.mpegurl',
-          'User-Agent': 'encore.fm/1.0.0'
-        }
+      const response = await httpClient.get(url, {
+        timeout: options.timeout,
+        headers: { 'Accept': 'application/vnd.apple.mpegurl' }
       });
       
       return response.data;
@@ -58,6 +57,212 @@ function parsePlaylist(playlistContent) {
   }
 }
 
+/**
+ * Resolve a playlist URI against the URL of the playlist that referenced it
+ * @param {string} uri - Absolute or relative URI
+ * @param {string} baseUrl - URL of the referencing playlist
+ * @returns {string} - Absolute URL
+ */
+function resolveUrl(uri, baseUrl) {
+  if (uri.startsWith('http')) {
+    return uri;
+  }
+  return new URL(uri, baseUrl).toString();
+}
+
+/**
+ * Check whether a parsed playlist is a master (multivariant) playlist
+ * @param {Object} parsedPlaylist - The parsed playlist object
+ * @returns {boolean} - True if the playlist lists variants rather than segments
+ */
+function isMasterPlaylist(parsedPlaylist) {
+  return !!(parsedPlaylist && parsedPlaylist.playlists && parsedPlaylist.playlists.length);
+}
+
+/**
+ * List the variant streams of a master playlist
+ * Each variant gets a short stable ID derived from its bandwidth (e.g. '96k'),
+ * so it survives the source renaming its variant URLs
+ * @param {Object} parsedPlaylist - The parsed master playlist
+ * @param {string} baseUrl - The master playlist URL, to resolve relative URIs
+ * @returns {Array<Object>} - Variants as { id, url, bandwidth, codecs, resolution }
+ */
+function getVariants(parsedPlaylist, baseUrl) {
+  if (!isMasterPlaylist(parsedPlaylist)) {
+    return [];
+  }
+
+  const seenIds = new Map();
+
+  return parsedPlaylist.playlists.map(playlist => {
+    const bandwidth = playlist.attributes?.BANDWIDTH || 0;
+    const baseId = `${Math.round(bandwidth / 1000)}k`;
+    const count = (seenIds.get(baseId) || 0) + 1;
+    seenIds.set(baseId, count);
+
+    return {
+      id: count > 1 ? `${baseId}-${count}` : baseId,
+      url: resolveUrl(playlist.uri, baseUrl),
+      bandwidth,
+      codecs: playlist.attributes?.CODECS || null,
+      resolution: playlist.attributes?.RESOLUTION || null
+    };
+  });
+}
+
+/**
+ * Parse a variant selection policy string
+ * Accepted forms: 'highest', 'lowest', 'codecs:<value>', 'max-bitrate:<bps>'
+ * @param {string} policy - The policy string
+ * @returns {Object} - { type, value }
+ */
+function parseVariantPolicy(policy = 'highest') {
+  const [type, ...rest] = String(policy).trim().split(':');
+  const value = rest.join(':').trim();
+
+  switch (type.toLowerCase()) {
+    case 'lowest':
+      return { type: 'lowest', value: null };
+    case 'codecs':
+      return value ? { type: 'codecs', value } : { type: 'highest', value: null };
+    case 'max-bitrate': {
+      const bitrate = parseInt(value, 10);
+      return Number.isFinite(bitrate) && bitrate > 0
+        ? { type: 'max-bitrate', value: bitrate }
+        : { type: 'highest', value: null };
+    }
+    default:
+      return { type: 'highest', value: null };
+  }
+}
+
+/**
+ * Pick one variant from a master playlist according to a policy
+ * - highest / lowest: by BANDWIDTH
+ * - codecs:<value>: highest-bandwidth variant whose CODECS list contains the value
+ * - max-bitrate:<bps>: highest-bandwidth variant at or under the limit
+ * A policy that matches nothing falls back to the nearest sensible choice
+ * (highest for codecs, lowest for max-bitrate) rather than recording nothing.
+ * @param {Object} parsedPlaylist - The parsed master playlist
+ * @param {string} baseUrl - The master playlist URL
+ * @param {string} [policy] - Variant policy (defaults to config.VARIANT_POLICY)
+ * @returns {Object|null} - The chosen variant, or null if there are none
+ */
+function selectVariant(parsedPlaylist, baseUrl, policy = config.VARIANT_POLICY) {
+  const variants = getVariants(parsedPlaylist, baseUrl)
+    .sort((a, b) => a.bandwidth - b.bandwidth);
+
+  if (variants.length === 0) {
+    return null;
+  }
+
+  const { type, value } = parseVariantPolicy(policy);
+  const highest = list => list[list.length - 1];
+
+  switch (type) {
+    case 'lowest':
+      return variants[0];
+    case 'codecs': {
+      const matching = variants.filter(v =>
+        v.codecs && v.codecs.split(',').some(codec => codec.trim() === value));
+      if (matching.length === 0) {
+        logger.warn(`No variant has codec ${value}, falling back to highest bandwidth`);
+        return highest(variants);
+      }
+      return highest(matching);
+    }
+    case 'max-bitrate': {
+      const matching = variants.filter(v => v.bandwidth <= value);
+      if (matching.length === 0) {
+        logger.warn(`No variant at or under ${value}bps, falling back to lowest bandwidth`);
+        return variants[0];
+      }
+      return highest(matching);
+    }
+    default:
+      return highest(variants);
+  }
+}
+
+/**
+ * Describe the encryption of a media segment from its #EXT-X-KEY tag
+ * When the tag has no IV, HLS uses the segment's media sequence number as a
+ * 128-bit big-endian IV; it is filled in here so the IV survives any
+ * renumbering of the segment later on.
+ * @param {Object} segment - Parsed segment (from parsedPlaylist.segments)
+ * @param {string} baseUrl - URL of the media playlist, to resolve the key URI
+ * @param {number} sequenceNumber - The segment's media sequence number in the source
+ * @returns {Object|null} - { method, uri, iv } with iv as 32 hex digits, or null if unencrypted
+ */
+function getSegmentKey(segment, baseUrl, sequenceNumber) {
+  const key = segment?.key;
+  if (!key || !key.method || key.method === 'NONE' || !key.uri) {
+    return null;
+  }
+
+  const iv = key.iv
+    ? Array.from(key.iv, word => (word >>> 0).toString(16).padStart(8, '0')).join('')
+    : BigInt(sequenceNumber).toString(16).padStart(32, '0');
+
+  return {
+    method: key.method,
+    uri: resolveUrl(key.uri, baseUrl),
+    iv
+  };
+}
+
+/**
+ * Describe the media initialization section of a segment from its #EXT-X-MAP tag
+ * @param {Object} segment - Parsed segment (from parsedPlaylist.segments)
+ * @param {string} baseUrl - URL of the media playlist, to resolve the map URI
+ * @returns {Object|null} - { uri, byterange? } with byterange as { offset, length }, or null if none
+ */
+function getSegmentMap(segment, baseUrl) {
+  const map = segment?.map;
+  if (!map || !map.uri) {
+    return null;
+  }
+
+  return {
+    uri: resolveUrl(map.uri, baseUrl),
+    ...(map.byterange && {
+      byterange: { offset: map.byterange.offset || 0, length: map.byterange.length }
+    })
+  };
+}
+
+/**
+ * Work out a segment's container format
+ * An EXT-X-MAP means fragmented MP4 (CMAF); otherwise go by the extension,
+ * defaulting to MPEG-TS which is what HLS has always assumed.
+ * @param {string} url - Segment URL
+ * @param {Object|null} [map] - Result of getSegmentMap() for the segment
+ * @returns {string} - 'fmp4', 'aac' or 'mp3' (packed audio), or 'ts'
+ */
+function getSegmentContainer(url, map = null) {
+  if (map) {
+    return 'fmp4';
+  }
+
+  let pathname = url;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    // Relative or malformed; match against the raw string
+  }
+
+  if (/\.(m4s|mp4|m4a|cmfa|cmfv)$/i.test(pathname)) {
+    return 'fmp4';
+  }
+  if (/\.aac$/i.test(pathname)) {
+    return 'aac';
+  }
+  if (/\.mp3$/i.test(pathname)) {
+    return 'mp3';
+  }
+  return 'ts';
+}
+
 /**
  * Extracts media segment URLs from a parsed playlist
  * @param {Object} parsedPlaylist - The parsed playlist object 
@@ -71,14 +276,7 @@ function getSegmentUrls(parsedPlaylist, baseUrl) {
     // If it's a master playlist, we need to first get the media playlist URLs
     if (parsedPlaylist.playlists && parsedPlaylist.playlists.length) {
       logger.info('Master playlist detected, returning variant stream URLs');
-      return parsedPlaylist.playlists.map(playlist => {
-        // Handle relative URLs
-        if (playlist.uri.startsWith('http')) {
-          return playlist.uri;
-        } else {
-          return new URL(playlist.uri, baseUrl).toString();
-        }
-      });
+      return parsedPlaylist.playlists.map(playlist => resolveUrl(playlist.uri, baseUrl));
     }
     
     // For media playlists, get segment URLs
@@ -86,14 +284,7 @@ function getSegmentUrls(parsedPlaylist, baseUrl) {
       throw new Error('No segments found in playlist');
     }
     
-    return parsedPlaylist.segments.map(segment => {
-      // Handle relative URLs
-      if (segment.uri.startsWith('http')) {
-        return segment.uri;
-      } else {
-        return new URL(segment.uri, baseUrl).toString();
-      }
-    });
+    return parsedPlaylist.segments.map(segment => resolveUrl(segment.uri, baseUrl));
   } catch (error) {
     logger.error(`Error extracting segment URLs: ${error.message}`);
     throw new Error(`Failed to extract segment URLs: ${error.message}`);
@@ -138,5 +329,13 @@ module.exports = {
   fetchPlaylist,
   parsePlaylist,
   getSegmentUrls,
-  getPlaylistInfo
+  getPlaylistInfo,
+  resolveUrl,
+  isMasterPlaylist,
+  getVariants,
+  parseVariantPolicy,
+  selectVariant,
+  getSegmentKey,
+  getSegmentMap,
+  getSegmentContainer
 }; 
\ No newline at end of file
@@ -0,0 +1,700 @@
+/**
+ * Progressive Source Service
+ * Records endless HTTP audio streams (Icecast/Shoutcast MP3 or ADTS AAC)
+ * for stations that don't offer HLS. The stream is read continuously,
+ * interleaved ICY metadata is stripped out, and the audio is cut into
+ * fixed-duration chunks on frame boundaries. Each chunk goes straight into
+ * the buffer with a synthetic sequence number, so the playlist generator
+ * serves it like any recorded HLS segment.
+ *
+ * It stands in for MonitorService in a station pipeline as a source adapter
+ * (see source-adapters.js): the same control and status surface
+ * (startMonitoring, stopMonitoring, setSources, getStatus, getHealth) and the
+ * same discontinuity/sourceChanged events.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { httpClient } = require('./http-client');
+
+// MPEG audio bitrates in kbps by [MPEG-1 | MPEG-2/2.5][layer][index]
+const MPEG_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// MPEG audio sample rates by version bits (0 = 2.5, 2 = MPEG-2, 3 = MPEG-1)
+const MPEG_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// Give up resyncing on this much unparseable data and drop it
+const MAX_RESYNC_BYTES = 64 * 1024;
+
+/**
+ * Read an MP3 or ADTS AAC frame header
+ * @param {Buffer} data - Stream data
+ * @param {number} offset - Where the frame should start
+ * @returns {Object|null} - { codec, length, samples, sampleRate }, or null if there's no valid header
+ */
+function readFrameHeader(data, offset) {
+  if (offset + 7 > data.length || data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const b1 = data[offset + 1];
+  const b2 = data[offset + 2];
+
+  // ADTS: 12-bit sync and the (MPEG audio) layer bits set to 00
+  if ((b1 & 0xf6) === 0xf0) {
+    const sampleRate = ADTS_SAMPLE_RATES[(b2 >> 2) & 0x0f];
+    const length = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+    if (!sampleRate || length < 7) {
+      return null;
+    }
+    return { codec: 'aac', length, samples: 1024 * ((data[offset + 6] & 0x03) + 1), sampleRate };
+  }
+
+  const versionBits = (b1 >> 3) & 0x03;
+  const layer = 4 - ((b1 >> 1) & 0x03);
+  const bitrateIndex = (b2 >> 4) & 0x0f;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+  if (versionBits === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = versionBits === 3;
+  const bitrate = MPEG_BITRATES[isMpeg1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const padding = (b2 >> 1) & 0x01;
+
+  let length;
+  let samples;
+  if (layer === 1) {
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    samples = 384;
+  } else if (layer === 3 && !isMpeg1) {
+    length = Math.floor(72 * bitrate / sampleRate) + padding;
+    samples = 576;
+  } else {
+    length = Math.floor(144 * bitrate / sampleRate) + padding;
+    samples = 1152;
+  }
+
+  return { codec: 'mp3', length, samples, sampleRate };
+}
+
+/**
+ * Parse an ICY metadata block (e.g. StreamTitle='Artist - Title';StreamUrl='';)
+ * @param {string} text - Metadata block, possibly NUL-padded
+ * @returns {Object} - Field name -> value
+ */
+function parseIcyMetadata(text) {
+  const fields = {};
+  const pattern = /(\w+)='([\s\S]*?)';(?=\w+='|$)/g;
+  let match;
+  while ((match = pattern.exec(text.replace(/\0+$/, ''))) !== null) {
+    fields[match[1]] = match[2];
+  }
+  return fields;
+}
+
+/**
+ * Build the ID3 PRIV timestamp tag HLS requires at the start of every
+ * packed audio segment
+ * @param {number} pts - Timestamp of the segment's first sample (90kHz clock)
+ * @returns {Buffer} - ID3v2.4 tag
+ */
+function buildTimestampTag(pts) {
+  const owner = Buffer.from('com.apple.streaming.transportStreamTimestamp\0', 'latin1');
+  const timestamp = Buffer.alloc(8);
+  timestamp.writeBigUInt64BE(BigInt(pts) & 0x1ffffffffn);
+
+  const frameSize = owner.length + timestamp.length;
+  const frameHeader = Buffer.from([0x50, 0x52, 0x49, 0x56, 0, 0, 0, frameSize, 0, 0]); // PRIV
+  const tagHeader = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 10 + frameSize]); // ID3v2.4
+
+  return Buffer.concat([tagHeader, frameHeader, owner, timestamp]);
+}
+
+/**
+ * Progressive Source Service Class
+ */
+class ProgressiveSourceService extends EventEmitter {
+  /**
+   * @param {Object} [options] - Source options
+   * @param {string} [options.url] - Stream URL
+   * @param {Array<string>} [options.sources] - Mirror URLs to fail over between, preferred first
+   * @param {Object} [options.bufferService] - Buffer the chunks are added to
+   * @param {number} [options.chunkDuration] - Target chunk length in seconds
+   * @param {number} [options.reconnectDelayBase] - First reconnect delay in ms (doubles per failure)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.url = options.url || config.getStationStreamUrl(config.DEFAULT_STATION);
+    this.sources = options.sources && options.sources.length ? [...options.sources] : [this.url];
+    this.sourceIndex = Math.max(0, this.sources.indexOf(this.url));
+    this.bufferService = options.bufferService || null;
+    this.chunkDuration = options.chunkDuration || config.PROGRESSIVE_CHUNK_DURATION;
+    this.reconnectDelayBase = options.reconnectDelayBase || 1000;
+    this.maxReconnectDelay = 30000;
+    this.failoverErrorThreshold = options.failoverErrorThreshold || config.FAILOVER_ERROR_THRESHOLD;
+
+    this.isRunning = false;
+    this.response = null;
+    this.reconnectTimer = null;
+    this._storeChain = Promise.resolve();
+
+    this.codec = null;
+    this.streamTitle = null;
+    this.lastSequence = -1;
+    this.nextSequence = null;
+    this.lastChunkEnd = null; // Wall-clock end of the last stored chunk
+
+    this.errorCount = 0;
+    this.consecutiveErrors = 0;
+    this.failoverCount = 0;
+    this.lastSourceChange = null;
+    this.lastFetchTime = null;
+    this.connectedAt = null;
+    this.bytesReceived = 0;
+    this.chunksStored = 0;
+
+    this._resetStreamState();
+  }
+
+  /**
+   * Set the ordered list of source URLs, preferred first
+   * @param {Array<string>} sources - Stream URLs
+   */
+  setSources(sources) {
+    if (!sources || sources.length === 0) {
+      return;
+    }
+
+    this.sources = [...sources];
+    const index = this.sources.indexOf(this.url);
+    if (index === -1) {
+      this.url = this.sources[0];
+      this.sourceIndex = 0;
+    } else {
+      this.sourceIndex = index;
+    }
+  }
+
+  /**
+   * Start reading the stream
+   * @param {Object} [options] - Start options (kept for MonitorService parity)
+   * @returns {boolean} - Whether recording started
+   */
+  startMonitoring(options = {}) {
+    if (this.isRunning) {
+      logger.warn('Progressive source is already running');
+      return false;
+    }
+
+    if (!this.bufferService) {
+      logger.error('Progressive source has no buffer service to record into');
+      return false;
+    }
+
+    this.isRunning = true;
+    this.errorCount = 0;
+    this.consecutiveErrors = 0;
+
+    logger.info(`Starting progressive stream recording for URL: ${this.url}`);
+    this._connect();
+
+    return true;
+  }
+
+  /**
+   * Stop reading the stream. A partly filled chunk is stored, not lost.
+   * @returns {boolean} - Whether recording was running
+   */
+  stopMonitoring() {
+    if (!this.isRunning) {
+      logger.warn('Progressive source is not running');
+      return false;
+    }
+
+    logger.info('Stopping progressive stream recording');
+    this.isRunning = false;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    this._closeResponse();
+    this._flushChunk();
+
+    this.emit('stopped', { url: this.url });
+    return true;
+  }
+
+  /**
+   * Open the stream and start consuming it
+   * @private
+   */
+  async _connect() {
+    this._resetStreamState();
+
+    try {
+      const response = await httpClient.get(this.url, {
+        responseType: 'stream',
+        timeout: 15000,
+        headers: { 'Icy-MetaData': '1' }
+      });
+
+      if (!this.isRunning) {
+        response.data.destroy();
+        return;
+      }
+
+      this.response = response;
+      this.connectedAt = Date.now();
+      this.lastFetchTime = this.connectedAt;
+      this.consecutiveErrors = 0;
+
+      const metaInt = parseInt(response.headers['icy-metaint'], 10);
+      this.icy.metaInt = Number.isFinite(metaInt) && metaInt > 0 ? metaInt : 0;
+      this.icy.audioRemaining = this.icy.metaInt;
+
+      logger.info(`Connected to progressive stream ${this.url} (${response.headers['content-type'] || 'unknown type'}${this.icy.metaInt ? `, ICY metadata every ${this.icy.metaInt} bytes` : ''})`);
+
+      await this._resumeSequence();
+
+      response.data.on('data', (data) => this._onData(data));
+      response.data.on('end', () => this._onDisconnect(new Error('stream ended')));
+      response.data.on('error', (error) => this._onDisconnect(error));
+    } catch (error) {
+      this._onDisconnect(error);
+    }
+  }
+
+  /**
+   * Pick the next sequence number after (re)connecting. Numbering carries on
+   * from the buffer, skipping one number per chunk-length of outage so
+   * sequence numbers stay proportional to time across gaps and restarts.
+   * @private
+   */
+  async _resumeSequence() {
+    if (this.nextSequence === null) {
+      const stats = this.bufferService.getBufferStats();
+      const newest = stats.segmentCount > 0 ? await this.bufferService.getNewestSegment() : null;
+      if (newest) {
+        this.lastSequence = newest.metadata.sequenceNumber;
+        this.lastChunkEnd = newest.timestamp; // Stored as soon as it was cut
+      }
+      this.nextSequence = this.lastSequence + 1;
+    }
+
+    if (this.lastChunkEnd === null) {
+      return;
+    }
+
+    const skippedCount = Math.floor((Date.now() - this.lastChunkEnd) / (this.chunkDuration * 1000));
+    if (skippedCount > 0) {
+      const expected = this.nextSequence;
+      this.nextSequence += skippedCount;
+      logger.warn(`Progressive stream was down for ~${skippedCount} chunks, continuing at sequence ${this.nextSequence}`);
+      this.emit('discontinuity', { expected, actual: this.nextSequence, skippedCount });
+    }
+  }
+
+  /**
+   * Handle a dropped or failed connection: store what we have, then
+   * reconnect with backoff (moving to the next mirror after repeated failures)
+   * @private
+   * @param {Error} error - Why the connection ended
+   */
+  _onDisconnect(error) {
+    if (!this.response && this.reconnectTimer) {
+      return; // Already handled
+    }
+
+    this._closeResponse();
+    this._flushChunk();
+
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.errorCount++;
+    this.consecutiveErrors++;
+    logger.error(`Progressive stream ${this.url} disconnected: ${error.message}`);
+    this.emit('error', { error: error.message, url: this.url, errorCount: this.errorCount });
+
+    if (this.sources.length > 1 && this.consecutiveErrors >= this.failoverErrorThreshold) {
+      this._switchSource((this.sourceIndex + 1) % this.sources.length, `${this.consecutiveErrors} consecutive errors`);
+      this.consecutiveErrors = 0;
+    }
+
+    const delay = Math.min(
+      this.reconnectDelayBase * Math.pow(2, Math.max(0, this.consecutiveErrors - 1)),
+      this.maxReconnectDelay
+    );
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isRunning) {
+        this._connect();
+      }
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Move to another mirror
+   * @private
+   * @param {number} index - Index into this.sources
+   * @param {string} reason - Why, for logs and the sourceChanged event
+   */
+  _switchSource(index, reason) {
+    const from = this.url;
+    this.sourceIndex = index;
+    this.url = this.sources[index];
+    this.failoverCount++;
+    this.lastSourceChange = Date.now();
+
+    logger.warn(`Progressive source failover: ${from} -> ${this.url} (${reason})`);
+    this.emit('sourceChanged', { from, to: this.url, index, reason });
+  }
+
+  /**
+   * Close the current response stream, if any
+   * @private
+   */
+  _closeResponse() {
+    if (this.response) {
+      const stream = this.response.data;
+      this.response = null;
+      stream.removeAllListeners();
+      stream.on('error', () => {});
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Reset per-connection parsing state
+   * @private
+   */
+  _resetStreamState() {
+    this.icy = { metaInt: 0, audioRemaining: 0, metaRemaining: null, metaParts: [] };
+    this.pending = Buffer.alloc(0);
+    this.synced = false;
+    this.chunk = { frames: [], samples: 0, sampleRate: null, startedAt: null };
+    this.streamSamples = 0;
+    this.streamBasePts = null;
+  }
+
+  /**
+   * Split incoming bytes into audio and ICY metadata
+   * @private
+   * @param {Buffer} data - Bytes from the stream
+   */
+  _onData(data) {
+    this.lastFetchTime = Date.now();
+    this.bytesReceived += data.length;
+
+    if (!this.icy.metaInt) {
+      this._onAudio(data);
+      return;
+    }
+
+    let position = 0;
+    while (position < data.length) {
+      if (this.icy.metaRemaining === null) {
+        // Audio until the next metadata block
+        const count = Math.min(this.icy.audioRemaining, data.length - position);
+        this._onAudio(data.subarray(position, position + count));
+        position += count;
+        this.icy.audioRemaining -= count;
+        if (this.icy.audioRemaining === 0) {
+          this.icy.metaRemaining = -1;
+        }
+      } else if (this.icy.metaRemaining === -1) {
+        // Length byte, in 16-byte units; zero means "no change"
+        this.icy.metaRemaining = data[position] * 16;
+        position++;
+        if (this.icy.metaRemaining === 0) {
+          this.icy.metaRemaining = null;
+          this.icy.audioRemaining = this.icy.metaInt;
+        }
+      } else {
+        const count = Math.min(this.icy.metaRemaining, data.length - position);
+        this.icy.metaParts.push(data.subarray(position, position + count));
+        position += count;
+        this.icy.metaRemaining -= count;
+        if (this.icy.metaRemaining === 0) {
+          this._onIcyMetadata(Buffer.concat(this.icy.metaParts).toString('utf8'));
+          this.icy.metaParts = [];
+          this.icy.metaRemaining = null;
+          this.icy.audioRemaining = this.icy.metaInt;
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle an ICY metadata block
+   * @private
+   * @param {string} text - Raw metadata block
+   */
+  _onIcyMetadata(text) {
+    const fields = parseIcyMetadata(text);
+    if (fields.StreamTitle === undefined || fields.StreamTitle === this.streamTitle) {
+      return;
+    }
+
+    this.streamTitle = fields.StreamTitle;
+    logger.info(`Progressive stream title: ${this.streamTitle || '(none)'}`);
+    this.emit('streamTitle', { title: this.streamTitle, fields, timestamp: Date.now() });
+  }
+
+  /**
+   * Consume audio bytes frame by frame, cutting a chunk whenever the
+   * target duration is reached
+   * @private
+   * @param {Buffer} data - Audio bytes (ICY metadata already removed)
+   */
+  _onAudio(data) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, data]) : Buffer.from(data);
+
+    let offset = 0;
+    while (offset < this.pending.length) {
+      // Some servers prepend an ID3 tag; skip it whole
+      if (this.pending.length - offset >= 10 && this.pending.toString('latin1', offset, offset + 3) === 'ID3') {
+        const size = ((this.pending[offset + 6] & 0x7f) << 21) | ((this.pending[offset + 7] & 0x7f) << 14) |
+          ((this.pending[offset + 8] & 0x7f) << 7) | (this.pending[offset + 9] & 0x7f);
+        if (offset + 10 + size > this.pending.length) break;
+        offset += 10 + size;
+        continue;
+      }
+
+      // Connections start mid-frame, so (re)gain sync on a verified boundary
+      if (!this.synced) {
+        const next = this._resync(offset);
+        if (next === null) {
+          // Keep the tail: a header may straddle the next read
+          offset = Math.max(offset, this.pending.length - 6);
+          break;
+        }
+        offset = next.offset;
+        if (!next.verified) break;
+        this.synced = true;
+      }
+
+      const frame = readFrameHeader(this.pending, offset);
+      if (!frame) {
+        this.synced = false;
+        offset++;
+        continue;
+      }
+
+      if (offset + frame.length > this.pending.length) {
+        break; // Wait for the rest of the frame
+      }
+
+      this._addFrame(this.pending.subarray(offset, offset + frame.length), frame);
+      offset += frame.length;
+    }
+
+    this.pending = offset > 0 ? Buffer.from(this.pending.subarray(offset)) : this.pending;
+    if (this.pending.length > MAX_RESYNC_BYTES) {
+      logger.warn(`Dropped ${this.pending.length} bytes of unparseable progressive stream data`);
+      this.pending = Buffer.alloc(0);
+    }
+  }
+
+  /**
+   * Find the next frame boundary: a valid header followed by another one
+   * (a lone sync pattern inside audio data is common)
+   * @private
+   * @param {number} from - Offset to search from
+   * @returns {Object|null} - { offset, verified }, unverified if more data is
+   *   needed to check the candidate; null if there is no candidate yet
+   */
+  _resync(from) {
+    for (let i = from; i + 7 <= this.pending.length; i++) {
+      const frame = readFrameHeader(this.pending, i);
+      if (!frame) continue;
+
+      const following = i + frame.length;
+      if (following + 7 > this.pending.length) {
+        return { offset: i, verified: false };
+      }
+      const next = readFrameHeader(this.pending, following);
+      if (next && next.codec === frame.codec) {
+        return { offset: i, verified: true };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Append one frame to the current chunk
+   * @private
+   * @param {Buffer} data - Frame bytes
+   * @param {Object} frame - Header from readFrameHeader()
+   */
+  _addFrame(data, frame) {
+    if (this.codec !== frame.codec) {
+      if (this.codec) {
+        logger.warn(`Progressive stream codec changed: ${this.codec} -> ${frame.codec}`);
+        this._flushChunk();
+      }
+      this.codec = frame.codec;
+    }
+
+    if (this.chunk.frames.length === 0) {
+      this.chunk.startedAt = Date.now();
+      this.chunk.sampleRate = frame.sampleRate;
+      if (this.streamBasePts === null) {
+        this.streamBasePts = Math.round(this.chunk.startedAt * 90);
+      }
+    }
+
+    this.chunk.frames.push(Buffer.from(data));
+    this.chunk.samples += frame.samples;
+
+    if (this.chunk.samples / this.chunk.sampleRate >= this.chunkDuration) {
+      this._flushChunk();
+    }
+  }
+
+  /**
+   * Store the current chunk as a segment
+   * @private
+   */
+  _flushChunk() {
+    const chunk = this.chunk;
+    if (chunk.frames.length === 0 || this.nextSequence === null) {
+      return;
+    }
+    this.chunk = { frames: [], samples: 0, sampleRate: null, startedAt: null };
+
+    const sequenceNumber = this.nextSequence++;
+    const duration = chunk.samples / chunk.sampleRate;
+    const pts = this.streamBasePts + Math.round(this.streamSamples * 90000 / chunk.sampleRate);
+    this.streamSamples += chunk.samples;
+    this.lastSequence = sequenceNumber;
+    this.lastChunkEnd = Date.now();
+
+    const data = Buffer.concat([buildTimestampTag(pts), ...chunk.frames]);
+    const metadata = {
+      url: `${this.url}#chunk=${sequenceNumber}`,
+      sequenceNumber,
+      duration,
+      container: this.codec,
+      discoveredAt: chunk.startedAt,
+      ...(this.streamTitle && { streamTitle: this.streamTitle })
+    };
+
+    // Chunks are stored in order, one at a time
+    this._storeChain = this._storeChain
+      .then(() => this.bufferService.addSegment(data, metadata))
+      .then(() => {
+        this.chunksStored++;
+        this.emit('segmentStored', { sequenceNumber, duration, size: data.length });
+      })
+      .catch(error => {
+        logger.error(`Failed to store progressive chunk ${sequenceNumber}: ${error.message}`);
+        this.emit('storeFailed', { sequenceNumber, duration, error: error.message });
+      });
+  }
+
+  /**
+   * Wait until every cut chunk has reached the buffer
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this._storeChain;
+  }
+
+  /**
+   * Describe the active source
+   * @returns {Object} - Active source summary
+   */
+  getSourceStatus() {
+    return {
+      url: this.url,
+      index: this.sourceIndex,
+      isPreferred: this.sourceIndex === 0,
+      sourceCount: this.sources.length,
+      failoverCount: this.failoverCount,
+      lastChange: this.lastSourceChange
+    };
+  }
+
+  /**
+   * Get what this source can do (source adapter contract, see source-adapters.js)
+   * @returns {Object} - Source capabilities
+   */
+  getCapabilities() {
+    return {
+      downloads: false,
+      playlist: false,
+      rewind: false,
+      partialSegments: false,
+      variants: false,
+      streamTitles: true
+    };
+  }
+
+  /**
+   * Get source health (source adapter contract)
+   * @returns {Object} - Source health
+   */
+  getHealth() {
+    return {
+      isRunning: this.isRunning,
+      lastActivityTime: this.lastFetchTime,
+      lastSegmentTime: this.lastChunkEnd,
+      errorCount: this.errorCount
+    };
+  }
+
+  /**
+   * Get the current status
+   * @returns {Object} - Status information (same core fields as MonitorService)
+   */
+  getStatus() {
+    return {
+      type: 'icecast',
+      isRunning: this.isRunning,
+      isConnected: this.response !== null,
+      url: this.url,
+      source: this.getSourceStatus(),
+      codec: this.codec,
+      streamTitle: this.streamTitle,
+      chunkDuration: this.chunkDuration,
+      knownSegmentsCount: this.chunksStored,
+      lastSequence: this.lastSequence,
+      errorCount: this.errorCount,
+      bytesReceived: this.bytesReceived,
+      lastFetchTime: this.lastFetchTime,
+      uptime: this.connectedAt && this.response ? Date.now() - this.connectedAt : 0
+    };
+  }
+}
+
+module.exports = {
+  ProgressiveSourceService,
+  readFrameHeader,
+  parseIcyMetadata
+};
@@ -0,0 +1,319 @@
+/**
+ * Recording Scheduler
+ * Decides when each station records, from the recording rules in config:
+ * time windows (RECORDING_WINDOWS) and show titles matched against the
+ * station's broadcast schedule from the metadata service (RECORDING_SHOWS).
+ * Stations without rules record around the clock. Once started, it checks
+ * every running pipeline periodically and pauses or resumes its recording
+ * to match, so nothing is downloaded or written outside the schedule.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parse a day list: '*', 'daily', 'mon', 'mon-fri', 'sat,sun', 'fri-mon'
+ * @param {string} spec - Day list
+ * @returns {Set<number>|null} - Days of the week (0 = Sunday), or null if invalid
+ */
+function parseDays(spec) {
+  if (spec === '*' || spec === 'daily') {
+    return new Set([0, 1, 2, 3, 4, 5, 6]);
+  }
+
+  const days = new Set();
+  for (const part of spec.split(',')) {
+    const [from, to = from] = part.split('-').map(day => DAYS.indexOf(day.slice(0, 3)));
+    if (from === -1 || to === -1) {
+      return null;
+    }
+    // Ranges may wrap past Saturday (fri-mon)
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return days;
+}
+
+/**
+ * Parse a time of day
+ * @param {string} text - 'HH:MM' (24:00 allowed as an end time)
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Split an optional 'station@' prefix off a rule
+ * @param {string} text - Rule text
+ * @returns {Object} - { stationId (null for every station), body }
+ */
+function splitStation(text) {
+  const at = text.indexOf('@');
+  return at === -1
+    ? { stationId: null, body: text.trim() }
+    : { stationId: text.slice(0, at).trim(), body: text.slice(at + 1).trim() };
+}
+
+/**
+ * Parse a time window rule: '[station@][days] HH:MM-HH:MM', in local time.
+ * A window ending before it starts runs past midnight.
+ * @param {string} text - Rule text, e.g. 'bbc_6music@mon-fri 06:00-10:00'
+ * @returns {Object|null} - { stationId, days, start, end, text }, or null if invalid
+ */
+function parseWindowRule(text) {
+  const { stationId, body } = splitStation(text);
+  const parts = body.toLowerCase().split(/\s+/);
+  const range = parts.pop();
+  const days = parseDays(parts.join('') || '*');
+  const [start, end] = (range || '').split('-').map(parseTime);
+
+  if (!days || start == null || end == null || start === end) {
+    return null;
+  }
+  return { stationId, days, start, end, text };
+}
+
+/**
+ * Parse a show rule: '[station@]pattern', a case-insensitive regular
+ * expression matched against show titles
+ * @param {string} text - Rule text, e.g. 'bbc_6music@Lauren Laverne|Huey Morgan'
+ * @returns {Object|null} - { stationId, pattern, text }, or null if invalid
+ */
+function parseShowRule(text) {
+  const { stationId, body } = splitStation(text);
+  try {
+    return body ? { stationId, pattern: new RegExp(body, 'i'), text } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Recording Scheduler Class
+ */
+class RecordingScheduler extends EventEmitter {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {Array<string>} [options.windows] - Time window rules (defaults to RECORDING_WINDOWS)
+   * @param {Array<string>} [options.shows] - Show rules (defaults to RECORDING_SHOWS)
+   * @param {number} [options.padding] - Start this early and stop this late (ms)
+   * @param {number} [options.checkInterval] - How often to check the schedule (ms)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.padding = options.padding ?? config.RECORDING_PADDING;
+    this.checkInterval = options.checkInterval || config.RECORDING_CHECK_INTERVAL;
+
+    this.windows = this._parseRules(options.windows || config.RECORDING_WINDOWS, parseWindowRule, 'window');
+    this.shows = this._parseRules(options.shows || config.RECORDING_SHOWS, parseShowRule, 'show');
+
+    this.pipelines = null;
+    this.timer = null;
+    this._checking = null;
+  }
+
+  /**
+   * Parse rule strings, logging and dropping invalid ones
+   * @private
+   */
+  _parseRules(texts, parse, kind) {
+    const rules = [];
+    for (const text of texts) {
+      const rule = parse(text);
+      if (rule) {
+        rules.push(rule);
+      } else {
+        logger.error(`Ignoring invalid recording ${kind} rule: '${text}'`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Get the rules that apply to a station
+   * @param {string} stationId - Station ID
+   * @returns {Object} - { windows, shows }
+   */
+  getRules(stationId) {
+    const applies = rule => rule.stationId === null || rule.stationId === stationId;
+    return {
+      windows: this.windows.filter(applies),
+      shows: this.shows.filter(applies)
+    };
+  }
+
+  /**
+   * Whether a station's recording is limited by rules at all
+   * @param {string} stationId - Station ID
+   * @returns {boolean}
+   */
+  hasRules(stationId) {
+    const { windows, shows } = this.getRules(stationId);
+    return windows.length > 0 || shows.length > 0;
+  }
+
+  /**
+   * List the periods a station should record in a time range, padded and
+   * merged. Show rules only see shows the metadata service knows about.
+   * @param {string} stationId - Station ID
+   * @param {number} from - Range start (ms)
+   * @param {number} to - Range end (ms)
+   * @param {Object} [metadata] - The station's metadata service (for show rules)
+   * @returns {Array<Object>} - Sorted [{ start, end }]
+   */
+  getRecordingPeriods(stationId, from, to, metadata = null) {
+    const { windows, shows } = this.getRules(stationId);
+    const periods = [];
+
+    // Walk local calendar days, starting the day before so a window
+    // running past midnight into the range is included
+    const first = new Date(from - this.padding);
+    for (let offset = -1; ; offset++) {
+      const day = new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset);
+      if (day.getTime() > to + this.padding) break;
+
+      for (const window of windows) {
+        if (!window.days.has(day.getDay())) continue;
+        const endDay = window.end > window.start ? 0 : 1;
+        periods.push({
+          start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, window.start).getTime(),
+          end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + endDay, 0, window.end).getTime()
+        });
+      }
+    }
+
+    if (shows.length > 0 && metadata && Array.isArray(metadata.shows)) {
+      for (const show of metadata.shows) {
+        if (shows.some(rule => rule.pattern.test(show.data.title || ''))) {
+          periods.push({ start: show.start, end: show.end });
+        }
+      }
+    }
+
+    // Pad, clip to the range and merge overlapping periods
+    const merged = [];
+    periods
+      .map(period => ({ start: period.start - this.padding, end: period.end + this.padding }))
+      .filter(period => period.start < to && period.end > from)
+      .sort((a, b) => a.start - b.start)
+      .forEach(period => {
+        const last = merged[merged.length - 1];
+        if (last && period.start <= last.end) {
+          last.end = Math.max(last.end, period.end);
+        } else {
+          merged.push({ ...period });
+        }
+      });
+
+    return merged.map(period => ({ start: Math.max(period.start, from), end: Math.min(period.end, to) }));
+  }
+
+  /**
+   * Whether a station should be recording at a given time
+   * @param {string} stationId - Station ID
+   * @param {number} [time] - Time to check (ms, defaults to now)
+   * @param {Object} [metadata] - The station's metadata service (for show rules)
+   * @returns {boolean}
+   */
+  isRecordingTime(stationId, time = Date.now(), metadata = null) {
+    return !this.hasRules(stationId) ||
+      this.getRecordingPeriods(stationId, time, time + 1, metadata).length > 0;
+  }
+
+  /**
+   * Start checking the schedule for a set of pipelines
+   * @param {Map<string, Object>} pipelines - Station ID -> StationPipeline
+   */
+  start(pipelines) {
+    this.pipelines = pipelines;
+    if (this.timer || ![...pipelines.keys()].some(stationId => this.hasRules(stationId))) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => {
+        logger.error(`Recording schedule check failed: ${error.message}`);
+      });
+    }, this.checkInterval);
+    this.timer.unref();
+
+    logger.info(`Recording schedule active (${this.windows.length} window rule(s), ${this.shows.length} show rule(s))`);
+  }
+
+  /**
+   * Stop checking the schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pause or resume each running pipeline's recording to match the schedule
+   * @returns {Promise<void>}
+   */
+  async check() {
+    if (this._checking || !this.pipelines) {
+      return this._checking;
+    }
+
+    this._checking = (async () => {
+      for (const pipeline of this.pipelines.values()) {
+        if (!pipeline.isRunning || !this.hasRules(pipeline.stationId)) continue;
+
+        const wanted = this.isRecordingTime(pipeline.stationId, Date.now(), pipeline.metadata);
+        try {
+          if (wanted && !pipeline.isRecording) {
+            logger.info(`[${pipeline.stationId}] Recording window opened, resuming recording`);
+            await pipeline.resumeRecording();
+            this.emit('recordingResumed', { stationId: pipeline.stationId });
+          } else if (!wanted && pipeline.isRecording) {
+            logger.info(`[${pipeline.stationId}] Outside the recording schedule, pausing recording`);
+            await pipeline.pauseRecording();
+            this.emit('recordingPaused', { stationId: pipeline.stationId });
+          }
+        } catch (error) {
+          logger.error(`[${pipeline.stationId}] Could not apply the recording schedule: ${error.message}`);
+        }
+      }
+    })().finally(() => {
+      this._checking = null;
+    });
+
+    return this._checking;
+  }
+
+  /**
+   * Get a station's schedule status
+   * @param {string} stationId - Station ID
+   * @param {Object} [metadata] - The station's metadata service (for show rules)
+   * @returns {Object} - { hasRules, windows, shows, shouldRecord }
+   */
+  getStatus(stationId, metadata = null) {
+    const { windows, shows } = this.getRules(stationId);
+    return {
+      hasRules: windows.length > 0 || shows.length > 0,
+      windows: windows.map(rule => rule.text),
+      shows: shows.map(rule => rule.text),
+      shouldRecord: this.isRecordingTime(stationId, Date.now(), metadata)
+    };
+  }
+}
+
+module.exports = {
+  RecordingScheduler
+};
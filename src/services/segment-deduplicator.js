@@ -0,0 +1,184 @@
+/**
+ * Segment Deduplicator
+ * Redundant ingest pulls the same stream from two mirrors at once, so most
+ * segments arrive twice. The deduplicator sits in front of the buffer: the
+ * first valid copy of a segment claims it, and later copies are dropped.
+ * Segments are matched on their EXT-X-PROGRAM-DATE-TIME when they have one,
+ * since mirrors may number segments differently (the same number can be
+ * different audio on each), and on their sequence number only when they
+ * don't. A copy that fails to store gives its claim back, so the other
+ * mirror's copy can still fill the slot.
+ *
+ * The buffer keys segments by sequence number, so the second mirror's
+ * numbers are mapped onto the ones already stored before its copies go in:
+ * by the copy of the same broadcast time when there is one, otherwise by
+ * the offset learnt from the last such match (or estimated from the
+ * nearest stored broadcast time).
+ */
+
+/**
+ * Segment Deduplicator Class
+ */
+class SegmentDeduplicator {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxEntries=500] - Claims remembered (well past the live window of both mirrors)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.claims = new Map(); // Key -> { source, sequenceNumber, programDateTime } of the winning copy (insertion-ordered, bounded)
+    this.mirrorOffset = null; // Added to the second mirror's sequence numbers; null until learnt
+
+    this.stats = {
+      claimed: 0,
+      duplicates: 0,
+      released: 0
+    };
+  }
+
+  /**
+   * Key a segment is known by: its broadcast time, or failing that its
+   * sequence number
+   * @param {Object} metadata - Segment metadata
+   * @returns {string|null} - Key, or null if it has neither
+   * @private
+   */
+  _getKey(metadata) {
+    if (Number.isFinite(metadata.programDateTime)) {
+      return `pdt:${metadata.programDateTime}`;
+    }
+    if (Number.isFinite(metadata.sequenceNumber)) {
+      return `seq:${metadata.sequenceNumber}`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a copy of this segment has already been claimed
+   * @param {Object} metadata - Segment metadata ({ sequenceNumber, programDateTime })
+   * @returns {boolean}
+   */
+  has(metadata) {
+    const key = this._getKey(metadata);
+    return key !== null && this.claims.has(key);
+  }
+
+  /**
+   * Claim a segment for storing. Segments with neither a sequence number
+   * nor a broadcast time can't be matched up and are always let through.
+   * @param {Object} metadata - Segment metadata ({ sequenceNumber, programDateTime })
+   * @param {string} [source] - Which mirror the copy came from
+   * @returns {boolean} - True if this copy should be stored, false if it's a duplicate
+   */
+  claim(metadata, source = null) {
+    if (this.has(metadata)) {
+      this.stats.duplicates++;
+      return false;
+    }
+
+    const key = this._getKey(metadata);
+    if (key !== null) {
+      this.claims.set(key, {
+        source,
+        sequenceNumber: metadata.sequenceNumber,
+        programDateTime: metadata.programDateTime
+      });
+    }
+    this.stats.claimed++;
+
+    if (this.claims.size > this.maxEntries) {
+      const excess = this.claims.size - this.maxEntries;
+      const iterator = this.claims.keys();
+      for (let i = 0; i < excess; i++) {
+        this.claims.delete(iterator.next().value);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Map a sequence number of the second mirror onto the numbering already
+   * in the buffer (the preferred source's). Sources without program dates
+   * can't be lined up, so their numbers are taken to be shared.
+   * @param {Object} metadata - The mirror's segment metadata ({ sequenceNumber, programDateTime, duration })
+   * @returns {number} - Sequence number to store the copy under
+   */
+  mapSequence(metadata) {
+    const { sequenceNumber, programDateTime } = metadata;
+    if (!Number.isFinite(sequenceNumber)) {
+      return sequenceNumber;
+    }
+
+    if (Number.isFinite(programDateTime)) {
+      const match = this.claims.get(`pdt:${programDateTime}`);
+      if (match && Number.isFinite(match.sequenceNumber)) {
+        this.mirrorOffset = match.sequenceNumber - sequenceNumber;
+      } else if (this.mirrorOffset === null) {
+        this.mirrorOffset = this._estimateOffset(metadata);
+      }
+    }
+
+    return sequenceNumber + (this.mirrorOffset ?? 0);
+  }
+
+  /**
+   * Work out the mirror's offset from the stored copy nearest in broadcast
+   * time, counting the segments between the two
+   * @param {Object} metadata - The mirror's segment metadata
+   * @returns {number|null} - Offset, or null with nothing to go by
+   * @private
+   */
+  _estimateOffset(metadata) {
+    let nearest = null;
+    for (const claim of this.claims.values()) {
+      if (Number.isFinite(claim.programDateTime) && Number.isFinite(claim.sequenceNumber) &&
+          (!nearest || Math.abs(claim.programDateTime - metadata.programDateTime) <
+            Math.abs(nearest.programDateTime - metadata.programDateTime))) {
+        nearest = claim;
+      }
+    }
+    if (!nearest) {
+      return null;
+    }
+
+    const segmentMs = (metadata.duration || 6.4) * 1000;
+    const expected = nearest.sequenceNumber + Math.round((metadata.programDateTime - nearest.programDateTime) / segmentMs);
+    return expected - metadata.sequenceNumber;
+  }
+
+  /**
+   * Give up a claim after the copy failed to store
+   * @param {Object} metadata - Segment metadata the claim was made with
+   */
+  release(metadata) {
+    const key = this._getKey(metadata);
+    if (key !== null && this.claims.delete(key)) {
+      this.stats.released++;
+    }
+  }
+
+  /**
+   * Forget every claim
+   */
+  clear() {
+    this.claims.clear();
+    this.mirrorOffset = null;
+  }
+
+  /**
+   * Get deduplication statistics
+   * @returns {Object} - { claimed, duplicates, released, tracked, mirrorOffset }
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      tracked: this.claims.size,
+      mirrorOffset: this.mirrorOffset
+    };
+  }
+}
+
+module.exports = {
+  SegmentDeduplicator
+};
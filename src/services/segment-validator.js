@@ -0,0 +1,158 @@
+const config = require('../config/config');
+const { readFrameHeader } = require('./progressive-source-service');
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+
+// Top-level boxes an fMP4/CMAF media segment may contain
+const FMP4_BOX_TYPES = new Set(['styp', 'sidx', 'ssix', 'prft', 'emsg', 'moof', 'mdat', 'free', 'skip', 'ftyp', 'moov']);
+
+/**
+ * Describe what a non-media body most likely is, for log messages
+ * @param {Buffer} data - Response body
+ * @returns {string} - Short description
+ */
+function describeBody(data) {
+  const head = data.toString('latin1', 0, 64).trimStart().toLowerCase();
+  if (head.startsWith('<!doctype') || head.startsWith('<html') || head.startsWith('<?xml')) {
+    return 'an HTML/XML page';
+  }
+  if (head.startsWith('{') || head.startsWith('[')) {
+    return 'a JSON document';
+  }
+  if (head.startsWith('#extm3u')) {
+    return 'a playlist';
+  }
+  return `data starting 0x${data.subarray(0, 4).toString('hex')}`;
+}
+
+/**
+ * Check an MPEG-TS body: whole 188-byte packets, each starting with 0x47
+ * @param {Buffer} data - Segment body
+ * @returns {string|null} - Why the body is invalid, or null if valid
+ */
+function validateTransportStream(data) {
+  if (data[0] !== TS_SYNC_BYTE) {
+    return `expected MPEG-TS sync byte, got ${describeBody(data)}`;
+  }
+  if (data.length % TS_PACKET_SIZE !== 0) {
+    return `truncated MPEG-TS (${data.length} bytes is not a whole number of packets)`;
+  }
+  for (let offset = TS_PACKET_SIZE; offset < data.length; offset += TS_PACKET_SIZE) {
+    if (data[offset] !== TS_SYNC_BYTE) {
+      return `MPEG-TS packet at byte ${offset} has lost sync`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a packed audio body (AAC/MP3): optional ID3 tags, then a run of
+ * ADTS or MPEG audio frames ending exactly at the end of the body
+ * @param {Buffer} data - Segment body
+ * @returns {string|null} - Why the body is invalid, or null if valid
+ */
+function validatePackedAudio(data) {
+  let offset = 0;
+
+  // HLS packed audio carries a timestamp ID3 tag up front
+  while (data.length - offset >= 10 && data.toString('latin1', offset, offset + 3) === 'ID3') {
+    const size = ((data[offset + 6] & 0x7f) << 21) | ((data[offset + 7] & 0x7f) << 14) |
+      ((data[offset + 8] & 0x7f) << 7) | (data[offset + 9] & 0x7f);
+    const footer = data[offset + 5] & 0x10 ? 10 : 0;
+    offset += 10 + size + footer;
+  }
+
+  if (offset >= data.length) {
+    return offset === 0 ? 'empty body' : 'ID3 tag with no audio frames';
+  }
+  if (!readFrameHeader(data, offset)) {
+    return `expected an ADTS or MPEG audio frame, got ${describeBody(data.subarray(offset))}`;
+  }
+
+  while (offset < data.length) {
+    const frame = readFrameHeader(data, offset);
+    if (!frame) {
+      return `audio frame at byte ${offset} has lost sync`;
+    }
+    if (offset + frame.length > data.length) {
+      return `truncated audio frame at byte ${offset}`;
+    }
+    offset += frame.length;
+  }
+  return null;
+}
+
+/**
+ * Check an fMP4 body: a chain of well-formed boxes covering the whole body
+ * @param {Buffer} data - Segment body
+ * @returns {string|null} - Why the body is invalid, or null if valid
+ */
+function validateFragmentedMp4(data) {
+  let offset = 0;
+  let hasMedia = false;
+
+  while (offset < data.length) {
+    if (data.length - offset < 8) {
+      return `truncated box header at byte ${offset}`;
+    }
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (!FMP4_BOX_TYPES.has(type)) {
+      return offset === 0
+        ? `expected an fMP4 box, got ${describeBody(data)}`
+        : `unexpected box '${type}' at byte ${offset}`;
+    }
+
+    let size = data.readUInt32BE(offset);
+    if (size === 1 && data.length - offset >= 16) {
+      size = Number(data.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      size = data.length - offset; // box runs to the end of the body
+    }
+    if (size < 8) {
+      return `malformed '${type}' box at byte ${offset}`;
+    }
+    if (offset + size > data.length) {
+      return `truncated '${type}' box at byte ${offset}`;
+    }
+
+    hasMedia = hasMedia || type === 'mdat';
+    offset += size;
+  }
+
+  return hasMedia ? null : 'no mdat box';
+}
+
+const VALIDATORS = {
+  ts: validateTransportStream,
+  aac: validatePackedAudio,
+  mp3: validatePackedAudio,
+  fmp4: validateFragmentedMp4
+};
+
+/**
+ * Check that a downloaded segment body is media, not a captive portal, CDN
+ * error page or truncated transfer that happened to come back with a 2xx
+ * @param {Buffer} data - Segment body (after any AES-128 decryption)
+ * @param {Object} [options] - What the body should be
+ * @param {string} [options.container] - 'ts', 'fmp4', 'aac' or 'mp3' (defaults to 'ts')
+ * @param {number} [options.duration] - Expected duration in seconds, for the size check
+ * @returns {string|null} - Why the body is invalid, or null if valid
+ */
+function validateSegment(data, options = {}) {
+  if (!data || data.length === 0) {
+    return 'empty body';
+  }
+
+  const minBytes = Math.floor((options.duration || 0) * config.MIN_SEGMENT_BITRATE / 8);
+  if (data.length < minBytes) {
+    return `${data.length} bytes is too small for ${options.duration}s of audio (expected at least ${minBytes})`;
+  }
+
+  const validate = VALIDATORS[options.container || 'ts'] || validateTransportStream;
+  return validate(data);
+}
+
+module.exports = {
+  validateSegment
+};
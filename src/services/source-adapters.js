@@ -0,0 +1,146 @@
+/**
+ * Source Adapters
+ * Registry of the inputs a station pipeline can record from. A station's
+ * source type (STREAM_TYPE for the default station) names the adapter; the
+ * pipeline creates it through this registry and talks to it only through
+ * the contract below, so new inputs plug in without touching the pipeline.
+ *
+ * Built in: 'hls' (playlist polling, MonitorService), 'icecast'
+ * (progressive HTTP audio, ProgressiveSourceService) and 'file' (replay of
+ * a local recording, FileReplaySource). Others are registered in code with
+ * registerSourceAdapter() or by name in config (SOURCE_ADAPTERS).
+ */
+
+const path = require('path');
+const { MonitorService } = require('./monitor-service');
+const { ProgressiveSourceService } = require('./progressive-source-service');
+const { FileReplaySource } = require('./file-replay-source');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Contract every source adapter implements. Adapters are EventEmitters.
+ *
+ * Control:
+ * - startMonitoring({ immediate }) -> boolean: begin acquiring (false if already running)
+ * - stopMonitoring() -> boolean: stop acquiring (false if not running)
+ * - setSources(urls): ordered source URLs, preferred first
+ *
+ * Segments, by one of two routes (declared in capabilities.downloads):
+ * - 'newSegment' { url, sequenceNumber, duration, discoveredAt, container,
+ *   programDateTime?, key?, map? }: a segment for the pipeline's downloader
+ *   to fetch and store
+ * - or the adapter adds segments to options.bufferService itself (with the
+ *   same metadata) and emits 'segmentStored' { sequenceNumber, duration, size },
+ *   or 'storeFailed' { sequenceNumber, duration, error } when that fails
+ *
+ * Other events: 'error' { error }, 'discontinuity' { expected, actual,
+ * skippedCount } when sequence numbers were skipped, 'sourceChanged'
+ * { from, to, reason }, and optionally 'streamTitle' { title, timestamp }.
+ *
+ * Reporting:
+ * - getCapabilities() -> SourceCapabilities
+ * - getHealth() -> SourceHealth
+ * - getStatus() -> adapter-specific details for /api/status
+ *
+ * @typedef {Object} SourceCapabilities
+ * @property {boolean} downloads - Emits 'newSegment' for the downloader (otherwise stores segments itself)
+ * @property {boolean} playlist - Reads an HLS playlist the buffer can calibrate restored segments against
+ * @property {boolean} rewind - The source keeps a rewind window that outages can be backfilled from
+ * @property {boolean} partialSegments - Announces LL-HLS parts ('newPart') ahead of whole segments
+ * @property {boolean} variants - Follows master playlists and reports 'variantsChanged'
+ * @property {boolean} streamTitles - Track titles come from the stream ('streamTitle'), not the metadata API
+ *
+ * @typedef {Object} SourceHealth
+ * @property {boolean} isRunning - Whether the adapter is acquiring
+ * @property {number|null} lastActivityTime - Last time the acquisition loop did anything, failed attempts included
+ * @property {number|null} lastSegmentTime - Last time a new segment was found or stored
+ * @property {number} errorCount - Consecutive errors
+ */
+
+// Adapter name -> factory(options) returning an adapter
+const adapters = new Map();
+
+/**
+ * Register a source adapter under a name
+ * @param {string} name - Source type name (case-insensitive)
+ * @param {Function} factory - (options) => adapter, where options are
+ *   { url, sources, stationId, bufferService, interval, variantPolicy }
+ */
+function registerSourceAdapter(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Source adapter '${name}' must be registered with a factory function`);
+  }
+  adapters.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Create the adapter for a source type
+ * @param {string} type - Registered source type name
+ * @param {Object} options - Adapter options (see registerSourceAdapter)
+ * @returns {Object} - The adapter
+ */
+function createSourceAdapter(type, options) {
+  const factory = adapters.get((type || 'hls').toLowerCase());
+  if (!factory) {
+    throw new Error(`Unknown source type '${type}' (registered: ${getSourceAdapterTypes().join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * List the registered source type names
+ * @returns {Array<string>} - Names
+ */
+function getSourceAdapterTypes() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Register the adapters named in config (SOURCE_ADAPTERS). Each module
+ * exports a factory function, or an object with a createSourceAdapter factory.
+ * A module that fails to load is logged and skipped.
+ * @param {Array<Object>} [entries] - [{ name, modulePath }]
+ */
+function registerConfiguredAdapters(entries = config.SOURCE_ADAPTERS) {
+  for (const { name, modulePath } of entries) {
+    try {
+      if (!name || !modulePath) {
+        throw new Error('expected name=module');
+      }
+      const exported = require(path.resolve(modulePath));
+      registerSourceAdapter(name, typeof exported === 'function' ? exported : exported.createSourceAdapter);
+      logger.info(`Registered source adapter '${name}' from ${modulePath}`);
+    } catch (error) {
+      logger.error(`Could not register source adapter '${name}': ${error.message}`);
+    }
+  }
+}
+
+registerSourceAdapter('hls', (options) => new MonitorService({
+  url: options.url,
+  sources: options.sources,
+  interval: options.interval,
+  variantPolicy: options.variantPolicy
+}));
+
+registerSourceAdapter('icecast', (options) => new ProgressiveSourceService({
+  url: options.url,
+  sources: options.sources,
+  bufferService: options.bufferService
+}));
+
+registerSourceAdapter('file', (options) => new FileReplaySource({
+  url: options.url,
+  sources: options.sources,
+  bufferService: options.bufferService
+}));
+
+registerConfiguredAdapters();
+
+module.exports = {
+  registerSourceAdapter,
+  createSourceAdapter,
+  getSourceAdapterTypes,
+  registerConfiguredAdapters
+};
@@ -0,0 +1,956 @@
+/**
+ * Station Pipeline
+ * One complete acquisition chain for a single station:
+ * source adapter -> downloader -> buffer, plus track metadata and a playlist
+ * generator. The service manager runs one pipeline per configured station.
+ */
+
+const EventEmitter = require('events');
+const { createSourceAdapter } = require('./source-adapters');
+const { DownloaderService } = require('./downloader-service');
+const { HybridBufferService } = require('./hybrid-buffer-service');
+const { DiskStorageService } = require('./disk-storage-service');
+const { MetadataService } = require('./metadata-service');
+const { ListenerSessions } = require('./listener-sessions');
+const { PlaylistGenerator } = require('./playlist-generator');
+const { VariantTrack } = require('./variant-track');
+const { KeyService } = require('./key-service');
+const { BackfillService } = require('./backfill-service');
+const { PartAssembler } = require('./part-assembler');
+const { SegmentDeduplicator } = require('./segment-deduplicator');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+/**
+ * Station Pipeline Class
+ * Owns (or wraps injected) services for one station and wires them together
+ */
+class StationPipeline extends EventEmitter {
+  /**
+   * @param {Object} [options] - Pipeline options
+   * @param {string} [options.stationId] - Station ID (key of config.BBC_STATIONS)
+   * @param {string} [options.streamUrl] - Source playlist URL
+   * @param {Array<string>} [options.streamUrls] - Mirror URLs to fail over between, preferred first
+   * @param {string} [options.sourceType] - Source adapter name: 'hls', 'icecast', 'file' or a registered one
+   * @param {string} [options.storageDir] - Storage directory for segments and metadata
+   * @param {string} [options.variantPolicy] - Variant to record when streamUrl is a master playlist
+   * @param {boolean} [options.recordAllVariants] - Also record every other variant of a master playlist
+   * @param {string} [options.rewindUrl] - Playlist with a DVR window to backfill outages from
+   * @param {boolean} [options.backfill] - Backfill outages at all (defaults to BACKFILL_ENABLED)
+   * @param {boolean} [options.redundant] - Pull from the first two mirrors at once (defaults to REDUNDANT_STATIONS)
+   * @param {Object} [options.monitor] - Injected source adapter (e.g. the shared monitor service)
+   * @param {Object} [options.downloader] - Injected downloader service
+   * @param {Object} [options.buffer] - Injected buffer service
+   * @param {Object} [options.metadata] - Injected metadata service
+   * @param {Object} [options.keys] - Injected key service
+   * @param {Object} [options.playlistGenerator] - Injected playlist generator
+   * @param {Object} [options.sessions] - Injected listener sessions
+   */
+  constructor(options = {}) {
+    super();
+
+    this.stationId = options.stationId || config.DEFAULT_STATION;
+    const streamUrls = options.streamUrls ||
+      (options.streamUrl ? [options.streamUrl] : config.getStationStreamUrls(this.stationId));
+    this.options = {
+      bufferDuration: options.bufferDuration || config.BUFFER_DURATION,
+      monitorInterval: options.monitorInterval || 10000,
+      variantPolicy: options.variantPolicy || config.VARIANT_POLICY,
+      recordAllVariants: options.recordAllVariants ?? config.RECORD_ALL_VARIANTS,
+      streamUrl: streamUrls[0],
+      streamUrls,
+      sourceType: options.sourceType || config.getStationSourceType(this.stationId),
+      // A source other than the configured one is its own rewind playlist
+      rewindUrl: options.rewindUrl || (streamUrls[0] === config.getStationStreamUrl(this.stationId)
+        ? config.getStationRewindUrl(this.stationId)
+        : streamUrls[0]),
+      backfill: options.backfill ?? config.BACKFILL_ENABLED,
+      redundant: options.redundant ?? config.REDUNDANT_STATIONS.includes(this.stationId),
+      storageDir: options.storageDir || config.getStationStorageDir(this.stationId),
+      maxRetries: options.maxRetries || 3,
+      maxConcurrentDownloads: options.maxConcurrentDownloads || 3
+    };
+
+    // Services are created per station unless injected (the default
+    // station wraps the module singletons so existing routes keep working)
+    this.buffer = options.buffer || new HybridBufferService(this.options.bufferDuration, {
+      diskStorage: new DiskStorageService({ baseDir: this.options.storageDir }),
+      streamUrl: this.options.streamUrl
+    });
+    this.downloader = options.downloader || new DownloaderService();
+    // The source adapter (kept as `monitor`, the name the routes and
+    // self-heal know it by) either announces segments for the downloader or
+    // stores its own; what else the pipeline wires up follows its capabilities
+    this.monitor = options.monitor || createSourceAdapter(this.options.sourceType, {
+      url: this.options.streamUrl,
+      sources: this.options.streamUrls,
+      stationId: this.stationId,
+      bufferService: this.buffer,
+      interval: this.options.monitorInterval,
+      variantPolicy: this.options.variantPolicy
+    });
+    this.capabilities = this.monitor.getCapabilities();
+
+    // Redundant ingest: a second source reads the next mirror at the same
+    // time and the downloader keeps whichever copy of each segment is valid
+    // first. The preferred source fails over among the remaining mirrors.
+    this.redundant = this.options.redundant && this.capabilities.downloads && streamUrls.length > 1;
+    this.deduplicator = this.redundant ? new SegmentDeduplicator() : null;
+    this.mirror = this.redundant
+      ? createSourceAdapter(this.options.sourceType, {
+        url: streamUrls[1],
+        sources: [streamUrls[1]],
+        stationId: this.stationId,
+        bufferService: this.buffer,
+        interval: this.options.monitorInterval,
+        variantPolicy: this.options.variantPolicy
+      })
+      : null;
+    this.metadata = options.metadata || new MetadataService({
+      stationId: this.stationId,
+      storageDir: this.options.storageDir,
+      retentionDuration: this.options.bufferDuration
+    });
+    this.keys = options.keys || new KeyService({ baseDir: this.options.storageDir });
+    this.playlistGenerator = options.playlistGenerator || new PlaylistGenerator({
+      bufferService: this.buffer,
+      pathPrefix: `/stations/${this.stationId}`
+    });
+    // Where each listener is in this station's delayed stream
+    this.sessions = options.sessions || new ListenerSessions({
+      baseDir: this.options.storageDir,
+      metadata: this.metadata,
+      buffer: this.buffer
+    });
+
+    // LL-HLS parts are fetched as they're published and joined into
+    // segments, instead of waiting to download each segment whole
+    this.parts = this.capabilities.partialSegments ? new PartAssembler() : null;
+
+    // Segments skipped during an outage are recovered from the source's
+    // rewind window, when it keeps one
+    this.backfill = this.options.backfill && this.capabilities.rewind
+      ? new BackfillService({
+        url: this.options.rewindUrl,
+        bufferService: this.buffer,
+        downloader: this.downloader,
+        stationId: this.stationId,
+        variantPolicy: this.options.variantPolicy,
+        getSequenceOffset: () => this.monitor.preferredSequenceOffset
+      })
+      : null;
+
+    // Other bitrate variants recorded next to the primary buffer (only when
+    // recordAllVariants is on and the source is a master playlist)
+    this.primaryVariant = null;
+    this.variantTracks = new Map();
+    this._variantSync = Promise.resolve();
+
+    this.isRunning = false;
+    this.servicesInitialized = false;
+    this.servicesConnected = false;
+
+    // A running pipeline can have its recording paused by the recording
+    // schedule: the buffer keeps serving and expiring, nothing is acquired
+    this.isRecording = false;
+    this.recordingSince = null;
+    this.pausedAt = null;
+    this._resumedFromPause = false;
+
+    // Data saver: the daily data budget is spent, so record as cheaply as
+    // the source allows rather than stop
+    this.dataSaver = false;
+  }
+
+  /**
+   * Initialize the pipeline's services
+   */
+  async initialize() {
+    if (this.servicesInitialized) {
+      logger.warn(`[${this.stationId}] Services already initialized`);
+      return;
+    }
+
+    // Restored timestamps are calibrated against the live HLS playlist;
+    // sources without one (e.g. a progressive stream) have nothing to read
+    if (!this.capabilities.playlist) {
+      this.buffer.streamUrl = null;
+    }
+
+    // Initialize hybrid buffer service (creates data directories)
+    await this.buffer.initialize({
+      duration: this.options.bufferDuration
+    });
+    await this.sessions.load();
+
+    // Initialize downloader service with custom options
+    this.downloader.initialize({
+      maxRetries: this.options.maxRetries,
+      maxConcurrentDownloads: this.options.maxConcurrentDownloads,
+      bufferService: this.buffer,
+      keyService: this.keys,
+      deduplicator: this.deduplicator
+    });
+
+    // Configure the source (and the redundant one, which has the second
+    // mirror to itself)
+    this.monitor.setSources(this.redundant
+      ? this.options.streamUrls.filter((url, index) => index !== 1)
+      : this.options.streamUrls);
+    if (this.mirror) {
+      this.mirror.setSources([this.options.streamUrls[1]]);
+    }
+    if (this.capabilities.playlist) {
+      for (const source of this._getSources()) {
+        source.interval = this.options.monitorInterval;
+        source.variantPolicy = this.options.variantPolicy;
+      }
+    }
+
+    this.servicesInitialized = true;
+    logger.info(`[${this.stationId}] Pipeline services initialized`);
+  }
+
+  /**
+   * Connect services by setting up event listeners between them
+   */
+  connect() {
+    if (!this.servicesInitialized) {
+      throw new Error('Services must be initialized before connecting');
+    }
+
+    // Restarting the pipeline (e.g. POST /api/restart) must not stack a
+    // second set of listeners on the services
+    if (this.servicesConnected) {
+      logger.debug(`[${this.stationId}] Services already connected, skipping duplicate wiring`);
+      return;
+    }
+
+    const station = this.stationId;
+    logger.info(`[${station}] Connecting services...`);
+
+    // Sources -> Downloader: both sources when ingest is redundant
+    for (const source of this._getSources()) {
+      this._connectSource(source);
+    }
+
+    // Downloader -> Buffer: Already connected through initialization
+
+    this.monitor.on('variantSelected', ({ variant, previous }) => {
+      if (previous) {
+        logger.info(`[${station}] Pipeline: Master playlist changed, switched variant ${previous.url} -> ${variant.url}`);
+      }
+    });
+
+    this.monitor.on('variantsChanged', ({ variants, selected }) => {
+      if (!this.options.recordAllVariants) {
+        return;
+      }
+
+      // Serialize syncs so a quick second master change can't race the first
+      this._variantSync = this._variantSync
+        .then(() => this._syncVariants(variants, selected))
+        .catch(error => {
+          logger.error(`[${station}] Pipeline: Failed to sync variant tracks: ${error.message}`);
+        });
+    });
+
+    // Monitor -> Part assembler: LL-HLS parts of the segment in progress.
+    // Encrypted parts can't simply be joined, so those segments are only
+    // fetched whole and their parts aren't downloaded at all.
+    this.monitor.on('newPart', (partInfo) => {
+      if (this.parts && !partInfo.encrypted) {
+        this.parts.addPart(partInfo);
+      }
+    });
+
+    // Progressive source -> Metadata: ICY titles are the only track info
+    // these streams carry
+    this.monitor.on('streamTitle', ({ title, timestamp }) => {
+      this.metadata.recordStreamTitle(title, timestamp);
+    });
+
+    this.monitor.on('storeFailed', (failure) => {
+      const now = Date.now();
+      this.buffer.recordGap({
+        fromSeq: failure.sequenceNumber,
+        toSeq: failure.sequenceNumber,
+        startTime: now - failure.duration * 1000,
+        endTime: now,
+        reason: 'store-failure'
+      });
+    });
+
+    this.monitor.on('maxErrorsReached', () => {
+      logger.error(`[${station}] Pipeline: Monitor reached maximum errors, attempting recovery`);
+      // The monitor service already has its own recovery mechanism
+    });
+
+    // Downloader -> Pipeline: Monitor download statistics
+    this.downloader.on('downloadSuccess', (result) => {
+      logger.debug(`[${station}] Pipeline: Download success: ${result.url} (${result.size} bytes)`);
+    });
+
+    this.downloader.on('downloadFailure', (failure) => {
+      logger.error(`[${station}] Pipeline: Download failure: ${failure.url} - ${failure.message || failure.errorMessage}`);
+
+      // A permanently failed segment is a (small) hole in the recording
+      // (backfill downloads fill a gap that is already recorded, and with
+      // redundant ingest the other mirror's copy may already be stored)
+      const seq = failure.metadata?.sequenceNumber;
+      if (Number.isFinite(seq) && !failure.metadata.backfilled &&
+          !(this.deduplicator && this.deduplicator.has(failure.metadata))) {
+        const duration = (failure.metadata?.duration || 6.4) * 1000;
+        const now = Date.now();
+        this.buffer.recordGap({
+          fromSeq: seq,
+          toSeq: seq,
+          startTime: now - duration,
+          endTime: now,
+          reason: failure.category === 'invalid-payload' ? 'invalid-payload' : 'download-failure'
+        });
+      }
+    });
+
+    this.downloader.on('downloadComplete', (stats) => {
+      logger.debug(`[${station}] Pipeline: Download batch complete - ${stats.successCount}/${stats.totalCount} segments downloaded`);
+    });
+
+    // Buffer -> Pipeline: Monitor buffer capacity
+    this.buffer.on('segmentAdded', (info) => {
+      this._resumedFromPause = false;
+      logger.debug(`[${station}] Pipeline: Segment added to buffer: ${info.segmentId}`);
+
+      // Redundant ingest: a copy from the other mirror closes the hole a
+      // failed download or a skip on one source left
+      const seq = info.metadata?.sequenceNumber;
+      if (this.redundant && Number.isFinite(seq) &&
+          this.buffer.gaps.some(gap => seq >= gap.fromSeq && seq <= gap.toSeq)) {
+        this.buffer.healGaps();
+      }
+    });
+
+    this.buffer.on('segmentExpired', (info) => {
+      logger.debug(`[${station}] Pipeline: Segment expired from buffer: ${info.segmentId}`);
+    });
+
+    this.buffer.on('bufferFull', () => {
+      logger.warn(`[${station}] Pipeline: Buffer reached capacity`);
+    });
+
+    this.buffer.on('storagePressure', (capacity) => {
+      logger.warn(`[${station}] Pipeline: Storage pressure reported by buffer service`, capacity || {});
+    });
+
+    this.servicesConnected = true;
+    logger.info(`[${station}] Services connected successfully`);
+  }
+
+  /**
+   * Whether the segments a source skipped were all stored from the other one
+   * @param {Object} info - The source's discontinuity ({ expected, actual, startTime, endTime })
+   * @returns {boolean}
+   * @private
+   */
+  _coveredByOtherSource(info) {
+    if (Number.isFinite(info.startTime) && Number.isFinite(info.endTime)) {
+      // Allow for segment durations rounded in the playlist
+      return this.buffer.getCoverage(info.startTime, info.endTime).missingMs <= 1000;
+    }
+
+    for (let seq = info.expected; seq < info.actual; seq++) {
+      if (!this.deduplicator.has({ sequenceNumber: seq })) return false;
+    }
+    return true;
+  }
+
+  /**
+   * The sources being read: the monitor, plus the mirror with redundant ingest
+   * @returns {Array<Object>} - Source adapters
+   * @private
+   */
+  _getSources() {
+    return this.mirror ? [this.monitor, this.mirror] : [this.monitor];
+  }
+
+  /**
+   * Wire a source's segments into the downloader and its outages into the
+   * buffer's gap record
+   * @param {Object} source - Source adapter
+   * @private
+   */
+  _connectSource(source) {
+    const station = this.stationId;
+    const label = source === this.mirror ? 'Mirror' : 'Monitor';
+
+    // Monitor -> Downloader: When new segments are found, download them
+    source.on('newSegment', async (segmentInfo) => {
+      logger.debug(`[${station}] Pipeline: New segment detected, triggering download: ${segmentInfo.url}`);
+
+      // The mirror may number segments differently; its copies are stored
+      // under the buffer's numbering so they can't overwrite other audio
+      const sequenceNumber = source === this.mirror
+        ? this.deduplicator.mapSequence(segmentInfo)
+        : segmentInfo.sequenceNumber;
+
+      try {
+        // LL-HLS: use the parts already fetched when every one arrived
+        // (encrypted segments are fetched whole, even if the key only
+        // appeared once the segment was complete). Only the monitor's parts
+        // are collected.
+        const prefetched = segmentInfo.parts && this.parts && source === this.monitor
+          ? await this.parts.take(segmentInfo.sequenceNumber, segmentInfo.key ? null : segmentInfo.parts)
+          : null;
+
+        // Pass segment metadata to downloader
+        const downloadResult = await this.downloader.downloadSegment(
+          segmentInfo.url,
+          {
+            sequenceNumber,
+            discoveredAt: segmentInfo.discoveredAt,
+            duration: segmentInfo.duration,
+            key: segmentInfo.key,
+            map: segmentInfo.map,
+            container: segmentInfo.container,
+            programDateTime: segmentInfo.programDateTime,
+            discontinuity: segmentInfo.discontinuity
+          },
+          prefetched ? { prefetched } : {}
+        );
+
+        if (downloadResult.success) {
+          logger.debug(`[${station}] Pipeline: Successfully downloaded segment ${sequenceNumber}`);
+        } else {
+          logger.error(`[${station}] Pipeline: Failed to download segment ${sequenceNumber}: ${downloadResult.errorMessage}`);
+        }
+      } catch (error) {
+        logger.error(`[${station}] Pipeline: Error in download pipeline for segment ${segmentInfo.url}:`, error);
+      }
+    });
+
+    // Monitor -> Pipeline: Propagate important events
+    source.on('error', (errorInfo) => {
+      logger.error(`[${station}] Pipeline: ${label} error: ${errorInfo.error || errorInfo.message || 'unknown'}`);
+    });
+
+    source.on('discontinuity', (skipped) => {
+      // Sequence numbers that went by while recording was paused are
+      // already recorded as an unscheduled period, not an outage
+      if (this._resumedFromPause) {
+        logger.debug(`[${station}] Pipeline: ${skipped.skippedCount} segments went by while recording was paused`);
+        return;
+      }
+
+      // A hole in the mirror, in the buffer's numbering
+      const offset = source === this.mirror ? this.deduplicator.mirrorOffset || 0 : 0;
+      const info = offset
+        ? { ...skipped, expected: skipped.expected + offset, actual: skipped.actual + offset }
+        : skipped;
+
+      // Redundant ingest: nothing is lost if the other source has them all.
+      // Mirrors may number segments differently, so that's judged by the
+      // hole's broadcast times; without them segments are only matched up by
+      // sequence number anyway.
+      if (this.deduplicator && this._coveredByOtherSource(info)) {
+        logger.info(`[${station}] Pipeline: ${label} skipped ${info.skippedCount} segments, all stored from the other source`);
+        return;
+      }
+
+      logger.warn(`[${station}] Pipeline: Stream discontinuity detected, ${info.skippedCount} segments skipped`);
+
+      // Record the hole as first-class gap data (at its broadcast times if
+      // known, otherwise ~6.4s per skipped segment up to now)
+      const now = Date.now();
+      const gap = {
+        fromSeq: info.expected,
+        toSeq: info.actual - 1,
+        startTime: info.startTime ?? now - info.skippedCount * 6400,
+        endTime: info.endTime ?? now,
+        reason: 'discontinuity'
+      };
+      this.buffer.recordGap(gap);
+      if (this.deduplicator) {
+        this.buffer.healGaps();
+      }
+
+      // ...then try to fill it from the rewind window
+      if (this.backfill) {
+        this.backfill.schedule(gap);
+      }
+    });
+
+    source.on('sourceChanged', (change) => {
+      logger.warn(`[${station}] Pipeline: ${label} source changed to ${change.to} (${change.reason})`);
+    });
+  }
+
+  /**
+   * Start the pipeline
+   * @param {Object} [options] - Start options
+   * @param {boolean} [options.immediate=true] - Fetch the playlist immediately
+   * @param {boolean} [options.recording=true] - Start recording (false starts paused, outside the recording schedule)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async start(options = {}) {
+    if (this.isRunning) {
+      logger.warn(`[${this.stationId}] Pipeline is already running`);
+      return false;
+    }
+
+    logger.info(`[${this.stationId}] Starting acquisition pipeline...`);
+
+    if (!this.servicesInitialized) {
+      await this.initialize();
+    }
+
+    this.connect();
+
+    // A restart after stop() needs the buffer's cleanup and flush running again
+    this.buffer.startIntervals();
+
+    if (options.recording === false) {
+      this.pausedAt = Date.now();
+      logger.info(`[${this.stationId}] Acquisition pipeline started with recording paused (outside the recording schedule)`);
+    } else {
+      const monitorStarted = this.monitor.startMonitoring({
+        immediate: options.immediate !== false
+      });
+
+      if (!monitorStarted) {
+        throw new Error(`Failed to start monitor service for ${this.stationId}`);
+      }
+
+      this._startMirror(options.immediate !== false);
+
+      this.isRecording = true;
+      this.recordingSince = Date.now();
+      logger.info(`[${this.stationId}] Acquisition pipeline started`);
+    }
+
+    this.isRunning = true;
+
+    // Variant tracks survive a stop/start; resume them with the pipeline
+    if (this.isRecording) {
+      this._startVariantTracks();
+    }
+
+    // Start metadata service independently (non-blocking, errors don't affect pipeline)
+    this._startMetadataService();
+
+    return true;
+  }
+
+  /**
+   * Stop the pipeline, letting pending downloads finish and flushing the
+   * buffer metadata so a restart restores the full buffer
+   * @returns {Promise<boolean>} - Success status
+   */
+  async stop() {
+    if (!this.isRunning) {
+      logger.warn(`[${this.stationId}] Pipeline is not running`);
+      return false;
+    }
+
+    logger.info(`[${this.stationId}] Stopping acquisition pipeline...`);
+
+    await this._stopAcquisition();
+
+    // Stop metadata service (non-critical)
+    try {
+      this.metadata.stop();
+    } catch (e) {
+      logger.warn(`[${this.stationId}] Error stopping metadata service: ${e.message}`);
+    }
+
+    // Note: listeners wired in connect() are intentionally kept - wiring is
+    // one-time (guarded by servicesConnected) so a restart reuses them
+
+    try {
+      this.buffer.stopIntervals();
+      await this.buffer.flushMetadata();
+    } catch (e) {
+      logger.warn(`[${this.stationId}] Error flushing buffer metadata on shutdown: ${e.message}`);
+    }
+    await this.sessions.flush();
+
+    this.isRunning = false;
+    this.isRecording = false;
+    this.recordingSince = null;
+    this.pausedAt = null;
+    logger.info(`[${this.stationId}] Acquisition pipeline stopped`);
+
+    return true;
+  }
+
+  /**
+   * Pause recording (outside the recording schedule): stop acquiring and
+   * let pending downloads land, but keep serving and expiring the buffer
+   * and polling track metadata
+   * @returns {Promise<boolean>} - False if the pipeline isn't recording
+   */
+  async pauseRecording() {
+    if (!this.isRunning || !this.isRecording) {
+      return false;
+    }
+
+    await this._stopAcquisition();
+
+    try {
+      await this.buffer.flushMetadata();
+    } catch (e) {
+      logger.warn(`[${this.stationId}] Error flushing buffer metadata on pause: ${e.message}`);
+    }
+
+    this.isRecording = false;
+    this.recordingSince = null;
+    this.pausedAt = Date.now();
+    logger.info(`[${this.stationId}] Recording paused`);
+
+    return true;
+  }
+
+  /**
+   * Resume recording after a pause. The paused period is recorded as an
+   * 'unscheduled' gap, so it isn't mistaken for an outage or backfilled.
+   * @returns {Promise<boolean>} - False if the pipeline isn't paused or the source failed to start
+   */
+  async resumeRecording() {
+    if (!this.isRunning || this.isRecording) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (this.pausedAt !== null) {
+      this.buffer.recordGap({ startTime: this.pausedAt, endTime: now, reason: 'unscheduled' });
+    }
+
+    this._resumedFromPause = true;
+    if (!this.monitor.startMonitoring({ immediate: true })) {
+      this._resumedFromPause = false;
+      logger.error(`[${this.stationId}] Failed to resume recording`);
+      return false;
+    }
+
+    this._startMirror(true);
+
+    this.isRecording = true;
+    this.recordingSince = now;
+    this.pausedAt = null;
+    this._startVariantTracks();
+    logger.info(`[${this.stationId}] Recording resumed`);
+
+    return true;
+  }
+
+  /**
+   * Stop the source and everything fetching for it, waiting for pending
+   * downloads (but never letting a stuck one hold up shutdown past the
+   * forced-exit window)
+   * @private
+   */
+  async _stopAcquisition() {
+    for (const source of this._getSources()) {
+      if (source.isRunning) {
+        source.stopMonitoring();
+      }
+    }
+
+    if (this.backfill) {
+      this.backfill.stop();
+    }
+
+    if (this.parts) {
+      this.parts.clear();
+    }
+
+    // Stop variant tracks (after any in-flight sync has settled)
+    await this._variantSync;
+    await Promise.all([...this.variantTracks.values()].map(track => track.stop()));
+
+    await Promise.race([
+      this.downloader.finishPendingDownloads(),
+      new Promise(resolve => {
+        const timer = setTimeout(() => {
+          logger.warn(`[${this.stationId}] Timed out waiting for pending downloads`);
+          resolve();
+        }, 8000);
+        timer.unref();
+      })
+    ]);
+  }
+
+  /**
+   * Start the redundant source, unless data saver has it off
+   * @param {boolean} immediate - Fetch straight away
+   * @private
+   */
+  _startMirror(immediate) {
+    if (!this.mirror || this.dataSaver || this.mirror.isRunning) {
+      return;
+    }
+    if (!this.mirror.startMonitoring({ immediate })) {
+      logger.error(`[${this.stationId}] Failed to start the redundant source, recording from one mirror`);
+    }
+  }
+
+  /**
+   * Start any variant tracks that aren't running (none in data saver)
+   * @private
+   */
+  _startVariantTracks() {
+    if (this.dataSaver) {
+      return;
+    }
+    for (const track of this.variantTracks.values()) {
+      if (!track.monitor.isRunning) {
+        track.start();
+      }
+    }
+  }
+
+  /**
+   * Turn data saver on or off. While it's on the pipeline records the
+   * lowest bitrate variant of a master playlist, and the redundant source
+   * and extra variant tracks are stopped; a source with nothing cheaper to
+   * offer carries on as it is.
+   * @param {boolean} enabled - Whether to save data
+   * @returns {Promise<boolean>} - False if nothing changed
+   */
+  async setDataSaver(enabled) {
+    if (this.dataSaver === enabled) {
+      return false;
+    }
+
+    this.dataSaver = enabled;
+    logger.warn(`[${this.stationId}] Data saver ${enabled ? 'on: recording at the lowest cost the source allows' : 'off'}`);
+
+    if (this.capabilities.variants) {
+      for (const source of this._getSources()) {
+        source.setVariantPolicy(enabled ? 'lowest' : this.options.variantPolicy);
+      }
+    }
+
+    if (enabled) {
+      if (this.mirror && this.mirror.isRunning) {
+        this.mirror.stopMonitoring();
+      }
+      await this._variantSync;
+      await Promise.all([...this.variantTracks.values()].map(track => track.stop()));
+    } else if (this.isRecording) {
+      this._startMirror(true);
+      this._startVariantTracks();
+    }
+
+    return true;
+  }
+
+  /**
+   * Restart just the monitor loop (self-heal for zombie/stuck states)
+   * @returns {Promise<boolean>} - True if the monitor restarted
+   */
+  async restartMonitor() {
+    if (!this.isRecording) {
+      logger.info(`[${this.stationId}] Recording is paused, not restarting the monitor`);
+      return false;
+    }
+
+    logger.warn(`[${this.stationId}] Restarting monitor service (self-heal)`);
+
+    try {
+      this.monitor.stopMonitoring();
+    } catch (error) {
+      logger.warn(`[${this.stationId}] Error stopping monitor during self-heal: ${error.message}`);
+    }
+
+    this.monitor.errorCount = 0;
+    const started = this.monitor.startMonitoring({ immediate: true });
+
+    if (started) {
+      logger.info(`[${this.stationId}] Monitor service restarted successfully`);
+    } else {
+      logger.error(`[${this.stationId}] Monitor service failed to restart during self-heal`);
+    }
+
+    return started;
+  }
+
+  /**
+   * Bring the variant tracks in line with the source master playlist: start
+   * recording new variants, follow renamed ones, drop ones that went away.
+   * The policy-selected variant is recorded by the primary buffer itself.
+   * @private
+   * @param {Array<Object>} variants - All variants in the master playlist
+   * @param {Object} selected - The variant the primary monitor follows
+   */
+  async _syncVariants(variants, selected) {
+    this.primaryVariant = {
+      id: selected.id,
+      url: selected.url,
+      bandwidth: selected.bandwidth,
+      codecs: selected.codecs
+    };
+
+    const wanted = new Map(
+      variants.filter(v => v.id !== selected.id).map(v => [v.id, v])
+    );
+
+    for (const [id, track] of this.variantTracks) {
+      if (!wanted.has(id)) {
+        logger.info(`[${this.stationId}] Variant ${id} is no longer offered, stopped recording it`);
+        this.variantTracks.delete(id);
+        await track.stop();
+      }
+    }
+
+    for (const variant of wanted.values()) {
+      const existing = this.variantTracks.get(variant.id);
+      if (existing) {
+        existing.update(variant);
+        continue;
+      }
+
+      const track = new VariantTrack({
+        variant,
+        stationId: this.stationId,
+        storageDir: this.options.storageDir,
+        keyService: this.keys,
+        bufferDuration: this.options.bufferDuration,
+        monitorInterval: this.options.monitorInterval,
+        maxRetries: this.options.maxRetries,
+        maxConcurrentDownloads: this.options.maxConcurrentDownloads
+      });
+
+      try {
+        await track.initialize();
+      } catch (error) {
+        logger.error(`[${this.stationId}] Could not initialize variant ${variant.id}: ${error.message}`);
+        continue;
+      }
+
+      this.variantTracks.set(variant.id, track);
+      if (this.isRecording && !this.dataSaver) {
+        track.start();
+      }
+      logger.info(`[${this.stationId}] Recording variant ${variant.id} (${variant.bandwidth}bps)`);
+    }
+  }
+
+  /**
+   * List the recorded variants, primary first then by ascending bandwidth.
+   * Empty unless several variants of a master playlist are being recorded.
+   * @returns {Array<Object>} - Variants with { id, bandwidth, codecs, isPrimary, buffer }
+   */
+  getVariants() {
+    if (!this.primaryVariant) {
+      return [];
+    }
+
+    const primary = { ...this.primaryVariant, isPrimary: true, buffer: this.buffer };
+    const others = [...this.variantTracks.values()].sort((a, b) => a.bandwidth - b.bandwidth);
+
+    return [primary, ...others];
+  }
+
+  /**
+   * Get one recorded variant by ID
+   * @param {string} variantId - Variant ID (e.g. '96k')
+   * @returns {Object|null} - The variant, or null if not recorded
+   */
+  getVariant(variantId) {
+    return this.getVariants().find(v => v.id === variantId) || null;
+  }
+
+  /**
+   * Start metadata service independently
+   * Failures here should never impact the main pipeline
+   * @private
+   */
+  async _startMetadataService() {
+    try {
+      // Load any existing metadata from disk
+      await this.metadata.loadFromDisk();
+      // Progressive streams bring their own titles (ICY); there is no
+      // BBC API to poll for them
+      if (this.capabilities.streamTitles) {
+        logger.info(`[${this.stationId}] Metadata taken from the stream's ICY titles`);
+        return;
+      }
+      // Start polling
+      this.metadata.start();
+      logger.info(`[${this.stationId}] Metadata service started`);
+    } catch (error) {
+      // Log but don't throw - metadata is non-critical
+      logger.warn(`[${this.stationId}] Failed to start metadata service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get station info for listings
+   * @returns {Object} - { id, name, shortName }
+   */
+  getStationInfo() {
+    const station = config.BBC_STATIONS[this.stationId] || {};
+    return {
+      id: this.stationId,
+      name: station.name || this.stationId,
+      shortName: station.shortName || station.name || this.stationId
+    };
+  }
+
+  /**
+   * Get the source adapter's health, whatever kind of source it is
+   * @returns {Object} - { isRunning, lastActivityTime, lastSegmentTime, errorCount }
+   */
+  getSourceHealth() {
+    return this.monitor.getHealth();
+  }
+
+  /**
+   * Get current pipeline status
+   * @returns {Object} - Status information for all services
+   */
+  getStatus() {
+    let metadataStats = null;
+    try {
+      metadataStats = this.metadata.getStats();
+    } catch (e) {
+      // Ignore metadata errors
+    }
+
+    let capacity = null;
+    try {
+      capacity = this.buffer.diskStorage.getLastCapacity();
+    } catch (e) {
+      // Capacity info is best-effort
+    }
+
+    return {
+      stationId: this.stationId,
+      isRunning: this.isRunning,
+      isRecording: this.isRecording,
+      recordingSince: this.recordingSince,
+      pausedAt: this.pausedAt,
+      dataSaver: this.dataSaver,
+      sourceType: this.options.sourceType,
+      capabilities: this.capabilities,
+      health: this.getSourceHealth(),
+      monitor: this.monitor.getStatus(),
+      mirror: this.mirror ? this.mirror.getStatus() : null,
+      downloader: this.downloader.getStats(),
+      buffer: this.buffer.getBufferStats(),
+      metadata: metadataStats,
+      keys: this.keys.getStats(),
+      sessions: this.sessions.getStats(),
+      parts: this.parts ? this.parts.getStats() : null,
+      backfill: this.backfill ? this.backfill.getStatus() : null,
+      variants: this.getVariants().map(v => (v.isPrimary
+        ? { id: v.id, url: v.url, bandwidth: v.bandwidth, codecs: v.codecs, isPrimary: true }
+        : v.getStatus())),
+      capacity
+    };
+  }
+}
+
+module.exports = {
+  StationPipeline
+};
@@ -0,0 +1,249 @@
+/**
+ * Timezone Delay
+ * The delay for DELAY_MODE=timezone: whatever makes the source play at the
+ * same wall-clock time for the listener as it did where it was broadcast.
+ * A London breakfast show heard at breakfast time in New York means a 5 hour
+ * delay, which becomes 4 hours for the weeks the two zones change clocks on
+ * different dates. The delay is worked out from both zones' UTC offsets at
+ * the moment, so DST is followed without anyone touching DELAY_DURATION.
+ *
+ * Listeners ahead of the source hear the previous day's broadcast at their
+ * hour, so the delay is always under 24 hours. When it changes, an hour (or
+ * whatever the change is) is repeated or skipped; the playlist generator
+ * makes the cut between two segments.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Step when searching for offset changes. Zones change offset at most a
+// few times a year, never twice within this.
+const SEARCH_STEP = 6 * 60 * 60 * 1000;
+
+// How far short of BUFFER_DURATION a delay that doesn't fit in the buffer
+// is held, so the playhead stays clear of segments being pruned
+const BUFFER_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timeZone - e.g. 'Europe/London'
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Timezone Delay Class
+ */
+class TimezoneDelay {
+  /**
+   * @param {Object} options - Zones to align
+   * @param {string} options.sourceTimezone - Where the station broadcasts
+   * @param {string} options.listenerTimezone - Where it's listened to
+   * @param {number} [options.maxDelay] - Longest delay the buffer can play (ms)
+   */
+  constructor(options) {
+    this.sourceTimezone = options.sourceTimezone;
+    this.listenerTimezone = options.listenerTimezone;
+    this.maxDelay = options.maxDelay ?? Infinity;
+
+    // timeZone -> formatter giving the local date and time
+    this.formatters = new Map();
+
+    // The year of transitions getUpcomingTransitions last searched:
+    // { from, transitions }
+    this.upcoming = null;
+  }
+
+  /**
+   * UTC offset of a zone at a moment
+   * @param {string} timeZone - IANA name
+   * @param {number} time - Time in ms
+   * @returns {number} - Offset in ms (local time minus UTC)
+   */
+  getOffset(timeZone, time) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+      }));
+    }
+
+    const fields = {};
+    for (const { type, value } of this.formatters.get(timeZone).formatToParts(new Date(time))) {
+      fields[type] = parseInt(value, 10);
+    }
+    const local = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+    return local - Math.floor(time / 1000) * 1000;
+  }
+
+  /**
+   * Delay that puts the source's wall-clock time on the listener's clock,
+   * held at maxDelay if it's longer
+   * @param {number} [time] - Time in ms
+   * @returns {number} - Delay in ms, from 0 up to (not including) 24 hours
+   */
+  getDelay(time = Date.now()) {
+    const difference = this.getOffset(this.sourceTimezone, time) - this.getOffset(this.listenerTimezone, time);
+    return Math.min(((difference % DAY) + DAY) % DAY, this.maxDelay);
+  }
+
+  /**
+   * Find the moment the delay changes between two times
+   * @private
+   * @param {number} from - A time with the old delay
+   * @param {number} to - A time with the new delay
+   * @returns {Object} - { at, delayBefore, delayAfter, change, amount, zones }
+   */
+  _describeTransition(from, to) {
+    const delayBefore = this.getDelay(from);
+    let low = from;
+    let high = to;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.getDelay(middle) === delayBefore) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const delayAfter = this.getDelay(high);
+    const zones = [this.sourceTimezone, this.listenerTimezone]
+      .filter(timeZone => this.getOffset(timeZone, low) !== this.getOffset(timeZone, high));
+    return {
+      at: high,
+      delayBefore,
+      delayAfter,
+      // A longer delay goes back over audio already heard; a shorter one
+      // jumps over some
+      change: delayAfter > delayBefore ? 'repeat' : 'skip',
+      amount: Math.abs(delayAfter - delayBefore),
+      zones
+    };
+  }
+
+  /**
+   * Changes of delay between two times
+   * @param {number} from - Start time in ms
+   * @param {number} to - End time in ms
+   * @returns {Array<Object>} - Transitions in order, see _describeTransition
+   */
+  getTransitions(from, to) {
+    const transitions = [];
+    let previous = from;
+    let delay = this.getDelay(from);
+    while (previous < to) {
+      const next = Math.min(previous + SEARCH_STEP, to);
+      const nextDelay = this.getDelay(next);
+      if (nextDelay !== delay) {
+        transitions.push(this._describeTransition(previous, next));
+        delay = nextDelay;
+      }
+      previous = next;
+    }
+    return transitions;
+  }
+
+  /**
+   * Most recent change of delay
+   * @param {number} [time] - Time in ms
+   * @param {number} [lookback] - How far back to look, in ms
+   * @returns {Object|null} - The transition, or null if there was none
+   */
+  getLastTransition(time = Date.now(), lookback = DAY) {
+    const transitions = this.getTransitions(time - lookback, time);
+    return transitions.length > 0 ? transitions[transitions.length - 1] : null;
+  }
+
+  /**
+   * Next changes of delay, within a year. Searching a year takes a while,
+   * and /api/status asks on every poll, so the search is only repeated once
+   * the first transition it found has passed (or a day on, if it found none).
+   * @param {number} [time] - Time in ms
+   * @param {number} [count] - How many to return
+   * @returns {Array<Object>}
+   */
+  getUpcomingTransitions(time = Date.now(), count = 2) {
+    const cached = this.upcoming;
+    const until = cached && (cached.transitions.length > 0 ? cached.transitions[0].at : cached.from + DAY);
+    if (!cached || time < cached.from || time >= until) {
+      this.upcoming = { from: time, transitions: this.getTransitions(time, time + 366 * DAY) };
+    }
+    return this.upcoming.transitions.slice(0, count);
+  }
+
+  /**
+   * Status for /api/status
+   * @param {number} [time] - Time in ms
+   * @returns {Object}
+   */
+  getStatus(time = Date.now()) {
+    return {
+      mode: 'timezone',
+      sourceTimezone: this.sourceTimezone,
+      listenerTimezone: this.listenerTimezone,
+      delayMs: this.getDelay(time),
+      upcomingTransitions: this.getUpcomingTransitions(time).map(transition => ({
+        ...transition,
+        at: new Date(transition.at).toISOString()
+      }))
+    };
+  }
+}
+
+/**
+ * Schedule for the configured delay mode
+ * @returns {TimezoneDelay|null} - null for a fixed delay
+ */
+function createTimezoneDelay() {
+  if (config.DELAY_MODE !== 'timezone') {
+    return null;
+  }
+
+  for (const timeZone of [config.SOURCE_TIMEZONE, config.LISTENER_TIMEZONE]) {
+    if (!isValidTimezone(timeZone)) {
+      logger.error(`Unknown timezone "${timeZone}"; using the fixed DELAY_DURATION instead`);
+      return null;
+    }
+  }
+
+  const schedule = new TimezoneDelay({
+    sourceTimezone: config.SOURCE_TIMEZONE,
+    listenerTimezone: config.LISTENER_TIMEZONE
+  });
+
+  // The delay can't reach back further than the buffer does, in any week
+  // of the year
+  const now = Date.now();
+  const longest = Math.max(schedule.getDelay(now),
+    ...schedule.getTransitions(now, now + 366 * DAY).map(transition => transition.delayAfter));
+  if (longest > config.BUFFER_DURATION) {
+    schedule.maxDelay = Math.max(0, config.BUFFER_DURATION - BUFFER_MARGIN);
+    const hours = ms => `${Number((ms / 3600000).toFixed(2))}h`;
+    logger.warn(`Aligning ${config.SOURCE_TIMEZONE} with ${config.LISTENER_TIMEZONE} needs a delay of up to ${hours(longest)}, ` +
+      `more than BUFFER_DURATION (${hours(config.BUFFER_DURATION)}) holds; the delay is held at ${hours(schedule.maxDelay)}`);
+  }
+  logger.info(`Delay follows ${config.SOURCE_TIMEZONE} wall-clock time in ${config.LISTENER_TIMEZONE} (currently ${schedule.getDelay() / 3600000}h)`);
+  return schedule;
+}
+
+// Create singleton instance (null unless DELAY_MODE=timezone)
+const timezoneDelay = createTimezoneDelay();
+
+module.exports = {
+  timezoneDelay,
+  TimezoneDelay,
+  createTimezoneDelay,
+  isValidTimezone
+};
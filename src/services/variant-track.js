@@ -0,0 +1,182 @@
+/**
+ * Variant Track
+ * Records one additional bitrate variant of a station alongside the primary
+ * pipeline: its own monitor -> downloader -> buffer chain, stored under
+ * <storageDir>/variants/<id>. Variant buffers are keyed by the same source
+ * sequence numbers as the primary buffer, which is what lets the playlist
+ * generator line them up for adaptive playback.
+ */
+
+const path = require('path');
+const EventEmitter = require('events');
+const { MonitorService } = require('./monitor-service');
+const { DownloaderService } = require('./downloader-service');
+const { HybridBufferService } = require('./hybrid-buffer-service');
+const { DiskStorageService } = require('./disk-storage-service');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+/**
+ * Variant Track Class
+ */
+class VariantTrack extends EventEmitter {
+  /**
+   * @param {Object} options - Track options
+   * @param {Object} options.variant - Variant from playlistService.getVariants()
+   * @param {string} options.stationId - Owning station, for log prefixes
+   * @param {string} options.storageDir - Station storage directory
+   * @param {Object} [options.keyService] - The station's key service, shared so playlists find every key
+   * @param {number} [options.bufferDuration] - Buffer duration in ms
+   * @param {number} [options.monitorInterval] - Playlist poll interval in ms
+   * @param {number} [options.maxRetries] - Download retries per segment
+   * @param {number} [options.maxConcurrentDownloads] - Parallel downloads
+   */
+  constructor(options) {
+    super();
+
+    const { variant } = options;
+    this.id = variant.id;
+    this.url = variant.url;
+    this.bandwidth = variant.bandwidth;
+    this.codecs = variant.codecs;
+    this.isPrimary = false;
+
+    this.stationId = options.stationId;
+    this.options = {
+      bufferDuration: options.bufferDuration || config.BUFFER_DURATION,
+      monitorInterval: options.monitorInterval || 10000,
+      maxRetries: options.maxRetries || 3,
+      maxConcurrentDownloads: options.maxConcurrentDownloads || 3
+    };
+
+    this.buffer = new HybridBufferService(this.options.bufferDuration, {
+      diskStorage: new DiskStorageService({
+        baseDir: path.join(options.storageDir, 'variants', this.id)
+      }),
+      streamUrl: this.url
+    });
+    this.keyService = options.keyService;
+    this.downloader = new DownloaderService();
+    this.monitor = new MonitorService({
+      url: this.url,
+      interval: this.options.monitorInterval
+    });
+  }
+
+  /**
+   * Initialize the buffer and wire monitor -> downloader -> buffer
+   */
+  async initialize() {
+    const prefix = `[${this.stationId}/${this.id}]`;
+
+    await this.buffer.initialize({ duration: this.options.bufferDuration });
+
+    this.downloader.initialize({
+      maxRetries: this.options.maxRetries,
+      maxConcurrentDownloads: this.options.maxConcurrentDownloads,
+      bufferService: this.buffer,
+      keyService: this.keyService
+    });
+
+    this.monitor.on('newSegment', async (segmentInfo) => {
+      try {
+        const result = await this.downloader.downloadSegment(segmentInfo.url, {
+          sequenceNumber: segmentInfo.sequenceNumber,
+          discoveredAt: segmentInfo.discoveredAt,
+          duration: segmentInfo.duration,
+          key: segmentInfo.key,
+          map: segmentInfo.map,
+          container: segmentInfo.container,
+          programDateTime: segmentInfo.programDateTime,
+          discontinuity: segmentInfo.discontinuity
+        });
+
+        if (!result.success) {
+          logger.error(`${prefix} Failed to download segment ${segmentInfo.sequenceNumber}: ${result.errorMessage}`);
+        }
+      } catch (error) {
+        logger.error(`${prefix} Error in download pipeline for segment ${segmentInfo.url}:`, error);
+      }
+    });
+
+    this.monitor.on('error', (errorInfo) => {
+      logger.error(`${prefix} Monitor error: ${errorInfo.error || 'unknown'}`);
+    });
+
+    this.monitor.on('discontinuity', (info) => {
+      const now = Date.now();
+      this.buffer.recordGap({
+        fromSeq: info.expected,
+        toSeq: info.actual - 1,
+        startTime: now - info.skippedCount * 6400,
+        endTime: now,
+        reason: 'discontinuity'
+      });
+    });
+
+    logger.info(`${prefix} Variant track initialized (${this.bandwidth}bps)`);
+  }
+
+  /**
+   * Start polling the variant's media playlist
+   * @returns {boolean} - Success status
+   */
+  start() {
+    this.buffer.startIntervals();
+    return this.monitor.startMonitoring({ immediate: true });
+  }
+
+  /**
+   * Stop polling and flush the buffer metadata
+   */
+  async stop() {
+    if (this.monitor.isRunning) {
+      this.monitor.stopMonitoring();
+    }
+
+    await this.downloader.finishPendingDownloads(5000);
+
+    try {
+      this.buffer.stopIntervals();
+      await this.buffer.flushMetadata();
+    } catch (e) {
+      logger.warn(`[${this.stationId}/${this.id}] Error flushing variant metadata: ${e.message}`);
+    }
+  }
+
+  /**
+   * Apply a re-resolved master playlist entry for this variant
+   * @param {Object} variant - Variant from playlistService.getVariants()
+   */
+  update(variant) {
+    this.bandwidth = variant.bandwidth;
+    this.codecs = variant.codecs;
+
+    if (variant.url !== this.url) {
+      this.url = variant.url;
+      this.monitor.switchUrl(variant.url);
+    }
+  }
+
+  /**
+   * Get track status
+   * @returns {Object} - Status summary
+   */
+  getStatus() {
+    const stats = this.buffer.getBufferStats();
+    return {
+      id: this.id,
+      url: this.url,
+      bandwidth: this.bandwidth,
+      codecs: this.codecs,
+      isPrimary: false,
+      isRunning: this.monitor.isRunning,
+      lastSequence: this.monitor.lastSequence,
+      segmentCount: stats.segmentCount
+    };
+  }
+}
+
+module.exports = {
+  VariantTrack
+};
@@ -0,0 +1,231 @@
+/**
+ * Unit tests for metered connections: the download rate limit, the daily
+ * data budget (warnings, exhaustion, persistence, the daily reset), every
+ * kind of request being metered and slowed down, and pipelines switching
+ * to data saver instead of stopping.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const { once } = require('node:events');
+const { Readable } = require('node:stream');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-bandwidth-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const { BandwidthLimiter } = require('../../services/bandwidth-limiter');
+const { DownloaderService } = require('../../services/downloader-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { httpClient } = require('../../services/http-client');
+const playlistService = require('../../services/playlist-service');
+const { ProgressiveSourceService } = require('../../services/progressive-source-service');
+const { registerSourceAdapter } = require('../../services/source-adapters');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+// Forty MPEG-TS packets: enough bytes for 6.4s at the minimum bitrate
+const SEGMENT = Buffer.concat(Array.from({ length: 40 }, () =>
+  Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187)])));
+
+class FakeVariantSource extends EventEmitter {
+  constructor(options) {
+    super();
+    this.url = options.url;
+    this.variantPolicy = options.variantPolicy;
+    this.isRunning = false;
+  }
+  setSources() {}
+  setVariantPolicy(policy) { this.variantPolicy = policy; }
+  startMonitoring() { this.isRunning = true; return true; }
+  stopMonitoring() { this.isRunning = false; return true; }
+  getCapabilities() {
+    return { downloads: true, playlist: false, rewind: false, partialSegments: false, variants: true, streamTitles: true };
+  }
+  getHealth() { return { isRunning: this.isRunning, lastActivityTime: null, lastSegmentTime: null, errorCount: 0 }; }
+  getStatus() { return { isRunning: this.isRunning }; }
+}
+registerSourceAdapter('fake-variants', (options) => new FakeVariantSource(options));
+
+// Bodies arrive as streams, a few hundred bytes at a time
+function serveBodies(bodies) {
+  axios.get = async (url) => {
+    const body = Buffer.from(bodies[new URL(url).hostname]);
+    const pieces = [];
+    for (let i = 0; i < body.length; i += 300) {
+      pieces.push(body.subarray(i, i + 300));
+    }
+    return { status: 200, headers: {}, data: Readable.from(pieces) };
+  };
+}
+
+const originalGet = axios.get;
+const originalLimiter = httpClient.bandwidthLimiter;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+  httpClient.bandwidthLimiter = originalLimiter;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('downloads beyond the rate limit wait their turn, in order', async () => {
+  const limiter = new BandwidthLimiter({ rateLimit: 1000000, dailyBudget: 0, usageFile: path.join(tmpDir, 'rate.json') });
+
+  const started = Date.now();
+  await limiter.acquire();
+  assert.ok(Date.now() - started < 50, 'a full bucket lets the first download straight through');
+
+  // 1.2MB against 1MB/s leaves 0.2s of debt to sleep off
+  limiter.record(1200000);
+  const order = [];
+  await Promise.all([
+    limiter.acquire().then(() => order.push('first')),
+    limiter.acquire().then(() => order.push('second'))
+  ]);
+
+  assert.ok(Date.now() - started >= 180, `waited ${Date.now() - started}ms`);
+  assert.deepEqual(order, ['first', 'second']);
+  assert.equal(limiter.getStatus().throttledWaits, 1);
+});
+
+test('the daily budget warns, runs out, survives a restart and resets the next day', async () => {
+  const usageFile = path.join(tmpDir, 'budget.json');
+  const limiter = new BandwidthLimiter({ rateLimit: 0, dailyBudget: 1000, warningThreshold: 0.8, usageFile });
+  const changes = [];
+  limiter.on('budgetStateChanged', change => changes.push(change.state));
+
+  limiter.record(500);
+  assert.equal(limiter.getBudgetState(), 'ok');
+  limiter.record(300);
+  limiter.record(300);
+
+  assert.deepEqual(changes, ['warning', 'exhausted']);
+  assert.deepEqual(
+    (({ usedToday, remainingToday, percentUsed, state }) => ({ usedToday, remainingToday, percentUsed, state }))(limiter.getStatus()),
+    { usedToday: 1100, remainingToday: 0, percentUsed: 110, state: 'exhausted' }
+  );
+
+  await limiter.save();
+  const restarted = new BandwidthLimiter({ rateLimit: 0, dailyBudget: 1000, usageFile });
+  await restarted.load();
+  assert.equal(restarted.usedToday, 1100);
+  assert.equal(restarted.getBudgetState(), 'exhausted');
+
+  // Usage saved on an earlier day is not carried over
+  await fs.writeFile(usageFile, JSON.stringify({ day: '2000-01-01', bytes: 900 }));
+  const nextDay = new BandwidthLimiter({ rateLimit: 0, dailyBudget: 1000, usageFile });
+  await nextDay.load();
+  assert.equal(nextDay.usedToday, 0);
+
+  limiter.day = '2000-01-01';
+  assert.equal(limiter.getStatus().usedToday, 0);
+  assert.equal(limiter.state, 'ok');
+  assert.deepEqual(changes, ['warning', 'exhausted', 'ok']);
+});
+
+test('the downloader counts every segment it fetches against the shared budget', async () => {
+  axios.get = async () => ({ status: 200, data: SEGMENT });
+
+  const limiter = new BandwidthLimiter({ rateLimit: 0, dailyBudget: 0, usageFile: path.join(tmpDir, 'downloads.json') });
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+
+  for (const stationId of ['bbc_6music', 'bbc_radio_three']) {
+    const downloader = new DownloaderService();
+    downloader.initialize({ bufferService: buffer, bandwidthLimiter: limiter });
+    const result = await downloader.downloadSegment(`http://example.com/${stationId}/seg-1.ts`, {
+      sequenceNumber: stationId === 'bbc_6music' ? 1 : 2, duration: 6.4, container: 'ts'
+    });
+    assert.equal(result.success, true);
+  }
+
+  assert.equal(limiter.getStatus().usedToday, 2 * SEGMENT.length);
+  buffer.stopIntervals();
+});
+
+test('a progressive station, playlist polls and metadata count against the budget too', async () => {
+  const limiter = new BandwidthLimiter({ rateLimit: 0, dailyBudget: 4020, usageFile: path.join(tmpDir, 'all.json') });
+  httpClient.bandwidthLimiter = limiter;
+  const changes = [];
+  limiter.on('budgetStateChanged', change => changes.push(change.state));
+
+  const audio = Buffer.alloc(4000, 0xaa);
+  const playlist = '#EXTM3U\n#EXT-X-TARGETDURATION:6\n';
+  const tracks = JSON.stringify({ data: [] });
+  serveBodies({ 'radio.example.com': audio, 'playlists.example.com': playlist, 'rms.api.bbc.co.uk': tracks });
+
+  // An endless Icecast stream is never fetched as a segment
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const source = new ProgressiveSourceService({ url: 'http://radio.example.com/live', bufferService: buffer, reconnectDelayBase: 60000 });
+  source.on('error', () => {});
+  source.startMonitoring();
+  await once(source, 'error'); // the stream ending
+  source.stopMonitoring();
+  buffer.stopIntervals();
+  assert.equal(limiter.usedToday, audio.length);
+  assert.deepEqual(changes, ['warning']);
+
+  // Bodies read through the limiter still decode as the caller asked
+  assert.equal(await playlistService.fetchPlaylist('http://playlists.example.com/live.m3u8', 0), playlist);
+  assert.deepEqual(await httpClient.getJson('https://rms.api.bbc.co.uk/v2/services/bbc_6music/segments/latest'), { data: [] });
+
+  assert.equal(limiter.usedToday, audio.length + playlist.length + tracks.length);
+  assert.deepEqual(changes, ['warning', 'exhausted']);
+});
+
+test('past the rate limit a body is read more slowly, not just started later', async () => {
+  const limiter = new BandwidthLimiter({ rateLimit: 1000, dailyBudget: 0, usageFile: path.join(tmpDir, 'slow.json') });
+  httpClient.bandwidthLimiter = limiter;
+  serveBodies({ 'segments.example.com': Buffer.alloc(1800) });
+
+  // A full bucket covers the first 1000 bytes; the other 800 take 0.8s
+  const started = Date.now();
+  const response = await httpClient.get('http://segments.example.com/seg-1.ts', { responseType: 'arraybuffer' });
+  assert.equal(response.data.length, 1800);
+  assert.ok(Date.now() - started >= 700, `read in ${Date.now() - started}ms`);
+  assert.ok(limiter.getStatus().throttledWaits >= 1);
+});
+
+test('data saver records the lowest variant and stops the redundant source, and undoes it', async () => {
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrls: ['http://akamai.example.com/master.m3u8', 'http://cloudfront.example.com/master.m3u8'],
+    sourceType: 'fake-variants',
+    storageDir: path.join(tmpDir, 'saver'),
+    variantPolicy: 'highest',
+    redundant: true
+  });
+  await pipeline.start();
+  assert.equal(pipeline.mirror.isRunning, true);
+
+  assert.equal(await pipeline.setDataSaver(true), true);
+  assert.equal(pipeline.monitor.variantPolicy, 'lowest');
+  assert.equal(pipeline.mirror.variantPolicy, 'lowest');
+  assert.equal(pipeline.mirror.isRunning, false);
+  assert.equal(pipeline.monitor.isRunning, true, 'recording carries on');
+  assert.equal(pipeline.getStatus().dataSaver, true);
+  assert.equal(await pipeline.setDataSaver(true), false);
+
+  // Resuming after a scheduled pause leaves the mirror off too
+  await pipeline.pauseRecording();
+  await pipeline.resumeRecording();
+  assert.equal(pipeline.mirror.isRunning, false);
+
+  await pipeline.setDataSaver(false);
+  assert.equal(pipeline.monitor.variantPolicy, 'highest');
+  assert.equal(pipeline.mirror.isRunning, true);
+
+  await pipeline.stop();
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for catching up to the default delay: playing fast with a
+ * modelled delay the playlist follows, skipping talk from the BBC segment
+ * list, and the progress reported in /session and /api/status.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-catch-up-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const config = require('../../config/config');
+const { ListenerSessions } = require('../../services/listener-sessions');
+const { MetadataService } = require('../../services/metadata-service');
+const { serviceManager } = require('../../services');
+
+const MINUTE = 60 * 1000;
+const ID = 'catching-up-listener1';
+const DEFAULT_DELAY = config.DELAY_DURATION;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('catching up at speed shrinks the delay as the listener plays', () => {
+  const sessions = new ListenerSessions({ persist: false });
+  const now = Date.now();
+  const caughtUp = [];
+  sessions.on('caughtUp', event => caughtUp.push(event));
+
+  // Ten minutes behind the default delay
+  sessions.update(ID, { playhead: now - DEFAULT_DELAY - 10 * MINUTE }, now);
+  sessions.catchUp(ID, 'speed', now);
+
+  const lost = (config.CATCH_UP_RATE - 1) * 30000;
+  assert.equal(sessions.getCatchUpDelay(ID, now + 30000), DEFAULT_DELAY + 10 * MINUTE - lost);
+  const status = sessions.getStatus(ID, now + 30000);
+  assert.equal(status.catchUp.mode, 'speed');
+  assert.equal(status.catchUp.rate, config.CATCH_UP_RATE);
+  assert.equal(status.catchUp.remainingMs, 10 * MINUTE - lost);
+  assert.equal(status.catchUp.percent, Math.round(lost / (10 * MINUTE) * 1000) / 10);
+  assert.deepEqual(sessions.getStats(), { sessions: 1, paused: 0, catchingUp: 1 });
+
+  // Without reports it stops shrinking; a report moves the model on from there
+  assert.equal(sessions.getCatchUpDelay(ID, now + 10 * MINUTE), DEFAULT_DELAY + 10 * MINUTE - (config.CATCH_UP_RATE - 1) * 60000);
+  sessions.update(ID, { playhead: now + 5 * MINUTE - DEFAULT_DELAY - 4 * MINUTE }, now + 5 * MINUTE);
+  assert.equal(sessions.getStatus(ID, now + 5 * MINUTE).catchUp.remainingMs, 4 * MINUTE);
+
+  // Back within a couple of seconds of the default delay, it's done
+  const later = now + 10 * MINUTE;
+  sessions.update(ID, { playhead: later - DEFAULT_DELAY - 1000 }, later);
+  assert.equal(sessions.getStatus(ID, later).catchUp, null);
+  assert.equal(sessions.getPlaylistQuery(ID), null);
+  assert.equal(sessions.getCatchUpDelay(ID, later), null);
+  assert.deepEqual(caughtUp, [{ id: ID, mode: 'speed', durationMs: 10 * MINUTE }]);
+
+  // Pausing calls a catch-up off, and one ahead of the default delay just jumps
+  sessions.update(ID, { playhead: later - DEFAULT_DELAY - 10 * MINUTE }, later);
+  sessions.catchUp(ID, 'speed', later);
+  sessions.update(ID, { playhead: later - DEFAULT_DELAY - 10 * MINUTE, paused: true }, later);
+  assert.equal(sessions.get(ID).catchUp, null);
+  sessions.update(ID, { playhead: later - DEFAULT_DELAY + 10 * MINUTE }, later);
+  assert.equal(sessions.catchUp(ID, 'speed', later).catchUp, null);
+});
+
+test('a pause older than the buffer catches up from its oldest segment', () => {
+  const now = Date.now();
+  // Buffered from twenty minutes behind the default delay up to just now
+  const buffer = {
+    oldest: now - DEFAULT_DELAY - 20 * MINUTE,
+    segments: [],
+    getOldestSegmentTime() { return this.oldest; },
+    getNewestSegmentTime() { return now - 5000; }
+  };
+  const sessions = new ListenerSessions({ persist: false, buffer });
+
+  sessions.update(ID, { playhead: now - 30 * 60 * MINUTE, paused: true }, now);
+  const session = sessions.catchUp(ID, 'speed', now);
+  assert.equal(session.catchUp.mode, 'speed');
+  assert.equal(session.catchUp.fromDriftMs, 20 * MINUTE);
+  assert.equal(sessions.getCatchUpDelay(ID, now), DEFAULT_DELAY + 20 * MINUTE);
+
+  // With nothing buffered behind the default delay, it's a jump
+  buffer.oldest = now - DEFAULT_DELAY - 1000;
+  sessions.update(ID, { playhead: now - 30 * 60 * MINUTE, paused: true }, now);
+  assert.equal(sessions.catchUp(ID, 'speed', now).catchUp, null);
+  assert.equal(sessions.getPlaylistQuery(ID), null);
+});
+
+test('catching up by skipping talk points at the next talk, up to the lost time', () => {
+  const metadata = new MetadataService({ stationId: 'bbc_6music' });
+  const sessions = new ListenerSessions({ persist: false, metadata });
+  const now = Date.now();
+  const playhead = now - DEFAULT_DELAY - 10 * MINUTE;
+
+  // A short link, then the news, after the playhead
+  metadata._recordTalk({ id: 'link', segment_type: 'speech', offset: { start: 0, end: 90 } }, playhead + MINUTE);
+  metadata._recordTalk({ id: 'news', segment_type: 'news', titles: { secondary: 'News' }, offset: { start: 0, end: 900 } }, playhead + 5 * MINUTE);
+  metadata._recordTalk({ id: 'empty', segment_type: 'speech', offset: { start: 10, end: 10 } }, playhead);
+  assert.equal(metadata.talk.length, 2);
+
+  sessions.update(ID, { playhead }, now);
+  sessions.catchUp(ID, 'skip', now);
+  assert.deepEqual(sessions.getPlaylistQuery(ID), { delay: String((DEFAULT_DELAY + 10 * MINUTE) / 1000) });
+  assert.equal(sessions.getCatchUpDelay(ID, now), null);
+
+  const iso = time => new Date(time).toISOString();
+  assert.deepEqual(sessions.getStatus(ID, now).catchUp.nextSkip, {
+    from: iso(playhead + MINUTE), to: iso(playhead + 2.5 * MINUTE), type: 'speech', title: ''
+  });
+
+  // After the link, the news only until the lost time is made up
+  const afterLink = now + MINUTE;
+  sessions.update(ID, { playhead: playhead + 2.5 * MINUTE }, afterLink);
+  const { catchUp } = sessions.getStatus(ID, afterLink);
+  assert.equal(catchUp.percent, 15);
+  assert.deepEqual(catchUp.nextSkip, {
+    from: iso(playhead + 5 * MINUTE), to: iso(playhead + 13.5 * MINUTE), type: 'news', title: 'News'
+  });
+});
+
+test('talk and news from the BBC segment list are kept apart from tracks', () => {
+  const metadata = new MetadataService({ stationId: 'bbc_6music' });
+  const now = Date.now();
+  metadata._processScheduleResponse({
+    data: [{
+      data: [{
+        type: 'broadcast_summary', id: 'p0show', titles: { primary: 'The Show' },
+        start: new Date(now - 30 * MINUTE).toISOString(), end: new Date(now + 30 * MINUTE).toISOString()
+      }]
+    }]
+  });
+  metadata._processResponse({
+    data: [
+      { id: 'track', segment_type: 'music', titles: { primary: 'Artist', secondary: 'Song' }, offset: { start: 600, end: 800 } },
+      { id: 'talk', segment_type: 'speech', titles: { primary: 'Presenter' }, offset: { start: 800, end: 1000 } }
+    ]
+  });
+
+  assert.deepEqual(metadata.metadata.map(entry => entry.data.id), ['track']);
+  assert.equal(metadata.talk.length, 1);
+  const talk = metadata.getNextTalk(now - 30 * MINUTE);
+  assert.deepEqual([talk.start, talk.end, talk.data.type], [now - 30 * MINUTE + 800000, now - 30 * MINUTE + 1000000, 'speech']);
+  assert.equal(metadata.getNextTalk(now), null);
+});
+
+test('a listener catching up at speed gets a moving playlist, with progress in /api/status', async () => {
+  const pipeline = serviceManager.getPipeline();
+  pipeline.buffer.diskStorageEnabled = false;
+  pipeline.sessions.persist = false;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../../routes/api'));
+  app.use('/', require('../../routes/stream'));
+  app.use('/', require('../../routes/sessions'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const { session } = await (await fetch(`${base}/session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playhead: Date.now() - DEFAULT_DELAY - 5 * MINUTE })
+    })).json();
+    const cookie = `encore_session=${session.id}`;
+    const post = (url, body) => fetch(`${base}${url}`, {
+      method: 'POST', headers: { cookie, 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    });
+
+    const started = await (await post('/session/catch-up', { mode: 'speed' })).json();
+    assert.equal(started.session.catchUp.mode, 'speed');
+    assert.equal(started.session.catchUp.percent, 0);
+
+    // Served as it stands, not pinned to a delay with a redirect
+    const playlist = await fetch(`${base}/stream.m3u8`, { headers: { cookie }, redirect: 'manual' });
+    assert.equal(playlist.status, 200);
+
+    const status = await (await fetch(`${base}/api/status`, { headers: { cookie } })).json();
+    assert.equal(status.session.catchUp.mode, 'speed');
+    assert.ok(Math.abs(status.session.catchUp.remainingMs - 5 * MINUTE) < 1000);
+    assert.equal(status.pipeline.sessions.catchingUp, 1);
+    assert.equal((await (await fetch(`${base}/api/status`)).json()).session, null);
+
+    const bad = await post('/session/catch-up', { mode: 'rewind' });
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).message, 'mode must be one of speed, skip, jump');
+  } finally {
+    server.close();
+    pipeline.buffer.stopIntervals();
+  }
+});
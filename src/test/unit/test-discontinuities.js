@@ -0,0 +1,152 @@
+/**
+ * Unit tests for discontinuities: EXT-X-DISCONTINUITY read from the source
+ * playlist, numbered and persisted by the buffer, and written back into the
+ * time-shifted playlist at the same segment, with EXT-X-DISCONTINUITY-SEQUENCE
+ * staying right as the window slides past it.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-discontinuity-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { DiskStorageService } = require('../../services/disk-storage-service');
+const { PlaylistGenerator } = require('../../services/playlist-generator');
+
+function memoryBuffer() {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  return buffer;
+}
+
+// Six segments broadcast over the last minute; the encoder restarted
+// before segment 4
+async function addSegments(buffer, start = Date.now() - 60000, sequences = [1, 2, 3, 4, 5, 6]) {
+  for (const seq of sequences) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4,
+      programDateTime: start + (seq - 1) * 6400,
+      ...(seq === 4 && { discontinuity: true })
+    });
+  }
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('the monitor flags the segment after EXT-X-DISCONTINUITY', () => {
+  const parsed = playlistService.parsePlaylist([
+    '#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:7', '#EXT-X-MEDIA-SEQUENCE:100',
+    '#EXTINF:6.4,', 'a-100.ts',
+    '#EXT-X-DISCONTINUITY',
+    '#EXTINF:6.4,', 'b-101.ts',
+    '#EXTINF:6.4,', 'b-102.ts'
+  ].join('\n'));
+
+  const monitor = new MonitorService({ url: 'http://example.com/live/index.m3u8' });
+  const segments = monitor.identifyNewSegments(
+    playlistService.getSegmentUrls(parsed, monitor.url), parsed
+  );
+
+  assert.deepEqual(segments.map(s => Boolean(s.discontinuity)), [false, true, false]);
+});
+
+test('the delayed playlist breaks at the same segment and keeps counting once it slides past', async () => {
+  const buffer = memoryBuffer();
+  await addSegments(buffer);
+  assert.deepEqual(buffer.segments.map(s => s.metadata.discontinuitySequence), [0, 0, 0, 1, 1, 1]);
+
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+  const full = (await generator.generatePlaylist({ timeshift: 60, segmentCount: 6 })).m3u8Content.split('\n');
+  assert.ok(full.includes('#EXT-X-DISCONTINUITY-SEQUENCE:0'));
+  assert.equal(full.filter(line => line === '#EXT-X-DISCONTINUITY').length, 1);
+  const tag = full.indexOf('#EXT-X-DISCONTINUITY');
+  assert.equal(full[tag + 3], '/stream/segment/4.ts');
+
+  // Later, with segment 4 out of the window
+  const slid = await generator.generatePlaylist({ timeshift: 30, segmentCount: 2 });
+  const lines = slid.m3u8Content.split('\n');
+  assert.equal(slid.mediaSequence, 5);
+  assert.equal(slid.discontinuitySequence, 1);
+  assert.ok(lines.includes('#EXT-X-DISCONTINUITY-SEQUENCE:1'));
+  assert.ok(!lines.includes('#EXT-X-DISCONTINUITY'));
+
+  buffer.stopIntervals();
+});
+
+test('a segment slotted in late is numbered from its neighbours', async () => {
+  const buffer = memoryBuffer();
+  const start = Date.now() - 60000;
+  await addSegments(buffer, start, [1, 2, 4, 5, 6]);
+
+  // Backfill finds segment 3 after 4 (and its restart) are stored
+  await buffer.addSegment(Buffer.from('x'), {
+    url: 'http://example.com/a-3.ts', sequenceNumber: 3, duration: 6.4, programDateTime: start + 2 * 6400, backfilled: true
+  });
+  assert.deepEqual(buffer.segments.map(s => s.metadata.discontinuitySequence), [0, 0, 0, 1, 1, 1]);
+
+  // A late segment starting a discontinuity leaves the ones after it
+  // alone: listeners may already be playing them
+  const late = memoryBuffer();
+  await addSegments(late, start, [1, 2, 3, 5, 6]);
+  assert.deepEqual(late.segments.map(s => s.metadata.discontinuitySequence), [0, 0, 0, 0, 0]);
+  await late.addSegment(Buffer.from('x'), {
+    url: 'http://example.com/a-4.ts', sequenceNumber: 4, duration: 6.4, programDateTime: start + 3 * 6400, discontinuity: true
+  });
+  assert.deepEqual(late.segments.map(s => s.metadata.discontinuitySequence), [0, 0, 0, 0, 0, 0]);
+  assert.equal(late.discontinuitySequence, 0);
+
+  // ...and new segments carry on from the same count
+  await late.addSegment(Buffer.from('x'), {
+    url: 'http://example.com/b-7.ts', sequenceNumber: 7, duration: 6.4, programDateTime: start + 6 * 6400, discontinuity: true
+  });
+  assert.equal(late.segments[6].metadata.discontinuitySequence, 1);
+
+  buffer.stopIntervals();
+  late.stopIntervals();
+});
+
+test('discontinuities and their numbering survive a restart', async () => {
+  const createBuffer = () => new HybridBufferService(60 * 60 * 1000, {
+    diskStorage: new DiskStorageService({ baseDir: path.join(tmpDir, 'restore') }),
+    streamUrl: 'http://127.0.0.1:1/live.m3u8'
+  });
+
+  const buffer = createBuffer();
+  await buffer.initialize();
+  // Two earlier restarts have already left the buffer
+  buffer.discontinuitySequence = 2;
+  await addSegments(buffer);
+  await buffer.flushMetadata();
+  buffer.stopIntervals();
+
+  const saved = JSON.parse(await fs.readFile(path.join(tmpDir, 'restore', 'buffer-metadata.json'), 'utf8'));
+  assert.equal(saved.discontinuitySequence, 3);
+  assert.equal(saved.segments.find(s => s.metadata.sequenceNumber === 4).metadata.discontinuity, true);
+
+  const restored = createBuffer();
+  await restored.initialize();
+  assert.deepEqual(restored.segments.map(s => s.metadata.discontinuitySequence), [2, 2, 2, 3, 3, 3]);
+  assert.equal(restored.segments[3].metadata.discontinuity, true);
+  assert.equal(restored.discontinuitySequence, 3);
+
+  const generator = new PlaylistGenerator({ bufferService: restored });
+  const lines = (await generator.generatePlaylist({ timeshift: 60, segmentCount: 6 })).m3u8Content.split('\n');
+  assert.ok(lines.includes('#EXT-X-DISCONTINUITY-SEQUENCE:2'));
+  assert.equal(lines[lines.indexOf('#EXT-X-DISCONTINUITY') + 3], '/stream/segment/4.ts');
+
+  restored.stopIntervals();
+});
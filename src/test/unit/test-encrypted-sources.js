@@ -0,0 +1,170 @@
+/**
+ * Unit tests for encrypted HLS sources: EXT-X-KEY parsing, AES-128
+ * decryption before the buffer, and SAMPLE-AES pass-through with persisted
+ * keys re-emitted in generated playlists.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-keys-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+const { DownloaderService } = require('../../services/downloader-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { KeyService } = require('../../services/key-service');
+const { PlaylistGenerator } = require('../../services/playlist-generator');
+
+const KEY = crypto.randomBytes(16);
+const KEY_URI = 'http://example.com/keys/k1.key';
+
+// Forty MPEG-TS packets: enough bytes for 6.4s at the minimum bitrate
+function tsPackets() {
+  return Buffer.concat(Array.from({ length: 40 }, () =>
+    Buffer.concat([Buffer.from([0x47]), crypto.randomBytes(187)])));
+}
+
+const PLAINTEXT = tsPackets();
+
+function encrypt(data, iv) {
+  const cipher = crypto.createCipheriv('aes-128-cbc', KEY, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+const originalGet = axios.get;
+let keyRequests = 0;
+
+function serve(segmentBody) {
+  axios.get = async (url) => {
+    if (url === KEY_URI) {
+      keyRequests++;
+      return { status: 200, data: KEY };
+    }
+    return { status: 200, data: segmentBody };
+  };
+}
+
+function createDownloader() {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const keys = new KeyService({ baseDir: tmpDir });
+  const downloader = new DownloaderService();
+  downloader.initialize({ bufferService: buffer, keyService: keys, maxRetries: 1, retryDelayBase: 1 });
+  return { buffer, keys, downloader };
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+  keyRequests = 0;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('key tags resolve the key URI and fill in the sequence-number IV', () => {
+  const parsed = playlistService.parsePlaylist([
+    '#EXTM3U', '#EXT-X-TARGETDURATION:7', '#EXT-X-MEDIA-SEQUENCE:300',
+    '#EXT-X-KEY:METHOD=AES-128,URI="../keys/k1.key",IV=0x000102030405060708090a0b0c0d0e0f',
+    '#EXTINF:6.4,', 'a.ts',
+    '#EXT-X-KEY:METHOD=AES-128,URI="../keys/k2.key"',
+    '#EXTINF:6.4,', 'b.ts',
+    '#EXT-X-KEY:METHOD=NONE',
+    '#EXTINF:6.4,', 'c.ts'
+  ].join('\n'));
+
+  const monitor = new MonitorService({ url: 'http://example.com/live/index.m3u8' });
+  const segments = monitor.identifyNewSegments(
+    playlistService.getSegmentUrls(parsed, monitor.url), parsed
+  );
+
+  assert.deepEqual(segments[0].key, {
+    method: 'AES-128',
+    uri: 'http://example.com/keys/k1.key',
+    iv: '000102030405060708090a0b0c0d0e0f'
+  });
+  assert.equal(segments[1].key.uri, 'http://example.com/keys/k2.key');
+  assert.equal(segments[1].key.iv, (301).toString(16).padStart(32, '0'));
+  assert.equal(segments[2].key, undefined);
+});
+
+test('AES-128 segments are decrypted before reaching the buffer, keys cached', async () => {
+  const { buffer, downloader } = createDownloader();
+
+  for (const seq of [1, 2]) {
+    const iv = Buffer.from(seq.toString(16).padStart(32, '0'), 'hex');
+    serve(encrypt(PLAINTEXT, iv));
+    const result = await downloader.downloadSegment(`http://example.com/seg-${seq}.ts`, {
+      sequenceNumber: seq,
+      duration: 6.4,
+      key: { method: 'AES-128', uri: KEY_URI, iv: iv.toString('hex') }
+    });
+    assert.equal(result.success, true);
+  }
+
+  const stored = await buffer.getSegmentBySequence(2);
+  assert.deepEqual(Buffer.from(stored.data), PLAINTEXT);
+  assert.equal(stored.metadata.key, undefined);
+  assert.equal(keyRequests, 1);
+});
+
+test('a wrong key fails as a content error', async () => {
+  const { downloader } = createDownloader();
+  serve(crypto.randomBytes(64));
+
+  const result = await downloader.downloadSegment('http://example.com/seg-9.ts', {
+    sequenceNumber: 9,
+    key: { method: 'AES-128', uri: KEY_URI, iv: '00'.repeat(16) }
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorCategory, 'content');
+});
+
+test('SAMPLE-AES segments stay encrypted and playlists re-emit the persisted key', async () => {
+  const { buffer, keys, downloader } = createDownloader();
+  // SAMPLE-AES only encrypts the audio inside the packets
+  const ciphertext = tsPackets();
+  serve(ciphertext);
+
+  const now = Date.now();
+  const iv = (5).toString(16).padStart(32, '0');
+  await downloader.downloadSegment('http://example.com/seg-5.ts', {
+    sequenceNumber: 5, duration: 6.4, key: { method: 'SAMPLE-AES', uri: KEY_URI, iv }
+  });
+  serve(PLAINTEXT);
+  await downloader.downloadSegment('http://example.com/seg-6.ts', { sequenceNumber: 6, duration: 6.4 });
+
+  const stored = await buffer.getSegmentBySequence(5);
+  assert.deepEqual(Buffer.from(stored.data), ciphertext);
+  assert.equal(stored.metadata.encryption.method, 'SAMPLE-AES');
+
+  const keyId = stored.metadata.encryption.keyId;
+  assert.deepEqual(await keys.readPersistedKey(keyId), KEY);
+  assert.equal(await keys.readPersistedKey('../etc'), null);
+
+  // Place both segments at a known delay for the generator
+  buffer.segments.forEach((segment, i) => {
+    segment.timestamp = now - 30000 + i * 6400;
+  });
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+  const playlist = await generator.generatePlaylist({ timeshift: 30 });
+  const lines = playlist.m3u8Content.split('\n');
+
+  const keyLine = lines.findIndex(line => line.startsWith('#EXT-X-KEY:METHOD=SAMPLE-AES'));
+  assert.ok(keyLine !== -1);
+  assert.ok(lines[keyLine].includes(`URI="/stream/key/${keyId}.key",IV=0x${iv}`));
+  assert.ok(lines.indexOf('#EXT-X-KEY:METHOD=NONE') > keyLine);
+});
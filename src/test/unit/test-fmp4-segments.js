@@ -0,0 +1,176 @@
+/**
+ * Unit tests for fMP4/CMAF sources: EXT-X-MAP capture, init segments stored
+ * once per map (and again when the map changes mid-stream), .m4s storage
+ * that survives a restart, and EXT-X-MAP in generated playlists.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-fmp4-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+const { DownloaderService } = require('../../services/downloader-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { DiskStorageService } = require('../../services/disk-storage-service');
+const { PlaylistGenerator } = require('../../services/playlist-generator');
+
+const INIT_A = Buffer.concat([Buffer.from('ftypiso6'), crypto.randomBytes(64)]);
+const INIT_B = Buffer.concat([Buffer.from('ftypiso6'), crypto.randomBytes(64)]);
+
+function box(type, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+const MEDIA = Buffer.concat([box('moof', crypto.randomBytes(64)), box('mdat', crypto.randomBytes(8000))]);
+
+const originalGet = axios.get;
+let initRequests = [];
+
+function serve() {
+  axios.get = async (url, requestConfig = {}) => {
+    if (url.includes('/init')) {
+      initRequests.push({ url, range: requestConfig.headers?.Range });
+      return { status: 200, data: url.endsWith('init-b.mp4') ? INIT_B : INIT_A };
+    }
+    return { status: 200, data: MEDIA };
+  };
+}
+
+function createBuffer(name) {
+  // Unroutable stream URL so restore calibration fails fast instead of fetching
+  return new HybridBufferService(60 * 60 * 1000, {
+    diskStorage: new DiskStorageService({ baseDir: path.join(tmpDir, name) }),
+    streamUrl: 'http://127.0.0.1:1/live.m3u8'
+  });
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+  initRequests = [];
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('EXT-X-MAP tags resolve the init URI and mark segments as fMP4', () => {
+  const parsed = playlistService.parsePlaylist([
+    '#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-TARGETDURATION:7', '#EXT-X-MEDIA-SEQUENCE:40',
+    '#EXT-X-MAP:URI="../init/init-a.mp4",BYTERANGE="720@0"',
+    '#EXTINF:6.4,', 'a-40.m4s',
+    '#EXT-X-MAP:URI="../init/init-b.mp4"',
+    '#EXTINF:6.4,', 'a-41.m4s'
+  ].join('\n'));
+
+  const monitor = new MonitorService({ url: 'http://example.com/live/index.m3u8' });
+  const segments = monitor.identifyNewSegments(
+    playlistService.getSegmentUrls(parsed, monitor.url), parsed
+  );
+
+  assert.deepEqual(segments[0].map, {
+    uri: 'http://example.com/init/init-a.mp4',
+    byterange: { offset: 0, length: 720 }
+  });
+  assert.deepEqual(segments[1].map, { uri: 'http://example.com/init/init-b.mp4' });
+  assert.equal(segments[0].container, 'fmp4');
+
+  assert.equal(playlistService.getSegmentContainer('http://example.com/a-1.ts'), 'ts');
+  assert.equal(playlistService.getSegmentContainer('http://example.com/a-1.m4s?token=x'), 'fmp4');
+});
+
+test('init segments are captured once per map and a changed map gets a new ID', async () => {
+  const buffer = createBuffer('capture');
+  await buffer.initialize();
+  const downloader = new DownloaderService();
+  downloader.initialize({ bufferService: buffer, maxRetries: 1, retryDelayBase: 1 });
+  serve();
+
+  const mapA = { uri: 'http://example.com/init/init-a.mp4', byterange: { offset: 0, length: 72 } };
+  const mapB = { uri: 'http://example.com/init/init-b.mp4' };
+  await Promise.all([1, 2].map(seq => downloader.downloadSegment(`http://example.com/a-${seq}.m4s`, {
+    sequenceNumber: seq, duration: 6.4, map: mapA, container: 'fmp4'
+  })));
+  await downloader.downloadSegment('http://example.com/a-3.m4s', {
+    sequenceNumber: 3, duration: 6.4, map: mapB, container: 'fmp4'
+  });
+
+  assert.deepEqual(initRequests.map(r => r.range), ['bytes=0-71', undefined]);
+
+  const first = await buffer.getSegmentBySequence(1);
+  const third = await buffer.getSegmentBySequence(3);
+  assert.equal(first.metadata.initId, (await buffer.getSegmentBySequence(2)).metadata.initId);
+  assert.notEqual(first.metadata.initId, third.metadata.initId);
+  assert.ok(first.filePath.endsWith(`${path.sep}1.m4s`));
+  assert.deepEqual(Buffer.from(first.data), MEDIA);
+  assert.deepEqual(await buffer.getInitSegment(third.metadata.initId), INIT_B);
+  assert.equal(await buffer.getInitSegment('../../etc'), null);
+
+  buffer.stopIntervals();
+});
+
+test('fMP4 segments and their init segments survive a restart', async () => {
+  const buffer = createBuffer('restore');
+  await buffer.initialize();
+  const initId = await buffer.addInitSegment(INIT_A);
+  await buffer.addSegment(MEDIA, { url: 'http://example.com/a-7.m4s', sequenceNumber: 7, duration: 6.4, container: 'fmp4', initId });
+  await buffer.addSegment(MEDIA, { url: 'http://example.com/a-8.m4s', sequenceNumber: 8, duration: 6.4, container: 'fmp4', initId });
+  await buffer.flushMetadata();
+  buffer.stopIntervals();
+
+  const restored = createBuffer('restore');
+  await restored.initialize();
+  restored.stopIntervals();
+
+  const segment = await restored.getSegmentBySequence(8);
+  assert.equal(segment.metadata.container, 'fmp4');
+  assert.equal(segment.metadata.initId, initId);
+  assert.deepEqual(Buffer.from(segment.data), MEDIA);
+  assert.deepEqual(await restored.getInitSegment(initId), INIT_A);
+});
+
+test('playlists emit EXT-X-MAP, .m4s URIs and a discontinuity when the init changes', async () => {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const initA = await buffer.addInitSegment(INIT_A);
+  const initB = await buffer.addInitSegment(INIT_B);
+
+  const now = Date.now();
+  for (const seq of [1, 2, 3]) {
+    await buffer.addSegment(MEDIA, {
+      url: `http://example.com/a-${seq}.m4s`, sequenceNumber: seq, duration: 6.4,
+      container: 'fmp4', initId: seq < 3 ? initA : initB
+    });
+  }
+  buffer.segments.forEach((segment, i) => {
+    segment.timestamp = now - 30000 + i * 6400;
+  });
+
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+  const playlist = await generator.generatePlaylist({ timeshift: 30 });
+  const lines = playlist.m3u8Content.split('\n');
+
+  assert.ok(lines.includes('#EXT-X-VERSION:6'));
+  assert.equal(lines.filter(line => line.startsWith('#EXT-X-MAP')).length, 2);
+  assert.ok(lines.includes(`#EXT-X-MAP:URI="/stream/init/${initA}.mp4"`));
+  assert.ok(lines.includes('/stream/segment/1.m4s'));
+
+  const secondMap = lines.indexOf(`#EXT-X-MAP:URI="/stream/init/${initB}.mp4"`);
+  assert.equal(lines[secondMap - 1], '#EXT-X-DISCONTINUITY');
+  assert.equal(lines[secondMap + 3], '/stream/segment/3.m4s');
+});
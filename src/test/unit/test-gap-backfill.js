@@ -0,0 +1,191 @@
+/**
+ * Unit tests for backfilling outages: skipped segments fetched from the
+ * source's rewind window, placed at their broadcast position between the
+ * segments around the gap, and the recorded gap shrunk or removed.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-backfill-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const config = require('../../config/config');
+const playlistService = require('../../services/playlist-service');
+const { BackfillService } = require('../../services/backfill-service');
+const { DownloaderService } = require('../../services/downloader-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+const REWIND = 'http://example.com/live/rewind.m3u8';
+
+// Forty MPEG-TS packets: enough bytes for 6.4s at the minimum bitrate
+const SEGMENT = Buffer.concat(Array.from({ length: 40 }, () =>
+  Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187)])));
+
+function rewindPlaylist(firstSeq, count) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:7', `#EXT-X-MEDIA-SEQUENCE:${firstSeq}`];
+  for (let i = 0; i < count; i++) {
+    lines.push('#EXTINF:6.4,', `a-${firstSeq + i}.ts`);
+  }
+  return lines.join('\n');
+}
+
+function serve(playlist) {
+  const requested = [];
+  playlistService.fetchPlaylist = async () => playlist;
+  axios.get = async (url) => {
+    requested.push(url);
+    return { status: 200, data: SEGMENT };
+  };
+  return requested;
+}
+
+// Segments 10-11 and 16-17 recorded, 12-15 lost to an outage
+async function bufferWithGap() {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const start = Date.now() - 120000;
+  for (const seq of [10, 11, 16, 17]) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/live/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4,
+      estimatedTime: start + (seq - 10) * 6400
+    });
+  }
+  const gap = { fromSeq: 12, toSeq: 15, startTime: start + 2 * 6400, endTime: start + 6 * 6400, reason: 'discontinuity' };
+  buffer.recordGap(gap);
+  return { buffer, gap, start };
+}
+
+function createBackfill(buffer, options = {}) {
+  const downloader = new DownloaderService();
+  downloader.initialize({ bufferService: buffer, maxRetries: 1, retryDelayBase: 1 });
+  return new BackfillService({ url: REWIND, bufferService: buffer, downloader, delay: 1, ...options });
+}
+
+const originalFetch = playlistService.fetchPlaylist;
+const originalGet = axios.get;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  playlistService.fetchPlaylist = originalFetch;
+  axios.get = originalGet;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('recovered segments split a gap, and a fully recovered gap is removed', async () => {
+  const { buffer } = await bufferWithGap();
+  await buffer.addSegment(Buffer.from('x'), { url: 'http://example.com/live/a-13.ts', sequenceNumber: 13, duration: 6.4 });
+
+  assert.equal(buffer.healGaps(), 1);
+  assert.deepEqual(buffer.getGaps().map(g => [g.fromSeq, g.toSeq]), [[12, 12], [14, 15]]);
+  assert.equal(buffer.getGaps()[1].endTime, buffer.segmentsBySequence.get(16).timestamp);
+
+  for (const seq of [12, 14, 15]) {
+    await buffer.addSegment(Buffer.from('x'), { url: `http://example.com/live/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4 });
+  }
+  assert.equal(buffer.healGaps(), 3);
+  assert.deepEqual(buffer.getGaps(), []);
+});
+
+test('skipped segments are fetched from the rewind window and placed in order', async () => {
+  const { buffer, gap, start } = await bufferWithGap();
+  const requested = serve(rewindPlaylist(8, 12));
+  const backfill = createBackfill(buffer);
+
+  const result = await backfill.backfill(gap);
+
+  assert.deepEqual(result, { requested: 4, recovered: 4, outsideWindow: 0 });
+  assert.deepEqual(requested, [12, 13, 14, 15].map(seq => `http://example.com/live/a-${seq}.ts`));
+  assert.deepEqual(buffer.segments.map(s => s.metadata.sequenceNumber), [10, 11, 12, 13, 14, 15, 16, 17]);
+
+  const recovered = buffer.segmentsBySequence.get(12);
+  assert.equal(recovered.timestamp, start + 2 * 6400);
+  assert.equal(recovered.metadata.timestampSource, 'estimated');
+  assert.equal(recovered.metadata.backfilled, true);
+  assert.deepEqual(buffer.getGaps(), []);
+});
+
+test('a remapped source has its rewind segments stored under the buffer\'s numbers', async () => {
+  const { buffer, gap } = await bufferWithGap();
+  const requested = serve(rewindPlaylist(5008, 12));
+  const backfill = createBackfill(buffer, { getSequenceOffset: () => -5000 });
+
+  const result = await backfill.backfill(gap);
+
+  assert.deepEqual(result, { requested: 4, recovered: 4, outsideWindow: 0 });
+  assert.deepEqual(requested, [5012, 5013, 5014, 5015].map(seq => `http://example.com/live/a-${seq}.ts`));
+  assert.deepEqual(buffer.segments.map(s => s.metadata.sequenceNumber), [10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual(buffer.getGaps(), []);
+});
+
+test('a gap reaching past the rewind window only shrinks', async () => {
+  const { buffer, gap } = await bufferWithGap();
+  serve(rewindPlaylist(14, 6));
+  const backfill = createBackfill(buffer);
+
+  const result = await backfill.backfill(gap);
+
+  assert.deepEqual(result, { requested: 2, recovered: 2, outsideWindow: 2 });
+  assert.deepEqual(buffer.getGaps().map(g => [g.fromSeq, g.toSeq]), [[12, 13]]);
+  assert.equal(backfill.getStatus().recovered, 2);
+});
+
+test('a discontinuity in a station pipeline is backfilled from its rewind playlist', async () => {
+  assert.ok(!config.getStationRewindUrl('bbc_radio_one').includes('norewind'));
+  assert.equal(new StationPipeline({ stationId: 'bbc_radio_one' }).backfill.url,
+    config.getStationRewindUrl('bbc_radio_one'));
+
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrl: REWIND,
+    storageDir: path.join(tmpDir, 'pipeline'),
+    bufferDuration: 60 * 60 * 1000
+  });
+  pipeline.buffer.streamUrl = null;
+  await pipeline.initialize();
+  pipeline.connect();
+  // Backfilled when drained below, once the rewind window has the hole
+  pipeline.backfill.delay = 60000;
+
+  // The source answers with 18-20, then comes back after an outage at 23
+  const stored = [];
+  pipeline.buffer.on('segmentAdded', segment => stored.push(segment));
+  const downloaded = async count => {
+    while (stored.length < count) await new Promise(resolve => setTimeout(resolve, 5));
+  };
+  serve(rewindPlaylist(18, 3));
+  await pipeline.monitor.fetchPlaylist();
+  await downloaded(3);
+  assert.deepEqual(pipeline.buffer.getGaps(), []);
+
+  const backfilled = once(pipeline.backfill, 'backfilled');
+  serve(rewindPlaylist(23, 2));
+  await pipeline.monitor.fetchPlaylist();
+  assert.deepEqual(pipeline.buffer.getGaps().map(g => [g.fromSeq, g.toSeq]), [[21, 22]]);
+  assert.equal(pipeline.getStatus().backfill.pendingGaps, 1);
+  await downloaded(5);
+
+  // The rewind playlist still has the segments the live one skipped
+  serve(rewindPlaylist(18, 8));
+  await pipeline.backfill.drain();
+  const [result] = await backfilled;
+  assert.equal(result.recovered, 2);
+  assert.deepEqual(pipeline.buffer.getGaps(), []);
+  assert.equal(pipeline.getStatus().backfill.recovered, 2);
+
+  pipeline.backfill.stop();
+  pipeline.buffer.stopIntervals();
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for holes in time-shifted playlists: missing sequence numbers
+ * listed as #EXT-X-GAP placeholders at their place on the timeline, filler
+ * segments instead for players that ask with ?gaps=filler, and variants
+ * kept in step with the primary across holes of their own.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-gap-playlist-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const config = require('../../config/config');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { PlaylistGenerator } = require('../../services/playlist-generator');
+const { serviceManager } = require('../../services');
+
+function memoryBuffer() {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  return buffer;
+}
+
+// Segments of 6.4s starting a minute ago; the ones not listed were lost,
+// and recorded as gaps the way the pipeline does
+async function addSegments(buffer, sequences, options = {}) {
+  const start = options.start || Date.now() - 60000;
+  for (const seq of sequences) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4,
+      ...(options.container && { container: options.container }),
+      ...options.metadata,
+      [options.estimated ? 'estimatedTime' : 'programDateTime']: start + (seq - 1) * 6400
+    });
+  }
+  for (let seq = 1; seq < Math.max(...sequences); seq++) {
+    if (!sequences.includes(seq)) {
+      buffer.recordGap({
+        fromSeq: seq, toSeq: seq, startTime: start + (seq - 1) * 6400, endTime: start + seq * 6400, reason: 'download-failure'
+      });
+    }
+  }
+  return start;
+}
+
+// The lines describing each entry of a playlist, by URI
+function entries(m3u8) {
+  const result = [];
+  let tags = [];
+  for (const line of m3u8.split('\n').slice(1)) {
+    if (!line) continue;
+    if (line.startsWith('#EXT-X-') && !['#EXT-X-GAP', '#EXT-X-PROGRAM-DATE-TIME'].some(tag => line.startsWith(tag))) continue;
+    if (line.startsWith('#')) {
+      tags.push(line);
+    } else {
+      result.push({ uri: line, tags });
+      tags = [];
+    }
+  }
+  return result;
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('missing segments are listed as EXT-X-GAP at their place on the timeline', async () => {
+  const buffer = memoryBuffer();
+  const start = await addSegments(buffer, [1, 2, 5, 6]);
+
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+  const playlist = await generator.generatePlaylist({ timeshift: 60, segmentCount: 4 });
+  const listed = entries(playlist.m3u8Content);
+
+  assert.deepEqual(listed.map(entry => entry.uri), [1, 2, 3, 4, 5, 6].map(seq => `/stream/segment/${seq}.ts`));
+  assert.deepEqual(listed.map(entry => entry.tags.includes('#EXT-X-GAP')), [false, false, true, true, false, false]);
+  assert.deepEqual(listed[2].tags, [
+    `#EXT-X-PROGRAM-DATE-TIME:${new Date(start + 2 * 6400).toISOString()}`,
+    '#EXT-X-GAP',
+    '#EXTINF:6.400,'
+  ]);
+  assert.ok(!playlist.m3u8Content.includes('#EXT-X-DISCONTINUITY\n'), 'a gap is not a discontinuity');
+  assert.deepEqual(playlist.segments.filter(s => s.gap).map(s => s.sequenceNumber), [3, 4]);
+
+  buffer.stopIntervals();
+});
+
+test('players without gap support get filler segments instead', async () => {
+  const buffer = memoryBuffer();
+  await addSegments(buffer, [1, 3]);
+  const generator = new PlaylistGenerator({ bufferService: buffer, pathPrefix: '/stations/bbc_6music' });
+
+  const filler = await generator.generatePlaylist({ timeshift: 60, segmentCount: 2, gaps: 'filler' });
+  assert.ok(!filler.m3u8Content.includes('#EXT-X-GAP'));
+  assert.deepEqual(entries(filler.m3u8Content).map(entry => entry.uri), [
+    '/stations/bbc_6music/stream/segment/1.ts',
+    '/stations/bbc_6music/stream/unavailable.ts',
+    '/stations/bbc_6music/stream/segment/3.ts'
+  ]);
+  // Set apart from the segments on either side
+  assert.match(filler.m3u8Content, /segment\/1\.ts\n#EXT-X-DISCONTINUITY\n#EXT-X-PROGRAM-DATE-TIME:[^\n]+\n#EXTINF:6\.400,\n\/stations\/bbc_6music\/stream\/unavailable\.ts\n#EXT-X-DISCONTINUITY\n/);
+
+  // Packed AAC streams are filled with silence
+  const aac = memoryBuffer();
+  await addSegments(aac, [1, 3], { container: 'aac' });
+  const aacPlaylist = await new PlaylistGenerator({ bufferService: aac }).generatePlaylist({ timeshift: 60, segmentCount: 2, gaps: 'filler' });
+  assert.equal(entries(aacPlaylist.m3u8Content)[1].uri, '/silence');
+
+  buffer.stopIntervals();
+  aac.stopIntervals();
+});
+
+test('filler is listed unencrypted, and only where it matches the container', async () => {
+  const encryption = { method: 'SAMPLE-AES', keyId: 'k1', iv: '0'.repeat(32) };
+  const encrypted = memoryBuffer();
+  await addSegments(encrypted, [1, 3], { metadata: { encryption } });
+  const playlist = await new PlaylistGenerator({ bufferService: encrypted })
+    .generatePlaylist({ timeshift: 60, segmentCount: 2, gaps: 'filler' });
+  const lines = playlist.m3u8Content.split('\n');
+  const key = lines.findIndex(line => line.startsWith('#EXT-X-KEY:METHOD=SAMPLE-AES'));
+  const none = lines.indexOf('#EXT-X-KEY:METHOD=NONE');
+  const filler = lines.indexOf('/stream/unavailable.ts');
+  const restored = lines.findIndex((line, index) => index > filler && line.startsWith('#EXT-X-KEY:METHOD=SAMPLE-AES'));
+  assert.ok(key !== -1 && key < none && none < filler && filler < restored && restored < lines.indexOf('/stream/segment/3.ts'));
+
+  // There's no filler for MP3 (or fMP4) streams, so they keep EXT-X-GAP
+  const mp3 = memoryBuffer();
+  await addSegments(mp3, [1, 3], { container: 'mp3' });
+  const mp3Playlist = await new PlaylistGenerator({ bufferService: mp3 })
+    .generatePlaylist({ timeshift: 60, segmentCount: 2, gaps: 'filler' });
+  assert.ok(mp3Playlist.m3u8Content.includes('#EXT-X-GAP\n#EXTINF:6.400,\n/stream/segment/2.mp3'));
+  assert.ok(!mp3Playlist.m3u8Content.includes('#EXT-X-DISCONTINUITY\n'));
+
+  encrypted.stopIntervals();
+  mp3.stopIntervals();
+});
+
+test('filler discontinuities keep counting once the filler leaves the window', async () => {
+  const buffer = memoryBuffer();
+  const start = await addSegments(buffer, [1, 3, 4, 5]);
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+
+  const spanning = generator.generateRangePlaylist({ from: start, gaps: 'filler' });
+  assert.equal(spanning.discontinuitySequence, 0);
+  assert.equal(spanning.m3u8Content.split('#EXT-X-DISCONTINUITY\n').length - 1, 2);
+
+  const after = generator.generateRangePlaylist({ from: start + 3 * 6400, gaps: 'filler' });
+  assert.equal(after.discontinuitySequence, 2);
+  assert.equal(generator.generateRangePlaylist({ from: start + 3 * 6400 }).discontinuitySequence, 0, 'gaps are no discontinuity');
+
+  // Still counted after the segment before the hole expires
+  await buffer.removeSegment(buffer.segments[0].metadata.segmentId);
+  assert.equal(generator.generateRangePlaylist({ from: start + 3 * 6400, gaps: 'filler' }).discontinuitySequence, 2);
+
+  buffer.stopIntervals();
+});
+
+test('a variant missing a segment the primary has lists a gap and stays in step', async () => {
+  const primary = memoryBuffer();
+  const start = await addSegments(primary, [1, 2, 3, 4, 6]);
+  const variantBuffer = memoryBuffer();
+  await addSegments(variantBuffer, [1, 3, 4], { start });
+
+  const generator = new PlaylistGenerator({ bufferService: primary });
+  const playlist = await generator.generateVariantPlaylist(
+    { id: '48k', buffer: variantBuffer }, { timeshift: 60, segmentCount: 5 }
+  );
+  const listed = entries(playlist.m3u8Content);
+
+  // 2 is missing from the variant, 5 from both; 6 isn't recorded by the
+  // variant yet, so the playlist stops before it
+  assert.deepEqual(listed.map(entry => entry.uri), [1, 2, 3, 4].map(seq => `/stream/variant/48k/segment/${seq}.ts`));
+  assert.deepEqual(listed.map(entry => entry.tags.includes('#EXT-X-GAP')), [false, true, false, false]);
+  assert.equal(playlist.mediaSequence, 1);
+
+  primary.stopIntervals();
+  variantBuffer.stopIntervals();
+});
+
+test('/stream.m3u8 tags gaps by default and serves filler with ?gaps=filler', async () => {
+  const buffer = serviceManager.getPipeline().buffer;
+  buffer.diskStorageEnabled = false;
+  await addSegments(buffer, [1, 2, 4, 5, 6], { start: Date.now() - config.DELAY_DURATION - 10000, estimated: true });
+
+  const app = express();
+  app.use('/', require('../../routes/stream'));
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const tagged = await (await fetch(`${base}/stream.m3u8`)).text();
+    assert.ok(tagged.includes('#EXT-X-GAP\n#EXTINF:6.400,\n/stream/segment/3.ts'));
+
+    const filler = await (await fetch(`${base}/stream.m3u8?gaps=filler`)).text();
+    assert.ok(!filler.includes('#EXT-X-GAP'));
+    assert.ok(filler.includes('#EXTINF:6.400,\n/stream/unavailable.ts\n#EXT-X-DISCONTINUITY\n'));
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
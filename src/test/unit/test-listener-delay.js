@@ -0,0 +1,148 @@
+/**
+ * Unit tests for per-listener delays: ?delay= and ?at= on /stream.m3u8,
+ * parsed, checked against the buffered range and clamped into it, with
+ * absolute times and clamped delays pinned to a fixed ?delay= so reloads
+ * keep listing the same segments.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-listener-delay-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const config = require('../../config/config');
+const { parseDelay, formatDelay, resolveDelay } = require('../../services/listener-delay');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { serviceManager } = require('../../services');
+
+const HOUR = 60 * 60 * 1000;
+
+// Ten minutes of 6.4s segments, up to a few seconds ago
+async function fillBuffer(buffer, now = Date.now()) {
+  const start = now - 10 * 60 * 1000;
+  for (let seq = 1; start + (seq - 1) * 6400 < now - 5000; seq++) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4,
+      estimatedTime: start + (seq - 1) * 6400
+    });
+  }
+  return start;
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('delays are given in seconds or units', () => {
+  assert.equal(parseDelay('2h'), 2 * HOUR);
+  assert.equal(parseDelay('1h30m'), 1.5 * HOUR);
+  assert.equal(parseDelay('90M'), 1.5 * HOUR);
+  assert.equal(parseDelay('5400'), 1.5 * HOUR);
+  assert.equal(parseDelay('1.5h'), 1.5 * HOUR);
+  assert.equal(parseDelay('45s'), 45000);
+  for (const invalid of ['', 'soon', '-2h', '2 h', 'h', '2d']) {
+    assert.equal(parseDelay(invalid), null, invalid);
+  }
+
+  assert.equal(formatDelay(2 * HOUR), '2h');
+  assert.equal(formatDelay(1.5 * HOUR + 5000), '1h30m5s');
+  assert.equal(formatDelay(0), '0s');
+});
+
+test('requested delays are checked against the buffered range', async () => {
+  const buffer = new HybridBufferService(HOUR);
+  buffer.diskStorageEnabled = false;
+  const now = Date.now();
+  const start = await fillBuffer(buffer, now);
+  const newest = buffer.getNewestSegmentTime();
+
+  assert.deepEqual(resolveDelay({}, buffer, now), {
+    delay: config.DELAY_DURATION, requested: config.DELAY_DURATION, fixed: false, clamped: false
+  });
+  assert.deepEqual(resolveDelay({ delay: '5m' }, buffer, now), {
+    delay: 5 * 60000, requested: 5 * 60000, fixed: true, clamped: false
+  });
+  assert.equal(resolveDelay({ at: new Date(now - 3 * 60000).toISOString() }, buffer, now).delay, 3 * 60000);
+
+  const beyond = resolveDelay({ delay: '2h' }, buffer, now);
+  assert.equal(beyond.delay, Math.floor((now - start) / 1000) * 1000, 'rounded down into the buffer');
+  assert.ok(beyond.clamped);
+  assert.equal(beyond.message, 'Requested delay 2h is beyond the 10m buffered; playing from the oldest segment (delay 10m)');
+
+  // Live is in range for as long as the newest segment runs; past its
+  // end, delays are rounded up into the buffer
+  const earliest = at => Math.ceil(Math.max(0, at - newest - 6400) / 1000) * 1000;
+  assert.equal(resolveDelay({ delay: '0' }, buffer, newest + 6000).clamped, false);
+  const future = resolveDelay({ at: new Date(now + HOUR).toISOString() }, buffer, now);
+  assert.equal(future.delay, earliest(now));
+  assert.match(future.message, /^Requested time is in the future/);
+
+  const later = newest + 6400 + 3500;
+  const ahead = resolveDelay({ delay: '0' }, buffer, later);
+  assert.ok(ahead.clamped);
+  assert.equal(ahead.delay, earliest(later));
+  assert.equal(resolveDelay({ delay: String(ahead.delay / 1000) }, buffer, later).clamped, false);
+
+  assert.match(resolveDelay({ delay: 'soon' }, buffer, now).error, /^Invalid delay "soon"/);
+  assert.match(resolveDelay({ at: 'yesterday' }, buffer, now).error, /^Invalid at "yesterday"/);
+
+  buffer.stopIntervals();
+});
+
+test('/stream.m3u8 plays at the requested delay and pins absolute or clamped ones', async () => {
+  const buffer = serviceManager.getPipeline().buffer;
+  buffer.diskStorageEnabled = false;
+  const start = await fillBuffer(buffer);
+
+  const app = express();
+  app.use('/', require('../../routes/stream'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const firstPdt = content => Date.parse(content.match(/#EXT-X-PROGRAM-DATE-TIME:(.*)/)[1]);
+  const uris = content => content.split('\n').filter(line => line.startsWith('/stream/segment/'));
+
+  try {
+    // A relative delay is served as asked, and reloads list the same segments
+    const delayed = await fetch(`${base}/stream.m3u8?delay=5m`, { redirect: 'manual' });
+    assert.equal(delayed.status, 200);
+    const content = await delayed.text();
+    assert.ok(Math.abs(firstPdt(content) - (Date.now() - 5 * 60000)) < 30000);
+    assert.deepEqual(uris(await (await fetch(`${base}/stream.m3u8?delay=5m`)).text()), uris(content));
+
+    // An absolute time becomes a fixed delay, keeping other options
+    const at = new Date(Date.now() - 4 * 60000).toISOString();
+    const pinned = await fetch(`${base}/stream.m3u8?gaps=filler&at=${at}`, { redirect: 'manual' });
+    assert.equal(pinned.status, 302);
+    const location = new URL(pinned.headers.get('location'), base);
+    assert.equal(location.pathname, '/stream.m3u8');
+    assert.equal(location.searchParams.get('gaps'), 'filler');
+    assert.equal(location.searchParams.get('at'), null);
+    assert.ok(Math.abs(parseInt(location.searchParams.get('delay'), 10) - 240) <= 1);
+
+    // Beyond the buffer, the delay is clamped to the oldest segment and the
+    // reason given
+    const clamped = await fetch(`${base}/stream.m3u8?delay=2h`, { redirect: 'manual' });
+    assert.equal(clamped.status, 302);
+    assert.match(clamped.headers.get('warning'), /^299 - "Requested delay 2h is beyond the 10m buffered/);
+    const followed = await fetch(new URL(clamped.headers.get('location'), base), { redirect: 'manual' });
+    assert.equal(followed.status, 200, 'the delay redirected to is in the buffer');
+    assert.equal(firstPdt(await followed.text()), start);
+
+    const invalid = await fetch(`${base}/stream.m3u8?delay=soon`);
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).message, /use seconds or a duration such as 90m or 2h/);
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
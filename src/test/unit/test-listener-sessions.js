@@ -0,0 +1,167 @@
+/**
+ * Unit tests for listener sessions: remembering the delay each listener
+ * plays at and the moment they paused at, saved across restarts, and
+ * /stream.m3u8 resuming from there for playlists requested without their
+ * own ?delay= or ?at=.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-listener-sessions-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const config = require('../../config/config');
+const { ListenerSessions, getSessionId } = require('../../services/listener-sessions');
+const { serviceManager } = require('../../services');
+
+const MINUTE = 60 * 1000;
+const ID = 'listener-session-0001';
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('a session keeps the delay played at, or the moment paused at', () => {
+  const sessions = new ListenerSessions({ persist: false });
+  const now = Date.now();
+  const defaultDelay = config.DELAY_DURATION;
+
+  sessions.create(ID, now);
+  assert.equal(sessions.getPlaylistQuery(ID), null);
+  assert.equal(sessions.getStatus(ID, now).driftMs, 0);
+
+  // Paused 20 minutes ago at the default delay: 20 minutes behind it now
+  const pausedAt = now - 20 * MINUTE - defaultDelay;
+  sessions.update(ID, { playhead: pausedAt, paused: true }, now - 20 * MINUTE);
+  assert.deepEqual(sessions.getPlaylistQuery(ID), { at: new Date(pausedAt).toISOString() });
+  const paused = sessions.getStatus(ID, now);
+  assert.equal(paused.paused, true);
+  assert.equal(paused.playhead, new Date(pausedAt).toISOString());
+  assert.equal(paused.driftMs, 20 * MINUTE);
+
+  // Playing again from there keeps that delay
+  sessions.update(ID, { playhead: pausedAt }, now);
+  assert.deepEqual(sessions.getPlaylistQuery(ID), { delay: String((defaultDelay + 20 * MINUTE) / 1000) });
+  assert.equal(sessions.getStatus(ID, now).driftMs, 20 * MINUTE);
+  assert.deepEqual(sessions.getStats(), { sessions: 1, paused: 0, catchingUp: 0 });
+
+  sessions.catchUp(ID, 'jump', now);
+  assert.equal(sessions.getPlaylistQuery(ID), null);
+  assert.equal(sessions.getStatus(ID, now).driftMs, 0);
+
+  assert.equal(sessions.update('../etc', { playhead: now }), null);
+  assert.equal(getSessionId({ query: {}, headers: { cookie: `a=1; encore_session=${ID}` } }), ID);
+  assert.equal(getSessionId({ query: { session: 'short' }, headers: {} }), null);
+});
+
+test('sessions are saved and loaded back, forgetting idle ones', async () => {
+  const baseDir = path.join(tmpDir, 'persist');
+  const sessions = new ListenerSessions({ baseDir, ttl: 60 * MINUTE });
+  const now = Date.now();
+
+  sessions.update(ID, { playhead: now - 5 * 60 * MINUTE, paused: true }, now);
+  sessions.update('idle-listener-00001', { playhead: now - 9 * 60 * MINUTE }, now - 2 * 60 * MINUTE);
+  await sessions.flush();
+
+  const saved = JSON.parse(await fs.readFile(path.join(baseDir, 'listener-sessions.json'), 'utf8'));
+  assert.deepEqual(saved.sessions.map(session => session.id), [ID]);
+
+  const restarted = new ListenerSessions({ baseDir, ttl: 60 * MINUTE });
+  await restarted.load();
+  assert.deepEqual(restarted.get(ID), sessions.get(ID));
+  assert.deepEqual(restarted.getPlaylistQuery(ID), { at: new Date(now - 5 * 60 * MINUTE).toISOString() });
+
+  // A missing file is just no sessions yet
+  const fresh = new ListenerSessions({ baseDir: path.join(tmpDir, 'none') });
+  await fresh.load();
+  assert.deepEqual(fresh.getStats(), { sessions: 0, paused: 0, catchingUp: 0 });
+});
+
+test('/stream.m3u8 resumes each listener from their session', async () => {
+  const pipeline = serviceManager.getPipeline();
+  const buffer = pipeline.buffer;
+  buffer.diskStorageEnabled = false;
+  pipeline.sessions.persist = false;
+
+  // 6.4s segments stamped with broadcast times, up to a few seconds ago
+  const start = Date.now() - 9.5 * MINUTE;
+  for (let seq = 1; start + (seq - 1) * 6400 < Date.now() - 5000; seq++) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4, programDateTime: start + (seq - 1) * 6400
+    });
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use('/', require('../../routes/stream'));
+  app.use('/', require('../../routes/sessions'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // Just looking doesn't start a session
+    const visit = await fetch(`${base}/session`);
+    assert.equal((await visit.json()).session, null);
+    assert.equal(visit.headers.get('set-cookie'), null);
+    assert.equal(pipeline.getStatus().sessions.sessions, 0);
+
+    // The player's first report starts one and sets its cookie
+    const pausedAt = start + 3 * MINUTE;
+    const first = await fetch(`${base}/session`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ playhead: pausedAt, paused: true })
+    });
+    const paused = await first.json();
+    const id = paused.session.id;
+    assert.match(first.headers.get('set-cookie'), new RegExp(`^encore_session=${id};`));
+    assert.equal(paused.session.paused, true);
+
+    const cookie = `encore_session=${id}`;
+    const post = (url, body) => fetch(`${base}${url}`, {
+      method: 'POST', headers: { cookie, 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    });
+    const playlist = () => fetch(`${base}/stream.m3u8`, { headers: { cookie }, redirect: 'manual' });
+    assert.equal((await (await fetch(`${base}/session`, { headers: { cookie } })).json()).session.id, id);
+
+    // Paused: the playlist starts exactly where they paused
+    const resumed = await playlist();
+    assert.equal(resumed.status, 302);
+    const location = new URL(resumed.headers.get('location'), base);
+    assert.equal(location.searchParams.get('start'), String(pausedAt));
+    assert.ok(Number(location.searchParams.get('delay')) >= 6.5 * 60);
+
+    // Playing: pinned to their delay
+    await post('/session', { playhead: Date.now() - 2 * MINUTE });
+    const playing = new URL((await playlist()).headers.get('location'), base);
+    assert.equal(playing.searchParams.get('delay'), '120');
+    assert.equal(playing.searchParams.get('start'), null);
+
+    // ?session= works without the cookie, and their own ?delay= wins
+    const token = await fetch(`${base}/stream.m3u8?session=${id}`, { redirect: 'manual' });
+    assert.equal(token.status, 302);
+    assert.equal((await fetch(`${base}/stream.m3u8?delay=60`, { headers: { cookie }, redirect: 'manual' })).status, 200);
+
+    // Caught up, they're on the default delay again
+    const caughtUp = await (await post('/session/catch-up', { mode: 'jump' })).json();
+    assert.equal(caughtUp.session.driftMs, 0);
+    assert.equal((await playlist()).status, 200);
+
+    const future = await post('/session', { playhead: Date.now() + MINUTE });
+    assert.equal(future.status, 400);
+    assert.equal((await future.json()).message, 'playhead must be a capture time in ms, not in the future');
+
+    assert.deepEqual(pipeline.getStatus().sessions, { sessions: 1, paused: 0, catchingUp: 0 });
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
@@ -0,0 +1,228 @@
+/**
+ * Unit tests for Low-Latency HLS ingest: blocking playlist reloads with
+ * _HLS_msn/_HLS_part, partial segments announced as they are published,
+ * and parts joined into the full segment instead of downloading it again.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-llhls-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+const { PartAssembler } = require('../../services/part-assembler');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+const LIVE = 'http://example.com/live/index.m3u8';
+
+// Twenty MPEG-TS packets: half of a 6.4s segment at the minimum bitrate
+function part(fill) {
+  return Buffer.concat(Array.from({ length: 20 }, () =>
+    Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187, fill)])));
+}
+
+// Segments 100-101 complete, 102 published as far as `publishedParts` parts
+function llPlaylist(publishedParts) {
+  const lines = [
+    '#EXTM3U', '#EXT-X-TARGETDURATION:7', '#EXT-X-VERSION:9',
+    '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=9.6',
+    '#EXT-X-PART-INF:PART-TARGET=3.2', '#EXT-X-MEDIA-SEQUENCE:100',
+    '#EXTINF:6.4,', 'a-100.ts',
+    '#EXT-X-PART:DURATION=3.2,URI="a-101.0.ts",INDEPENDENT=YES',
+    '#EXT-X-PART:DURATION=3.2,URI="a-101.1.ts"',
+    '#EXTINF:6.4,', 'a-101.ts'
+  ];
+  for (let i = 0; i < publishedParts; i++) {
+    lines.push(`#EXT-X-PART:DURATION=3.2,URI="a-102.${i}.ts"${i === 0 ? ',INDEPENDENT=YES' : ''}`);
+  }
+  lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="a-102.${publishedParts}.ts"`);
+  return lines.join('\n');
+}
+
+const originalFetch = playlistService.fetchPlaylist;
+const originalGet = axios.get;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  playlistService.fetchPlaylist = originalFetch;
+  axios.get = originalGet;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('a source that can block reloads is asked for the next part', async () => {
+  const requested = [];
+  const playlists = [llPlaylist(1), llPlaylist(2)];
+  playlistService.fetchPlaylist = async (url, maxRetries, retryDelay, options) => {
+    requested.push({ url, timeout: options && options.timeout });
+    return playlists.shift();
+  };
+
+  const monitor = new MonitorService({ url: LIVE });
+  await monitor.fetchPlaylist();
+  assert.deepEqual(monitor.blockingRequest, { url: LIVE, msn: 102, part: 1, timeout: 23000, minInterval: 1600 });
+  assert.deepEqual(monitor.getStatus().lowLatency, { enabled: true, blockingReload: true, partTarget: 3.2 });
+
+  await monitor.fetchPlaylist();
+  assert.equal(requested[0].url, LIVE);
+  assert.equal(requested[1].url, `${LIVE}?_HLS_msn=102&_HLS_part=1`);
+  assert.equal(requested[1].timeout, 23000);
+  assert.equal(monitor.blockingRequest.part, 2);
+});
+
+test('blocking reloads chain while running and fall back to polling on error', async () => {
+  const requested = [];
+  let fail = false;
+  playlistService.fetchPlaylist = async (url) => {
+    requested.push({ url, at: Date.now() });
+    if (fail) throw new Error('timeout');
+    return llPlaylist(1).replace('PART-TARGET=3.2', 'PART-TARGET=0.2');
+  };
+
+  const monitor = new MonitorService({ url: LIVE });
+  monitor.on('error', () => {});
+  monitor.isRunning = true;
+  await monitor.fetchPlaylist();
+
+  fail = true;
+  await once(monitor, 'error');
+  monitor.isRunning = false;
+
+  assert.deepEqual(requested.map(r => r.url), [LIVE, `${LIVE}?_HLS_msn=102&_HLS_part=1`]);
+  // Answered at once, so the next reload waited half a part target
+  assert.ok(requested[1].at - requested[0].at >= 90, `reloaded after ${requested[1].at - requested[0].at}ms`);
+  assert.equal(monitor.blockingRequest, null);
+});
+
+test('sources without CAN-BLOCK-RELOAD, or with LOW_LATENCY_HLS off, are polled', async () => {
+  playlistService.fetchPlaylist = async () => llPlaylist(1).replace(/#EXT-X-SERVER-CONTROL.*\n/, '');
+  const plain = new MonitorService({ url: LIVE });
+  await plain.fetchPlaylist();
+  assert.equal(plain.blockingRequest, null);
+
+  playlistService.fetchPlaylist = async () => llPlaylist(1);
+  const disabled = new MonitorService({ url: LIVE, lowLatency: false });
+  const parts = [];
+  disabled.on('newPart', p => parts.push(p));
+  await disabled.fetchPlaylist();
+  assert.equal(disabled.blockingRequest, null);
+  assert.deepEqual(parts, []);
+});
+
+test('parts are announced once and completed segments list theirs', async () => {
+  const monitor = new MonitorService({ url: LIVE });
+  const parts = [];
+  const segments = [];
+  monitor.on('newPart', p => parts.push(p));
+  monitor.on('newSegment', s => segments.push(s));
+
+  playlistService.fetchPlaylist = async () => llPlaylist(1);
+  await monitor.fetchPlaylist();
+  playlistService.fetchPlaylist = async () => llPlaylist(2);
+  await monitor.fetchPlaylist();
+
+  assert.deepEqual(parts.map(p => [p.url, p.sequenceNumber, p.partIndex, p.independent]), [
+    ['http://example.com/live/a-102.0.ts', 102, 0, true],
+    ['http://example.com/live/a-102.1.ts', 102, 1, false]
+  ]);
+
+  assert.ok(parts.every(p => p.encrypted === false));
+  assert.equal(segments[0].parts, undefined);
+  assert.deepEqual(segments[1].parts, [
+    { url: 'http://example.com/live/a-101.0.ts' },
+    { url: 'http://example.com/live/a-101.1.ts' }
+  ]);
+});
+
+test('the assembler joins parts in playlist order and gives up on a missing one', async () => {
+  axios.get = async (url) => {
+    if (url.endsWith('b-1.ts')) throw new Error('404');
+    return { status: 200, data: url.endsWith('.0.ts') ? part(0) : part(1) };
+  };
+
+  const assembler = new PartAssembler();
+  const expected = [{ url: 'http://example.com/a-1.0.ts' }, { url: 'http://example.com/a-1.1.ts' }];
+  assembler.addPart({ ...expected[1], sequenceNumber: 1, partIndex: 1 });
+  assembler.addPart({ ...expected[0], sequenceNumber: 1, partIndex: 0 });
+  assembler.addPart({ url: 'http://example.com/b-1.ts', sequenceNumber: 2, partIndex: 0 });
+
+  assert.deepEqual(await assembler.take(1, expected), Buffer.concat([part(0), part(1)]));
+  assert.equal(await assembler.take(2, [{ url: 'http://example.com/b-1.ts' }]), null);
+  assert.equal(await assembler.take(3, expected), null);
+  assert.deepEqual(assembler.getStats(), { partsFetched: 2, partsFailed: 1, assembled: 1, incomplete: 1, pendingSegments: 0 });
+});
+
+test('a pipeline stores a segment assembled from its parts without fetching it whole', async () => {
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrl: LIVE,
+    storageDir: path.join(tmpDir, 'pipeline')
+  });
+  pipeline.buffer.streamUrl = null;
+  await pipeline.initialize();
+  pipeline.connect();
+
+  const requested = [];
+  axios.get = async (url) => {
+    requested.push(url);
+    return { status: 200, data: url.endsWith('.0.ts') ? part(0) : part(1) };
+  };
+
+  const parts = [0, 1].map(i => ({ url: `http://example.com/live/a-102.${i}.ts` }));
+  parts.forEach((p, partIndex) => pipeline.monitor.emit('newPart', { ...p, sequenceNumber: 102, partIndex }));
+
+  const added = once(pipeline.buffer, 'segmentAdded');
+  pipeline.monitor.emit('newSegment', {
+    url: 'http://example.com/live/a-102.ts', sequenceNumber: 102, duration: 6.4, container: 'ts', parts
+  });
+  await added;
+
+  assert.deepEqual(requested, parts.map(p => p.url));
+  assert.deepEqual(Buffer.from((await pipeline.buffer.getSegmentBySequence(102)).data), Buffer.concat([part(0), part(1)]));
+  assert.equal(pipeline.getStatus().parts.assembled, 1);
+
+  pipeline.buffer.stopIntervals();
+});
+
+test('parts of an encrypted segment are marked and never downloaded', async () => {
+  playlistService.fetchPlaylist = async () => llPlaylist(1).replace('#EXT-X-MEDIA-SEQUENCE:100', '#EXT-X-MEDIA-SEQUENCE:100\n#EXT-X-KEY:METHOD=AES-128,URI="key.bin"');
+  const monitor = new MonitorService({ url: LIVE });
+  const announced = [];
+  monitor.on('newPart', p => announced.push(p));
+  await monitor.fetchPlaylist();
+  assert.deepEqual(announced.map(p => p.encrypted), [true]);
+
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrl: LIVE,
+    storageDir: path.join(tmpDir, 'encrypted')
+  });
+  pipeline.buffer.streamUrl = null;
+  await pipeline.initialize();
+  pipeline.connect();
+
+  const requested = [];
+  axios.get = async (url) => {
+    requested.push(url);
+    return { status: 200, data: part(0) };
+  };
+  pipeline.monitor.emit('newPart', { url: 'http://example.com/live/a-102.0.ts', sequenceNumber: 102, partIndex: 0, encrypted: true });
+
+  assert.deepEqual(requested, []);
+  assert.equal(pipeline.getStatus().parts.pendingSegments, 0);
+
+  pipeline.buffer.stopIntervals();
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for segment payload validation: MPEG-TS sync and packet
+ * alignment, ID3 + ADTS/MPEG packed audio, fMP4 box structure and minimum
+ * size, retried as 'invalid-payload' errors and recorded as gaps when an
+ * error page keeps coming back.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-payload-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const { validateSegment } = require('../../services/segment-validator');
+const { DownloaderService } = require('../../services/downloader-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+const ERROR_PAGE = Buffer.from(`<!DOCTYPE html><html><body>Sign in to the Wi-Fi${' '.repeat(8000)}</body></html>`);
+
+function tsPackets(count) {
+  return Buffer.concat(Array.from({ length: count }, () =>
+    Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187, 0xff)])));
+}
+
+// ADTS, AAC-LC 44.1kHz stereo, 371-byte frames
+function adtsFrames(count) {
+  const frame = Buffer.alloc(371);
+  frame.set([0xff, 0xf1, 0x50, 0x80, 0x2e, 0x7f, 0xfc]);
+  return Buffer.concat(Array.from({ length: count }, () => frame));
+}
+
+function id3Tag() {
+  return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 5]), Buffer.alloc(5)]);
+}
+
+function box(type, size, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(size);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+const originalGet = axios.get;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('MPEG-TS bodies need the sync byte on every whole packet', () => {
+  assert.equal(validateSegment(tsPackets(40), { container: 'ts', duration: 6.4 }), null);
+  assert.equal(validateSegment(tsPackets(40)), null);
+
+  assert.match(validateSegment(ERROR_PAGE, { container: 'ts' }), /HTML/);
+  assert.match(validateSegment(tsPackets(40).subarray(0, 7000), { container: 'ts' }), /truncated/);
+
+  const lostSync = tsPackets(40);
+  lostSync[188 * 3] = 0;
+  assert.match(validateSegment(lostSync, { container: 'ts' }), /lost sync/);
+
+  assert.match(validateSegment(tsPackets(2), { container: 'ts', duration: 6.4 }), /too small/);
+  assert.equal(validateSegment(Buffer.alloc(0)), 'empty body');
+});
+
+test('packed audio needs ADTS or MPEG frames after its ID3 tag', () => {
+  const audio = Buffer.concat([id3Tag(), adtsFrames(30)]);
+  assert.equal(validateSegment(audio, { container: 'aac', duration: 6.4 }), null);
+
+  assert.match(validateSegment(ERROR_PAGE, { container: 'aac' }), /ADTS or MPEG audio frame/);
+  assert.match(validateSegment(audio.subarray(0, audio.length - 100), { container: 'aac' }), /truncated audio frame/);
+  assert.match(validateSegment(id3Tag(), { container: 'aac' }), /no audio frames/);
+});
+
+test('fMP4 bodies need whole boxes including an mdat', () => {
+  const media = Buffer.concat([box('moof', 72, Buffer.alloc(64)), box('mdat', 8008, Buffer.alloc(8000))]);
+  assert.equal(validateSegment(media, { container: 'fmp4', duration: 6.4 }), null);
+
+  assert.match(validateSegment(media.subarray(0, 4000), { container: 'fmp4' }), /truncated 'mdat' box/);
+  assert.match(validateSegment(box('moof', 72, Buffer.alloc(64)), { container: 'fmp4' }), /no mdat/);
+  assert.match(validateSegment(ERROR_PAGE, { container: 'fmp4' }), /expected an fMP4 box/);
+});
+
+test('an error page is retried as invalid-payload and never stored', async () => {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const downloader = new DownloaderService();
+  downloader.initialize({ bufferService: buffer, maxRetries: 2, retryDelayBase: 1 });
+
+  const bodies = [ERROR_PAGE, tsPackets(40)];
+  axios.get = async () => ({ status: 200, data: bodies.shift() });
+
+  const result = await downloader.downloadSegment('http://example.com/a-1.ts', {
+    sequenceNumber: 1, duration: 6.4, container: 'ts'
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.retryCount, 1);
+  assert.equal(downloader.getStats().errorsByCategory['invalid-payload'], 1);
+  assert.deepEqual(Buffer.from((await buffer.getSegmentBySequence(1)).data), tsPackets(40));
+});
+
+test('a segment that stays invalid is recorded as an invalid-payload gap', async () => {
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrl: 'http://example.com/live.m3u8',
+    storageDir: path.join(tmpDir, 'pipeline'),
+    maxRetries: 1
+  });
+  pipeline.buffer.streamUrl = null;
+  await pipeline.initialize();
+  pipeline.connect();
+  pipeline.downloader.retryDelayBase = 1;
+
+  axios.get = async () => ({ status: 200, data: ERROR_PAGE });
+  const result = await pipeline.downloader.downloadSegment('http://example.com/a-7.ts', {
+    sequenceNumber: 7, duration: 6.4, container: 'ts'
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorCategory, 'invalid-payload');
+  assert.equal(pipeline.buffer.segments.length, 0);
+
+  const gaps = pipeline.buffer.getGaps();
+  assert.equal(gaps.length, 1);
+  assert.equal(gaps[0].reason, 'invalid-payload');
+  assert.equal(gaps[0].fromSeq, 7);
+
+  pipeline.buffer.stopIntervals();
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for broadcast timestamps: EXT-X-PROGRAM-DATE-TIME read from the
+ * source playlist, segments indexed by it (in order, even when downloads
+ * finish out of order), restored exactly after a restart, and the capture
+ * latency measured from it instead of the CAPTURE_LATENCY constant.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-pdt-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../../config/config');
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { DiskStorageService } = require('../../services/disk-storage-service');
+
+function memoryBuffer() {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  return buffer;
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('the monitor carries EXT-X-PROGRAM-DATE-TIME to every following segment', () => {
+  const parsed = playlistService.parsePlaylist([
+    '#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:7', '#EXT-X-MEDIA-SEQUENCE:100',
+    '#EXT-X-PROGRAM-DATE-TIME:2026-10-19T12:00:00.000Z',
+    '#EXTINF:6.4,', 'a-100.ts',
+    '#EXTINF:6.4,', 'a-101.ts'
+  ].join('\n'));
+
+  const monitor = new MonitorService({ url: 'http://example.com/live/index.m3u8' });
+  const segments = monitor.identifyNewSegments(
+    playlistService.getSegmentUrls(parsed, monitor.url), parsed
+  );
+
+  assert.equal(segments[0].programDateTime, Date.parse('2026-10-19T12:00:00.000Z'));
+  assert.equal(segments[1].programDateTime, Date.parse('2026-10-19T12:00:06.400Z'));
+});
+
+test('segments are stamped with broadcast time and kept in broadcast order', async () => {
+  const buffer = memoryBuffer();
+  const broadcast = Date.now() - 30000;
+
+  // The later segment finishes downloading first
+  await buffer.addSegment(Buffer.from('b'), { url: 'http://example.com/a-2.ts', sequenceNumber: 2, duration: 6.4, programDateTime: broadcast + 6400 });
+  await buffer.addSegment(Buffer.from('a'), { url: 'http://example.com/a-1.ts', sequenceNumber: 1, duration: 6.4, programDateTime: broadcast });
+  await buffer.addSegment(Buffer.from('c'), { url: 'http://example.com/a-3.ts', sequenceNumber: 3, duration: 6.4 });
+
+  assert.deepEqual(buffer.segments.map(s => s.metadata.sequenceNumber), [1, 2, 3]);
+
+  const [first, , third] = buffer.segments;
+  assert.equal(first.timestamp, broadcast);
+  assert.equal(first.metadata.timestampSource, 'program-date-time');
+  assert.ok(first.arrivalTime >= broadcast + 30000);
+  assert.equal(third.metadata.timestampSource, 'arrival');
+  assert.equal(third.timestamp, third.arrivalTime);
+
+  const segment = await buffer.getSegmentAt(broadcast + 1000);
+  assert.equal(segment.metadata.sequenceNumber, 1);
+});
+
+test('an implausible program date falls back to arrival time', async () => {
+  const buffer = memoryBuffer();
+  await buffer.addSegment(Buffer.from('x'), {
+    url: 'http://example.com/a-1.ts', sequenceNumber: 1, duration: 6.4,
+    programDateTime: Date.now() - config.PROGRAM_DATE_TIME_MAX_SKEW - 60000
+  });
+
+  const [segment] = buffer.segments;
+  assert.equal(segment.metadata.timestampSource, 'arrival');
+  assert.equal(segment.timestamp, segment.arrivalTime);
+  assert.equal(buffer.getMeasuredLatency(), null);
+});
+
+test('capture latency is measured from program dates, not hard-coded', async () => {
+  const buffer = memoryBuffer();
+  assert.equal(buffer.getCaptureLatency(Date.now()), config.CAPTURE_LATENCY);
+
+  for (const seq of [1, 2, 3]) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4,
+      programDateTime: Date.now() - 12000
+    });
+  }
+  const measured = buffer.getMeasuredLatency();
+  assert.ok(measured >= 12000 && measured < 13000);
+  assert.equal(buffer.getBufferStats().measuredLatency, measured);
+
+  // Broadcast-stamped segments need no correction...
+  assert.equal(buffer.getCaptureLatency(buffer.segments[0].timestamp), 0);
+
+  // ...while arrival-stamped ones lag the broadcast by the measured latency
+  await buffer.addSegment(Buffer.from('x'), { url: 'http://example.com/a-4.ts', sequenceNumber: 4, duration: 6.4 });
+  assert.equal(buffer.getCaptureLatency(buffer.segments[3].timestamp), measured);
+});
+
+test('broadcast timestamps survive a restart without recalibration', async () => {
+  const createBuffer = () => new HybridBufferService(60 * 60 * 1000, {
+    diskStorage: new DiskStorageService({ baseDir: path.join(tmpDir, 'restore') }),
+    streamUrl: 'http://127.0.0.1:1/live.m3u8'
+  });
+
+  const buffer = createBuffer();
+  await buffer.initialize();
+  const broadcast = Date.now() - 120000;
+  await buffer.addSegment(Buffer.from('a'), { url: 'http://example.com/a-5.ts', sequenceNumber: 5, duration: 6.4, programDateTime: broadcast });
+  await buffer.addSegment(Buffer.from('b'), { url: 'http://example.com/a-6.ts', sequenceNumber: 6, duration: 6.4, programDateTime: broadcast + 6400 });
+  await buffer.flushMetadata();
+  buffer.stopIntervals();
+
+  const restored = createBuffer();
+  await restored.initialize();
+  restored.stopIntervals();
+
+  assert.deepEqual(restored.segments.map(s => s.timestamp), [broadcast, broadcast + 6400]);
+  assert.equal(restored.segments[0].metadata.timestampSource, 'program-date-time');
+  assert.equal(restored.segments[0].arrivalTime, buffer.segments[0].arrivalTime);
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for progressive (Icecast/Shoutcast) sources: frame parsing,
+ * ICY metadata demuxing, frame-aligned chunking with synthetic sequence
+ * numbers, and a station pipeline recording one end to end.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const { Readable } = require('node:stream');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-progressive-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const { ProgressiveSourceService, readFrameHeader, parseIcyMetadata } = require('../../services/progressive-source-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+const STREAM_URL = 'http://radio.example.com/live';
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz, no padding: 417 bytes, 1152 samples
+function mp3Frame(fill) {
+  const frame = Buffer.alloc(417, fill);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  return frame;
+}
+
+// Interleave ICY metadata blocks every metaInt bytes of audio
+function withIcy(audio, metaInt, titles) {
+  const parts = [];
+  for (let i = 0, block = 0; i < audio.length; i += metaInt, block++) {
+    parts.push(audio.subarray(i, i + metaInt));
+    if (i + metaInt > audio.length) break;
+    const title = titles[block];
+    if (title === undefined) {
+      parts.push(Buffer.from([0]));
+    } else {
+      const text = Buffer.from(`StreamTitle='${title}';StreamUrl='';`);
+      const blocks = Math.ceil(text.length / 16);
+      const meta = Buffer.alloc(blocks * 16);
+      text.copy(meta);
+      parts.push(Buffer.from([blocks]), meta);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function serveStream(body, headers) {
+  axios.get = async () => {
+    // Odd-sized reads so frames and metadata blocks straddle them
+    const pieces = [];
+    for (let i = 0; i < body.length; i += 333) {
+      pieces.push(body.subarray(i, i + 333));
+    }
+    return { status: 200, headers, data: Readable.from(pieces) };
+  };
+}
+
+const originalGet = axios.get;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('frame headers are read for MP3 and ADTS AAC', () => {
+  assert.deepEqual(readFrameHeader(mp3Frame(0), 0), { codec: 'mp3', length: 417, samples: 1152, sampleRate: 44100 });
+
+  // ADTS, AAC-LC 44.1kHz stereo, 371-byte frame
+  const adts = Buffer.from([0xff, 0xf1, 0x50, 0x80, 0x2e, 0x7f, 0xfc]);
+  assert.deepEqual(readFrameHeader(adts, 0), { codec: 'aac', length: 371, samples: 1024, sampleRate: 44100 });
+
+  assert.equal(readFrameHeader(Buffer.from([0xff, 0xff, 0xff, 0xff, 0, 0, 0]), 0), null);
+  assert.deepEqual(parseIcyMetadata("StreamTitle='It's Me - Song';StreamUrl='';\0\0"), {
+    StreamTitle: "It's Me - Song",
+    StreamUrl: ''
+  });
+});
+
+test('the stream is cut into frame-aligned chunks with ICY metadata removed', async () => {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const source = new ProgressiveSourceService({ url: STREAM_URL, bufferService: buffer, chunkDuration: 0.5, reconnectDelayBase: 60000 });
+  source.on('error', () => {});
+  const titles = [];
+  source.on('streamTitle', ({ title }) => titles.push(title));
+
+  // Connections start mid-frame: lead with the tail of a frame
+  const frames = Array.from({ length: 50 }, (_, i) => mp3Frame(i + 1));
+  const audio = Buffer.concat([mp3Frame(0xaa).subarray(200), ...frames]);
+  serveStream(withIcy(audio, 1000, { 0: 'Artist - First', 9: 'Artist - Second' }), {
+    'content-type': 'audio/mpeg',
+    'icy-metaint': '1000'
+  });
+
+  source.startMonitoring();
+  await once(source, 'error'); // the stream ending
+  await source.flush();
+  source.stopMonitoring();
+
+  assert.deepEqual(titles, ['Artist - First', 'Artist - Second']);
+  assert.deepEqual(buffer.segments.map(s => s.metadata.sequenceNumber), [0, 1, 2]);
+
+  const first = await buffer.getSegmentBySequence(0);
+  assert.equal(first.metadata.container, 'mp3');
+  assert.equal(first.metadata.duration, 20 * 1152 / 44100);
+  assert.equal(first.metadata.streamTitle, 'Artist - First');
+
+  // ID3 timestamp tag, then exactly the first 20 frames
+  const data = Buffer.from(first.data);
+  assert.equal(data.toString('latin1', 0, 3), 'ID3');
+  assert.ok(data.includes('com.apple.streaming.transportStreamTimestamp'));
+  assert.deepEqual(data.subarray(73), Buffer.concat(frames.slice(0, 20)));
+
+  // The stream ended mid-chunk: the remainder is stored, not dropped
+  const last = await buffer.getSegmentBySequence(2);
+  assert.deepEqual(Buffer.from(last.data).subarray(73), Buffer.concat(frames.slice(40)));
+});
+
+test('numbering resumes after the buffered chunks, skipping the outage', async () => {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  await buffer.addSegment(Buffer.from('x'), { url: `${STREAM_URL}#chunk=41`, sequenceNumber: 41, duration: 6.4 });
+  buffer.segments[0].timestamp = Date.now() - 20000;
+
+  const source = new ProgressiveSourceService({ url: STREAM_URL, bufferService: buffer, chunkDuration: 6.4 });
+  const discontinuities = [];
+  source.on('discontinuity', info => discontinuities.push(info));
+  await source._resumeSequence();
+
+  assert.equal(source.nextSequence, 45);
+  assert.deepEqual(discontinuities, [{ expected: 42, actual: 45, skippedCount: 3 }]);
+});
+
+test('an icecast station pipeline records the stream and its titles', async () => {
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    sourceType: 'icecast',
+    streamUrl: STREAM_URL,
+    storageDir: path.join(tmpDir, 'icecast'),
+    bufferDuration: 60 * 60 * 1000
+  });
+  assert.ok(pipeline.monitor instanceof ProgressiveSourceService);
+  pipeline.monitor.reconnectDelayBase = 60000;
+
+  const frames = Array.from({ length: 600 }, (_, i) => mp3Frame(i % 200));
+  serveStream(withIcy(Buffer.concat(frames), 8000, { 0: 'Band - Tune' }), {
+    'content-type': 'audio/mpeg',
+    'icy-metaint': '8000'
+  });
+
+  await pipeline.start();
+  await once(pipeline.monitor, 'error');
+  await pipeline.monitor.flush();
+  await pipeline.stop();
+
+  // 600 frames of 26ms is two 6.4s chunks plus a partial one
+  assert.equal(pipeline.buffer.segments.length, 3);
+  const stored = pipeline.buffer.segments[0];
+  assert.ok(stored.filePath.endsWith(`${path.sep}0.mp3`));
+  assert.equal(pipeline.getStatus().monitor.codec, 'mp3');
+
+  const track = pipeline.metadata.getCurrentTrack();
+  assert.equal(track.artist, 'Band');
+  assert.equal(track.title, 'Tune');
+
+  const now = Date.now();
+  pipeline.buffer.segments.forEach((segment, i) => {
+    segment.timestamp = now - 30000 + i * 6400;
+  });
+  const playlist = await pipeline.playlistGenerator.generatePlaylist({ timeshift: 30 });
+  assert.ok(playlist.m3u8Content.includes('/stations/bbc_radio_one/stream/segment/0.mp3'));
+
+  pipeline.buffer.stopIntervals();
+});
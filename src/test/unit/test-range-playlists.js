@@ -0,0 +1,177 @@
+/**
+ * Unit tests for range playlists: /stream/range.m3u8?from=&to= listing a
+ * whole buffered span, VOD once it's recorded and EVENT while it's still
+ * being recorded (a live playlist when the buffer can't keep its start), with a broadcast time on every segment and holes listed
+ * as gaps (short ones) or discontinuities (long ones).
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-range-playlist-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { PlaylistGenerator } = require('../../services/playlist-generator');
+const { serviceManager } = require('../../services');
+
+const MINUTE = 60 * 1000;
+
+// 6.4s segments from ten minutes ago; only the listed ones were recorded
+async function addSegments(buffer, sequences, start = Date.now() - 10 * MINUTE) {
+  for (const seq of sequences) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4,
+      estimatedTime: start + (seq - 1) * 6400
+    });
+  }
+  return start;
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+const uris = m3u8 => m3u8.split('\n').filter(line => line.startsWith('/'));
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('a recorded span is a VOD playlist with a broadcast time on every segment', async () => {
+  const buffer = new HybridBufferService(60 * MINUTE);
+  buffer.diskStorageEnabled = false;
+  const start = await addSegments(buffer, range(1, 90));
+
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+  const playlist = generator.generateRangePlaylist({ from: start + 30000, to: start + 90000 });
+  const lines = playlist.m3u8Content.split('\n');
+
+  assert.equal(playlist.playlistType, 'VOD');
+  assert.ok(lines.includes('#EXT-X-PLAYLIST-TYPE:VOD'));
+  assert.equal(lines.filter(line => line).pop(), '#EXT-X-ENDLIST');
+
+  // From the segment playing at 'from' to the one playing at 'to'
+  assert.deepEqual(uris(playlist.m3u8Content), range(5, 15).map(seq => `/stream/segment/${seq}.ts`));
+  assert.equal(playlist.mediaSequence, 5);
+  const times = lines.filter(line => line.startsWith('#EXT-X-PROGRAM-DATE-TIME:'));
+  assert.equal(times.length, 11);
+  assert.equal(times[0], `#EXT-X-PROGRAM-DATE-TIME:${new Date(start + 4 * 6400).toISOString()}`);
+
+  // Nothing buffered in the span
+  assert.equal(generator.generateRangePlaylist({ from: start - 5 * MINUTE, to: start - MINUTE }), null);
+
+  buffer.stopIntervals();
+});
+
+test('a span still being recorded is an EVENT playlist', async () => {
+  const buffer = new HybridBufferService(60 * MINUTE);
+  buffer.diskStorageEnabled = false;
+  const start = await addSegments(buffer, range(1, 20));
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+
+  const playlist = generator.generateRangePlaylist({ from: start + 60000, to: start + 10 * MINUTE });
+  assert.equal(playlist.playlistType, 'EVENT');
+  assert.ok(playlist.m3u8Content.includes('#EXT-X-PLAYLIST-TYPE:EVENT\n'));
+  assert.ok(!playlist.m3u8Content.includes('#EXT-X-ENDLIST'));
+  assert.equal(uris(playlist.m3u8Content).pop(), '/stream/segment/20.ts');
+
+  // Without an end it would lose its start to the buffer some day
+  const open = generator.generateRangePlaylist({ from: start + 60000 });
+  assert.equal(open.playlistType, undefined);
+  assert.ok(!open.m3u8Content.includes('#EXT-X-PLAYLIST-TYPE'));
+  assert.deepEqual(uris(open.m3u8Content), uris(playlist.m3u8Content));
+
+  buffer.stopIntervals();
+});
+
+test('a span whose start the buffer evicts is a live playlist, not an EVENT', async () => {
+  // Ten minutes recorded in a twelve-minute buffer
+  const buffer = new HybridBufferService(12 * MINUTE);
+  buffer.diskStorageEnabled = false;
+  const start = await addSegments(buffer, range(1, 90));
+  const generator = new PlaylistGenerator({ bufferService: buffer });
+  const options = { from: start, to: start + 11 * MINUTE };
+
+  const before = generator.generateRangePlaylist(options);
+  assert.equal(before.mediaSequence, 1);
+
+  // The oldest segments are evicted between two reloads
+  for (const segment of buffer.segments.slice(0, 2)) {
+    await buffer.removeSegment(segment.metadata.segmentId);
+  }
+  const after = generator.generateRangePlaylist(options);
+  assert.equal(after.mediaSequence, 3);
+
+  for (const playlist of [before, after]) {
+    assert.equal(playlist.playlistType, undefined);
+    assert.ok(!playlist.m3u8Content.includes('#EXT-X-PLAYLIST-TYPE'));
+    assert.ok(!playlist.m3u8Content.includes('#EXT-X-ENDLIST'));
+  }
+
+  buffer.stopIntervals();
+});
+
+test('short holes are listed as gaps, long ones as a discontinuity', async () => {
+  const buffer = new HybridBufferService(60 * MINUTE);
+  buffer.diskStorageEnabled = false;
+  const start = await addSegments(buffer, [...range(1, 4), ...range(6, 10), ...range(80, 85)]);
+
+  const playlist = new PlaylistGenerator({ bufferService: buffer })
+    .generateRangePlaylist({ from: start, to: start + 85 * 6400 });
+  const content = playlist.m3u8Content;
+
+  assert.ok(content.includes('#EXT-X-GAP\n#EXTINF:6.400,\n/stream/segment/5.ts'));
+  assert.ok(!content.includes('/stream/segment/11.ts'), 'the long hole is not filled');
+  const tagged = content.split('\n');
+  const jump = tagged.indexOf('/stream/segment/80.ts');
+  assert.equal(tagged[jump - 3], '#EXT-X-DISCONTINUITY');
+  assert.equal(tagged[jump - 2], `#EXT-X-PROGRAM-DATE-TIME:${new Date(start + 79 * 6400).toISOString()}`);
+
+  buffer.stopIntervals();
+});
+
+test('/stream/range.m3u8 validates the span and serves the playlist', async () => {
+  const buffer = serviceManager.getPipeline().buffer;
+  buffer.diskStorageEnabled = false;
+  const start = await addSegments(buffer, range(1, 90));
+
+  const app = express();
+  app.use('/', require('../../routes/stream'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const from = new Date(start + 30000).toISOString();
+    const to = new Date(start + 90000).toISOString();
+    const response = await fetch(`${base}/stream/range.m3u8?from=${from}&to=${to}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/vnd.apple.mpegurl; charset=utf-8');
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=300');
+    assert.ok((await response.text()).includes('#EXT-X-PLAYLIST-TYPE:VOD'));
+
+    // Epoch milliseconds work too; an open end is a live playlist
+    const open = await fetch(`${base}/stream/range.m3u8?from=${start + 30000}`);
+    assert.equal(open.headers.get('cache-control'), 'no-cache, max-age=3');
+    assert.ok(!(await open.text()).includes('#EXT-X-PLAYLIST-TYPE'));
+
+    const missing = await fetch(`${base}/stream/range.m3u8?to=${to}`);
+    assert.equal(missing.status, 400);
+    const backwards = await fetch(`${base}/stream/range.m3u8?from=${to}&to=${from}`);
+    assert.equal(backwards.status, 400);
+    assert.equal((await backwards.json()).message, 'to must be later than from');
+
+    const outside = await fetch(`${base}/stream/range.m3u8?from=2020-01-01T00:00Z&to=2020-01-01T01:00Z`);
+    assert.equal(outside.status, 404);
+    assert.equal((await outside.json()).buffered.from, new Date(start).toISOString());
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for scheduled recording: time window and show-title rules,
+ * pipelines paused and resumed by the scheduler, paused periods kept as
+ * 'unscheduled' gaps rather than outages, and /api/buffer-grid telling
+ * the two apart.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-schedule-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+// The hour starting three hours ago is the only time the default station
+// records (padding of 1ms, as 0 falls back to the default)
+const HOUR = 60 * 60 * 1000;
+const windowStart = new Date(Date.now() - 3 * HOUR);
+const hh = date => String(date.getHours()).padStart(2, '0');
+process.env.RECORDING_WINDOWS = `bbc_6music@${hh(windowStart)}:00-${hh(new Date(windowStart.getTime() + HOUR))}:00`;
+process.env.RECORDING_PADDING = '1';
+
+const express = require('express');
+const { RecordingScheduler } = require('../../services/recording-scheduler');
+const { registerSourceAdapter } = require('../../services/source-adapters');
+const { StationPipeline } = require('../../services/station-pipeline');
+const { serviceManager } = require('../../services');
+
+class FakeSource extends EventEmitter {
+  constructor() {
+    super();
+    this.isRunning = false;
+    this.starts = 0;
+  }
+  setSources() {}
+  startMonitoring() { this.isRunning = true; this.starts++; return true; }
+  stopMonitoring() { this.isRunning = false; return true; }
+  getCapabilities() {
+    return { downloads: true, playlist: false, rewind: true, partialSegments: false, variants: false, streamTitles: true };
+  }
+  getHealth() { return { isRunning: this.isRunning, lastActivityTime: null, lastSegmentTime: null, errorCount: 0 }; }
+  getStatus() { return { isRunning: this.isRunning }; }
+}
+registerSourceAdapter('fake', () => new FakeSource());
+
+function fakePipeline(name) {
+  return new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrl: 'fake://studio',
+    sourceType: 'fake',
+    storageDir: path.join(tmpDir, name),
+    backfill: true
+  });
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('time windows match by day and local time, including past midnight', () => {
+  const scheduler = new RecordingScheduler({
+    windows: ['mon-fri 06:00-10:00', 'bbc_radio_three@sat 22:00-01:00', 'someday 25:00-26:00'],
+    shows: [],
+    padding: 0
+  });
+
+  // 19 October 2026 is a Monday
+  const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+  assert.equal(scheduler.windows.length, 2);
+  assert.equal(scheduler.isRecordingTime('bbc_6music', at(19, 7)), true);
+  assert.equal(scheduler.isRecordingTime('bbc_6music', at(19, 10)), false);
+  assert.equal(scheduler.isRecordingTime('bbc_6music', at(24, 7)), false);
+
+  assert.equal(scheduler.isRecordingTime('bbc_radio_three', at(24, 23)), true);
+  assert.equal(scheduler.isRecordingTime('bbc_radio_three', at(25, 0, 30)), true);
+  assert.equal(scheduler.isRecordingTime('bbc_radio_three', at(25, 1, 30)), false);
+
+  assert.deepEqual(scheduler.getRecordingPeriods('bbc_radio_three', at(24, 0), at(26, 0)), [
+    { start: at(24, 22), end: at(25, 1) }
+  ]);
+
+  const unlimited = new RecordingScheduler({ windows: [], shows: [] });
+  assert.equal(unlimited.hasRules('bbc_6music'), false);
+  assert.equal(unlimited.isRecordingTime('bbc_6music'), true);
+});
+
+test('show rules record matching shows from the schedule, padded either side', () => {
+  const scheduler = new RecordingScheduler({ windows: [], shows: ['laverne|huey morgan'], padding: 60000 });
+  const start = Date.now() + 30000;
+  const metadata = {
+    shows: [
+      { start, end: start + HOUR, data: { title: 'Lauren Laverne' } },
+      { start: start + HOUR, end: start + 2 * HOUR, data: { title: 'Craig Charles' } }
+    ]
+  };
+
+  assert.equal(scheduler.isRecordingTime('bbc_6music', Date.now(), metadata), true);
+  assert.equal(scheduler.isRecordingTime('bbc_6music', start + HOUR + 90000, metadata), false);
+  assert.equal(scheduler.isRecordingTime('bbc_6music', Date.now(), { shows: [] }), false);
+});
+
+test('a paused pipeline records its pause as an unscheduled gap and is not backfilled', async () => {
+  const pipeline = fakePipeline('pause');
+  await pipeline.start({ recording: false });
+
+  assert.equal(pipeline.isRunning, true);
+  assert.equal(pipeline.isRecording, false);
+  assert.equal(pipeline.monitor.starts, 0);
+  assert.equal(pipeline.getStatus().isRecording, false);
+
+  assert.equal(await pipeline.resumeRecording(), true);
+  assert.equal(pipeline.monitor.isRunning, true);
+
+  // The source finds the sequence numbers that went by while paused
+  pipeline.monitor.emit('discontinuity', { expected: 10, actual: 500, skippedCount: 490 });
+  const gaps = pipeline.buffer.getGaps();
+  assert.equal(gaps.length, 1);
+  assert.equal(gaps[0].reason, 'unscheduled');
+  assert.equal(pipeline.backfill.getStatus().pendingGaps, 0);
+
+  assert.equal(await pipeline.pauseRecording(), true);
+  assert.equal(pipeline.monitor.isRunning, false);
+  assert.ok(pipeline.pausedAt);
+  assert.equal(await pipeline.restartMonitor(), false);
+
+  await pipeline.stop();
+});
+
+test('the scheduler pauses and resumes running pipelines to match its rules', async () => {
+  const pipeline = fakePipeline('scheduler');
+  await pipeline.start();
+
+  const scheduler = new RecordingScheduler({ windows: [`bbc_radio_one@${hh(windowStart)}:00-${hh(new Date(windowStart.getTime() + HOUR))}:00`], shows: [] });
+  scheduler.start(new Map([['bbc_radio_one', pipeline]]));
+  await scheduler.check();
+  assert.equal(pipeline.isRecording, false);
+
+  scheduler.windows = [];
+  await scheduler.check();
+  assert.equal(pipeline.isRecording, false, 'stations without rules are left alone');
+
+  scheduler.shows = [{ stationId: null, pattern: /.*/, text: '.*' }];
+  pipeline.metadata.shows = [{ start: Date.now() - HOUR, end: Date.now() + HOUR, data: { title: 'Anything' } }];
+  await scheduler.check();
+  assert.equal(pipeline.isRecording, true);
+
+  scheduler.stop();
+  await pipeline.stop();
+});
+
+test('/api/buffer-grid flags unscheduled blocks apart from failure gaps', async () => {
+  const buffer = serviceManager.getPipeline().buffer;
+  buffer.diskStorageEnabled = false;
+  const now = Date.now();
+  buffer.recordGap({ fromSeq: 1, toSeq: 2, startTime: now - 30 * 60000, endTime: now - 29 * 60000, reason: 'download-failure' });
+
+  const app = express();
+  app.use('/api', require('../../routes/api'));
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/buffer-grid`);
+    const grid = await response.json();
+
+    const scheduled = grid.blocks.filter(b => !b.isUnscheduled);
+    assert.ok(scheduled.length >= 6 && scheduled.length <= 8, `${scheduled.length} scheduled blocks`);
+    assert.ok(scheduled.every(b => b.start < windowStart.getTime() + 2 * HOUR && b.end > windowStart.getTime() - HOUR));
+    assert.equal(grid.scheduledBlocks, scheduled.length);
+
+    const failed = grid.blocks.filter(b => b.hasGap);
+    assert.equal(failed.length >= 1, true);
+    assert.ok(failed.every(b => b.isUnscheduled), 'a failure outside the schedule is still a failure gap');
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
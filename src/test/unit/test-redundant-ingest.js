@@ -0,0 +1,285 @@
+/**
+ * Unit tests for redundant ingest: the first valid copy of each segment
+ * from two mirrors wins, the other copy fills holes, a mirror numbering
+ * differently is mapped onto the buffer's numbers, and the downloader
+ * keeps success statistics per source.
+ * Run with: npm run test:unit
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-redundant-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const axios = require('axios');
+const { SegmentDeduplicator } = require('../../services/segment-deduplicator');
+const { DownloaderService } = require('../../services/downloader-service');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { registerSourceAdapter } = require('../../services/source-adapters');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+// Forty MPEG-TS packets: enough bytes for 6.4s at the minimum bitrate
+const SEGMENT = Buffer.concat(Array.from({ length: 40 }, () =>
+  Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187)])));
+
+const AKAMAI = 'http://akamai.example.com/live.m3u8';
+const CLOUDFRONT = 'http://cloudfront.example.com/live.m3u8';
+
+class FakeSource extends EventEmitter {
+  constructor(options) {
+    super();
+    this.url = options.url;
+    this.sources = options.sources;
+    this.isRunning = false;
+  }
+  setSources(sources) { this.sources = sources; }
+  startMonitoring() { this.isRunning = true; return true; }
+  stopMonitoring() { this.isRunning = false; return true; }
+  getCapabilities() {
+    return { downloads: true, playlist: false, rewind: false, partialSegments: false, variants: false, streamTitles: true };
+  }
+  getHealth() { return { isRunning: this.isRunning, lastActivityTime: null, lastSegmentTime: null, errorCount: 0 }; }
+  getStatus() { return { isRunning: this.isRunning, url: this.url }; }
+}
+registerSourceAdapter('fake-mirror', (options) => new FakeSource(options));
+
+// Segment URLs on a host that should fail answer 404
+let failing = new Set();
+const requested = [];
+const originalGet = axios.get;
+
+function stubSegments() {
+  axios.get = async (url) => {
+    requested.push(url);
+    if ([...failing].some(part => url.includes(part))) {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404 };
+      throw error;
+    }
+    return { status: 200, data: SEGMENT };
+  };
+}
+
+function createBuffer() {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  return buffer;
+}
+
+function segment(host, seq, extra = {}) {
+  return [`http://${host}.example.com/seg-${seq}.ts`, { sequenceNumber: seq, duration: 6.4, container: 'ts', ...extra }];
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+  failing = new Set();
+  requested.length = 0;
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('the first copy of a broadcast time (or sequence number without one) wins, and a released claim can be retaken', () => {
+  const dedupe = new SegmentDeduplicator();
+
+  assert.equal(dedupe.claim({ sequenceNumber: 10 }, 'akamai'), true);
+  assert.equal(dedupe.claim({ sequenceNumber: 10 }, 'cloudfront'), false);
+
+  // Mirrors numbering differently still match on EXT-X-PROGRAM-DATE-TIME,
+  // and the same number at another time is other audio
+  assert.equal(dedupe.claim({ sequenceNumber: 11, programDateTime: 1700000000000 }, 'akamai'), true);
+  assert.equal(dedupe.claim({ sequenceNumber: 5011, programDateTime: 1700000000000 }, 'cloudfront'), false);
+  assert.equal(dedupe.claim({ sequenceNumber: 11, programDateTime: 1700000006400 }, 'cloudfront'), true);
+  assert.equal(dedupe.has({ sequenceNumber: 11, programDateTime: 1700000012800 }), false);
+
+  dedupe.release({ sequenceNumber: 10 });
+  assert.equal(dedupe.has({ sequenceNumber: 10 }), false);
+  assert.equal(dedupe.claim({ sequenceNumber: 10 }, 'cloudfront'), true);
+
+  // Nothing to match on: always stored
+  assert.equal(dedupe.claim({}), true);
+  assert.equal(dedupe.claim({}), true);
+
+  assert.deepEqual(dedupe.getStats(), { claimed: 6, duplicates: 2, released: 1, tracked: 3, mirrorOffset: null });
+});
+
+test('the downloader stores one copy per segment and counts each source', async () => {
+  stubSegments();
+  failing.add('akamai.example.com/seg-3');
+
+  const buffer = createBuffer();
+  const downloader = new DownloaderService();
+  downloader.initialize({ bufferService: buffer, deduplicator: new SegmentDeduplicator(), retryDelayBase: 1, maxRetries: 1 });
+
+  // Both copies in flight at once: one is stored, the other dropped
+  const [first, second] = await Promise.all([
+    downloader.downloadSegment(...segment('akamai', 1)),
+    downloader.downloadSegment(...segment('cloudfront', 1))
+  ]);
+  assert.equal(first.success && second.success, true);
+  assert.equal([first, second].filter(r => r.duplicate).length, 1);
+
+  // A copy announced after the other is stored isn't fetched at all
+  await downloader.downloadSegment(...segment('akamai', 2));
+  const late = await downloader.downloadSegment(...segment('cloudfront', 2));
+  assert.equal(late.duplicate, true);
+  assert.ok(!requested.includes('http://cloudfront.example.com/seg-2.ts'));
+
+  // One CDN drops a segment, the other fills the slot
+  const dropped = await downloader.downloadSegment(...segment('akamai', 3));
+  assert.equal(dropped.success, false);
+  const filled = await downloader.downloadSegment(...segment('cloudfront', 3));
+  assert.equal(filled.success, true);
+  assert.ok(!filled.duplicate);
+
+  assert.deepEqual(buffer.segments.map(s => s.metadata.sequenceNumber), [1, 2, 3]);
+
+  const { bySource, deduplication } = downloader.getStats();
+  const akamai = bySource['akamai.example.com'];
+  const cloudfront = bySource['cloudfront.example.com'];
+  assert.equal(akamai.downloads, 3);
+  assert.equal(akamai.failed, 1);
+  assert.equal(akamai.successRate, '67%');
+  assert.equal(cloudfront.skipped, 1);
+  assert.equal(akamai.stored + cloudfront.stored, 3);
+  assert.equal(akamai.duplicates + cloudfront.duplicates, 1);
+  assert.equal(deduplication.duplicates, 1);
+
+  buffer.stopIntervals();
+});
+
+test('mirrors numbered differently have every distinct segment stored once, under the buffer\'s numbers', async () => {
+  stubSegments();
+
+  const buffer = createBuffer();
+  const dedupe = new SegmentDeduplicator();
+  const downloader = new DownloaderService();
+  downloader.initialize({ bufferService: buffer, deduplicator: dedupe, retryDelayBase: 1, maxRetries: 1 });
+
+  // CloudFront numbers two behind Akamai: its 10 is Akamai's 12. Its
+  // copies are mapped the way the pipeline maps the mirror's.
+  const start = Date.now() - 60000;
+  const at = index => ({ programDateTime: start + index * 6400 });
+  for (const seq of [10, 11, 12]) {
+    await downloader.downloadSegment(...segment('akamai', seq, at(seq - 10)));
+  }
+  const results = [];
+  for (const seq of [10, 11, 12, 13]) {
+    const [url, metadata] = segment('cloudfront', seq, at(seq - 8));
+    results.push(await downloader.downloadSegment(url, { ...metadata, sequenceNumber: dedupe.mapSequence(metadata) }));
+  }
+
+  assert.deepEqual(results.map(result => Boolean(result.duplicate)), [true, false, false, false]);
+  assert.equal(dedupe.mirrorOffset, 2);
+  assert.deepEqual(buffer.segments.map(s => s.timestamp), [0, 1, 2, 3, 4, 5].map(index => start + index * 6400));
+
+  const sequenceNumbers = buffer.segments.map(s => s.metadata.sequenceNumber);
+  const segmentIds = buffer.segments.map(s => s.metadata.segmentId);
+  assert.deepEqual(sequenceNumbers, [10, 11, 12, 13, 14, 15]);
+  assert.equal(new Set(segmentIds).size, segmentIds.length);
+  assert.equal(buffer.segmentsBySequence.size, 6);
+
+  buffer.stopIntervals();
+});
+
+test('a mirror whose first copy has no counterpart is numbered from the nearest broadcast time', () => {
+  const dedupe = new SegmentDeduplicator();
+  const start = 1700000000000;
+  dedupe.claim({ sequenceNumber: 10, programDateTime: start, duration: 6.4 }, 'akamai');
+  dedupe.claim({ sequenceNumber: 11, programDateTime: start + 6400, duration: 6.4 }, 'akamai');
+
+  // CloudFront's 500 airs two segments after Akamai's 11
+  assert.equal(dedupe.mapSequence({ sequenceNumber: 500, programDateTime: start + 3 * 6400, duration: 6.4 }), 13);
+  assert.equal(dedupe.mapSequence({ sequenceNumber: 501, programDateTime: start + 4 * 6400, duration: 6.4 }), 14);
+
+  // Without program dates the numbering is taken to be shared
+  assert.equal(new SegmentDeduplicator().mapSequence({ sequenceNumber: 7 }), 7);
+});
+
+test('a redundant pipeline reads two mirrors and only records holes neither could fill', async () => {
+  stubSegments();
+
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrls: [AKAMAI, CLOUDFRONT, 'http://proxy.example.com/live.m3u8'],
+    sourceType: 'fake-mirror',
+    storageDir: path.join(tmpDir, 'pipeline'),
+    redundant: true,
+    maxRetries: 1
+  });
+  pipeline.downloader.retryDelayBase = 1;
+
+  assert.equal(pipeline.redundant, true);
+  assert.equal(pipeline.mirror.url, CLOUDFRONT);
+
+  await pipeline.start();
+  pipeline.buffer.diskStorageEnabled = false;
+  assert.deepEqual(pipeline.monitor.sources, [AKAMAI, 'http://proxy.example.com/live.m3u8']);
+  assert.deepEqual(pipeline.mirror.sources, [CLOUDFRONT]);
+  assert.equal(pipeline.mirror.isRunning, true);
+
+  const start = Date.now() - 120000;
+  const at = seq => start + (seq - 10) * 6400;
+  const announce = async (source, host, seq) => {
+    const [url, metadata] = segment(host, seq, { programDateTime: at(seq) });
+    source.emit('newSegment', { url, ...metadata, discoveredAt: Date.now() });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await pipeline.downloader.finishPendingDownloads();
+  };
+
+  // Akamai skips 11-12 after CloudFront stored them: no gap. That's told
+  // by broadcast time, whatever numbers Akamai gives them.
+  for (const seq of [10, 11, 12]) {
+    await announce(pipeline.mirror, 'cloudfront', seq);
+  }
+  pipeline.monitor.emit('discontinuity', { expected: 5011, actual: 5013, skippedCount: 2, startTime: at(11), endTime: at(13) });
+  assert.equal(pipeline.buffer.getGaps().length, 0);
+
+  // Akamai fails segment 13 before CloudFront has it: a gap, healed once
+  // CloudFront's copy arrives
+  failing.add('akamai.example.com');
+  await announce(pipeline.monitor, 'akamai', 13);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(pipeline.buffer.getGaps().length, 1);
+  await announce(pipeline.mirror, 'cloudfront', 13);
+  assert.equal(pipeline.buffer.getGaps().length, 0);
+
+  // Both skip 14-15: a gap at their broadcast times
+  pipeline.monitor.emit('discontinuity', { expected: 14, actual: 16, skippedCount: 2, startTime: at(14), endTime: at(16) });
+  assert.deepEqual(pipeline.buffer.getGaps().map(gap => [gap.fromSeq, gap.toSeq, gap.startTime]), [[14, 15, at(14)]]);
+
+  const status = pipeline.getStatus();
+  assert.equal(status.mirror.url, CLOUDFRONT);
+  assert.equal(status.downloader.bySource['cloudfront.example.com'].stored, 4);
+  assert.deepEqual(pipeline.buffer.segments.map(s => s.metadata.sequenceNumber), [10, 11, 12, 13]);
+
+  // CloudFront restarts its numbering: its copies still go in under
+  // Akamai's numbers, matched up by broadcast time
+  failing = new Set();
+  const announceAs = async (source, host, seq, airs) => {
+    const [url, metadata] = segment(host, seq, { programDateTime: at(airs) });
+    source.emit('newSegment', { url, ...metadata, discoveredAt: Date.now() });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await pipeline.downloader.finishPendingDownloads();
+  };
+  await announce(pipeline.monitor, 'akamai', 16);
+  await announceAs(pipeline.mirror, 'cloudfront', 900, 16);
+  await announceAs(pipeline.mirror, 'cloudfront', 901, 17);
+
+  const sequenceNumbers = pipeline.buffer.segments.map(s => s.metadata.sequenceNumber);
+  assert.deepEqual(sequenceNumbers, [10, 11, 12, 13, 16, 17]);
+  assert.equal(new Set(pipeline.buffer.segments.map(s => s.metadata.segmentId)).size, sequenceNumbers.length);
+
+  await pipeline.stop();
+  assert.equal(pipeline.mirror.isRunning, false);
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for playing shows by schedule ID: /shows listing the shows in
+ * the buffer with how much of each was recorded, and /shows/:id.m3u8
+ * playing one whole broadcast from its start whatever the delay.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-show-playlist-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { serviceManager } = require('../../services');
+
+const MINUTE = 60 * 1000;
+
+// A schedule response as the BBC API gives it
+function schedule(shows) {
+  return {
+    data: [{
+      data: shows.map(([id, start, end, title]) => ({
+        type: 'broadcast_summary',
+        id,
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        titles: { primary: title, secondary: 'Episode' }
+      }))
+    }]
+  };
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('coverage counts the time segments hold, so holes are missing', async () => {
+  const buffer = new HybridBufferService(60 * MINUTE);
+  buffer.diskStorageEnabled = false;
+  const start = Date.now() - 10 * MINUTE;
+  for (const seq of [1, 2, 3, 6, 7, 8]) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4, estimatedTime: start + (seq - 1) * 6400
+    });
+  }
+  buffer.recordGap({ startTime: start + 3 * 6400, endTime: start + 5 * 6400, fromSeq: 4, toSeq: 5, reason: 'download_failed' });
+
+  const coverage = buffer.getCoverage(start - 6400, start + 8 * 6400);
+  assert.equal(coverage.recordedMs, 6 * 6400);
+  assert.equal(coverage.missingMs, 3 * 6400);
+  assert.equal(coverage.fraction, 6 / 9);
+  assert.deepEqual(coverage.gaps.map(gap => gap.fromSeq), [4]);
+
+  assert.deepEqual(buffer.getCoverage(start - 2 * MINUTE, start - MINUTE), {
+    recordedMs: 0, missingMs: MINUTE, fraction: 0, gaps: []
+  });
+
+  buffer.stopIntervals();
+});
+
+test('/shows lists the buffered shows and /shows/:id.m3u8 plays one whole', async () => {
+  const pipeline = serviceManager.getPipeline();
+  const buffer = pipeline.buffer;
+  buffer.diskStorageEnabled = false;
+
+  // Ten minutes of 6.4s segments, with 40-44 never recorded
+  const start = Date.now() - 10 * MINUTE;
+  for (let seq = 1; seq <= 90; seq++) {
+    if (seq >= 40 && seq <= 44) continue;
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4, estimatedTime: start + (seq - 1) * 6400
+    });
+  }
+
+  pipeline.metadata._processScheduleResponse(schedule([
+    ['p0later', start + 6 * MINUTE, start + 30 * MINUTE, 'Still on air'],
+    ['p0early', start - 20 * MINUTE, start + 3 * MINUTE, 'Partly evicted'],
+    ['p0whole', start + 3 * MINUTE, start + 6 * MINUTE, 'Lauren Laverne'],
+    ['p0gone', start - 60 * MINUTE, start - 30 * MINUTE, 'Before the buffer'],
+    ['p0next', start + 40 * MINUTE, start + 60 * MINUTE, 'Not on yet']
+  ]));
+
+  const app = express();
+  app.use('/', require('../../routes/stream'));
+  app.use('/stations/:stationId', require('../../routes/stations'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const { shows } = await (await fetch(`${base}/shows`)).json();
+    assert.deepEqual(shows.map(show => show.id), ['p0early', 'p0whole', 'p0later']);
+
+    const [early, whole, later] = shows;
+    assert.equal(early.coverage.percent, 13);
+    assert.equal(whole.title, 'Lauren Laverne');
+    assert.equal(whole.start, new Date(start + 3 * MINUTE).toISOString());
+    assert.equal(whole.onAir, false);
+    assert.deepEqual(whole.coverage, { percent: 82.2, recordedSeconds: 148, missingSeconds: 32, gaps: [] });
+    assert.equal(whole.playlist, '/shows/p0whole.m3u8');
+    assert.ok(later.onAir);
+    assert.ok(later.coverage.percent > 80 && later.coverage.percent < 100, 'measured up to now');
+
+    // The whole show, from the segment playing at its start to the one at its end
+    const response = await fetch(`${base}${whole.playlist}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=300');
+    const content = await response.text();
+    const uris = content.split('\n').filter(line => line.startsWith('/stream/segment/'));
+    assert.equal(uris[0], '/stream/segment/29.ts');
+    assert.equal(uris[uris.length - 1], '/stream/segment/57.ts');
+    assert.ok(content.includes('#EXT-X-PLAYLIST-TYPE:VOD'));
+    assert.ok(content.includes('#EXT-X-GAP\n#EXTINF:6.400,\n/stream/segment/40.ts'));
+    assert.ok(content.endsWith('#EXT-X-ENDLIST\n'));
+
+    // On air, it grows as it's recorded
+    assert.ok((await (await fetch(`${base}/shows/p0later.m3u8`)).text()).includes('#EXT-X-PLAYLIST-TYPE:EVENT'));
+
+    const gone = await fetch(`${base}/shows/p0gone.m3u8`);
+    assert.equal(gone.status, 404);
+    assert.equal((await gone.json()).message, 'Nothing of Before the buffer is buffered');
+    assert.equal((await fetch(`${base}/shows/p0nope.m3u8`)).status, 404);
+
+    // Under a station, playlist links stay under it
+    const station = await (await fetch(`${base}/stations/${pipeline.stationId}/shows`)).json();
+    assert.equal(station.shows[1].playlist, `/stations/${pipeline.stationId}/shows/p0whole.m3u8`);
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for source adapters: the registry of named inputs, pipelines
+ * wiring themselves from an adapter's capabilities and reporting its health
+ * generically, adapters registered from config, and the local file replay.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-adapters-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const {
+  registerSourceAdapter,
+  createSourceAdapter,
+  getSourceAdapterTypes,
+  registerConfiguredAdapters
+} = require('../../services/source-adapters');
+const { MonitorService } = require('../../services/monitor-service');
+const { FileReplaySource } = require('../../services/file-replay-source');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { StationPipeline } = require('../../services/station-pipeline');
+
+// Forty MPEG-TS packets: enough bytes for 6.4s at the minimum bitrate
+const SEGMENT = Buffer.concat(Array.from({ length: 40 }, () =>
+  Buffer.concat([Buffer.from([0x47]), Buffer.alloc(187)])));
+
+class FakeSource extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.isRunning = false;
+  }
+  setSources() {}
+  startMonitoring() { this.isRunning = true; return true; }
+  stopMonitoring() { this.isRunning = false; return true; }
+  getCapabilities() {
+    return { downloads: true, playlist: false, rewind: false, partialSegments: false, variants: false, streamTitles: true };
+  }
+  getHealth() {
+    return { isRunning: this.isRunning, lastActivityTime: 1000, lastSegmentTime: 900, errorCount: 2 };
+  }
+  getStatus() { return { type: 'fake', isRunning: this.isRunning }; }
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('built-in adapters are registered by name and unknown names are rejected', () => {
+  assert.deepEqual(['hls', 'icecast', 'file'].filter(type => getSourceAdapterTypes().includes(type)), ['hls', 'icecast', 'file']);
+
+  const monitor = createSourceAdapter('HLS', { url: 'http://example.com/live.m3u8', interval: 4000 });
+  assert.ok(monitor instanceof MonitorService);
+  assert.equal(monitor.interval, 4000);
+  assert.equal(monitor.getCapabilities().rewind, true);
+  assert.deepEqual(Object.keys(monitor.getHealth()), ['isRunning', 'lastActivityTime', 'lastSegmentTime', 'errorCount']);
+
+  assert.throws(() => createSourceAdapter('rtmp', {}), /Unknown source type 'rtmp' \(registered: hls, icecast, file/);
+});
+
+test('a pipeline wires itself from its adapter\'s capabilities and reports its health', async () => {
+  registerSourceAdapter('fake', (options) => new FakeSource(options));
+
+  const pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    streamUrl: 'fake://studio',
+    sourceType: 'fake',
+    storageDir: path.join(tmpDir, 'fake')
+  });
+
+  assert.ok(pipeline.monitor instanceof FakeSource);
+  assert.equal(pipeline.monitor.options.url, 'fake://studio');
+  assert.equal(pipeline.monitor.options.bufferService, pipeline.buffer);
+  assert.equal(pipeline.parts, null);
+  assert.equal(pipeline.backfill, null);
+
+  await pipeline.initialize();
+  assert.equal(pipeline.buffer.streamUrl, null);
+
+  const status = pipeline.getStatus();
+  assert.equal(status.sourceType, 'fake');
+  assert.equal(status.capabilities.streamTitles, true);
+  assert.deepEqual(status.health, { isRunning: false, lastActivityTime: 1000, lastSegmentTime: 900, errorCount: 2 });
+
+  pipeline.buffer.stopIntervals();
+});
+
+test('adapters named in config are loaded from their modules', async () => {
+  const modulePath = path.join(tmpDir, 'echo-source.js');
+  await fs.writeFile(modulePath, `
+    const EventEmitter = require('events');
+    module.exports = { createSourceAdapter: (options) => Object.assign(new EventEmitter(), { kind: 'echo', options }) };
+  `);
+
+  registerConfiguredAdapters([
+    { name: 'echo', modulePath },
+    { name: 'broken', modulePath: path.join(tmpDir, 'missing.js') }
+  ]);
+
+  assert.equal(createSourceAdapter('echo', { url: 'x' }).kind, 'echo');
+  assert.ok(!getSourceAdapterTypes().includes('broken'));
+});
+
+test('a local playlist is replayed into the buffer in order, carrying on its numbering and looping', async () => {
+  const dir = path.join(tmpDir, 'recording');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'show.m3u8'), [
+    '#EXTM3U', '#EXT-X-TARGETDURATION:7', '#EXT-X-MEDIA-SEQUENCE:1',
+    '#EXTINF:6.4,', 'one.ts', '#EXTINF:6.4,', 'two.ts', '#EXT-X-ENDLIST'
+  ].join('\n'));
+  await fs.writeFile(path.join(dir, 'one.ts'), SEGMENT);
+  await fs.writeFile(path.join(dir, 'two.ts'), SEGMENT);
+
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  await buffer.addSegment(SEGMENT, { url: 'http://example.com/a-41.ts', sequenceNumber: 41, duration: 6.4 });
+
+  const source = new FileReplaySource({ url: `file://${path.join(dir, 'show.m3u8')}`, bufferService: buffer });
+  const stored = [];
+  source.on('segmentStored', s => stored.push(s.sequenceNumber));
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await source.replayNext(), 6.4);
+  }
+
+  assert.deepEqual(stored, [42, 43, 44]);
+  assert.deepEqual(buffer.segments.map(s => s.metadata.url.replace(/^.*\//, '')), ['a-41.ts', 'one.ts#seq=42', 'two.ts#seq=43', 'one.ts#seq=44']);
+  assert.equal(source.getStatus().loops, 1);
+  assert.equal(source.getHealth().errorCount, 0);
+  assert.ok(source.getHealth().lastSegmentTime);
+
+  const missing = new FileReplaySource({ url: path.join(dir, 'nope.m3u8'), bufferService: buffer });
+  missing.on('error', () => {});
+  assert.equal(await missing.replayNext(), null);
+  assert.equal(missing.getHealth().errorCount, 1);
+
+  buffer.stopIntervals();
+});
+
+test('a replay that doesn\'t loop retries a failed read instead of finishing', async () => {
+  const buffer = new HybridBufferService(60 * 60 * 1000);
+  buffer.diskStorageEnabled = false;
+  const source = new FileReplaySource({ url: path.join(tmpDir, 'not-yet.m3u8'), bufferService: buffer, loop: false });
+  const errors = [];
+  source.on('error', e => errors.push(e));
+
+  source.startMonitoring();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.equal(errors.length, 1);
+  assert.equal(source.isRunning, true);
+  assert.ok(source.timer, 'the next attempt is scheduled');
+
+  source.stopMonitoring();
+  buffer.stopIntervals();
+});
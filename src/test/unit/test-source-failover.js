@@ -0,0 +1,147 @@
+/**
+ * Unit tests for source failover: moving to the next mirror on errors or a
+ * stale playlist, remapping sequence numbers, and returning to the
+ * preferred source once it is healthy.
+ * Run with: npm run test:unit
+ */
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.STORAGE_DIR = path.join(os.tmpdir(), `encore-failover-test-${process.pid}`);
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../../config/config');
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+
+const PRIMARY = 'http://primary.example.com/live.m3u8';
+const MIRROR = 'http://mirror.example.com/live.m3u8';
+
+function media(firstSeq, count, host) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:7', `#EXT-X-MEDIA-SEQUENCE:${firstSeq}`];
+  for (let i = 0; i < count; i++) {
+    lines.push('#EXTINF:6.4,', `http://${host}/seg-${firstSeq + i}.ts`);
+  }
+  return lines.join('\n');
+}
+
+function createMonitor(options = {}) {
+  const monitor = new MonitorService({ sources: [PRIMARY, MIRROR], failbackInterval: 1, ...options });
+  monitor.on('error', () => {});
+  const segments = [];
+  monitor.on('newSegment', s => segments.push(s.sequenceNumber));
+  return { monitor, segments };
+}
+
+const originalFetch = playlistService.fetchPlaylist;
+afterEach(() => {
+  playlistService.fetchPlaylist = originalFetch;
+});
+
+test('BBC stations get an ordered mirror list', () => {
+  const urls = config.getStationStreamUrls('bbc_radio_one');
+  assert.equal(urls.length, 3);
+  assert.equal(urls[0], config.getStationStreamUrl('bbc_radio_one'));
+  assert.ok(urls[1].includes('cf.md.bbci.co.uk'));
+});
+
+test('fails over after repeated errors and keeps numbering when the mirror shares it', async () => {
+  let primaryUp = true;
+  playlistService.fetchPlaylist = async (url) => {
+    if (url === PRIMARY) {
+      if (!primaryUp) throw new Error('503');
+      return media(100, 3, 'primary');
+    }
+    return media(101, 4, 'mirror');
+  };
+
+  const { monitor, segments } = createMonitor();
+  await monitor.fetchPlaylist();
+  assert.deepEqual(segments, [100, 101, 102]);
+
+  primaryUp = false;
+  for (let i = 0; i < config.FAILOVER_ERROR_THRESHOLD; i++) {
+    await monitor.fetchPlaylist();
+  }
+  assert.equal(monitor.url, MIRROR);
+  assert.equal(monitor.getSourceStatus().isPreferred, false);
+
+  await monitor.fetchPlaylist();
+  assert.equal(monitor.sequenceOffset, 0);
+  assert.deepEqual(segments, [100, 101, 102, 103, 104]);
+});
+
+test('remaps a mirror with different numbering to continue the buffer', async () => {
+  playlistService.fetchPlaylist = async (url) => (
+    url === PRIMARY ? media(100, 3, 'primary') : media(5000, 3, 'mirror')
+  );
+
+  const { monitor, segments } = createMonitor({ failbackInterval: 60 * 60 * 1000 });
+  await monitor.fetchPlaylist();
+  monitor.failover('test');
+  await monitor.fetchPlaylist();
+
+  assert.equal(monitor.sequenceOffset, 102 - 5002);
+  assert.equal(monitor.preferredSequenceOffset, 0, 'the preferred source still numbers like the buffer');
+  assert.deepEqual(segments, [100, 101, 102]);
+
+  playlistService.fetchPlaylist = async () => media(5001, 3, 'mirror');
+  await monitor.fetchPlaylist();
+  assert.deepEqual(segments, [100, 101, 102, 103]);
+});
+
+test('a stale playlist triggers failover', async () => {
+  playlistService.fetchPlaylist = async (url) => media(100, 3, url === PRIMARY ? 'primary' : 'mirror');
+
+  const { monitor } = createMonitor({ staleThreshold: 1000 });
+  await monitor.fetchPlaylist();
+  monitor.lastNewSegmentTime = Date.now() - 5000;
+  await monitor.fetchPlaylist();
+
+  assert.equal(monitor.url, MIRROR);
+  assert.match(monitor.getSourceStatus().lastChange.reason, /no new segments/);
+});
+
+test('a stale playlist stops cycling once every source has been tried', async () => {
+  playlistService.fetchPlaylist = async (url) => media(100, 3, url === PRIMARY ? 'primary' : 'mirror');
+
+  const { monitor } = createMonitor({ staleThreshold: 1000, failbackInterval: 60 * 60 * 1000 });
+  await monitor.fetchPlaylist();
+  for (let i = 0; i < 3; i++) {
+    monitor.lastNewSegmentTime = Date.now() - 5000;
+    await monitor.fetchPlaylist();
+  }
+
+  assert.equal(monitor.url, MIRROR);
+  assert.equal(monitor.getSourceStatus().failoverCount, 1);
+  assert.equal(monitor.failover('test'), false);
+});
+
+test('returns to the preferred source after two healthy checks', async () => {
+  let primarySeq = 100;
+  let primaryUp = false;
+  playlistService.fetchPlaylist = async (url) => {
+    if (url === PRIMARY) {
+      if (!primaryUp) throw new Error('503');
+      return media(primarySeq++, 3, 'primary');
+    }
+    return media(100, 3, 'mirror');
+  };
+
+  const { monitor } = createMonitor({ failbackInterval: 1 });
+  monitor.failover('test');
+  await monitor.fetchPlaylist();
+  assert.equal(monitor.url, MIRROR);
+
+  primaryUp = true;
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await monitor.fetchPlaylist();
+  assert.equal(monitor.url, MIRROR, 'one healthy check is not enough');
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await monitor.fetchPlaylist();
+  assert.equal(monitor.url, PRIMARY);
+  assert.equal(monitor.getSourceStatus().failoverCount, 2);
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for multi-station recording: per-station pipelines, storage
+ * isolation and station-scoped playlist URIs.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+// Isolate all disk activity in a temp dir BEFORE loading config-dependent modules
+const tmpDir = path.join(os.tmpdir(), `encore-stations-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+process.env.STATIONS = 'bbc_radio_three, not_a_station, bbc_world_service';
+
+const config = require('../../config/config');
+const { ServiceManager } = require('../../services');
+const { StationPipeline } = require('../../services/station-pipeline');
+const { hybridBufferService } = require('../../services/hybrid-buffer-service');
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('STATIONS config keeps the default first and drops unknown IDs', () => {
+  assert.deepEqual(config.STATIONS, ['bbc_6music', 'bbc_radio_three', 'bbc_world_service']);
+  assert.equal(config.getStationStorageDir('bbc_6music'), tmpDir);
+  assert.equal(
+    config.getStationStorageDir('bbc_radio_three'),
+    path.join(tmpDir, 'stations', 'bbc_radio_three')
+  );
+  assert.ok(config.getStationStreamUrl('bbc_radio_three').includes('bbc_radio_three'));
+});
+
+test('service manager creates one pipeline per station, default wraps the singletons', () => {
+  const manager = new ServiceManager();
+
+  assert.equal(manager.pipelines.size, 3);
+  assert.equal(manager.getPipeline().buffer, hybridBufferService);
+  assert.equal(manager.getPipeline('unknown'), null);
+
+  const three = manager.getPipeline('bbc_radio_three');
+  const world = manager.getPipeline('bbc_world_service');
+  assert.notEqual(three.buffer, world.buffer);
+  assert.notEqual(three.monitor, world.monitor);
+  assert.equal(three.metadata.getStationInfo().name, 'BBC Radio 3');
+
+  const stations = manager.getStations();
+  assert.deepEqual(stations.map(s => s.id), config.STATIONS);
+  assert.equal(stations.filter(s => s.isDefault).length, 1);
+});
+
+test('station buffers persist into separate storage directories', async () => {
+  const a = new StationPipeline({ stationId: 'bbc_radio_one', bufferDuration: 60 * 60 * 1000 });
+  const b = new StationPipeline({ stationId: 'bbc_radio_two', bufferDuration: 60 * 60 * 1000 });
+  await a.buffer.initialize();
+  await b.buffer.initialize();
+
+  await a.buffer.addSegment(Buffer.from('one'), { url: 'http://x/a-1.ts', sequenceNumber: 1, duration: 6.4 });
+  await b.buffer.addSegment(Buffer.from('two'), { url: 'http://x/b-1.ts', sequenceNumber: 1, duration: 6.4 });
+
+  const segA = await a.buffer.getSegmentBySequence(1);
+  const segB = await b.buffer.getSegmentBySequence(1);
+  assert.equal(segA.data.toString(), 'one');
+  assert.equal(segB.data.toString(), 'two');
+  assert.ok(segA.filePath.includes(path.join('stations', 'bbc_radio_one')));
+
+  a.buffer.stopIntervals();
+  b.buffer.stopIntervals();
+});
+
+test('station playlists point segment URIs at the station routes', async () => {
+  const pipeline = new StationPipeline({ stationId: 'bbc_asian_network', bufferDuration: 60 * 60 * 1000 });
+  pipeline.buffer.diskStorageEnabled = false;
+
+  const now = Date.now();
+  for (let seq = 1; seq <= 3; seq++) {
+    const segment = { timestamp: now - (4 - seq) * 6400, metadata: { sequenceNumber: seq, duration: 6.4, url: `u${seq}` }, size: 1 };
+    pipeline.buffer.segments.push(segment);
+    pipeline.buffer.segmentsByTimestamp.set(segment.timestamp, segment);
+    pipeline.buffer.segmentsBySequence.set(seq, segment);
+  }
+
+  const playlist = await pipeline.playlistGenerator.generatePlaylist({ timeshift: 10 });
+  assert.ok(playlist.m3u8Content.includes('/stations/bbc_asian_network/stream/segment/'));
+});
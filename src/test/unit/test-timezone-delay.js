@@ -0,0 +1,224 @@
+/**
+ * Unit tests for the timezone delay mode: the delay worked out from the
+ * source's and the listener's UTC offsets, DST transitions in either zone,
+ * and the time-shifted playlist cutting cleanly over a change of delay,
+ * repeating or skipping audio without its numbering jumping.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-timezone-delay-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { TimezoneDelay, createTimezoneDelay, isValidTimezone } = require('../../services/timezone-delay');
+const { getDelayStatus } = require('../../services/listener-delay');
+const { HybridBufferService } = require('../../services/hybrid-buffer-service');
+const { PlaylistGenerator } = require('../../services/playlist-generator');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// Ten minutes of 6.4s segments, up to a few seconds ago
+async function bufferWithSegments() {
+  const buffer = new HybridBufferService(HOUR);
+  buffer.diskStorageEnabled = false;
+  const start = Date.now() - 10 * MINUTE;
+  for (let seq = 1; start + (seq - 1) * 6400 < Date.now() - 5000; seq++) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4, programDateTime: start + (seq - 1) * 6400
+    });
+  }
+  return buffer;
+}
+
+// A schedule whose delay can be changed by the test
+function fakeSchedule(delay) {
+  return {
+    delay,
+    transition: null,
+    getDelay() { return this.delay; },
+    getLastTransition() { return this.transition; },
+    // Strictly after any playlist already generated under the old delay
+    async change(delayAfter) {
+      await new Promise(resolve => setTimeout(resolve, 2));
+      this.transition = {
+        at: Date.now(), delayBefore: this.delay, delayAfter,
+        change: delayAfter > this.delay ? 'repeat' : 'skip', amount: Math.abs(delayAfter - this.delay)
+      };
+      this.delay = delayAfter;
+    }
+  };
+}
+
+// Each entry's number in the playlist, its source sequence number, and
+// whether a discontinuity comes before it
+function entries(m3u8) {
+  const lines = m3u8.split('\n');
+  let number = parseInt(lines.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:')).split(':')[1], 10);
+  let discontinuity = false;
+  const result = [];
+  for (const line of lines) {
+    if (line === '#EXT-X-DISCONTINUITY') {
+      discontinuity = true;
+    } else if (line.startsWith('/stream/segment/')) {
+      result.push({ number: number++, seq: parseInt(line.match(/(\d+)\.ts$/)[1], 10), discontinuity });
+      discontinuity = false;
+    }
+  }
+  return result;
+}
+
+const discontinuitySequence = m3u8 => parseInt(m3u8.match(/#EXT-X-DISCONTINUITY-SEQUENCE:(\d+)/)[1], 10);
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('the delay follows both zones through their DST changes', () => {
+  const london = new TimezoneDelay({ sourceTimezone: 'Europe/London', listenerTimezone: 'America/New_York' });
+
+  // Both on summer time, then only New York, then both on standard time
+  assert.equal(london.getDelay(Date.parse('2026-10-19T12:00Z')), 5 * HOUR);
+  assert.equal(london.getDelay(Date.parse('2026-10-27T12:00Z')), 4 * HOUR);
+  assert.equal(london.getDelay(Date.parse('2026-11-05T12:00Z')), 5 * HOUR);
+
+  const upcoming = london.getUpcomingTransitions(Date.parse('2026-10-19T12:00Z'));
+  assert.deepEqual(upcoming.map(t => [new Date(t.at).toISOString(), t.change, t.amount, t.zones]), [
+    ['2026-10-25T01:00:00.000Z', 'skip', HOUR, ['Europe/London']],
+    ['2026-11-01T06:00:00.000Z', 'repeat', HOUR, ['America/New_York']]
+  ]);
+  assert.equal(london.getLastTransition(Date.parse('2026-10-25T03:00Z')).delayAfter, 4 * HOUR);
+  assert.equal(london.getLastTransition(Date.parse('2026-10-20T12:00Z')), null);
+
+  // Listeners ahead of London hear the previous day at their hour
+  const tokyo = new TimezoneDelay({ sourceTimezone: 'Europe/London', listenerTimezone: 'Asia/Tokyo' });
+  assert.equal(tokyo.getDelay(Date.parse('2026-10-19T12:00Z')), 16 * HOUR);
+  assert.equal(tokyo.getDelay(Date.parse('2026-11-19T12:00Z')), 15 * HOUR);
+
+  const status = london.getStatus(Date.parse('2026-10-19T12:00Z'));
+  assert.equal(status.mode, 'timezone');
+  assert.equal(status.delayMs, 5 * HOUR);
+  assert.equal(status.upcomingTransitions[0].at, '2026-10-25T01:00:00.000Z');
+
+  assert.ok(isValidTimezone('Australia/Lord_Howe'));
+  assert.ok(!isValidTimezone('Mars/Olympus_Mons'));
+  assert.ok(!isValidTimezone(undefined));
+
+  // Without DELAY_MODE=timezone the delay is the fixed one
+  assert.deepEqual(getDelayStatus(), { mode: 'fixed', delayMs: config.DELAY_DURATION });
+});
+
+test('upcoming transitions are only searched for again once the first has passed', (t) => {
+  const london = new TimezoneDelay({ sourceTimezone: 'Europe/London', listenerTimezone: 'America/New_York' });
+  const search = t.mock.method(london, 'getTransitions');
+
+  london.getStatus(Date.parse('2026-10-19T12:00Z'));
+  const status = london.getStatus(Date.parse('2026-10-24T12:00Z'));
+  assert.equal(search.mock.callCount(), 1);
+  assert.equal(status.upcomingTransitions[0].at, '2026-10-25T01:00:00.000Z');
+
+  const after = london.getStatus(Date.parse('2026-10-25T03:00Z'));
+  assert.equal(search.mock.callCount(), 2);
+  assert.equal(after.upcomingTransitions[0].at, '2026-11-01T06:00:00.000Z');
+  assert.equal(after.delayMs, 4 * HOUR);
+});
+
+test('a delay longer than the buffer holds is warned about and held short of it', (t) => {
+  const saved = { ...config };
+  const warnings = [];
+  t.mock.method(logger, 'warn', message => warnings.push(message));
+  Object.assign(config, {
+    DELAY_MODE: 'timezone', SOURCE_TIMEZONE: 'Europe/London', LISTENER_TIMEZONE: 'Asia/Tokyo', BUFFER_DURATION: 8.5 * HOUR
+  });
+  try {
+    const schedule = createTimezoneDelay();
+    assert.equal(schedule.getDelay(Date.parse('2026-10-19T12:00Z')), 8.5 * HOUR - 5 * MINUTE);
+    assert.equal(schedule.getLastTransition(Date.parse('2026-10-25T03:00Z')), null, 'held, the delay no longer changes');
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /needs a delay of up to 16h, more than BUFFER_DURATION \(8\.5h\) holds; the delay is held at 8\.42h$/);
+
+    config.BUFFER_DURATION = 24 * HOUR;
+    assert.equal(createTimezoneDelay().getDelay(Date.parse('2026-10-19T12:00Z')), 16 * HOUR);
+    assert.equal(warnings.length, 1);
+  } finally {
+    Object.assign(config, saved);
+  }
+});
+
+test('a longer delay repeats from a clean cut, numbered on from before it', async () => {
+  const buffer = await bufferWithSegments();
+  const schedule = fakeSchedule(5 * MINUTE);
+  const generator = new PlaylistGenerator({ bufferService: buffer, delaySchedule: schedule });
+
+  const beforeCut = entries((await generator.generatePlaylist()).m3u8Content);
+
+  // The listener's zone falls back a minute (in spirit)
+  await schedule.change(6 * MINUTE);
+  const playlist = await generator.generatePlaylist();
+  const atCut = entries(playlist.m3u8Content);
+  const cut = atCut.findIndex(entry => entry.discontinuity);
+  assert.ok(cut > 0, 'the cut is inside the window');
+
+  // Up to the cut, the same segments under the same numbers as before,
+  // including those listed ahead of the playhead
+  for (const entry of atCut.slice(0, cut)) {
+    assert.deepEqual(beforeCut.find(e => e.seq === entry.seq), { ...entry, discontinuity: false });
+  }
+  assert.equal(atCut[cut - 1].seq, beforeCut[beforeCut.length - 1].seq);
+  // After it, segments from a minute earlier carry the numbering on
+  const last = atCut[cut - 1].seq;
+  assert.ok(atCut[cut].seq < last - 5, 'goes back about a minute');
+  assert.deepEqual(atCut.slice(cut).map(e => e.seq), atCut.slice(cut).map((e, i) => atCut[cut].seq + i));
+  assert.equal(discontinuitySequence(playlist.m3u8Content), 0);
+
+  // Later, with the cut out of the window
+  schedule.delay = 5 * MINUTE;
+  const later = await generator.generatePlaylist();
+  const afterCut = entries(later.m3u8Content);
+  assert.ok(afterCut.every(entry => !entry.discontinuity));
+  assert.equal(afterCut[0].number, afterCut[0].seq + (last + 1 - atCut[cut].seq));
+  assert.equal(discontinuitySequence(later.m3u8Content), 1);
+
+  buffer.stopIntervals();
+});
+
+test('a shorter delay skips ahead from a clean cut', async () => {
+  const buffer = await bufferWithSegments();
+  const schedule = fakeSchedule(5 * MINUTE);
+  const generator = new PlaylistGenerator({ bufferService: buffer, delaySchedule: schedule });
+  await generator.generatePlaylist();
+
+  await schedule.change(4 * MINUTE);
+  const atCut = entries((await generator.generatePlaylist()).m3u8Content);
+  const cut = atCut.findIndex(entry => entry.discontinuity);
+  assert.ok(cut > 0);
+  assert.ok(atCut[cut].seq > atCut[cut - 1].seq + 5, 'jumps about a minute ahead');
+  assert.deepEqual(atCut.map(e => e.number), atCut.map((e, i) => atCut[0].number + i), 'numbered without a jump');
+
+  buffer.stopIntervals();
+});
+
+test('an explicit timeshift, or a fixed time shift, ignores the schedule', async () => {
+  const buffer = await bufferWithSegments();
+  const schedule = fakeSchedule(5 * MINUTE);
+  schedule.getLastTransition = () => { throw new Error('not consulted'); };
+
+  const generator = new PlaylistGenerator({ bufferService: buffer, delaySchedule: schedule });
+  const playlist = await generator.generatePlaylist({ timeshift: 120 });
+  assert.equal(playlist.mediaSequence, entries(playlist.m3u8Content)[0].seq);
+
+  assert.equal(new PlaylistGenerator({ bufferService: buffer, timeShiftDuration: HOUR }).delaySchedule, null);
+
+  buffer.stopIntervals();
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for skipping between tracks in delayed playback: the next or
+ * previous track (or show) start from the playhead, within the buffer, and
+ * the ?at= playlist that starts exactly there with #EXT-X-START.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-track-navigation-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { MetadataService } = require('../../services/metadata-service');
+const { serviceManager } = require('../../services');
+
+const MINUTE = 60 * 1000;
+
+// Tracks and a show, at offsets from start
+function addSchedule(metadata, start) {
+  for (const [id, offset] of [['t-gone', -5 * MINUTE], ['t1', MINUTE], ['t2', 3 * MINUTE], ['t3', 5 * MINUTE], ['t-later', 20 * MINUTE]]) {
+    metadata.metadata.push({ timestamp: start + offset, data: { id, artist: 'Artist', title: id, startedAt: start + offset } });
+  }
+  metadata._processScheduleResponse({
+    data: [{
+      data: [{
+        type: 'broadcast_summary', id: 'p0show', titles: { primary: 'The Show' },
+        start: new Date(start + 4 * MINUTE).toISOString(), end: new Date(start + 60 * MINUTE).toISOString()
+      }]
+    }]
+  });
+}
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('the next and previous starts are tracks or shows, CD-player style going back', () => {
+  const metadata = new MetadataService({ stationId: 'bbc_6music' });
+  const start = Date.now() - 10 * MINUTE;
+  addSchedule(metadata, start);
+
+  const boundary = (offset, direction, bounds) => {
+    const found = metadata.getTrackBoundary(start + offset, direction, bounds);
+    return found && [found.kind, found.data.id];
+  };
+  assert.deepEqual(boundary(2 * MINUTE, 'next'), ['track', 't2']);
+  assert.deepEqual(boundary(3.5 * MINUTE, 'next'), ['show', 'p0show']);
+
+  // Back to the start of this track, or the one before just after it starts
+  assert.deepEqual(boundary(3 * MINUTE + 10000, 'previous'), ['track', 't2']);
+  assert.deepEqual(boundary(3 * MINUTE + 2000, 'previous'), ['track', 't1']);
+
+  // Only within the bounds given
+  assert.deepEqual(boundary(30000, 'previous'), ['track', 't-gone']);
+  assert.equal(boundary(30000, 'previous', { earliest: start }), null);
+  assert.equal(boundary(5 * MINUTE, 'next', { latest: start + 10 * MINUTE }), null);
+});
+
+test('/metadata/boundary finds the track and its ?at= playlist starts exactly there', async () => {
+  const pipeline = serviceManager.getPipeline();
+  const buffer = pipeline.buffer;
+  buffer.diskStorageEnabled = false;
+
+  // 6.4s segments stamped with broadcast times, up to a few seconds ago
+  const start = Date.now() - 9.5 * MINUTE;
+  for (let seq = 1; start + (seq - 1) * 6400 < Date.now() - 5000; seq++) {
+    await buffer.addSegment(Buffer.from('x'), {
+      url: `http://example.com/a-${seq}.ts`, sequenceNumber: seq, duration: 6.4, programDateTime: start + (seq - 1) * 6400
+    });
+  }
+  addSchedule(pipeline.metadata, start);
+
+  const app = express();
+  app.use('/', require('../../routes'));
+  app.use('/', require('../../routes/stream'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const boundary = (offset, direction) => fetch(`${base}/metadata/boundary?direction=${direction}&time=${start + offset}`);
+
+  try {
+    const next = await (await boundary(100000, 'next')).json();
+    const trackStart = new Date(start + 3 * MINUTE).toISOString();
+    assert.deepEqual([next.kind, next.track.id, next.broadcastTime, next.at], ['track', 't2', trackStart, trackStart]);
+    assert.equal(next.playlist, `/stream.m3u8?at=${trackStart}`);
+
+    assert.equal((await (await boundary(3 * MINUTE + 2000, 'previous')).json()).track.id, 't1');
+
+    // Nothing before the oldest segment, or after the newest
+    const earliest = await boundary(30000, 'previous');
+    assert.equal(earliest.status, 404);
+    assert.equal((await earliest.json()).message, 'No earlier track in the buffer');
+    assert.equal((await boundary(5 * MINUTE + 1000, 'next')).status, 404);
+    assert.equal((await boundary(0, 'sideways')).status, 400);
+
+    // The playlist is pinned to that delay, starting at the track itself
+    const pinned = await fetch(`${base}${next.playlist}`, { redirect: 'manual' });
+    assert.equal(pinned.status, 302);
+    const location = new URL(pinned.headers.get('location'), base);
+    assert.equal(location.searchParams.get('start'), String(start + 3 * MINUTE));
+
+    const content = await (await fetch(location)).text();
+    const firstPdt = Date.parse(content.match(/#EXT-X-PROGRAM-DATE-TIME:(.*)/)[1]);
+    const offset = ((start + 3 * MINUTE - firstPdt) / 1000).toFixed(3);
+    assert.ok(content.includes(`#EXT-X-START:TIME-OFFSET=${offset},PRECISE=YES\n`));
+
+    // Once that moment has left the window, there's nothing to point at
+    const later = await (await fetch(`${base}/stream.m3u8?delay=60&start=${start + 3 * MINUTE}`)).text();
+    assert.ok(!later.includes('#EXT-X-START'));
+  } finally {
+    server.close();
+    buffer.stopIntervals();
+  }
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for recording every bitrate variant: variant tracks follow the
+ * source master playlist, and variant playlists stay in step with the
+ * primary by sequence number.
+ * Run with: npm run test:unit
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const os = require('node:os');
+
+const tmpDir = path.join(os.tmpdir(), `encore-variants-test-${process.pid}`);
+process.env.STORAGE_DIR = tmpDir;
+process.env.LOG_LEVEL = 'error';
+
+const { StationPipeline } = require('../../services/station-pipeline');
+
+const VARIANTS = [
+  { id: '96k', url: 'http://example.com/low/index.m3u8', bandwidth: 96000, codecs: 'mp4a.40.5' },
+  { id: '320k', url: 'http://example.com/high/index.m3u8', bandwidth: 320000, codecs: 'mp4a.40.2' },
+  { id: '128k', url: 'http://example.com/mid/index.m3u8', bandwidth: 128000, codecs: 'mp4a.40.2' }
+];
+
+function fill(buffer, sequences, timestampFor) {
+  for (const seq of sequences) {
+    const segment = { timestamp: timestampFor(seq), metadata: { sequenceNumber: seq, duration: 6.4, url: `u${seq}` }, size: 1 };
+    buffer.segments.push(segment);
+    buffer.segmentsByTimestamp.set(segment.timestamp, segment);
+    buffer.segmentsBySequence.set(seq, segment);
+  }
+}
+
+let pipeline;
+
+before(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+  pipeline = new StationPipeline({
+    stationId: 'bbc_radio_one',
+    storageDir: tmpDir,
+    recordAllVariants: true,
+    bufferDuration: 60 * 60 * 1000
+  });
+});
+
+after(async () => {
+  for (const track of pipeline.variantTracks.values()) {
+    await track.stop();
+  }
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('variant tracks follow the master: added, renamed and dropped', async () => {
+  await pipeline._syncVariants(VARIANTS, VARIANTS[1]);
+
+  assert.deepEqual(pipeline.getVariants().map(v => v.id), ['320k', '96k', '128k']);
+  assert.equal(pipeline.getVariant('320k').buffer, pipeline.buffer);
+  assert.equal(pipeline.getVariant('96k').monitor.url, 'http://example.com/low/index.m3u8');
+
+  const low = pipeline.getVariant('96k');
+  low.monitor.lastSequence = 10;
+  await pipeline._syncVariants([
+    { ...VARIANTS[0], url: 'http://example.com/v2/low.m3u8' },
+    VARIANTS[1]
+  ], VARIANTS[1]);
+
+  assert.equal(pipeline.getVariant('96k'), low);
+  assert.equal(low.monitor.url, 'http://example.com/v2/low.m3u8');
+  assert.equal(low.monitor.sourceSwitched, true);
+  assert.equal(pipeline.getVariant('128k'), null);
+});
+
+test('variant playlists list the primary window by sequence number', async () => {
+  const now = Date.now();
+  const at = seq => now - 60000 + seq * 6400;
+  pipeline.buffer.diskStorageEnabled = false;
+  fill(pipeline.buffer, [1, 2, 3, 4, 5, 6], at);
+
+  // The variant recorded the same sequences a little later, with one hole
+  const low = pipeline.getVariant('96k');
+  low.buffer.diskStorageEnabled = false;
+  fill(low.buffer, [1, 2, 3, 5, 6], seq => at(seq) + 900);
+
+  const generator = pipeline.playlistGenerator;
+  const primary = await generator.generateVariantPlaylist(pipeline.getVariant('320k'), { timeshift: 40 });
+  const variant = await generator.generateVariantPlaylist(low, { timeshift: 40 });
+
+  assert.equal(variant.mediaSequence, primary.mediaSequence);
+  assert.ok(variant.segments.length > 0);
+  assert.deepEqual(
+    variant.segments.map(s => s.sequenceNumber),
+    primary.segments.map(s => s.sequenceNumber).slice(0, variant.segments.length)
+  );
+  // The hole is listed as a gap rather than shifting what follows
+  assert.deepEqual(variant.segments.filter(s => s.gap).map(s => s.sequenceNumber), [4]);
+  assert.ok(variant.segments.some(s => s.sequenceNumber > 4), 'carries on past the hole');
+  assert.ok(variant.segments[0].uri.startsWith('/stations/bbc_radio_one/stream/variant/96k/segment/'));
+
+  // Same wall-clock mapping as the primary
+  const pdt = content => content.match(/#EXT-X-PROGRAM-DATE-TIME:.*/g);
+  assert.deepEqual(pdt(variant.m3u8Content), pdt(primary.m3u8Content).slice(0, variant.segments.length));
+});
+
+test('master playlist lists every recorded variant, primary first', () => {
+  const master = pipeline.playlistGenerator.generateMasterPlaylist(pipeline.getVariants(), { query: '?x=1' });
+  const uris = master.m3u8Content.split('\n').filter(line => line.startsWith('/'));
+
+  assert.deepEqual(uris, [
+    '/stations/bbc_radio_one/stream/variant/320k.m3u8?x=1',
+    '/stations/bbc_radio_one/stream/variant/96k.m3u8?x=1'
+  ]);
+  assert.ok(master.m3u8Content.includes('#EXT-X-STREAM-INF:BANDWIDTH=96000,CODECS="mp4a.40.5"'));
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for HLS master playlist handling: variant selection policies
+ * and the monitor following a master down to (and between) variants.
+ * Run with: npm run test:unit
+ */
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.STORAGE_DIR = path.join(os.tmpdir(), `encore-variant-test-${process.pid}`);
+process.env.LOG_LEVEL = 'error';
+
+const playlistService = require('../../services/playlist-service');
+const { MonitorService } = require('../../services/monitor-service');
+
+const MASTER_URL = 'http://example.com/live/master.m3u8';
+
+function master(variants) {
+  return ['#EXTM3U', ...variants.flatMap(v => [
+    `#EXT-X-STREAM-INF:BANDWIDTH=${v.bandwidth}${v.codecs ? `,CODECS="${v.codecs}"` : ''}`,
+    v.uri
+  ])].join('\n');
+}
+
+function media(firstSeq, count, prefix) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:7', `#EXT-X-MEDIA-SEQUENCE:${firstSeq}`];
+  for (let i = 0; i < count; i++) {
+    lines.push('#EXTINF:6.4,', `${prefix}-${firstSeq + i}.ts`);
+  }
+  return lines.join('\n');
+}
+
+const VARIANTS = [
+  { bandwidth: 96000, codecs: 'mp4a.40.5', uri: 'low/index.m3u8' },
+  { bandwidth: 320000, codecs: 'mp4a.40.2', uri: 'high/index.m3u8' },
+  { bandwidth: 128000, codecs: 'mp4a.40.2', uri: 'mid/index.m3u8' }
+];
+
+const originalFetch = playlistService.fetchPlaylist;
+afterEach(() => {
+  playlistService.fetchPlaylist = originalFetch;
+});
+
+test('selectVariant applies each policy against BANDWIDTH and CODECS', () => {
+  const parsed = playlistService.parsePlaylist(master(VARIANTS));
+  const pick = policy => playlistService.selectVariant(parsed, MASTER_URL, policy).url;
+
+  assert.ok(playlistService.isMasterPlaylist(parsed));
+  assert.equal(pick('highest'), 'http://example.com/live/high/index.m3u8');
+  assert.equal(pick('lowest'), 'http://example.com/live/low/index.m3u8');
+  assert.equal(pick('codecs:mp4a.40.5'), 'http://example.com/live/low/index.m3u8');
+  assert.equal(pick('max-bitrate:200000'), 'http://example.com/live/mid/index.m3u8');
+
+  // Policies that match nothing still record something
+  assert.equal(pick('codecs:opus'), 'http://example.com/live/high/index.m3u8');
+  assert.equal(pick('max-bitrate:1000'), 'http://example.com/live/low/index.m3u8');
+  assert.equal(pick('nonsense'), 'http://example.com/live/high/index.m3u8');
+});
+
+test('monitor follows a master playlist to the chosen variant', async () => {
+  const fetched = [];
+  playlistService.fetchPlaylist = async (url) => {
+    fetched.push(url);
+    if (url === MASTER_URL) return master(VARIANTS);
+    return media(100, 3, 'seg');
+  };
+
+  const monitor = new MonitorService({ url: MASTER_URL, variantPolicy: 'lowest' });
+  const segments = [];
+  monitor.on('newSegment', s => segments.push(s));
+
+  const result = await monitor.fetchPlaylist();
+  assert.equal(result.success, true);
+  assert.equal(monitor.variant.bandwidth, 96000);
+  assert.deepEqual(segments.map(s => s.url), [
+    'http://example.com/live/low/seg-100.ts',
+    'http://example.com/live/low/seg-101.ts',
+    'http://example.com/live/low/seg-102.ts'
+  ]);
+
+  // Subsequent polls go straight to the variant until the master is due
+  await monitor.fetchPlaylist();
+  assert.deepEqual(fetched.slice(2), ['http://example.com/live/low/index.m3u8']);
+});
+
+test('monitor re-resolves a changed master without re-downloading sequences', async () => {
+  let variants = VARIANTS;
+  playlistService.fetchPlaylist = async (url) => {
+    if (url === MASTER_URL) return master(variants);
+    if (url.includes('/high/') && variants === VARIANTS) return media(100, 3, 'high');
+    if (url.includes('/v2/')) return media(101, 3, 'v2');
+    throw new Error('404');
+  };
+
+  const monitor = new MonitorService({ url: MASTER_URL, masterRefreshInterval: 60000 });
+  monitor.on('error', () => {});
+  const segments = [];
+  monitor.on('newSegment', s => segments.push(s));
+  const switches = [];
+  monitor.on('variantSelected', e => switches.push(e));
+
+  await monitor.fetchPlaylist();
+  assert.equal(segments.length, 3);
+
+  // The master now points at a renamed variant and the old one 404s
+  variants = [{ bandwidth: 320000, codecs: 'mp4a.40.2', uri: 'v2/index.m3u8' }];
+  const failed = await monitor.fetchPlaylist();
+  assert.equal(failed.success, false);
+
+  await monitor.fetchPlaylist();
+  assert.equal(monitor.variant.url, 'http://example.com/live/v2/index.m3u8');
+  assert.equal(switches.length, 2);
+  assert.equal(switches[1].previous.url, 'http://example.com/live/high/index.m3u8');
+
+  // Only sequence 103 is new; 101 and 102 were already recorded from the old variant
+  assert.deepEqual(segments.slice(3).map(s => s.sequenceNumber), [103]);
+});
+
+test('media playlist URLs are polled directly as before', async () => {
+  playlistService.fetchPlaylist = async () => media(5, 2, 'seg');
+
+  const monitor = new MonitorService({ url: 'http://example.com/live/index.m3u8' });
+  const result = await monitor.fetchPlaylist();
+
+  assert.equal(result.newSegmentsCount, 2);
+  assert.equal(monitor.variant, null);
+});